@@ -105,11 +105,14 @@ async function createCalendarEvent(userId, groupId, weekStartDate) {
   const endHour = (parseInt(group.schedule.timeOfDay.split(':')[0]) + 1).toString().padStart(2, '0');
   const endTime = `${weekStartDate}T${endHour}:00:00`;
 
+  // timeOfDay is wall-clock time in the group's zone (groups created before it existed were Pacific)
+  const timeZone = group.schedule.timeZone || 'America/Los_Angeles';
+
   const event = {
     summary: `${group.name} - Your Turn This Week`,
     description: `${group.description}\n\nYou are scheduled for this week's rotation.\n\nWeek starting: ${weekStartDate}`,
-    start: { dateTime: startTime, timeZone: 'America/Los_Angeles' },
-    end: { dateTime: endTime, timeZone: 'America/Los_Angeles' },
+    start: { dateTime: startTime, timeZone },
+    end: { dateTime: endTime, timeZone },
     reminders: {
       useDefault: false,
       overrides: [
@@ -188,13 +191,17 @@ app.get('/auth/callback', async (req, res) => {
 app.get('/api/data', (req, res) => res.json(data));
 
 app.post('/api/groups', async (req, res) => {
-  const { name, description, dayOfWeek, timeOfDay } = req.body;
+  const { name, description, dayOfWeek, timeOfDay, timeZone } = req.body;
   const group = {
     id: generateId('group'),
     name,
     description: description || '',
     members: [],
-    schedule: { dayOfWeek: parseInt(dayOfWeek) || 1, timeOfDay: timeOfDay || '09:00' },
+    schedule: {
+      dayOfWeek: parseInt(dayOfWeek) || 1,
+      timeOfDay: timeOfDay || '09:00',
+      timeZone: timeZone || 'America/Los_Angeles'
+    },
     currentIndex: 0,
     isActive: true
   };
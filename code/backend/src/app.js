@@ -0,0 +1,353 @@
+/**
+ * app.js — Request handler for the CTR-CRM read proxy
+ *
+ * The React app used to call Baserow directly with a read token baked into the
+ * Vite bundle. It now calls this proxy instead, which mirrors the handful of
+ * Baserow read paths the app uses, so baserowApi.js only changes its base URL:
+ *
+ *   POST /auth/login                               { email, password } → { token, expiresAt, user }
+ *   POST /auth/refresh                             Bearer session      → { token, expiresAt, user }
+ *   POST /approvals/token                          { changeId, action } → { token, expiresAt }  (admins)
+ *   POST /mutations/{ENTITY}                       { action, id, fields } → the n8n webhook's answer
+ *   GET  /api/database/rows/table/{id}/            List rows (readable tables only)
+ *   GET  /api/database/rows/table/{id}/{rowId}/    One row   (readable tables only)
+ *   GET  /api/database/fields/table/{id}/          Field list, for select option IDs
+ *   GET  /health
+ *
+ * Every /api/* request needs "Authorization: Bearer <session token>" (see session.js)
+ * and is rate-limited per staff member. Logins are rate-limited per client IP.
+ * Only tables listed in config.READABLE_TABLES are reachable (TABLE_ROLES narrows
+ * some to certain roles), and only the query parameters in ROW_PARAMS are passed through.
+ *
+ * /mutations/{ENTITY} is the app's only way to write. The proxy checks the session
+ * and the role (config.WRITE_ROLES), replaces identity fields with the signed-in
+ * staff member's (a proposal's proposed_by_email / proposed_by), adds
+ * user: { id, email, role } to the body and forwards it to the entity's n8n
+ * webhook with the shared CRM_WEBHOOK_SECRET (see n8n.js). The webhook's 2xx and
+ * 400/422 validation answers pass through; anything else becomes a 502.
+ *
+ * /approvals/token signs a single-use WF9 decision token for the signed-in admin
+ * (see approvalToken.js); the Approvals page sends it with its approve/reject call.
+ *
+ * Errors use Baserow's own shape — { error: "ERROR_CODE", detail } — so the
+ * frontend's errorFromResponse() reads them unchanged. A 401 always means the
+ * staff session is gone; Baserow's own 401/403/5xx answers become 502 ERROR_UPSTREAM.
+ */
+import { APPROVAL_ACTIONS, issueApprovalToken } from "./approvalToken.js";
+import { createBaserowClient, UpstreamError } from "./baserow.js";
+import { TABLE_ROLES, WRITE_ROLES } from "./config.js";
+import { createN8nClient } from "./n8n.js";
+import { createRateLimiter } from "./rateLimit.js";
+import { issueSession, verifySession } from "./session.js";
+
+/** Query parameters the row endpoints forward to Baserow */
+const ROW_PARAMS = ["user_field_names", "page", "size", "order_by", "search", "filters", "include", "exclude"];
+
+const ROWS_PATH   = /^\/api\/database\/rows\/table\/(\d+)\/(?:(\d+)\/)?$/;
+const FIELDS_PATH = /^\/api\/database\/fields\/table\/(\d+)\/$/;
+
+const MUTATION_PATH = /^\/mutations\/([A-Z_]+)$/;
+const MUTATION_ACTIONS = ["create", "update", "deactivate"];
+
+/** Login bodies are tiny; anything bigger is refused rather than buffered */
+const MAX_BODY_BYTES = 4096;
+
+/** Mutation bodies carry whole records (notes, availability text) */
+const MAX_MUTATION_BODY_BYTES = 64 * 1024;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+class HttpError extends Error {
+  constructor(status, error, detail, headers = {}) {
+    super(detail);
+    this.status = status;
+    this.error = error;
+    this.headers = headers;
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, "ERROR_REQUEST_BODY_TOO_LARGE", "Request body too large."));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}"));
+      } catch {
+        reject(new HttpError(400, "ERROR_REQUEST_BODY_VALIDATION", "Request body is not valid JSON."));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? "");
+  return match ? match[1] : null;
+}
+
+/**
+ * MEETING_INSTANCE fields editors may update: a visit's outcome, and its date and
+ * time (a Schedule page drag; the workflow moves the calendar occurrence).
+ */
+const EDITOR_INSTANCE_FIELDS = ["instance_status", "instance_date", "instance_start", "instance_end"];
+
+/**
+ * Whether a role may send this mutation. Besides WRITE_ROLES, editors may update
+ * one visit's EDITOR_INSTANCE_FIELDS — never the meeting, team or people on it.
+ */
+function canWrite(role, entity, action, fields) {
+  if (WRITE_ROLES[entity].includes(role)) return true;
+  return entity === "MEETING_INSTANCE" && role === "editor" && action === "update" &&
+    Object.keys(fields).length > 0 && Object.keys(fields).every((name) => EDITOR_INSTANCE_FIELDS.includes(name));
+}
+
+// ─── Handler ──────────────────────────────────────────────────────────────────
+
+/**
+ * Builds the node:http request handler.
+ *
+ * @param {object} config             — From loadConfig()
+ * @param {object} [deps]
+ * @param {object} [deps.baserow]     — Upstream client (default createBaserowClient(config))
+ * @param {object} [deps.n8n]         — Webhook client for writes (default createN8nClient(config))
+ * @returns {(req, res) => Promise<void>}
+ */
+export function createApp(config, { baserow = createBaserowClient(config), n8n = createN8nClient(config) } = {}) {
+  const readLimiter  = createRateLimiter({ windowMs: config.rateLimit.windowMs, max: config.rateLimit.reads });
+  const loginLimiter = createRateLimiter({ windowMs: config.rateLimit.windowMs, max: config.rateLimit.logins });
+
+  const corsHeaders = {
+    "Access-Control-Allow-Origin":  config.corsOrigin,
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Expose-Headers": "Retry-After",
+    "Access-Control-Max-Age":       "600",
+    Vary: "Origin",
+  };
+
+  function clientIp(req) {
+    if (config.trustProxy) {
+      const forwarded = req.headers["x-forwarded-for"];
+      if (forwarded) return forwarded.split(",")[0].trim();
+    }
+    return req.socket.remoteAddress ?? "unknown";
+  }
+
+  function enforceLimit(limiter, key) {
+    const { allowed, retryAfterMs } = limiter.hit(key);
+    if (!allowed) {
+      throw new HttpError(429, "ERROR_REQUEST_THROTTLED", "Too many requests. Try again shortly.", {
+        "Retry-After": String(Math.ceil(retryAfterMs / 1000)),
+      });
+    }
+  }
+
+  function requireSession(req) {
+    const claims = verifySession(bearerToken(req), { secret: config.sessionSecret });
+    if (!claims) throw new HttpError(401, "ERROR_SESSION_INVALID", "Your session has expired. Please sign in again.");
+    return claims;
+  }
+
+  function sessionResponse(user) {
+    const { token, expiresAt } = issueSession(user, {
+      secret: config.sessionSecret,
+      ttlMs:  config.sessionTtlMs,
+    });
+    return { token, expiresAt, user };
+  }
+
+  // ─── Routes ─────────────────────────────────────────────────────────────────
+
+  async function login(req) {
+    enforceLimit(loginLimiter, `ip:${clientIp(req)}`);
+
+    const { email, password } = await readJsonBody(req);
+    if (typeof email !== "string" || typeof password !== "string" || !email || !password) {
+      throw new HttpError(400, "ERROR_REQUEST_BODY_VALIDATION", "Email and password are required.");
+    }
+
+    if (!await baserow.checkPassword(email, password)) {
+      throw new HttpError(401, "ERROR_INVALID_CREDENTIALS", "Incorrect email or password.");
+    }
+    const user = await baserow.findAppUser(email);
+    if (!user) throw new HttpError(403, "ERROR_NO_APP_USER", `No APP_USERS account for ${email}.`);
+
+    return sessionResponse(user);
+  }
+
+  async function refresh(req) {
+    const claims = requireSession(req);
+    // Re-read APP_USERS so role changes and removed accounts take effect on refresh
+    const user = await baserow.findAppUser(claims.email);
+    if (!user || user.id !== claims.sub) {
+      throw new HttpError(401, "ERROR_SESSION_INVALID", "Your account is no longer active.");
+    }
+    return sessionResponse(user);
+  }
+
+  async function approvalToken(req) {
+    const claims = requireSession(req);
+    enforceLimit(readLimiter, `user:${claims.sub}`);
+    if (claims.role !== "admin") {
+      throw new HttpError(403, "ERROR_ROLE_NOT_ALLOWED", "Only admins can approve or reject changes.");
+    }
+    if (!config.approvalSecret) {
+      throw new HttpError(503, "ERROR_APPROVALS_DISABLED", "APPROVAL_TOKEN_SECRET is not configured on the proxy.");
+    }
+
+    const { changeId, action } = await readJsonBody(req);
+    if (!Number.isInteger(changeId) || changeId <= 0 || !APPROVAL_ACTIONS.includes(action)) {
+      throw new HttpError(400, "ERROR_REQUEST_BODY_VALIDATION", "changeId and action (approve | reject) are required.");
+    }
+
+    return issueApprovalToken(
+      { changeId, userId: claims.sub, action },
+      { secret: config.approvalSecret, ttlMs: config.approvalTtlMs }
+    );
+  }
+
+  async function mutate(req, res, entity) {
+    const claims = requireSession(req);
+    enforceLimit(readLimiter, `user:${claims.sub}`);
+    if (!WRITE_ROLES[entity]) throw new HttpError(404, "ERROR_NOT_FOUND", `${entity} can't be written through the proxy.`);
+    if (!config.n8nWebhookUrl || !config.webhookSecret) {
+      throw new HttpError(503, "ERROR_WRITES_DISABLED", "N8N_WEBHOOK_URL and CRM_WEBHOOK_SECRET must be configured on the proxy.");
+    }
+
+    const { action, id = null, fields = {} } = await readJsonBody(req, MAX_MUTATION_BODY_BYTES);
+    const validId = action === "create" ? id === null : Number.isInteger(id) && id > 0;
+    if (!MUTATION_ACTIONS.includes(action) || !validId || typeof fields !== "object" || fields === null || Array.isArray(fields)) {
+      throw new HttpError(400, "ERROR_REQUEST_BODY_VALIDATION", "action (create | update | deactivate), id and fields are required.");
+    }
+    if (!canWrite(claims.role, entity, action, fields)) {
+      throw new HttpError(403, "ERROR_ROLE_NOT_ALLOWED", `Your role can't change ${entity}.`);
+    }
+
+    // Who made the change comes from the session, never from the browser
+    const sent = { ...fields };
+    if (entity === "PROPOSED_CHANGE") {
+      sent.proposed_by_email = claims.email;
+      if (claims.personId) sent.proposed_by = [claims.personId];
+      else delete sent.proposed_by;
+    }
+
+    const upstream = await n8n.post(config.webhookPaths.get(entity), {
+      action,
+      id,
+      fields: sent,
+      user:   { id: claims.sub, email: claims.email, role: claims.role },
+    });
+    if (!upstream.ok && upstream.status !== 400 && upstream.status !== 422) {
+      // n8n's own 401/403/5xx must not read as the staff session ending
+      await upstream.body?.cancel();
+      throw new UpstreamError(`${entity} webhook failed (HTTP ${upstream.status})`, 502);
+    }
+
+    res.writeHead(upstream.status, {
+      ...corsHeaders,
+      "Content-Type": upstream.headers.get("content-type") ?? "application/json",
+    });
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  }
+
+  async function read(req, res, url) {
+    const claims = requireSession(req);
+    enforceLimit(readLimiter, `user:${claims.sub}`);
+
+    const rows   = ROWS_PATH.exec(url.pathname);
+    const fields = FIELDS_PATH.exec(url.pathname);
+    const tableId = (rows ?? fields)?.[1];
+    if (!tableId) throw new HttpError(404, "ERROR_NOT_FOUND", "Unknown endpoint.");
+    const tableName = config.readableTables.get(tableId);
+    if (!tableName) {
+      throw new HttpError(403, "ERROR_TABLE_NOT_READABLE", `Table ${tableId} is not readable through the proxy.`);
+    }
+    if (TABLE_ROLES[tableName] && !TABLE_ROLES[tableName].includes(claims.role)) {
+      throw new HttpError(403, "ERROR_ROLE_NOT_ALLOWED", `Your role can't read ${tableName}.`);
+    }
+
+    const query = new URLSearchParams();
+    if (rows) {
+      for (const name of ROW_PARAMS) {
+        const value = url.searchParams.get(name);
+        if (value !== null) query.set(name, value);
+      }
+    }
+
+    const upstream = await baserow.forward(url.pathname, query);
+    // Baserow refusing the proxy's token (401/403) or failing (5xx) is a gateway fault,
+    // not the staff session ending; passed through, the browser would sign out on a 401
+    if (upstream.status === 401 || upstream.status === 403 || upstream.status >= 500) {
+      await upstream.body?.cancel();
+      throw new UpstreamError(`Baserow answered HTTP ${upstream.status}`, 502);
+    }
+    const headers = { "Content-Type": upstream.headers.get("content-type") ?? "application/json" };
+    const retryAfter = upstream.headers.get("retry-after");
+    if (retryAfter) headers["Retry-After"] = retryAfter;
+
+    res.writeHead(upstream.status, { ...corsHeaders, ...headers });
+    res.end(Buffer.from(await upstream.arrayBuffer()));
+  }
+
+  return async function handle(req, res) {
+    const url = new URL(req.url, "http://proxy.local");
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+      }
+      if (req.method === "GET" && url.pathname === "/health") {
+        sendJson(res, 200, { ok: true }, corsHeaders);
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/auth/login") {
+        sendJson(res, 200, await login(req), corsHeaders);
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/auth/refresh") {
+        sendJson(res, 200, await refresh(req), corsHeaders);
+        return;
+      }
+      if (req.method === "POST" && url.pathname === "/approvals/token") {
+        sendJson(res, 200, await approvalToken(req), corsHeaders);
+        return;
+      }
+      const mutation = MUTATION_PATH.exec(url.pathname);
+      if (req.method === "POST" && mutation) {
+        await mutate(req, res, mutation[1]);
+        return;
+      }
+      if (req.method === "GET" && url.pathname.startsWith("/api/")) {
+        await read(req, res, url);
+        return;
+      }
+      throw new HttpError(404, "ERROR_NOT_FOUND", "Unknown endpoint.");
+    } catch (err) {
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.error, detail: err.message }, { ...corsHeaders, ...err.headers });
+      } else if (err instanceof UpstreamError) {
+        sendJson(res, err.status, { error: "ERROR_UPSTREAM", detail: err.message }, corsHeaders);
+      } else {
+        console.error(`[proxy] ${req.method} ${url.pathname} failed:`, err);
+        sendJson(res, 500, { error: "ERROR_INTERNAL", detail: "Internal proxy error." }, corsHeaders);
+      }
+    }
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * approvalToken.js — Signed approve/reject tokens for WF9 (the approval gate)
+ *
+ * WF9 only acts on a decision that carries one of these tokens. They use the
+ * same shape as session tokens, signed with APPROVAL_TOKEN_SECRET (shared with
+ * the n8n instance, which checks them in "Verify Approve Token" / "Verify Reject Token"):
+ *
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload, APPROVAL_TOKEN_SECRET))
+ *
+ * payload = { cid: PROPOSED_CHANGE row ID, uid: APP_USERS row ID, act: "approve" | "reject",
+ *             ch: "app" | "email", exp: ms since epoch, jti: random token ID }
+ *
+ * WF9 makes them single-use: a decision is only applied while the row is still
+ * pending, and the token's jti is stored on the row (review_token_id). Those
+ * checks are a read, so before changing anything WF9 also creates a REVIEW_CLAIM
+ * row keyed "change-<id>" (claimKey); the key is unique, so when two decisions
+ * for one change race, the second create fails and that link is refused.
+ * WF9 signs the emailed links itself; the proxy signs tokens for the Approvals page.
+ *
+ * verifyApprovalToken() and checkDecision() are the rules WF9's "Verify … Token" and
+ * "Check … Replay" Code nodes apply (n8n can't import this file — keep them in step);
+ * tests/approvalToken.test.js pins them down.
+ */
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+
+export const APPROVAL_ACTIONS = ["approve", "reject"];
+
+/** A token or decision WF9 refuses; the message is shown on its "Link not accepted" page */
+export class ApprovalTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApprovalTokenError";
+  }
+}
+
+function sign(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+}
+
+/**
+ * Issues a token that lets one admin approve or reject one proposed change.
+ *
+ * @param {object} claim
+ * @param {number} claim.changeId — PROPOSED_CHANGE row ID
+ * @param {number} claim.userId   — APP_USERS row ID of the admin
+ * @param {"approve"|"reject"} claim.action
+ * @param {object} options
+ * @param {string} options.secret — APPROVAL_TOKEN_SECRET
+ * @param {number} options.ttlMs
+ * @param {number} [options.now]
+ * @returns {{ token: string, expiresAt: number }}
+ */
+export function issueApprovalToken({ changeId, userId, action }, { secret, ttlMs, now = Date.now() }) {
+  const expiresAt = now + ttlMs;
+  const payload = Buffer.from(JSON.stringify({
+    cid: changeId,
+    uid: userId,
+    act: action,
+    ch:  "app",
+    exp: expiresAt,
+    jti: randomUUID(),
+  })).toString("base64url");
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+/**
+ * Checks a token's signature, action and expiry.
+ *
+ * @param {string} token
+ * @param {"approve"|"reject"} action — What the link is being used for
+ * @param {object} options
+ * @param {string} options.secret — APPROVAL_TOKEN_SECRET
+ * @param {number} [options.now]
+ * @returns {{ cid, uid, act, ch, exp, jti }} The claims
+ * @throws {ApprovalTokenError} Incomplete, altered, unreadable, wrong-action or expired tokens
+ */
+export function verifyApprovalToken(token, action, { secret, now = Date.now() }) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) {
+    throw new ApprovalTokenError("This approval link is incomplete. Open it again from the email or the Approvals page.");
+  }
+  const expected = Buffer.from(sign(payload, secret));
+  const actual   = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new ApprovalTokenError("This approval link has been altered and cannot be used.");
+  }
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new ApprovalTokenError("This approval link is unreadable.");
+  }
+  if (claims.act !== action) throw new ApprovalTokenError(`This link cannot be used to ${action} a change.`);
+  if (typeof claims.exp !== "number" || claims.exp <= now) {
+    throw new ApprovalTokenError("This approval link has expired. Use the Approvals page, or ask for a new email.");
+  }
+  return claims;
+}
+
+/**
+ * Checks a verified token against the current APP_USERS and PROPOSED_CHANGE rows.
+ *
+ * @param {object} claims   — From verifyApprovalToken()
+ * @param {object} reviewer — APP_USERS row for claims.uid (null if gone)
+ * @param {object} change   — PROPOSED_CHANGE row for claims.cid
+ * @throws {ApprovalTokenError} The admin is gone or demoted, the token was used, or the change isn't pending
+ */
+export function checkDecision(claims, reviewer, change) {
+  if (!reviewer || reviewer.id !== claims.uid) {
+    throw new ApprovalTokenError("The admin account this link was issued to no longer exists.");
+  }
+  const role = reviewer.role?.value || reviewer.role || "";
+  if (role !== "admin") throw new ApprovalTokenError("This link was issued to an account that is no longer an admin.");
+  if (change.review_token_id && change.review_token_id === claims.jti) {
+    throw new ApprovalTokenError("This approval link has already been used.");
+  }
+  const status = change.approval_status?.value || change.approval_status || "";
+  if (status !== "pending") throw new ApprovalTokenError(`This change has already been ${status || "reviewed"}.`);
+}
+
+/**
+ * REVIEW_CLAIM.change_key for a change — unique, so only one decision can claim it.
+ *
+ * @param {number} changeId — PROPOSED_CHANGE row ID
+ */
+export function claimKey(changeId) {
+  return `change-${changeId}`;
+}
@@ -0,0 +1,99 @@
+/**
+ * baserow.js — Upstream Baserow client for the read proxy
+ *
+ * The only place that holds BASEROW_TOKEN. Three calls:
+ *
+ *   checkPassword(email, password) — APP_USERS login via the App Builder user source
+ *   findAppUser(email)             — APP_USERS row → { id, name, email, role }
+ *   forward(path, query)           — Passes a whitelisted GET through to Baserow
+ *
+ * Every upstream call has a timeout; a timeout or refused connection surfaces as
+ * UpstreamError with status 502/504 so the browser's httpClient treats it like
+ * any other retryable server failure.
+ */
+
+export class UpstreamError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+  }
+}
+
+const ROLES = ["admin", "editor", "proposer"];
+
+/**
+ * @param {object} config — From loadConfig()
+ */
+export function createBaserowClient(config) {
+  async function call(url, init = {}) {
+    try {
+      return await fetch(url, { ...init, signal: AbortSignal.timeout(config.upstreamTimeoutMs) });
+    } catch (err) {
+      if (err.name === "TimeoutError") throw new UpstreamError("Baserow did not respond in time", 504);
+      throw new UpstreamError(`Baserow unreachable: ${err.message}`, 502);
+    }
+  }
+
+  const tokenHeaders = { Authorization: `Token ${config.baserowToken}` };
+
+  return {
+    /**
+     * Checks a staff login against the APP_USERS user source. The user source owns
+     * the bcrypt hash; the proxy only learns whether the pair is valid.
+     *
+     * @returns {Promise<boolean>}
+     */
+    async checkPassword(email, password) {
+      const response = await call(`${config.baserowUrl}/api/user-source/${config.userSourceId}/token-auth`, {
+        method:  "POST",
+        headers: { "Content-Type": "application/json" },
+        body:    JSON.stringify({ email, password }),
+      });
+      // The user source answers a bad login with 400 or 401 depending on the Baserow version
+      if (response.status === 400 || response.status === 401) return false;
+      if (!response.ok) throw new UpstreamError(`User source sign-in failed (HTTP ${response.status})`, 502);
+      return true;
+    },
+
+    /**
+     * Reads the APP_USERS row for an email (uncached — roles must be current).
+     *
+     * @returns {Promise<{ id, name, email, role }|null>}
+     */
+    async findAppUser(email) {
+      const url = new URL(`${config.baserowUrl}/api/database/rows/table/${config.appUsersTableId}/`);
+      url.searchParams.set("user_field_names", "true");
+      url.searchParams.set("size", "1");
+      url.searchParams.set("filter__email__equal", email);
+
+      const response = await call(url, { headers: tokenHeaders });
+      if (!response.ok) throw new UpstreamError(`APP_USERS lookup failed (HTTP ${response.status})`, 502);
+
+      const row = (await response.json()).results?.[0];
+      if (!row) return null;
+
+      const role = row.role?.value ?? row.role;
+      return {
+        id:       row.id,
+        name:     row.name ?? "",
+        email:    row.email ?? email,
+        // Unknown or missing roles fall back to the least-privileged role
+        role:     ROLES.includes(role) ? role : "proposer",
+        personId: row.person?.[0]?.id ?? null,
+      };
+    },
+
+    /**
+     * Forwards a GET to Baserow with the server-side token.
+     *
+     * @param {string}          path  — Baserow API path, e.g. "/api/database/rows/table/561/"
+     * @param {URLSearchParams} query — Already whitelisted by the caller
+     * @returns {Promise<Response>}
+     */
+    forward(path, query) {
+      const qs = query.toString();
+      return call(`${config.baserowUrl}${path}${qs ? `?${qs}` : ""}`, { headers: tokenHeaders });
+    },
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * config.js — Environment configuration for the CTR-CRM read proxy
+ *
+ * Env vars (code/backend/.env, loaded by server.js):
+ *   BASEROW_URL                  — Baserow base URL, e.g. https://baserow.conversationstoremember.org
+ *   BASEROW_TOKEN                — Read-only database token. Lives ONLY here, never in the Vite bundle.
+ *   BASEROW_USER_SOURCE_ID       — App Builder user source wired to APP_USERS (default 90)
+ *   BASEROW_TABLE_APP_USERS      — APP_USERS table ID (printed by scripts/setupAppUsers.js)
+ *   BASEROW_TABLE_<NAME>         — Table IDs the frontend may read (see READABLE_TABLES)
+ *   SESSION_SECRET               — HMAC key for staff session tokens (long random string)
+ *   SESSION_TTL_MINUTES          — Session lifetime (default 480 = one working day)
+ *   APPROVAL_TOKEN_SECRET        — HMAC key for WF9 approve/reject tokens; must match the
+ *                                  n8n instance's APPROVAL_TOKEN_SECRET. Unset = Approvals
+ *                                  page decisions are refused (503).
+ *   APPROVAL_TOKEN_TTL_MINUTES   — Lifetime of a token issued to the Approvals page (default 10)
+ *   N8N_WEBHOOK_URL              — Base URL of the n8n webhooks writes are forwarded to,
+ *                                  e.g. https://n8n.conversationstoremember.org/webhook.
+ *                                  Unset = every write is refused (503).
+ *   CRM_WEBHOOK_SECRET           — Sent to n8n as X-CRM-Proxy-Secret on every write; must match
+ *                                  the n8n instance's CRM_WEBHOOK_SECRET, which the webhooks check
+ *   N8N_WEBHOOK_<ENTITY>         — Optional webhook path per writable entity (see WRITE_ROLES);
+ *                                  defaults to "crm-senior", "crm-team-member", …, and
+ *                                  "wf9-proposed-change" for PROPOSED_CHANGE
+ *   CORS_ORIGIN                  — Frontend origin allowed to call the proxy (default http://localhost:5173)
+ *   PORT                         — Listen port (default 8787)
+ *   RATE_LIMIT_READS_PER_MINUTE  — Per-session read limit (default 120)
+ *   RATE_LIMIT_LOGINS_PER_MINUTE — Per-IP login attempts (default 10)
+ *   TRUST_PROXY                  — "true" when behind a reverse proxy; the client IP
+ *                                  is then read from X-Forwarded-For
+ */
+
+/**
+ * Tables the React app reads. Anything else (APP_USERS, …) is refused even with
+ * a valid session.
+ */
+export const READABLE_TABLES = [
+  "SENIOR_COMMUNITY",
+  "FORM_TYPE",
+  "PERSON",
+  "PERSON_PHONE",
+  "SENIOR",
+  "CAREGIVER",
+  "SENIOR_RELATIONSHIP",
+  "VOLUNTEER",
+  "VOLUNTEER_STATUS_NOTE",
+  "VOLUNTEER_TEAM",
+  "TEAM_MEMBER",
+  "MEETING",
+  "MEETING_INSTANCE",
+  "MEETING_ATTENDANCE",
+  "FEEDBACK_FORM",
+  "PROPOSED_CHANGE",
+  "VOLUNTEER_BLACKOUT",
+];
+
+/** Readable tables limited to some APP_USERS roles — the Approvals queue is admin-only */
+export const TABLE_ROLES = {
+  PROPOSED_CHANGE: ["admin"],
+};
+
+/**
+ * Entities the app writes through POST /mutations/{ENTITY}, and the roles allowed
+ * to. Mirrors the frontend's services/permissions.js: records and attendance for
+ * editors, calendar tables for admins, proposals for everyone. Editors may still
+ * move or close out a single visit (canWrite in app.js).
+ */
+export const WRITE_ROLES = {
+  SENIOR:                ["admin", "editor"],
+  VOLUNTEER:             ["admin", "editor"],
+  PERSON:                ["admin", "editor"],
+  VOLUNTEER_BLACKOUT:    ["admin", "editor"],
+  VOLUNTEER_STATUS_NOTE: ["admin", "editor"],
+  SENIOR_RELATIONSHIP:   ["admin", "editor"],
+  MEETING_ATTENDANCE:    ["admin", "editor"],
+  VOLUNTEER_TEAM:        ["admin"],
+  TEAM_MEMBER:           ["admin"],
+  MEETING:               ["admin"],
+  MEETING_INSTANCE:      ["admin"],
+  PROPOSED_CHANGE:       ["admin", "editor", "proposer"],
+};
+
+/** n8n webhook path for an entity when N8N_WEBHOOK_<ENTITY> isn't set */
+function defaultWebhookPath(entity) {
+  if (entity === "PROPOSED_CHANGE") return "wf9-proposed-change";
+  return `crm-${entity.toLowerCase().replaceAll("_", "-")}`;
+}
+
+const REQUIRED = ["BASEROW_URL", "BASEROW_TOKEN", "BASEROW_TABLE_APP_USERS", "SESSION_SECRET"];
+
+/**
+ * Builds the proxy configuration from environment variables.
+ *
+ * @param {object} [env] — Defaults to process.env
+ * @returns {object}
+ * @throws {Error} When a required variable is missing
+ */
+export function loadConfig(env = process.env) {
+  const missing = REQUIRED.filter((k) => !env[k]);
+  if (missing.length > 0) {
+    throw new Error(`Missing env vars: ${missing.join(", ")}`);
+  }
+
+  // table ID (as it appears in request paths) → table name
+  const readableTables = new Map(
+    READABLE_TABLES
+      .filter((name) => env[`BASEROW_TABLE_${name}`])
+      .map((name) => [String(env[`BASEROW_TABLE_${name}`]), name])
+  );
+
+  const webhookPaths = new Map(
+    Object.keys(WRITE_ROLES).map((entity) => [entity, env[`N8N_WEBHOOK_${entity}`] ?? defaultWebhookPath(entity)])
+  );
+
+  return {
+    port:            Number(env.PORT ?? 8787),
+    baserowUrl:      env.BASEROW_URL.replace(/\/+$/, ""),
+    baserowToken:    env.BASEROW_TOKEN,
+    userSourceId:    env.BASEROW_USER_SOURCE_ID ?? "90",
+    appUsersTableId: String(env.BASEROW_TABLE_APP_USERS),
+    readableTables,
+    sessionSecret:   env.SESSION_SECRET,
+    sessionTtlMs:    Number(env.SESSION_TTL_MINUTES ?? 480) * 60_000,
+    approvalSecret:  env.APPROVAL_TOKEN_SECRET ?? null,
+    approvalTtlMs:   Number(env.APPROVAL_TOKEN_TTL_MINUTES ?? 10) * 60_000,
+    n8nWebhookUrl:   env.N8N_WEBHOOK_URL?.replace(/\/+$/, "") ?? null,
+    webhookSecret:   env.CRM_WEBHOOK_SECRET ?? null,
+    webhookPaths,
+    corsOrigin:      env.CORS_ORIGIN ?? "http://localhost:5173",
+    trustProxy:      env.TRUST_PROXY === "true",
+    rateLimit: {
+      windowMs:  60_000,
+      reads:     Number(env.RATE_LIMIT_READS_PER_MINUTE ?? 120),
+      logins:    Number(env.RATE_LIMIT_LOGINS_PER_MINUTE ?? 10),
+    },
+    upstreamTimeoutMs: 15_000,
+  };
+}
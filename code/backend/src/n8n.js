@@ -0,0 +1,40 @@
+/**
+ * n8n.js — Upstream n8n client for the proxy's write route
+ *
+ * Every write from the React app is POSTed here by app.js after the session and
+ * role checks. The proxy is the only caller the webhooks accept: each request
+ * carries CRM_WEBHOOK_SECRET in X-CRM-Proxy-Secret, which the workflows compare
+ * against their own copy before touching Baserow.
+ *
+ * Like baserow.js, a timeout or refused connection surfaces as UpstreamError
+ * (504 / 502).
+ */
+import { UpstreamError } from "./baserow.js";
+
+/**
+ * @param {object} config — From loadConfig()
+ */
+export function createN8nClient(config) {
+  return {
+    /**
+     * POSTs a JSON body to an n8n webhook.
+     *
+     * @param {string} path — Webhook path, e.g. "crm-senior"
+     * @param {object} body
+     * @returns {Promise<Response>}
+     */
+    async post(path, body) {
+      try {
+        return await fetch(`${config.n8nWebhookUrl}/${path}`, {
+          method:  "POST",
+          headers: { "Content-Type": "application/json", "X-CRM-Proxy-Secret": config.webhookSecret },
+          body:    JSON.stringify(body),
+          signal:  AbortSignal.timeout(config.upstreamTimeoutMs),
+        });
+      } catch (err) {
+        if (err.name === "TimeoutError") throw new UpstreamError("n8n did not respond in time", 504);
+        throw new UpstreamError(`n8n unreachable: ${err.message}`, 502);
+      }
+    },
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * rateLimit.js — Fixed-window request limiter (in memory)
+ *
+ * One limiter per concern: reads are keyed by session (APP_USERS ID), logins by
+ * client IP. Counts reset every `windowMs`. A single proxy process serves the
+ * whole staff, so in-memory state is enough; a restart simply resets the counts.
+ *
+ *   const limiter = createRateLimiter({ windowMs: 60_000, max: 120 });
+ *   const { allowed, retryAfterMs } = limiter.hit(`user:${claims.sub}`);
+ */
+
+/**
+ * @param {object} options
+ * @param {number} options.windowMs — Window length
+ * @param {number} options.max      — Requests allowed per key per window
+ */
+export function createRateLimiter({ windowMs, max }) {
+  const windows = new Map(); // key → { start, count }
+
+  /** Drops windows that have ended so the map can't grow without bound */
+  function prune(now) {
+    for (const [key, w] of windows) {
+      if (now - w.start >= windowMs) windows.delete(key);
+    }
+  }
+
+  return {
+    /**
+     * Counts one request for `key`.
+     *
+     * @param {string} key
+     * @param {number} [now]
+     * @returns {{ allowed: boolean, retryAfterMs: number }}
+     */
+    hit(key, now = Date.now()) {
+      if (windows.size > 1000) prune(now);
+
+      let w = windows.get(key);
+      if (!w || now - w.start >= windowMs) {
+        w = { start: now, count: 0 };
+        windows.set(key, w);
+      }
+      w.count += 1;
+
+      if (w.count > max) return { allowed: false, retryAfterMs: w.start + windowMs - now };
+      return { allowed: true, retryAfterMs: 0 };
+    },
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * server.js — Entry point for the CTR-CRM read proxy
+ *
+ * Holds the Baserow token server-side so it never ships in the React bundle,
+ * checks the staff session on every read and write (writes are forwarded to
+ * n8n), and rate-limits callers. See app.js for the endpoints and config.js for
+ * the environment variables.
+ *
+ * USAGE:
+ *   cd code/backend
+ *   cp your settings into .env (see config.js)
+ *   npm start
+ *
+ * Then point the frontend at it: VITE_API_URL=http://localhost:8787
+ *
+ * TESTS: npm test — node:test suites in tests/, run against stub Baserow and n8n servers
+ */
+import { createServer } from "node:http";
+import { existsSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadConfig } from "./config.js";
+import { createApp } from "./app.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const envPath = resolve(__dirname, "../.env");
+if (existsSync(envPath)) process.loadEnvFile(envPath);
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  console.error(`[proxy] ${err.message}`);
+  process.exit(1);
+}
+
+const server = createServer(createApp(config));
+
+server.listen(config.port, () => {
+  console.log(`[proxy] Listening on http://localhost:${config.port}`);
+  console.log(`[proxy] Readable tables: ${[...config.readableTables.values()].join(", ") || "(none configured)"}`);
+});
+
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
@@ -0,0 +1,69 @@
+/**
+ * session.js — Signed staff session tokens
+ *
+ * After a successful login the proxy issues its own bearer token:
+ *
+ *   base64url(JSON payload) + "." + base64url(HMAC-SHA256(payload, SESSION_SECRET))
+ *
+ * payload = { sub: APP_USERS row ID, email, name, role, personId, exp: ms since epoch }
+ *
+ * Tokens are stateless — nothing is stored server-side — so verifying one is a
+ * signature check plus an expiry check. Changing SESSION_SECRET signs everyone out.
+ */
+import { createHmac, timingSafeEqual } from "node:crypto";
+
+function sign(data, secret) {
+  return createHmac("sha256", secret).update(data).digest("base64url");
+}
+
+/**
+ * Issues a session token for a signed-in staff member.
+ *
+ * @param {{ id, email, name, role, personId? }} user
+ * @param {object} options
+ * @param {string} options.secret — SESSION_SECRET
+ * @param {number} options.ttlMs  — Session lifetime
+ * @param {number} [options.now]
+ * @returns {{ token: string, expiresAt: number }}
+ */
+export function issueSession(user, { secret, ttlMs, now = Date.now() }) {
+  const expiresAt = now + ttlMs;
+  const payload = Buffer.from(JSON.stringify({
+    sub:   user.id,
+    email: user.email,
+    name:  user.name,
+    role:  user.role,
+    personId: user.personId ?? null,
+    exp:   expiresAt,
+  })).toString("base64url");
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+/**
+ * Verifies a session token.
+ *
+ * @param {string} token
+ * @param {object} options
+ * @param {string} options.secret
+ * @param {number} [options.now]
+ * @returns {{ sub, email, name, role, personId, exp }|null} The payload, or null if the
+ *   token is malformed, tampered with or expired
+ */
+export function verifySession(token, { secret, now = Date.now() }) {
+  if (typeof token !== "string") return null;
+  const [payload, signature, extra] = token.split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual   = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (typeof claims.exp !== "number" || claims.exp <= now) return null;
+  return claims;
+}
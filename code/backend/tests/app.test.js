@@ -0,0 +1,194 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { issueSession } from "../src/session.js";
+import { listen, json, testConfig, startProxy, bearer, SESSION_SECRET, TABLE_IDS } from "./helpers.js";
+
+const APP_USER = { id: 7, name: "Ada", email: "ada@example.org", role: { value: "editor" }, person: [{ id: 40 }] };
+
+let baserow;   // stub Baserow
+let proxy;
+let override;  // (req, res) => true when a test answers the next Baserow call itself
+
+before(async () => {
+  baserow = await listen((req, res, body) => {
+    if (override?.(req, res)) return;
+    const url = new URL(req.url, "http://stub");
+    if (url.pathname === "/api/user-source/90/token-auth") {
+      const { password } = JSON.parse(body);
+      return password === "right" ? json(res, 200, { access_token: "x" }) : json(res, 401, { error: "ERROR_INVALID_CREDENTIALS" });
+    }
+    if (url.pathname === `/api/database/rows/table/${TABLE_IDS.APP_USERS}/`) {
+      const email = url.searchParams.get("filter__email__equal");
+      return json(res, 200, { results: email === APP_USER.email ? [APP_USER] : [] });
+    }
+    if (url.pathname.startsWith("/api/database/")) return json(res, 200, { count: 1, results: [{ id: 1 }] });
+    json(res, 404, { error: "ERROR_NOT_FOUND" });
+  });
+  proxy = await startProxy(testConfig({
+    BASEROW_URL:                  baserow.url,
+    RATE_LIMIT_READS_PER_MINUTE:  "5",
+    RATE_LIMIT_LOGINS_PER_MINUTE: "3",
+    TRUST_PROXY:                  "true",
+  }));
+});
+
+after(async () => {
+  await proxy.close();
+  await baserow.close();
+});
+
+beforeEach(() => {
+  override = null;
+  baserow.requests.length = 0;
+});
+
+/** Each test reads as a different staff member so the per-user read limit doesn't carry over */
+let nextUserId = 100;
+function staff(role = "admin") {
+  return bearer({ id: nextUserId++, role });
+}
+
+function get(path, headers = {}) {
+  return fetch(`${proxy.url}${path}`, { headers });
+}
+
+function post(path, body, headers = {}) {
+  return fetch(`${proxy.url}${path}`, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body:    JSON.stringify(body),
+  });
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+
+test("login issues a session for a valid APP_USERS account", async () => {
+  const response = await post("/auth/login", { email: APP_USER.email, password: "right" }, { "X-Forwarded-For": "10.0.0.1" });
+  assert.equal(response.status, 200);
+  const { token, user } = await response.json();
+  assert.deepEqual(user, { id: 7, name: "Ada", email: "ada@example.org", role: "editor", personId: 40 });
+
+  const read = await get(`/api/database/rows/table/${TABLE_IDS.SENIOR}/`, { Authorization: `Bearer ${token}` });
+  assert.equal(read.status, 200);
+});
+
+test("login refuses a wrong password with 401 and an email without APP_USERS row with 403", async () => {
+  const headers = { "X-Forwarded-For": "10.0.0.2" };
+  assert.equal((await post("/auth/login", { email: APP_USER.email, password: "wrong" }, headers)).status, 401);
+  const response = await post("/auth/login", { email: "nobody@example.org", password: "right" }, headers);
+  assert.equal(response.status, 403);
+  assert.equal((await response.json()).error, "ERROR_NO_APP_USER");
+});
+
+test("reads without a session, or with an expired or tampered one, get 401", async () => {
+  const path = `/api/database/rows/table/${TABLE_IDS.SENIOR}/`;
+  const expired = issueSession({ id: 1, email: "a@b.c", role: "admin" }, { secret: SESSION_SECRET, ttlMs: 1_000, now: Date.now() - 5_000 });
+  const forged  = issueSession({ id: 1, email: "a@b.c", role: "admin" }, { secret: "not-the-secret", ttlMs: 60_000 });
+
+  for (const headers of [{}, { Authorization: `Bearer ${expired.token}` }, { Authorization: `Bearer ${forged.token}` }]) {
+    const response = await get(path, headers);
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error, "ERROR_SESSION_INVALID");
+  }
+  assert.equal(baserow.requests.length, 0);
+});
+
+// ─── Whitelist ────────────────────────────────────────────────────────────────
+
+test("a readable table is forwarded with only the whitelisted query parameters", async () => {
+  const response = await get(
+    `/api/database/rows/table/${TABLE_IDS.SENIOR}/?user_field_names=true&size=50&filter__id__equal=1&token=x`,
+    staff()
+  );
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { count: 1, results: [{ id: 1 }] });
+
+  const [forwarded] = baserow.requests;
+  assert.equal(forwarded.url, `/api/database/rows/table/${TABLE_IDS.SENIOR}/?user_field_names=true&size=50`);
+  assert.equal(forwarded.headers.authorization, "Token test-baserow-token");
+});
+
+test("tables outside READABLE_TABLES and unknown paths are refused without calling Baserow", async () => {
+  const appUsers = await get(`/api/database/rows/table/${TABLE_IDS.APP_USERS}/`, staff());
+  assert.equal(appUsers.status, 403);
+  assert.equal((await appUsers.json()).error, "ERROR_TABLE_NOT_READABLE");
+
+  const unknown = await get("/api/database/rows/table/999/", staff());
+  assert.equal(unknown.status, 403);
+
+  const other = await get(`/api/database/views/table/${TABLE_IDS.SENIOR}/`, staff());
+  assert.equal(other.status, 404);
+
+  assert.equal(baserow.requests.length, 0);
+});
+
+test("TABLE_ROLES limits PROPOSED_CHANGE to admins", async () => {
+  const path = `/api/database/rows/table/${TABLE_IDS.PROPOSED_CHANGE}/`;
+  const editor = await get(path, staff("editor"));
+  assert.equal(editor.status, 403);
+  assert.equal((await editor.json()).error, "ERROR_ROLE_NOT_ALLOWED");
+  assert.equal((await get(path, staff("admin"))).status, 200);
+});
+
+// ─── Rate limits ──────────────────────────────────────────────────────────────
+
+test("reads past the per-user limit get 429 with Retry-After", async () => {
+  const headers = staff();
+  const path = `/api/database/rows/table/${TABLE_IDS.SENIOR}/`;
+  for (let i = 0; i < 5; i++) assert.equal((await get(path, headers)).status, 200);
+
+  const limited = await get(path, headers);
+  assert.equal(limited.status, 429);
+  assert.equal((await limited.json()).error, "ERROR_REQUEST_THROTTLED");
+  const retryAfter = Number(limited.headers.get("retry-after"));
+  assert.ok(retryAfter >= 1 && retryAfter <= 60, `Retry-After ${retryAfter}`);
+  assert.equal(baserow.requests.length, 5);
+
+  // Another staff member is unaffected
+  assert.equal((await get(path, staff())).status, 200);
+});
+
+test("logins past the per-IP limit get 429 with Retry-After", async () => {
+  const headers = { "X-Forwarded-For": "10.0.0.99" };
+  for (let i = 0; i < 3; i++) await post("/auth/login", { email: APP_USER.email, password: "wrong" }, headers);
+  const limited = await post("/auth/login", { email: APP_USER.email, password: "right" }, headers);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) >= 1);
+
+  // Another address can still sign in
+  assert.equal((await post("/auth/login", { email: APP_USER.email, password: "right" }, { "X-Forwarded-For": "10.0.0.100" })).status, 200);
+});
+
+// ─── Upstream failures ────────────────────────────────────────────────────────
+
+for (const status of [401, 403, 500, 503]) {
+  test(`Baserow answering ${status} becomes 502 ERROR_UPSTREAM, never a session 401`, async () => {
+    override = (req, res) => (json(res, status, { error: "ERROR_FROM_BASEROW" }), true);
+    const response = await get(`/api/database/rows/table/${TABLE_IDS.SENIOR}/`, staff());
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error, "ERROR_UPSTREAM");
+  });
+}
+
+test("Baserow's 404 and 429 pass through unchanged", async () => {
+  override = (req, res) => (json(res, 404, { error: "ERROR_ROW_DOES_NOT_EXIST" }), true);
+  const missing = await get(`/api/database/rows/table/${TABLE_IDS.SENIOR}/5/`, staff());
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).error, "ERROR_ROW_DOES_NOT_EXIST");
+
+  override = (req, res) => (json(res, 429, { error: "ERROR_REQUEST_THROTTLED" }, { "Retry-After": "7" }), true);
+  const throttled = await get(`/api/database/rows/table/${TABLE_IDS.SENIOR}/`, staff());
+  assert.equal(throttled.status, 429);
+  assert.equal(throttled.headers.get("retry-after"), "7");
+});
+
+test("an unreachable Baserow becomes 502", async () => {
+  const offline = await startProxy(testConfig({ BASEROW_URL: "http://127.0.0.1:9" }));
+  try {
+    const response = await fetch(`${offline.url}/api/database/rows/table/${TABLE_IDS.SENIOR}/`, { headers: staff() });
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error, "ERROR_UPSTREAM");
+  } finally {
+    await offline.close();
+  }
+});
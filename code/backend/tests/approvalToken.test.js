@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { issueApprovalToken, verifyApprovalToken, checkDecision, claimKey, ApprovalTokenError } from "../src/approvalToken.js";
+
+const SECRET = "test-approval-secret";
+const NOW    = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+const ADMIN   = { id: 3, name: "Ada", email: "ada@example.org", role: { value: "admin" } };
+const PENDING = { id: 42, approval_status: { value: "pending" }, review_token_id: "" };
+
+function issue(overrides = {}) {
+  return issueApprovalToken(
+    { changeId: 42, userId: 3, action: "approve", ...overrides },
+    { secret: SECRET, ttlMs: 60_000, now: NOW }
+  ).token;
+}
+
+function refused(fn, message) {
+  assert.throws(fn, (error) => error instanceof ApprovalTokenError && message.test(error.message));
+}
+
+// ─── verifyApprovalToken ──────────────────────────────────────────────────────
+
+test("an issued token verifies for its own action until it expires", () => {
+  const claims = verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW + 59_999 });
+  assert.equal(claims.cid, 42);
+  assert.equal(claims.uid, 3);
+  assert.equal(claims.act, "approve");
+  assert.equal(claims.ch, "app");
+  assert.equal(claims.exp, NOW + 60_000);
+  assert.match(claims.jti, /^[0-9a-f-]{36}$/);
+});
+
+test("an expired token is refused", () => {
+  refused(() => verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW + 60_000 }), /expired/);
+});
+
+test("a tampered payload or signature is refused", () => {
+  const [payload, signature] = issue().split(".");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  const otherChange = Buffer.from(JSON.stringify({ ...claims, cid: 43 })).toString("base64url");
+
+  refused(() => verifyApprovalToken(`${otherChange}.${signature}`, "approve", { secret: SECRET, now: NOW }), /altered/);
+  refused(() => verifyApprovalToken(`${payload}.${signature.slice(0, -2)}xx`, "approve", { secret: SECRET, now: NOW }), /altered/);
+  refused(() => verifyApprovalToken(issue(), "approve", { secret: "another-secret", now: NOW }), /altered/);
+});
+
+test("incomplete tokens and tokens for the other action are refused", () => {
+  for (const token of [undefined, "", "abc", `${issue()}.extra`]) {
+    refused(() => verifyApprovalToken(token, "approve", { secret: SECRET, now: NOW }), /incomplete/);
+  }
+  refused(() => verifyApprovalToken(issue({ action: "reject" }), "approve", { secret: SECRET, now: NOW }), /cannot be used to approve/);
+});
+
+// ─── checkDecision ────────────────────────────────────────────────────────────
+
+test("a fresh token from a current admin may decide a pending change", () => {
+  const claims = verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW });
+  assert.doesNotThrow(() => checkDecision(claims, ADMIN, PENDING));
+});
+
+test("a reused token is refused, as is any token once the change is decided", () => {
+  const claims = verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW });
+  refused(() => checkDecision(claims, ADMIN, { ...PENDING, review_token_id: claims.jti }), /already been used/);
+
+  const approvedWithAnotherLink = { ...PENDING, approval_status: { value: "approved" }, review_token_id: "other-jti" };
+  refused(() => checkDecision(claims, ADMIN, approvedWithAnotherLink), /already been approved/);
+});
+
+test("a token whose admin was removed or demoted is refused", () => {
+  const claims = verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW });
+  refused(() => checkDecision(claims, null, PENDING), /no longer exists/);
+  refused(() => checkDecision(claims, { ...ADMIN, id: 4 }, PENDING), /no longer exists/);
+  refused(() => checkDecision(claims, { ...ADMIN, role: { value: "editor" } }, PENDING), /no longer an admin/);
+});
+
+test("both decisions on one change claim the same REVIEW_CLAIM key", () => {
+  const approve = verifyApprovalToken(issue(), "approve", { secret: SECRET, now: NOW });
+  const reject  = verifyApprovalToken(issue({ action: "reject" }), "reject", { secret: SECRET, now: NOW });
+  assert.notEqual(approve.jti, reject.jti);
+  assert.equal(claimKey(approve.cid), claimKey(reject.cid));
+  assert.notEqual(claimKey(42), claimKey(43));
+});
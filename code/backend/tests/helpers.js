@@ -0,0 +1,85 @@
+/**
+ * helpers.js — Shared setup for the proxy tests
+ *
+ * Each suite runs the real app (createApp + createBaserowClient / createN8nClient)
+ * against stub upstreams served over node:http on a random local port, so the
+ * tests cover the same fetch paths, status mapping and headers as production.
+ */
+import { createServer } from "node:http";
+import { createApp } from "../src/app.js";
+import { loadConfig } from "../src/config.js";
+import { issueSession } from "../src/session.js";
+
+export const SESSION_SECRET = "test-session-secret";
+
+/** Table IDs the test config makes readable */
+export const TABLE_IDS = { APP_USERS: "500", SENIOR: "561", PROPOSED_CHANGE: "569" };
+
+/** Listens on a random local port; resolves to the base URL and a close() */
+async function serve(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url:   `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Serves a stub upstream and records every request it receives.
+ *
+ * @param {(req, res, body: string) => void} handler
+ * @returns {Promise<{ url: string, requests: Array<{ method, url, headers, body }>, close: () => Promise<void> }>}
+ */
+export async function listen(handler) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+  return { requests, ...await serve(server) };
+}
+
+/** Writes a JSON response */
+export function json(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Builds a proxy config through loadConfig() pointed at the stub upstreams.
+ *
+ * @param {object} env — Extra or overriding env vars
+ */
+export function testConfig(env = {}) {
+  return loadConfig({
+    BASEROW_URL:                   "http://127.0.0.1:9",
+    BASEROW_TOKEN:                 "test-baserow-token",
+    BASEROW_TABLE_APP_USERS:       TABLE_IDS.APP_USERS,
+    BASEROW_TABLE_SENIOR:          TABLE_IDS.SENIOR,
+    BASEROW_TABLE_PROPOSED_CHANGE: TABLE_IDS.PROPOSED_CHANGE,
+    SESSION_SECRET,
+    ...env,
+  });
+}
+
+/**
+ * Starts the proxy for a config.
+ *
+ * @param {object} config
+ * @param {object} [deps] — As createApp()
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function startProxy(config, deps) {
+  return serve(createServer(createApp(config, deps)));
+}
+
+/** A valid "Authorization: Bearer …" header for a staff member */
+export function bearer({ id = 7, email = "staff@example.org", name = "Staff", role = "admin", personId = null } = {}) {
+  const { token } = issueSession({ id, email, name, role, personId }, { secret: SESSION_SECRET, ttlMs: 60_000 });
+  return { Authorization: `Bearer ${token}` };
+}
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { listen, json, testConfig, startProxy, bearer } from "./helpers.js";
+
+let n8n;       // stub n8n webhooks
+let proxy;
+let answer;    // (req, res) => void for the next webhook call
+
+before(async () => {
+  n8n = await listen((req, res) => answer(req, res));
+  proxy = await startProxy(testConfig({
+    N8N_WEBHOOK_URL:        `${n8n.url}/webhook/`,
+    CRM_WEBHOOK_SECRET:     "webhook-secret",
+    N8N_WEBHOOK_VOLUNTEER:  "custom-volunteer",
+  }));
+});
+
+after(async () => {
+  await proxy.close();
+  await n8n.close();
+});
+
+beforeEach(() => {
+  answer = (req, res) => json(res, 200, { row: { id: 1 } });
+  n8n.requests.length = 0;
+});
+
+function mutate(entity, body, headers = {}) {
+  return fetch(`${proxy.url}/mutations/${entity}`, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body:    JSON.stringify(body),
+  });
+}
+
+test("a write is forwarded to the entity's webhook with the shared secret and the signed-in user", async () => {
+  const response = await mutate("SENIOR", { action: "update", id: 12, fields: { first_name: "Margaret" } },
+    bearer({ id: 3, email: "ed@example.org", role: "editor" }));
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { row: { id: 1 } });
+
+  const [sent] = n8n.requests;
+  assert.equal(sent.url, "/webhook/crm-senior");
+  assert.equal(sent.headers["x-crm-proxy-secret"], "webhook-secret");
+  assert.deepEqual(JSON.parse(sent.body), {
+    action: "update",
+    id:     12,
+    fields: { first_name: "Margaret" },
+    user:   { id: 3, email: "ed@example.org", role: "editor" },
+  });
+});
+
+test("N8N_WEBHOOK_<ENTITY> overrides the webhook path", async () => {
+  await mutate("VOLUNTEER", { action: "create", id: null, fields: { first_name: "A" } }, bearer());
+  assert.equal(n8n.requests[0].url, "/webhook/custom-volunteer");
+});
+
+test("a proposal's proposer comes from the session, not the request body", async () => {
+  await mutate("PROPOSED_CHANGE", {
+    action: "create",
+    id:     null,
+    fields: { description: "Swap", proposed_by_email: "someone-else@example.org", proposed_by: [99] },
+  }, bearer({ email: "pat@example.org", role: "proposer", personId: 41 }));
+
+  const { fields } = JSON.parse(n8n.requests[0].body);
+  assert.equal(fields.proposed_by_email, "pat@example.org");
+  assert.deepEqual(fields.proposed_by, [41]);
+  assert.equal(n8n.requests[0].url, "/webhook/wf9-proposed-change");
+});
+
+test("a proposer without a linked PERSON sends no proposed_by", async () => {
+  await mutate("PROPOSED_CHANGE", { action: "create", id: null, fields: { description: "x", proposed_by: [99] } },
+    bearer({ role: "proposer" }));
+  assert.equal("proposed_by" in JSON.parse(n8n.requests[0].body).fields, false);
+});
+
+test("roles are checked per entity", async () => {
+  const cases = [
+    ["proposer", "SENIOR",             { action: "update", id: 1, fields: { notes: "x" } },              403],
+    ["editor",   "MEETING",            { action: "create", id: null, fields: { team: [1] } },             403],
+    ["editor",   "VOLUNTEER_TEAM",     { action: "create", id: null, fields: { senior: [1] } },           403],
+    ["editor",   "TEAM_MEMBER",        { action: "deactivate", id: 1, fields: {} },                       403],
+    ["editor",   "MEETING_INSTANCE",   { action: "update", id: 1, fields: { instance_date: "2026-01-05" } }, 200],
+    ["editor",   "MEETING_INSTANCE",   { action: "update", id: 1, fields: { instance_date: "2026-01-05", meeting: [2] } }, 403],
+    ["editor",   "MEETING_INSTANCE",   { action: "create", id: null, fields: { instance_date: "2026-01-05" } }, 403],
+    ["editor",   "MEETING_INSTANCE",   { action: "update", id: 1, fields: { instance_status: "completed" } }, 200],
+    ["editor",   "MEETING_ATTENDANCE", { action: "update", id: 1, fields: { attendance_status: "attended" } }, 200],
+    ["proposer", "PROPOSED_CHANGE",    { action: "create", id: null, fields: { description: "x" } },       200],
+    ["admin",    "MEETING",            { action: "create", id: null, fields: { team: [1] } },             200],
+  ];
+  for (const [role, entity, body, status] of cases) {
+    const response = await mutate(entity, body, bearer({ role }));
+    assert.equal(response.status, status, `${role} ${entity} ${JSON.stringify(body.fields)}`);
+  }
+  assert.equal(n8n.requests.length, 5);
+});
+
+test("writes need a valid session, a known entity and a well-formed body", async () => {
+  assert.equal((await mutate("SENIOR", { action: "update", id: 1, fields: {} })).status, 401);
+  assert.equal((await mutate("APP_USERS", { action: "update", id: 1, fields: {} }, bearer())).status, 404);
+  for (const body of [
+    { action: "delete", id: 1, fields: {} },
+    { action: "update", id: null, fields: {} },
+    { action: "create", id: 4, fields: {} },
+    { action: "update", id: 1, fields: [] },
+  ]) {
+    assert.equal((await mutate("SENIOR", body, bearer())).status, 400, JSON.stringify(body));
+  }
+  assert.equal(n8n.requests.length, 0);
+});
+
+test("the webhook's validation errors pass through", async () => {
+  answer = (req, res) => json(res, 422, { errors: { last_name: "Required" } });
+  const response = await mutate("SENIOR", { action: "create", id: null, fields: { first_name: "A" } }, bearer());
+  assert.equal(response.status, 422);
+  assert.deepEqual(await response.json(), { errors: { last_name: "Required" } });
+});
+
+for (const status of [401, 403, 500]) {
+  test(`a webhook answering ${status} becomes 502, never a session 401`, async () => {
+    answer = (req, res) => json(res, status, { message: "nope" });
+    const response = await mutate("SENIOR", { action: "update", id: 1, fields: {} }, bearer());
+    assert.equal(response.status, 502);
+    assert.equal((await response.json()).error, "ERROR_UPSTREAM");
+  });
+}
+
+test("writes are refused with 503 when the proxy has no webhook settings", async () => {
+  const unconfigured = await startProxy(testConfig());
+  try {
+    const response = await fetch(`${unconfigured.url}/mutations/SENIOR`, {
+      method:  "POST",
+      headers: { "Content-Type": "application/json", ...bearer() },
+      body:    JSON.stringify({ action: "update", id: 1, fields: {} }),
+    });
+    assert.equal(response.status, 503);
+    assert.equal((await response.json()).error, "ERROR_WRITES_DISABLED");
+  } finally {
+    await unconfigured.close();
+  }
+});
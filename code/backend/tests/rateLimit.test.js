@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter } from "../src/rateLimit.js";
+
+const T0 = 1_000_000;
+
+test("allows max requests per window, then refuses with the time left", () => {
+  const limiter = createRateLimiter({ windowMs: 60_000, max: 3 });
+  for (let i = 0; i < 3; i++) assert.deepEqual(limiter.hit("user:1", T0 + i), { allowed: true, retryAfterMs: 0 });
+  assert.deepEqual(limiter.hit("user:1", T0 + 15_000), { allowed: false, retryAfterMs: 45_000 });
+});
+
+test("the count resets when the window ends", () => {
+  const limiter = createRateLimiter({ windowMs: 60_000, max: 1 });
+  assert.equal(limiter.hit("user:1", T0).allowed, true);
+  assert.equal(limiter.hit("user:1", T0 + 59_999).allowed, false);
+  assert.equal(limiter.hit("user:1", T0 + 60_000).allowed, true);
+});
+
+test("keys are counted separately", () => {
+  const limiter = createRateLimiter({ windowMs: 60_000, max: 1 });
+  assert.equal(limiter.hit("user:1", T0).allowed, true);
+  assert.equal(limiter.hit("user:2", T0).allowed, true);
+  assert.equal(limiter.hit("user:1", T0).allowed, false);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { issueSession, verifySession } from "../src/session.js";
+
+const SECRET = "session-secret";
+const NOW    = Date.UTC(2026, 0, 5, 9, 0);
+const USER   = { id: 12, email: "ada@example.org", name: "Ada", role: "editor", personId: 40 };
+
+function issue(overrides = {}) {
+  return issueSession(USER, { secret: SECRET, ttlMs: 60_000, now: NOW, ...overrides });
+}
+
+/** Re-encodes a token's payload with changes, keeping the original signature */
+function withPayload(token, changes) {
+  const [payload, signature] = token.split(".");
+  const claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  return `${Buffer.from(JSON.stringify({ ...claims, ...changes })).toString("base64url")}.${signature}`;
+}
+
+test("an issued session verifies and carries the user's claims", () => {
+  const { token, expiresAt } = issue();
+  assert.equal(expiresAt, NOW + 60_000);
+  assert.deepEqual(verifySession(token, { secret: SECRET, now: NOW }), {
+    sub: 12, email: "ada@example.org", name: "Ada", role: "editor", personId: 40, exp: NOW + 60_000,
+  });
+});
+
+test("a session is valid until its expiry and refused from then on", () => {
+  const { token } = issue();
+  assert.ok(verifySession(token, { secret: SECRET, now: NOW + 59_999 }));
+  assert.equal(verifySession(token, { secret: SECRET, now: NOW + 60_000 }), null);
+});
+
+test("a tampered payload is refused", () => {
+  const { token } = issue();
+  assert.equal(verifySession(withPayload(token, { role: "admin" }), { secret: SECRET, now: NOW }), null);
+  assert.equal(verifySession(withPayload(token, { exp: NOW + 3_600_000 }), { secret: SECRET, now: NOW }), null);
+});
+
+test("a tampered signature or another secret is refused", () => {
+  const { token } = issue();
+  const [payload, signature] = token.split(".");
+  const flipped = (signature[0] === "A" ? "B" : "A") + signature.slice(1);
+  assert.equal(verifySession(`${payload}.${flipped}`, { secret: SECRET, now: NOW }), null);
+  assert.equal(verifySession(token, { secret: "another-secret", now: NOW }), null);
+});
+
+test("malformed tokens are refused", () => {
+  const { token } = issue();
+  for (const bad of [undefined, null, "", "abc", `${token}.extra`, `.${token.split(".")[1]}`]) {
+    assert.equal(verifySession(bad, { secret: SECRET, now: NOW }), null, String(bad));
+  }
+});
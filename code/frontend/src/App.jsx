@@ -5,28 +5,60 @@
  *   - AppLayout is the persistent shell (Topbar + Sidebar + main content area)
  *   - <Outlet> renders whichever child page matches the current URL
  *
- * All 7 pages live as siblings under one layout route so navigation
+ * All pages live as siblings under one layout route so navigation
  * never remounts the shell (sidebar/topbar stay mounted on every page).
  *
+ * Authentication:
+ *   - AuthProvider holds the staff session (APP_USERS user source, see services/authApi.js)
+ *   - The layout route is wrapped in RequireAuth, so every page needs a signed-in user;
+ *     /login is the only public route
+ *   - Pages gate individual actions by permission (services/permissions.js); routes
+ *     that a role may not open at all take a `permission` on their RequireAuth
+ *
+ * Global search:
+ *   - AppLayout mounts the CommandPalette once; Ctrl+K (⌘K) or the search buttons in
+ *     the Sidebar / Topbar open it from any page
+ *   - Picking a hit opens the record's route (services/recordLinks.js)
+ *
  * Route map:
- *   /            → Dashboard  (KPI cards, recent activity, quick links)
- *   /seniors     → Seniors list + detail/edit modal
- *   /volunteers  → Volunteers list + detail + onboarding email preview
- *   /groups      → Visit Teams cards + rotation scheduler + month calendar
- *   /schedule    → 7-column weekly visit grid (Mon–Sun)
- *   /meetings    → Meeting instances list + status filter + detail modal
- *   /feedback    → Feedback form submissions + type filter + detail modal
+ *   /login                 → Login      (staff sign-in, outside the layout)
+ *   /                      → Dashboard  (KPI cards, recent activity, quick links)
+ *   /seniors               → Seniors list + "add new" modal
+ *   /seniors/:id           → SeniorProfile (overview, team, visits, feedback, contacts tabs)
+ *   /volunteers            → Volunteers list + "add new" modal
+ *   /volunteers/:id        → VolunteerProfile (overview, teams, visits, notes tabs)
+ *   /groups/:teamId?       → Visit Teams cards + rotation scheduler + month calendar;
+ *                            with an ID, that team's card scrolled to and highlighted
+ *   /schedule              → Visit calendar: week / month / agenda (?view=&date= and filters in the URL)
+ *   /meetings/:instanceId? → Meeting instances list + column filters; with an ID, its detail modal
+ *   /feedback/:formId?     → Feedback form submissions + type filter; with an ID, its detail modal
+ *   /approvals             → PROPOSED_CHANGE queue + approve / reject (admins only)
+ *
+ * Detail routes use an optional segment on the list's own route, so opening and
+ * closing a record never remounts the list page (its filters and paging stay put).
+ * Seniors and volunteers are the exception: each opens on a profile page of its own.
+ * Each page fetches the routed record itself, so a pasted link or a refresh opens
+ * it directly, and shows a not-found message for an unknown ID.
  */
+import { useCallback, useState } from "react";
 import { BrowserRouter, Routes, Route, Outlet } from "react-router-dom";
 import Sidebar from "./components/layout/Sidebar";
 import Topbar from "./components/layout/Topbar";
+import CommandPalette from "./components/search/CommandPalette";
+import AuthProvider from "./components/auth/AuthProvider";
+import RequireAuth from "./components/auth/RequireAuth";
+import Login from "./pages/Login";
 import Dashboard from "./pages/Dashboard";
 import Seniors from "./pages/Seniors";
+import SeniorProfile from "./pages/SeniorProfile";
 import Volunteers from "./pages/Volunteers";
+import VolunteerProfile from "./pages/VolunteerProfile";
 import Groups from "./pages/Groups";
 import Schedule from "./pages/Schedule";
 import Meetings from "./pages/Meetings";
 import FeedbackForms from "./pages/FeedbackForms";
+import Approvals from "./pages/Approvals";
+import { PERMISSIONS } from "./services/permissions";
 
 /**
  * AppLayout — persistent chrome rendered around every page.
@@ -34,33 +66,48 @@ import FeedbackForms from "./pages/FeedbackForms";
  * Topbar  : visible on mobile only (hamburger menu → slide-in drawer)
  * Sidebar : visible on desktop only (left nav column)
  * <Outlet>: the active page component renders here
+ * CommandPalette: global search overlay (Ctrl+K / ⌘K)
  */
 function AppLayout() {
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const openPalette  = useCallback(() => setPaletteOpen(true), []);
+  const closePalette = useCallback(() => setPaletteOpen(false), []);
+
   return (
     <div className="app-shell">
-      <Topbar />
-      <Sidebar />
+      <Topbar onSearch={openPalette} />
+      <Sidebar onSearch={openPalette} />
       <main className="main-content">
         <Outlet />
       </main>
+      <CommandPalette open={paletteOpen} onOpen={openPalette} onClose={closePalette} />
     </div>
   );
 }
 
 export default function App() {
   return (
-    <BrowserRouter>
-      <Routes>
-        <Route element={<AppLayout />}>
-          <Route index element={<Dashboard />} />
-          <Route path="seniors"    element={<Seniors />} />
-          <Route path="volunteers" element={<Volunteers />} />
-          <Route path="groups"     element={<Groups />} />
-          <Route path="schedule"   element={<Schedule />} />
-          <Route path="meetings"   element={<Meetings />} />
-          <Route path="feedback"   element={<FeedbackForms />} />
-        </Route>
-      </Routes>
-    </BrowserRouter>
+    <AuthProvider>
+      <BrowserRouter>
+        <Routes>
+          <Route path="login" element={<Login />} />
+          <Route element={<RequireAuth><AppLayout /></RequireAuth>}>
+            <Route index element={<Dashboard />} />
+            <Route path="seniors"               element={<Seniors />} />
+            <Route path="seniors/:id"           element={<SeniorProfile />} />
+            <Route path="volunteers"            element={<Volunteers />} />
+            <Route path="volunteers/:id"        element={<VolunteerProfile />} />
+            <Route path="groups/:teamId?"       element={<Groups />} />
+            <Route path="schedule"              element={<Schedule />} />
+            <Route path="meetings/:instanceId?" element={<Meetings />} />
+            <Route path="feedback/:formId?"     element={<FeedbackForms />} />
+            <Route
+              path="approvals"
+              element={<RequireAuth permission={PERMISSIONS.APPROVE_CHANGES}><Approvals /></RequireAuth>}
+            />
+          </Route>
+        </Routes>
+      </BrowserRouter>
+    </AuthProvider>
   );
 }
@@ -0,0 +1,124 @@
+/**
+ * AuthProvider.jsx — Holds the staff session for the whole app
+ *
+ * Session lifecycle:
+ *   - signIn() authenticates through the read proxy (authApi.js) and stores the
+ *     session in sessionStorage under STORAGE_KEY.
+ *   - On page load a stored session is restored; if its token is due it is
+ *     refreshed first (`restoring` is true meanwhile), and dropped if the proxy
+ *     no longer accepts it.
+ *   - While signed in, the token is refreshed shortly before it expires.
+ *   - The active session is handed to authApi.setActiveSession() so baserowApi.js
+ *     can authenticate reads; a 401 from the proxy signs the user out.
+ *   - signOut() clears the session; RequireAuth then sends the user to /login.
+ *   - Signing out (by hand, on a 401 or a failed refresh) and signing in both empty
+ *     the read cache (queryCache.js), so the next person on this browser never sees
+ *     rows cached for the previous one.
+ *
+ * Mock mode (VITE_USE_MOCK_DATA=true): any src/mock/appUsers.js email signs in
+ * with any non-empty password, so every role can be tried without Baserow.
+ *
+ * Props:
+ *   children {ReactNode}
+ */
+import { useState, useEffect, useCallback, useMemo } from "react";
+import { AuthContext } from "../../hooks/useAuth";
+import { USE_MOCK } from "../../hooks/useCrmData";
+import {
+  signIn as apiSignIn,
+  refreshSession,
+  msUntilRefresh,
+  setActiveSession,
+  onSessionExpired,
+} from "../../services/authApi";
+import { AuthError } from "../../services/apiErrors";
+import { clearQueryCache } from "../../services/queryCache";
+import { can as roleCan } from "../../services/permissions";
+
+const STORAGE_KEY = "ctr-crm.session";
+
+function readStoredSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+function storeSession(session) {
+  if (session) sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  else         sessionStorage.removeItem(STORAGE_KEY);
+  if (!session) clearQueryCache();
+  setActiveSession(session);
+}
+
+// Reads made before the first render (e.g. the dashboard's initial fetch) need the token too
+setActiveSession(readStoredSession());
+
+/** Mock sign-in: matches src/mock/appUsers.js by email; the token is a placeholder. */
+async function mockSignIn(email) {
+  const { appUsers } = await import("../../mock/appUsers");
+  const user = appUsers.find((u) => u.email.toLowerCase() === email.toLowerCase());
+  if (!user) throw new AuthError("Incorrect email or password.", { status: 401 });
+  return { accessToken: "mock", expiresAt: null, user };
+}
+
+export default function AuthProvider({ children }) {
+  const [session, setSession] = useState(readStoredSession);
+  // A stored session whose token is already due must be refreshed before pages load
+  const [restoring, setRestoring] = useState(() => {
+    const stored = readStoredSession();
+    return !!stored && !USE_MOCK && msUntilRefresh(stored) === 0;
+  });
+
+  const updateSession = useCallback((next) => {
+    storeSession(next);
+    setSession(next);
+  }, []);
+
+  // The proxy rejected the token (expired, or secret rotated) — back to /login
+  useEffect(() => onSessionExpired(() => updateSession(null)), [updateSession]);
+
+  // Refresh the session token shortly before it expires (immediately if already due)
+  useEffect(() => {
+    if (!session || USE_MOCK) return;
+    const delay = msUntilRefresh(session);
+    if (delay === null) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const next = await refreshSession(session);
+        if (!cancelled) updateSession(next);
+      } catch (err) {
+        console.error("AuthProvider: session refresh failed:", err);
+        if (!cancelled) updateSession(null); // expired or revoked — sign in again
+      } finally {
+        if (!cancelled) setRestoring(false);
+      }
+    }, delay);
+    return () => { cancelled = true; clearTimeout(timer); };
+  }, [session, updateSession]);
+
+  const signIn = useCallback(async (email, password) => {
+    const next = USE_MOCK ? await mockSignIn(email) : await apiSignIn(email, password);
+    clearQueryCache(); // anything read before this sign-in belonged to someone else
+    updateSession(next);
+  }, [updateSession]);
+
+  const signOut = useCallback(() => updateSession(null), [updateSession]);
+
+  const value = useMemo(() => {
+    const user = session?.user ?? null;
+    return {
+      user,
+      session,
+      restoring,
+      signIn,
+      signOut,
+      can: (permission) => roleCan(user, permission),
+    };
+  }, [session, restoring, signIn, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
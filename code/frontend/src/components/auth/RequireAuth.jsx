@@ -0,0 +1,26 @@
+/**
+ * RequireAuth.jsx — Route guard for signed-in staff
+ *
+ * Wraps a route element (or, without children, renders the nested <Outlet>):
+ *   - While a stored session is being restored: shows a loading line.
+ *   - Signed out: redirects to /login, remembering the requested location so
+ *     Login.jsx can send the user back after signing in.
+ *   - Signed in without `permission`: redirects to the Dashboard.
+ *
+ * Props:
+ *   permission {string}    — Optional: one of PERMISSIONS (services/permissions.js)
+ *   children   {ReactNode} — Optional: element to render when allowed
+ */
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+
+export default function RequireAuth({ permission, children }) {
+  const { user, restoring, can } = useAuth();
+  const location = useLocation();
+
+  if (restoring) return <p className="auth-restoring">Loading…</p>;
+  if (!user) return <Navigate to="/login" replace state={{ from: location }} />;
+  if (permission && !can(permission)) return <Navigate to="/" replace />;
+
+  return children ?? <Outlet />;
+}
@@ -0,0 +1,44 @@
+/**
+ * AgendaList.jsx — Day-by-day list of events (reusable component)
+ *
+ * The list counterpart of WeekGrid / MonthGrid: one heading per day that has
+ * events, with that day's events under it as rows drawn by the caller. Days
+ * without events are skipped. Used by the Schedule page's agenda view.
+ *
+ * Props:
+ *   days        {Date[]}  — The days to cover, in order (e.g. useCalendarNavigation().days)
+ *   events      {Array}   — Events with a `date` ("yyyy-MM-dd") and a unique `key`,
+ *                           already in display order
+ *   renderEvent {fn}      — (event) => node for one row
+ *   emptyText   {string}  — Shown when no day has events
+ */
+import { Fragment } from "react";
+import { format, isSameDay } from "date-fns";
+import { eventsByDate } from "./visitEvents";
+import "./AgendaList.css";
+
+export default function AgendaList({ days, events, renderEvent, emptyText = "No visits" }) {
+  const byDate = eventsByDate(events);
+  const today  = new Date();
+  const busy   = days.filter((date) => byDate[format(date, "yyyy-MM-dd")]);
+
+  if (busy.length === 0) return <p className="agenda__empty">{emptyText}</p>;
+
+  return (
+    <div className="agenda">
+      {busy.map((date) => (
+        <section key={date.toISOString()} className="agenda__day">
+          <h3 className={`agenda__date${isSameDay(date, today) ? " agenda__date--today" : ""}`}>
+            {format(date, "EEEE, MMMM d")}
+            {isSameDay(date, today) && <span className="agenda__today">Today</span>}
+          </h3>
+          <ul className="agenda__events">
+            {byDate[format(date, "yyyy-MM-dd")].map((e) => (
+              <Fragment key={e.key}>{renderEvent(e)}</Fragment>
+            ))}
+          </ul>
+        </section>
+      ))}
+    </div>
+  );
+}
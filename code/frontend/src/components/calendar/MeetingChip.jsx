@@ -1,44 +1,57 @@
 /**
- * MeetingChip.jsx — Visit event pill for the weekly schedule grid
+ * MeetingChip.jsx — Visit event pill for the calendar views
  *
- * A compact card rendered inside a day column on the Schedule and WeekGrid views.
- * Displays the senior's first name and the assigned volunteer's initials.
- * A colored left border indicates the visit status at a glance.
+ * A compact card rendered inside a day of the Schedule page's week and month views.
+ * Displays the senior's first name, optionally the visit time, and the assigned
+ * volunteer's initials. A colored left border indicates the visit status at a glance.
  *
  * Props:
  *   seniorName       {string} — Senior's first name (or "—" if unknown)
  *   volunteerInitial {string} — Two-letter initials of the assigned volunteer (e.g. "JD").
  *                               If absent (unscheduled), this section is hidden.
+ *   time             {string} — Optional time label, e.g. "10:00 EST"
  *   status           {string} — Visit status; controls the left border color.
  *                               Defaults to "scheduled" if omitted or unrecognized.
+ *   pending          {bool}   — Optional; a move awaiting approval (WF9). Drawn dashed
+ *                               and faded at the proposed time.
  *
  * Status → border color mapping:
  *   active / scheduled → teal   (#2B8F8A)
  *   completed          → green  (#27AE60)
- *   paused             → amber  (#F39C12)
+ *   paused / no-show   → amber  (#F39C12)
  *   cancelled          → red    (#E74C3C)
+ *   unscheduled        → gray   (#DDD8D2) — no rotation record for that week
  */
 import "./MeetingChip.css";
 
 const statusBorderColor = {
-  active:    "#2B8F8A",
-  scheduled: "#2B8F8A",
-  completed: "#27AE60",
-  paused:    "#F39C12",
-  cancelled: "#E74C3C",
+  active:      "#2B8F8A",
+  scheduled:   "#2B8F8A",
+  completed:   "#27AE60",
+  paused:      "#F39C12",
+  "no-show":   "#F39C12",
+  cancelled:   "#E74C3C",
+  unscheduled: "#DDD8D2",
 };
 
-export default function MeetingChip({ seniorName, volunteerInitial, status = "scheduled" }) {
+export default function MeetingChip({ seniorName, volunteerInitial, time, status = "scheduled", pending = false }) {
   // Fall back to scheduled color for any unrecognized status
   const borderColor = statusBorderColor[status] ?? statusBorderColor.scheduled;
 
   return (
-    <div className="meeting-chip" style={{ borderLeftColor: borderColor }}>
+    <div
+      className={`meeting-chip${pending ? " meeting-chip--pending" : ""}`}
+      style={{ borderLeftColor: borderColor }}
+      title={pending ? "Move awaiting approval" : undefined}
+    >
       <span className="meeting-chip__senior">{seniorName}</span>
-      {/* Volunteer initials — hidden when no volunteer is assigned yet */}
-      {volunteerInitial && (
-        <span className="meeting-chip__vol">{volunteerInitial}</span>
-      )}
+      <div className="meeting-chip__meta">
+        {time && <span className="meeting-chip__time">{time}</span>}
+        {/* Volunteer initials — hidden when no volunteer is assigned yet */}
+        {volunteerInitial && (
+          <span className="meeting-chip__vol">{volunteerInitial}</span>
+        )}
+      </div>
     </div>
   );
 }
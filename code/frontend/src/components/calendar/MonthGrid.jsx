@@ -0,0 +1,88 @@
+/**
+ * MonthGrid.jsx — Month calendar grid (reusable component)
+ *
+ * Renders a month as whole Monday–Sunday weeks. Days from the neighbouring
+ * months that pad out the first and last week are shown muted. Each day cell
+ * lists that day's events, drawn by the caller. Used by the Schedule page's
+ * month view and the Groups page's rotation calendar.
+ *
+ * Props:
+ *   month       {Date}    — Any date in the month to show
+ *   events      {Array}   — Events with a `date` ("yyyy-MM-dd") and a unique `key`,
+ *                           already in display order
+ *   renderEvent {fn}      — (event) => node for one event
+ *   maxEvents   {number}  — Optional cap per day; the rest collapse into "+N more"
+ *   onDayClick  {fn}      — Optional (date: Date) => void; makes the day number
+ *                           (and "+N more") a button, e.g. to open that week
+ */
+import { Fragment } from "react";
+import {
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  eachDayOfInterval,
+  format,
+  isSameDay,
+  isSameMonth,
+} from "date-fns";
+import { eventsByDate } from "./visitEvents";
+import "./MonthGrid.css";
+
+const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+
+export default function MonthGrid({ month, events, renderEvent, maxEvents = Infinity, onDayClick }) {
+  const days = eachDayOfInterval({
+    start: startOfWeek(startOfMonth(month), { weekStartsOn: 1 }),
+    end:   endOfWeek(endOfMonth(month), { weekStartsOn: 1 }),
+  });
+  const byDate = eventsByDate(events);
+  const today  = new Date();
+
+  return (
+    <div className="month-cal">
+      {/* Day-of-week header: Mon Tue … Sun */}
+      <div className="month-cal__header">
+        {DAY_LABELS.map((d) => (
+          <div key={d} className="month-cal__day-label">{d}</div>
+        ))}
+      </div>
+      {/* Grid cells — 7 columns, one row per week */}
+      <div className="month-cal__grid">
+        {days.map((date) => {
+          const dayEvents = byDate[format(date, "yyyy-MM-dd")] ?? [];
+          const hidden    = dayEvents.length - Math.min(dayEvents.length, maxEvents);
+          const className = "month-cal__cell" +
+            (isSameMonth(date, month) ? "" : " month-cal__cell--outside") +
+            (isSameDay(date, today) ? " month-cal__cell--today" : "");
+
+          return (
+            <div key={date.toISOString()} className={className}>
+              {onDayClick ? (
+                <button
+                  className="month-cal__day-num month-cal__day-num--link"
+                  onClick={() => onDayClick(date)}
+                  aria-label={format(date, "EEEE, MMMM d")}
+                >
+                  {format(date, "d")}
+                </button>
+              ) : (
+                <span className="month-cal__day-num">{format(date, "d")}</span>
+              )}
+              {dayEvents.slice(0, maxEvents).map((e) => (
+                <Fragment key={e.key}>{renderEvent(e)}</Fragment>
+              ))}
+              {hidden > 0 && (
+                onDayClick ? (
+                  <button className="month-cal__more" onClick={() => onDayClick(date)}>+{hidden} more</button>
+                ) : (
+                  <span className="month-cal__more">+{hidden} more</span>
+                )
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
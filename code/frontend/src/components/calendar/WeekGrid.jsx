@@ -1,62 +1,88 @@
 /**
  * WeekGrid.jsx — 7-column weekly schedule grid (reusable component)
  *
- * Renders a Monday–Sunday grid where each column shows the visits scheduled
- * for that day as MeetingChip pills.
- *
- * NOTE: This component is currently NOT used by Schedule.jsx — Schedule.jsx
- * builds its own inline grid using the rotation data model (which is more
- * detailed than the simpler meetings-based model this component uses).
- * WeekGrid is retained for future refactoring or alternate views.
+ * Renders a Monday–Sunday grid where each column shows that day's events,
+ * drawn by the caller (usually as MeetingChip pills). Used by the Schedule
+ * page's week view.
  *
  * Props:
- *   weekDates  {Date[]}   — Array of 7 Date objects (Mon–Sun) from useWeekNavigation
- *   meetings   {Array}    — Meeting templates with dayOfWeek (e.g. "Monday"), seniorId, volunteerId, status
- *   seniors    {Array}    — Full seniors list (used to look up first name by ID)
- *   volunteers {Array}    — Full volunteers list (used to look up initials by ID)
+ *   days        {Date[]}  — 7 Date objects (Mon–Sun), e.g. useCalendarNavigation().days
+ *   events      {Array}   — Events with a `date` ("yyyy-MM-dd") and a unique `key`,
+ *                           already in display order (see visitEvents.js)
+ *   renderEvent {fn}      — (event) => node for one event
+ *   canDrag     {fn}      — Optional (event) => bool; those events can be dragged
+ *   onEventDrop {fn}      — Optional (event, date: Date) => void; called when a
+ *                           draggable event is dropped on another day's column
  *
- * Today's column receives the "week-grid__col--today" highlight class.
- * Cancelled meetings are excluded from display.
+ * Today's column receives the "week-grid__col--today" highlight class, and the
+ * column under a dragged event "week-grid__col--drop".
  */
+import { Fragment, useState } from "react";
 import { format, isSameDay } from "date-fns";
-import MeetingChip from "./MeetingChip";
+import { eventsByDate } from "./visitEvents";
 import "./WeekGrid.css";
 
 const DAY_NAMES = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
 
-export default function WeekGrid({ weekDates, meetings, seniors, volunteers }) {
-  /**
-   * Returns all non-cancelled meetings whose dayOfWeek matches the given date.
-   * date-fns `format(date, "EEEE")` returns the full weekday name (e.g. "Monday").
-   */
-  function meetingsOnDay(dayDate) {
-    const dayName = format(dayDate, "EEEE");
-    return meetings.filter((m) => m.dayOfWeek === dayName && m.status !== "cancelled");
-  }
+export default function WeekGrid({ days, events, renderEvent, canDrag, onEventDrop }) {
+  const byDate = eventsByDate(events);
+  const today  = new Date();
 
-  /** Look up senior's first name by ID; returns "—" if not found. */
-  function seniorName(seniorId) {
-    const s = seniors.find((sr) => sr.id === seniorId);
-    return s ? s.firstName : "—";
-  }
+  // Drag state is kept here rather than in dataTransfer, which browsers hide
+  // until the drop.
+  const [dragging, setDragging] = useState(null);  // event being dragged
+  const [dropDate, setDropDate] = useState(null);  // "yyyy-MM-dd" under the pointer
 
-  /** Returns two-letter initials for a volunteer (e.g. "JD"); "?" if not found. */
-  function volunteerInitial(volunteerId) {
-    const v = volunteers.find((vol) => vol.id === volunteerId);
-    return v ? v.firstName[0] + v.lastName[0] : "?";
+  function endDrag() {
+    setDragging(null);
+    setDropDate(null);
   }
 
-  const today = new Date();
+  function renderDraggable(e) {
+    if (!onEventDrop || !canDrag?.(e)) return renderEvent(e);
+    return (
+      <div
+        className={`week-grid__draggable${dragging?.key === e.key ? " week-grid__draggable--dragging" : ""}`}
+        draggable
+        onDragStart={(ev) => {
+          ev.dataTransfer.effectAllowed = "move";
+          ev.dataTransfer.setData("text/plain", e.key);  // Firefox needs data to start a drag
+          setDragging(e);
+        }}
+        onDragEnd={endDrag}
+      >
+        {renderEvent(e)}
+      </div>
+    );
+  }
 
   return (
     <div className="week-grid-scroll">
       <div className="week-grid">
-        {weekDates.map((date, i) => {
-          const dayMeetings = meetingsOnDay(date);
-          const isToday     = isSameDay(date, today);
+        {days.map((date, i) => {
+          const dateStr   = format(date, "yyyy-MM-dd");
+          const dayEvents = byDate[dateStr] ?? [];
+          const isToday   = isSameDay(date, today);
+          const isDrop    = dragging && dropDate === dateStr;
+          const className = "week-grid__col" +
+            (isToday ? " week-grid__col--today" : "") +
+            (isDrop ? " week-grid__col--drop" : "");
 
           return (
-            <div key={i} className={`week-grid__col${isToday ? " week-grid__col--today" : ""}`}>
+            <div
+              key={i}
+              className={className}
+              onDragOver={dragging ? (ev) => {
+                ev.preventDefault();  // allows the drop
+                if (dropDate !== dateStr) setDropDate(dateStr);
+              } : undefined}
+              onDrop={dragging ? (ev) => {
+                ev.preventDefault();
+                const event = dragging;
+                endDrag();
+                onEventDrop(event, date);
+              } : undefined}
+            >
               {/* Day header: abbreviated name + date number */}
               <div className="week-grid__day-label">
                 <span className="week-grid__day-name">{DAY_NAMES[i]}</span>
@@ -65,18 +91,13 @@ export default function WeekGrid({ weekDates, meetings, seniors, volunteers }) {
                 </span>
               </div>
 
-              {/* Visit chips for this day */}
+              {/* Event chips for this day */}
               <div className="week-grid__chips">
-                {dayMeetings.length === 0 && (
+                {dayEvents.length === 0 && (
                   <span className="week-grid__empty">No visits</span>
                 )}
-                {dayMeetings.map((m) => (
-                  <MeetingChip
-                    key={m.id}
-                    seniorName={seniorName(m.seniorId)}
-                    volunteerInitial={volunteerInitial(m.volunteerId)}
-                    status={m.status}
-                  />
+                {dayEvents.map((e) => (
+                  <Fragment key={e.key}>{renderDraggable(e)}</Fragment>
                 ))}
               </div>
             </div>
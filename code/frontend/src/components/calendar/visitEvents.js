@@ -0,0 +1,103 @@
+/**
+ * visitEvents.js — Visits in a date range, for the calendar views
+ *
+ * Cross-references the two sources of the rotation data model:
+ *   visitTeams  — which seniors have visits, on which days/times (schedule slots)
+ *   rotations   — which volunteer is assigned to a slot in a given week
+ *
+ * Every slot produces a visit on each of its weekdays in the range; the rotation
+ * for that team + slot + week (keyed by Monday, "yyyy-MM-dd") supplies the
+ * volunteer and status, or the visit is "unscheduled" when there is none.
+ * Visits moved by drag-and-drop (Schedule.jsx) follow their instance start.
+ *
+ * Time zones: slot times are wall-clock times in the meeting's zone
+ * (services/timeZones.js). With a displayZone, each visit is converted to it,
+ * which can move a late or early visit to the neighbouring day — so weeks one
+ * day either side of the range are checked, and callers should load rotations
+ * with a day of margin too.
+ */
+import { addDays, eachWeekOfInterval, format, parseISO } from "date-fns";
+import { meetingTimeZone, zonedTimeToUtc, zonedDateTime, zoneAbbreviation } from "../../services/timeZones";
+
+/**
+ * Returns every visit shown between two dates, sorted by date then time.
+ *
+ * A visit that has been moved shows at its rotation's instance start; one with a
+ * reschedule awaiting approval (pendingDate, see WF9) shows at the proposed time
+ * and is flagged `pending`.
+ *
+ * @param {object}      params
+ * @param {string}      params.from        — First day, "yyyy-MM-dd"
+ * @param {string}      params.to          — Last day, "yyyy-MM-dd" (inclusive)
+ * @param {Array}       params.teams       — Visit team records with schedule slots
+ * @param {Array}       params.rotations   — Rotation records covering the range
+ * @param {string|null} [params.displayZone] — IANA zone to show times in, or null for each visit's own zone
+ * @returns {Array<{ key, date, timeOfDay, zoneLabel, timeZone, localDate, localTime, pending, teamId, scheduleIndex, seniorId, rotationId, assignedVolunteerId, status }>}
+ *   date and timeOfDay ("yyyy-MM-dd", "HH:MM") are in the display zone;
+ *   localDate and localTime are the same moment in the meeting's own timeZone
+ */
+export function visitEvents({ from, to, teams, rotations, displayZone = null }) {
+  const mondays = eachWeekOfInterval(
+    { start: addDays(parseISO(from), -1), end: addDays(parseISO(to), 1) },
+    { weekStartsOn: 1 }
+  );
+
+  const events = [];
+  for (const team of teams) {
+    team.schedule.forEach((slot, si) => {
+      const slotZone = meetingTimeZone(slot);
+      const zone     = displayZone ?? slotZone;
+      for (const monday of mondays) {
+        const visitDate = addDays(monday, (slot.dayOfWeek + 6) % 7); // 0=Sun … 6=Sat
+        const visitStr  = format(visitDate, "yyyy-MM-dd");
+        const mondayStr = format(monday, "yyyy-MM-dd");
+        const rotation  = rotations.find(
+          (r) =>
+            r.teamId === team.id &&
+            (r.scheduleIndex ?? 0) === si &&
+            r.weekStartDate === mondayStr
+        );
+
+        const pending = Boolean(rotation?.pendingDate);
+        let instant;
+        if (pending) {
+          const current = rotation.start
+            ? zonedDateTime(new Date(rotation.start), slotZone).time
+            : slot.timeOfDay;
+          instant = zonedTimeToUtc(rotation.pendingDate, rotation.pendingTime || current, slotZone);
+        } else {
+          instant = rotation?.start ? new Date(rotation.start) : zonedTimeToUtc(visitStr, slot.timeOfDay, slotZone);
+        }
+        const shown = zonedDateTime(instant, zone);
+        if (shown.date < from || shown.date > to) continue;
+        const local = zonedDateTime(instant, slotZone);
+
+        events.push({
+          key:                 `${team.id}-${si}-${visitStr}`,  // unique React key
+          date:                shown.date,
+          timeOfDay:           shown.time,
+          zoneLabel:           zoneAbbreviation(instant, zone),
+          timeZone:            slotZone,
+          localDate:           local.date,
+          localTime:           local.time,
+          pending,
+          teamId:              team.id,
+          scheduleIndex:       si,
+          seniorId:            team.seniorId,
+          rotationId:          rotation?.id ?? null,
+          assignedVolunteerId: rotation?.assignedVolunteerId ?? null,
+          status:              rotation?.status ?? "unscheduled",
+        });
+      }
+    });
+  }
+
+  return events.sort((a, b) => a.date.localeCompare(b.date) || a.timeOfDay.localeCompare(b.timeOfDay));
+}
+
+/** Groups events by their date: { "yyyy-MM-dd": [event, …] } */
+export function eventsByDate(events) {
+  const byDate = {};
+  for (const e of events) (byDate[e.date] ??= []).push(e);
+  return byDate;
+}
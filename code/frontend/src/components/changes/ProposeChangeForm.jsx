@@ -0,0 +1,284 @@
+/**
+ * ProposeChangeForm.jsx — Inline "propose a change" form
+ *
+ * Shown in place of an Edit form for staff who can't edit a record directly
+ * (proposers, or editors on calendar data). Submits a PROPOSED_CHANGE through
+ * WF9's webhook (proposeChange in baserowMutations.js); an admin then approves
+ * or rejects it.
+ *
+ * Two modes:
+ *   free-form — no changeTypes: one description box (Seniors, Groups, volunteer details)
+ *   guided    — changeTypes given: pick a change type, fill in what that type needs
+ *               (PROPOSAL_REQUIRED_BY_TYPE); links are prefilled from the caller so
+ *               WF9 can apply the change once approved.
+ *
+ * Props:
+ *   subject     {string}   — What the change is about, e.g. "Senior: Margaret Collins (#12)".
+ *                            Shown above the form and prefixed to the description.
+ *   changeTypes {string[]} — Optional; PROPOSED_CHANGE.change_type values to offer
+ *   links       {object}   — Optional; { meetingInstance?, teamMember? } as { id, label }
+ *   instanceId  {string}   — Optional; meeting instance whose attendance a substitution picks from
+ *   coverSuggestions {Array} — Optional; [{ volunteerId, reason }] free to cover a substitution,
+ *                            best first (rotationEngine.suggestSubstitutes); offered as the
+ *                            proposed substitute (PROPOSED_CHANGE.substitute_volunteer)
+ *   onDone      {function} — Called after a successful submit
+ *   onCancel    {function} — Called when the user backs out
+ */
+import { useState } from "react";
+import { useInstanceAttendance, useVolunteers } from "../../hooks/useCrmData";
+import { proposeChange } from "../../services/baserowMutations";
+import { describeError } from "../../services/apiErrors";
+
+/** change_type → what the proposer is asking for */
+const CHANGE_TYPE_LABELS = {
+  cancel_instance: "Cancel this visit",
+  reschedule:      "Move this visit to another date",
+  substitution:    "Have someone else cover a volunteer",
+  team_change:     "Leave this team",
+};
+
+/** change_type → label for its new_date input (types without one don't ask) */
+const NEW_DATE_LABELS = {
+  reschedule:  "New date",
+  team_change: "Last day on the team",
+};
+
+/** change_type → prompt for the description box */
+const DESCRIPTION_PROMPTS = {
+  cancel_instance: "Why should this visit be cancelled?",
+  reschedule:      "Why does this visit need to move?",
+  substitution:    "Who can't attend, and who could cover?",
+  team_change:     "Why is this volunteer leaving the team?",
+};
+
+export default function ProposeChangeForm({
+  subject,
+  changeTypes = null,
+  links = {},
+  instanceId = null,
+  coverSuggestions = [],
+  onDone,
+  onCancel,
+}) {
+  const guided = Boolean(changeTypes?.length);
+
+  const [changeType,   setChangeType]   = useState(guided ? changeTypes[0] : "");
+  const [newDate,      setNewDate]      = useState("");
+  const [newTime,      setNewTime]      = useState("");
+  const [attendanceId, setAttendanceId] = useState("");
+  const [substituteId, setSubstituteId] = useState("");
+  const [description,  setDescription]  = useState("");
+  const [notes,        setNotes]        = useState("");
+  const [errors,       setErrors]       = useState({});
+  const [saving,       setSaving]       = useState(false);
+  const [submitted,    setSubmitted]    = useState(false);
+
+  const pickAttendance = guided && changeTypes.includes("substitution");
+  const { data: attendance } = useInstanceAttendance(pickAttendance ? instanceId : null);
+  const { data: volunteers } = useVolunteers();
+
+  function volunteerName(id) {
+    const v = volunteers.find((vol) => vol.id === id);
+    return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+  }
+
+  /** Client-side mirror of the per-type rules, with messages worded for this form */
+  function check() {
+    const found = {};
+    if (!description.trim()) found.description = "Describe the change you'd like made";
+    if (!guided) return found;
+    if (NEW_DATE_LABELS[changeType] && !newDate) found.new_date = "Pick a date";
+    if (changeType === "substitution" && !attendanceId) found.meeting_attendance = "Pick who can't attend";
+    if (changeType === "team_change" && !links.teamMember?.id) {
+      found._form = "This team membership can't be found. Ask an admin to make the change.";
+    }
+    return found;
+  }
+
+  function buildFields() {
+    const fields = {
+      description: `${subject}\n\n${description.trim()}`,
+      notes:       notes.trim(),
+    };
+    if (!guided) return fields;
+
+    fields.change_type = changeType;
+    if (NEW_DATE_LABELS[changeType]) fields.new_date = newDate;
+    if (changeType === "reschedule" && newTime) fields.new_time = newTime;
+    if (changeType === "team_change") {
+      fields.team_member = [links.teamMember.id];
+    } else if (links.meetingInstance) {
+      fields.meeting_instance = [links.meetingInstance.id];
+    }
+    if (changeType === "substitution") {
+      // <select> values are strings; send the row id in its original type
+      fields.meeting_attendance = [attendance.find((a) => String(a.id) === attendanceId).id];
+      if (substituteId) {
+        fields.substitute_volunteer = [coverSuggestions.find((s) => String(s.volunteerId) === substituteId).volunteerId];
+      }
+    }
+    return fields;
+  }
+
+  async function submit() {
+    const found = check();
+    if (Object.keys(found).length) {
+      setErrors(found);
+      return;
+    }
+    setSaving(true);
+    try {
+      const { errors: saveErrors } = await proposeChange(buildFields());
+      if (saveErrors) {
+        setErrors(saveErrors);
+        return;
+      }
+      setErrors({});
+      setSubmitted(true);
+    } catch (err) {
+      console.error("ProposeChangeForm: submit failed:", err);
+      setErrors({ _form: `${describeError(err)} Your proposal was not sent.` });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (submitted) {
+    return (
+      <div className="detail-edit-form">
+        <p>Thanks — your proposal was sent to an admin for approval.</p>
+        <div className="form-actions">
+          <button className="edit-save-btn" onClick={onDone}>Done</button>
+        </div>
+      </div>
+    );
+  }
+
+  const linked = changeType === "team_change" ? links.teamMember : links.meetingInstance;
+
+  return (
+    <div className="detail-edit-form">
+      {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+      <p className="form-section-label">Propose a change — {subject}</p>
+
+      {guided && (
+        <>
+          <div className="form-row form-row--full">
+            <label className="form-label">What would you like to happen?</label>
+            <select
+              className="form-select"
+              value={changeType}
+              onChange={(e) => { setChangeType(e.target.value); setErrors({}); }}
+            >
+              {changeTypes.map((type) => (
+                <option key={type} value={type}>{CHANGE_TYPE_LABELS[type] ?? type}</option>
+              ))}
+            </select>
+            {errors.change_type && <span className="form-error">{errors.change_type}</span>}
+          </div>
+
+          {linked && (
+            <div className="form-row form-row--full">
+              <label className="form-label">Applies to</label>
+              <span>{linked.label}</span>
+              {(errors.meeting_instance || errors.team_member) && (
+                <span className="form-error">{errors.meeting_instance ?? errors.team_member}</span>
+              )}
+            </div>
+          )}
+
+          {NEW_DATE_LABELS[changeType] && (
+            <div className="form-row">
+              <label className="form-label">{NEW_DATE_LABELS[changeType]}</label>
+              <input
+                type="date"
+                className="form-input"
+                value={newDate}
+                onChange={(e) => setNewDate(e.target.value)}
+              />
+              {errors.new_date && <span className="form-error">{errors.new_date}</span>}
+            </div>
+          )}
+
+          {/* Blank keeps the visit's time; entered in the meeting's zone */}
+          {changeType === "reschedule" && (
+            <div className="form-row">
+              <label className="form-label">New time (optional)</label>
+              <input
+                type="time"
+                className="form-input"
+                value={newTime}
+                onChange={(e) => setNewTime(e.target.value)}
+              />
+              {errors.new_time && <span className="form-error">{errors.new_time}</span>}
+            </div>
+          )}
+
+          {changeType === "substitution" && (
+            <div className="form-row">
+              <label className="form-label">Volunteer who can't attend</label>
+              <select
+                className="form-select"
+                value={attendanceId}
+                onChange={(e) => setAttendanceId(e.target.value)}
+              >
+                <option value="">Select a volunteer…</option>
+                {attendance.map((a) => (
+                  <option key={a.id} value={a.id}>{volunteerName(a.volunteerId)}</option>
+                ))}
+              </select>
+              {errors.meeting_attendance && <span className="form-error">{errors.meeting_attendance}</span>}
+            </div>
+          )}
+
+          {changeType === "substitution" && coverSuggestions.length > 0 && (
+            <div className="form-row form-row--full">
+              <label className="form-label">Who could cover (best fit first; optional)</label>
+              <select
+                className="form-select"
+                value={substituteId}
+                onChange={(e) => setSubstituteId(e.target.value)}
+              >
+                <option value="">Let the approver choose</option>
+                {coverSuggestions
+                  .filter((s) => !attendance.some((a) => a.volunteerId === s.volunteerId))
+                  .slice(0, 8)
+                  .map((s) => (
+                    <option key={s.volunteerId} value={s.volunteerId} title={s.reason}>
+                      {volunteerName(s.volunteerId)} — {s.reason}
+                    </option>
+                  ))}
+              </select>
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="form-row form-row--full">
+        <label className="form-label">{DESCRIPTION_PROMPTS[changeType] ?? "What should change?"}</label>
+        <textarea
+          className="form-textarea"
+          rows={4}
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+        />
+        {errors.description && <span className="form-error">{errors.description}</span>}
+      </div>
+      <div className="form-row form-row--full">
+        <label className="form-label">Notes for the approver (optional)</label>
+        <textarea
+          className="form-textarea"
+          rows={2}
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+        />
+      </div>
+      <div className="form-actions">
+        <button className="edit-save-btn" onClick={submit} disabled={saving}>
+          {saving ? "Sending…" : "Submit Proposal"}
+        </button>
+        <button className="edit-cancel-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
@@ -9,6 +9,13 @@
  *   Mobile:  horizontal bottom tab bar showing the first 5 items only.
  *            Meetings and Feedback are accessible via the Topbar drawer on mobile.
  *
+ * Items with a `permission` are only listed for users who have it (see
+ * services/permissions.js). The desktop footer shows the signed-in user and a
+ * Sign out button; on mobile those live in the Topbar drawer.
+ *
+ * The desktop sidebar also has a Search button that opens the global
+ * CommandPalette (the same as Ctrl+K / ⌘K); on mobile it is in the Topbar.
+ *
  * NavLink from react-router-dom automatically applies the "active" class
  * when its `to` path matches the current URL.
  * The `end` prop on the "/" route prevents it from matching every sub-path.
@@ -22,10 +29,18 @@ import {
   CalendarDays,
   ClipboardList,
   ClipboardCheck,
+  ShieldCheck,
+  LogOut,
+  Search,
 } from "lucide-react";
+import { useAuth } from "../../hooks/useAuth";
+import { PERMISSIONS } from "../../services/permissions";
 import "./Sidebar.css";
 
-/** All 7 navigation destinations in display order. */
+/**
+ * All 8 navigation destinations in display order.
+ * Optional `permission` hides an item from users without it.
+ */
 const navItems = [
   { to: "/",          label: "Dashboard",  Icon: LayoutDashboard },
   { to: "/seniors",   label: "Seniors",    Icon: Users },
@@ -34,12 +49,21 @@ const navItems = [
   { to: "/schedule",  label: "Schedule",   Icon: CalendarDays },
   { to: "/meetings",  label: "Meetings",   Icon: ClipboardList },
   { to: "/feedback",  label: "Feedback",   Icon: ClipboardCheck },
+  { to: "/approvals", label: "Approvals",  Icon: ShieldCheck, permission: PERMISSIONS.APPROVE_CHANGES },
 ];
 
-export default function Sidebar() {
+/** Shortcut hint shown on the Search button */
+const SEARCH_SHORTCUT = /Mac|iPhone|iPad/.test(navigator.platform) ? "⌘K" : "Ctrl K";
+
+/**
+ * @param {function} onSearch — Opens the command palette
+ */
+export default function Sidebar({ onSearch }) {
   // useLocation kept here in case future code needs to react to route changes
   // (e.g., collapsing sub-menus). Currently unused beyond what NavLink handles.
   const location = useLocation();
+  const { user, can, signOut } = useAuth();
+  const visibleItems = navItems.filter((item) => !item.permission || can(item.permission));
 
   return (
     <>
@@ -48,8 +72,13 @@ export default function Sidebar() {
         <div className="sidebar__brand">
           <img src="/logo.png" alt="CTR" className="sidebar__logo" />
         </div>
+        <button className="sidebar__search" onClick={onSearch}>
+          <Search size={16} />
+          <span>Search</span>
+          <kbd className="sidebar__search-kbd">{SEARCH_SHORTCUT}</kbd>
+        </button>
         <nav className="sidebar__nav">
-          {navItems.map(({ to, label, Icon }) => (
+          {visibleItems.map(({ to, label, Icon }) => (
             <NavLink
               key={to}
               to={to}
@@ -64,13 +93,24 @@ export default function Sidebar() {
           ))}
         </nav>
         <div className="sidebar__footer">
+          {user && (
+            <div className="sidebar__user">
+              <div className="sidebar__user-info">
+                <span className="sidebar__user-name">{user.name || user.email}</span>
+                <span className="sidebar__user-role">{user.role}</span>
+              </div>
+              <button className="sidebar__signout" onClick={signOut} title="Sign out" aria-label="Sign out">
+                <LogOut size={16} />
+              </button>
+            </div>
+          )}
           <span className="sidebar__org">Conversations to Remember</span>
         </div>
       </aside>
 
       {/* Mobile bottom tab bar — shows first 5 items only; hidden on desktop via CSS */}
       <nav className="bottom-nav">
-        {navItems.slice(0, 5).map(({ to, label, Icon }) => (
+        {visibleItems.slice(0, 5).map(({ to, label, Icon }) => (
           <NavLink
             key={to}
             to={to}
@@ -2,21 +2,27 @@
  * Topbar.jsx — Mobile-only top bar with hamburger menu
  *
  * Visible only on small screens (hidden on desktop via CSS where the Sidebar takes over).
- * Renders a fixed top bar with the CTR logo and a hamburger button.
- * Tapping the button opens a slide-in drawer that lists all 7 nav destinations.
+ * Renders a fixed top bar with the CTR logo, a search button (opens the global
+ * CommandPalette) and a hamburger button.
+ * Tapping the button opens a slide-in drawer that lists every nav destination the user may open.
  *
  * Drawer behavior:
  *   - Clicking the backdrop (outside the drawer) closes it
  *   - Clicking a nav link closes the drawer (via onClick on each NavLink)
  *   - e.stopPropagation() on the drawer itself prevents backdrop-click from firing
  *     when the user clicks inside the drawer
+ *
+ * The drawer lists only the items the signed-in user's role may open, and ends
+ * with the user's name and a Sign out button.
  */
 import { useState } from "react";
 import { NavLink } from "react-router-dom";
-import { Menu, X, LayoutDashboard, Users, UserCheck, UsersRound, CalendarDays, ClipboardList, ClipboardCheck } from "lucide-react";
+import { Menu, Search, X, LayoutDashboard, Users, UserCheck, UsersRound, CalendarDays, ClipboardList, ClipboardCheck, ShieldCheck, LogOut } from "lucide-react";
+import { useAuth } from "../../hooks/useAuth";
+import { PERMISSIONS } from "../../services/permissions";
 import "./Topbar.css";
 
-/** All 7 navigation destinations — same list as Sidebar.jsx */
+/** All 8 navigation destinations — same list (and `permission` flags) as Sidebar.jsx */
 const navItems = [
   { to: "/",           label: "Dashboard",  Icon: LayoutDashboard },
   { to: "/seniors",    label: "Seniors",    Icon: Users },
@@ -25,24 +31,35 @@ const navItems = [
   { to: "/schedule",   label: "Schedule",   Icon: CalendarDays },
   { to: "/meetings",   label: "Meetings",   Icon: ClipboardList },
   { to: "/feedback",   label: "Feedback",   Icon: ClipboardCheck },
+  { to: "/approvals",  label: "Approvals",  Icon: ShieldCheck, permission: PERMISSIONS.APPROVE_CHANGES },
 ];
 
-export default function Topbar() {
+/**
+ * @param {function} onSearch — Opens the command palette
+ */
+export default function Topbar({ onSearch }) {
   // Controls whether the slide-in nav drawer is visible
   const [drawerOpen, setDrawerOpen] = useState(false);
+  const { user, can, signOut } = useAuth();
+  const visibleItems = navItems.filter((item) => !item.permission || can(item.permission));
 
   return (
     <>
-      {/* Fixed top bar — logo on left, hamburger on right */}
+      {/* Fixed top bar — logo on left, search + hamburger on right */}
       <header className="topbar">
         <img src="/logo.png" alt="CTR" className="topbar__logo" />
-        <button
-          className="topbar__menu-btn"
-          onClick={() => setDrawerOpen(true)}
-          aria-label="Open menu"
-        >
-          <Menu size={24} />
-        </button>
+        <div className="topbar__actions">
+          <button className="topbar__menu-btn" onClick={onSearch} aria-label="Search">
+            <Search size={22} />
+          </button>
+          <button
+            className="topbar__menu-btn"
+            onClick={() => setDrawerOpen(true)}
+            aria-label="Open menu"
+          >
+            <Menu size={24} />
+          </button>
+        </div>
       </header>
 
       {/* Slide-in drawer — conditionally rendered when drawerOpen is true */}
@@ -59,7 +76,7 @@ export default function Topbar() {
                 <X size={22} />
               </button>
             </div>
-            {navItems.map(({ to, label, Icon }) => (
+            {visibleItems.map(({ to, label, Icon }) => (
               <NavLink
                 key={to}
                 to={to}
@@ -73,6 +90,18 @@ export default function Topbar() {
                 <span>{label}</span>
               </NavLink>
             ))}
+            {user && (
+              <div className="drawer__user">
+                <span className="drawer__user-name">{user.name || user.email} · {user.role}</span>
+                <button
+                  className="drawer__link"
+                  onClick={() => { setDrawerOpen(false); signOut(); }}
+                >
+                  <LogOut size={18} />
+                  <span>Sign out</span>
+                </button>
+              </div>
+            )}
           </nav>
         </div>
       )}
@@ -0,0 +1,217 @@
+/**
+ * AttendancePanel.jsx — Who came to a visit, and how it went
+ *
+ * Shown inside the Meetings page's instance modal. Lists the visit's
+ * MEETING_ATTENDANCE rows (WF5 creates one, status "expected", for the
+ * volunteer it picks) with each volunteer's status and note.
+ *
+ * Staff with RECORD_ATTENDANCE can:
+ *   - change a volunteer's status and note, then "Save attendance"
+ *   - "Mark all attended" — every row still "expected" becomes "attended"
+ *     (only in the form; Save sends it)
+ *   - once the visit's date has come, mark the instance completed or no-show
+ * Everyone else sees the same list read-only.
+ *
+ * Writes go through baserowMutations.js (crm-meeting-attendance /
+ * crm-meeting-instance webhooks). Setting a row to "substitute" starts WF4,
+ * which moves the calendar occurrence to the instance's substitute volunteer,
+ * so that status is only offered once a substitute is assigned.
+ *
+ * Props:
+ *   instance     {object}   — The meeting instance (id, instanceDate, status, substituteVolunteerId)
+ *   attendance   {object}   — useInstanceAttendance(instance.id) result: { data, loading, error, reload }
+ *   volunteers   {Array}    — Volunteer records, for names
+ *   canRecord    {boolean}  — Edit attendance and the outcome (RECORD_ATTENDANCE)
+ *   onOutcome    {function} — (status) after the instance is marked completed / no-show
+ */
+import { useState } from "react";
+import { CheckCheck } from "lucide-react";
+import Badge from "../ui/Badge";
+import QueryStatus from "../ui/QueryStatus";
+import { updateAttendanceRows, setInstanceOutcome } from "../../services/baserowMutations";
+import { describeError } from "../../services/apiErrors";
+import "./AttendancePanel.css";
+
+/** attendance_status → label and Badge variant */
+const ATTENDANCE_OPTIONS = {
+  expected:   { label: "Expected",   variant: "scheduled" },
+  attended:   { label: "Attended",   variant: "completed" },
+  late:       { label: "Late",       variant: "paused" },
+  absent:     { label: "Absent",     variant: "cancelled" },
+  substitute: { label: "Substitute", variant: "active" },
+  cancelled:  { label: "Cancelled",  variant: "inactive" },
+};
+
+export default function AttendancePanel({ instance, attendance, volunteers, canRecord, onOutcome }) {
+  // Unsaved edits: { [attendanceId]: { status?, note? } }
+  const [draft,  setDraft]  = useState({});
+  const [saving, setSaving] = useState(null);   // "attendance" | "completed" | "no-show"
+  const [error,  setError]  = useState(null);
+  const [saved,  setSaved]  = useState(false);
+
+  const rows = attendance.data;
+  const today       = new Date().toISOString().slice(0, 10);
+  const hasHappened = instance.instanceDate <= today;
+  const canOutcome  = canRecord && hasHappened && instance.status === "scheduled";
+
+  const statusOf = (row) => draft[row.id]?.status ?? row.status;
+  const noteOf   = (row) => draft[row.id]?.note ?? row.note;
+  const changed  = rows.filter((row) => statusOf(row) !== row.status || noteOf(row) !== row.note);
+
+  function volunteerName(id) {
+    const v = volunteers.find((vol) => vol.id === id);
+    return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+  }
+
+  function setField(row, key, value) {
+    setSaved(false);
+    setDraft((prev) => ({ ...prev, [row.id]: { ...prev[row.id], [key]: value } }));
+  }
+
+  function markAllAttended() {
+    setSaved(false);
+    setDraft((prev) => {
+      const next = { ...prev };
+      for (const row of rows) {
+        if (statusOf(row) === "expected") next[row.id] = { ...next[row.id], status: "attended" };
+      }
+      return next;
+    });
+  }
+
+  async function saveAttendance() {
+    setSaving("attendance");
+    setError(null);
+    try {
+      const result = await updateAttendanceRows(changed.map((row) => ({
+        id:     row.id,
+        fields: { attendance_status: statusOf(row), note: noteOf(row).trim() },
+      })));
+      if (result.errors) {
+        setError(`${volunteerName(rows.find((r) => r.id === result.failedId)?.volunteerId)}: ` +
+          Object.values(result.errors).join(" "));
+      } else {
+        setDraft({});
+        setSaved(true);
+      }
+      if (result.saved > 0) attendance.reload();
+    } catch (err) {
+      console.error("AttendancePanel: save failed:", err);
+      setError(`${describeError(err)} Some changes may not have been saved.`);
+      attendance.reload();
+    } finally {
+      setSaving(null);
+    }
+  }
+
+  async function markOutcome(outcome) {
+    setSaving(outcome);
+    setError(null);
+    try {
+      const { errors } = await setInstanceOutcome(instance.id, outcome);
+      if (errors) setError(Object.values(errors).join(" "));
+      else onOutcome(outcome);
+    } catch (err) {
+      console.error("AttendancePanel: outcome failed:", err);
+      setError(`${describeError(err)} The visit was not updated.`);
+    } finally {
+      setSaving(null);
+    }
+  }
+
+  return (
+    <div className="detail-section attendance">
+      <div className="attendance__header">
+        <span className="detail-label">Attendance</span>
+        {canRecord && rows.some((row) => statusOf(row) === "expected") && (
+          <button className="detail-edit-trigger" onClick={markAllAttended} disabled={Boolean(saving)}>
+            <CheckCheck size={14} /> Mark all attended
+          </button>
+        )}
+      </div>
+
+      <QueryStatus
+        loading={attendance.loading}
+        error={attendance.error}
+        onRetry={attendance.reload}
+        label="attendance"
+      />
+      {!attendance.loading && !attendance.error && rows.length === 0 && (
+        <p className="detail-notes">No volunteer is expected at this visit.</p>
+      )}
+      {error && <p className="form-error form-error--banner">{error}</p>}
+      {saved && changed.length === 0 && <p className="attendance__saved">Attendance saved.</p>}
+
+      <ul className="attendance__list">
+        {rows.map((row) => {
+          const status = statusOf(row);
+          const option = ATTENDANCE_OPTIONS[status] ?? ATTENDANCE_OPTIONS.expected;
+          return (
+            <li key={row.id} className="attendance__row">
+              <div className="attendance__line">
+                <span className="attendance__name">{volunteerName(row.volunteerId)}</span>
+                {canRecord ? (
+                  <select
+                    className="form-select attendance__status"
+                    value={status}
+                    onChange={(e) => setField(row, "status", e.target.value)}
+                    aria-label={`Attendance for ${volunteerName(row.volunteerId)}`}
+                  >
+                    {Object.entries(ATTENDANCE_OPTIONS).map(([value, o]) => (
+                      <option
+                        key={value}
+                        value={value}
+                        disabled={value === "substitute" && !instance.substituteVolunteerId && row.status !== "substitute"}
+                      >
+                        {o.label}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <Badge label={option.label} variant={option.variant} />
+                )}
+              </div>
+              {canRecord ? (
+                <input
+                  className="form-input attendance__note"
+                  value={noteOf(row)}
+                  onChange={(e) => setField(row, "note", e.target.value)}
+                  placeholder="Note (optional)"
+                  aria-label={`Note for ${volunteerName(row.volunteerId)}`}
+                />
+              ) : (
+                row.note && <p className="attendance__note-text">{row.note}</p>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+
+      {canRecord && changed.length > 0 && (
+        <div className="form-actions">
+          <button className="edit-save-btn" onClick={saveAttendance} disabled={Boolean(saving)}>
+            {saving === "attendance" ? "Saving…" : "Save attendance"}
+          </button>
+          <button className="edit-cancel-btn" onClick={() => setDraft({})} disabled={Boolean(saving)}>
+            Discard
+          </button>
+        </div>
+      )}
+
+      {/* After the visit: record how it went */}
+      {canOutcome && (
+        <div className="attendance__outcome">
+          <span className="detail-label">How did the visit go?</span>
+          <div className="attendance__outcome-btns">
+            <button className="edit-save-btn" onClick={() => markOutcome("completed")} disabled={Boolean(saving)}>
+              {saving === "completed" ? "Saving…" : "Mark completed"}
+            </button>
+            <button className="edit-cancel-btn" onClick={() => markOutcome("no-show")} disabled={Boolean(saving)}>
+              {saving === "no-show" ? "Saving…" : "Mark no-show"}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+/**
+ * CommandPalette.jsx — Global search across seniors, volunteers, teams and visits
+ *
+ * Mounted once in the app shell (App.jsx). Opens with Ctrl+K (⌘K on a Mac) from
+ * any page, or from the search buttons in the Sidebar and Topbar. Typing runs
+ * Baserow's full-text search on SENIOR, VOLUNTEER, VOLUNTEER_TEAM and
+ * MEETING_INSTANCE (useGlobalSearch), and the hits are listed grouped by type.
+ * Choosing one navigates to its page with the record open (services/recordLinks.js).
+ *
+ * Keyboard:
+ *   ↑ / ↓   — move through the hits (across groups)
+ *   Enter   — open the highlighted hit
+ *   Escape  — close
+ *
+ * The term is debounced so a search goes out only once typing pauses.
+ *
+ * Props:
+ *   open    {boolean}  — Whether the palette is visible
+ *   onOpen  {function} — Called on Ctrl+K while closed
+ *   onClose {function} — Called to close it (Escape, backdrop, after navigating)
+ */
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Search, Users, UserCheck, UsersRound, ClipboardList } from "lucide-react";
+import { useGlobalSearch } from "../../hooks/useCrmData";
+import { recordPath } from "../../services/recordLinks";
+import { describeError } from "../../services/apiErrors";
+import "./CommandPalette.css";
+
+/** Result groups in display order */
+const GROUPS = [
+  { type: "senior",    label: "Seniors",     Icon: Users },
+  { type: "volunteer", label: "Volunteers",  Icon: UserCheck },
+  { type: "team",      label: "Visit Teams", Icon: UsersRound },
+  { type: "instance",  label: "Visits",      Icon: ClipboardList },
+];
+
+/** Pause in typing (ms) before searching */
+const DEBOUNCE_MS = 250;
+
+export default function CommandPalette({ open, onOpen, onClose }) {
+  // Ctrl+K / ⌘K toggles the palette from anywhere
+  useEffect(() => {
+    function onKey(e) {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+        e.preventDefault();
+        if (open) onClose();
+        else onOpen();
+      }
+    }
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [open, onOpen, onClose]);
+
+  if (!open) return null;
+  return <PaletteDialog onClose={onClose} />;
+}
+
+/** The open palette; mounted fresh each time so the term starts blank */
+function PaletteDialog({ onClose }) {
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [term,   setTerm]   = useState("");
+  const [query,  setQuery]  = useState("");   // debounced term
+  const [active, setActive] = useState(0);    // index into hits
+
+  useEffect(() => { inputRef.current?.focus(); }, []);
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(term), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [term]);
+
+  const { data: hits, loading, error } = useGlobalSearch(query);
+  // Keep the highlight on a real hit as the results change
+  useEffect(() => { setActive(0); }, [hits]);
+
+  function choose(hit) {
+    onClose();
+    navigate(recordPath(hit.type, hit.id));
+  }
+
+  function onKeyDown(e) {
+    if (e.key === "Escape") {
+      onClose();
+    } else if (e.key === "ArrowDown" && hits.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % hits.length);
+    } else if (e.key === "ArrowUp" && hits.length) {
+      e.preventDefault();
+      setActive((i) => (i - 1 + hits.length) % hits.length);
+    } else if (e.key === "Enter" && hits[active]) {
+      e.preventDefault();
+      choose(hits[active]);
+    }
+  }
+
+  const searching = term.trim() !== "" && (term !== query || loading);
+
+  return (
+    <div className="palette-backdrop" onClick={onClose}>
+      <div
+        className="palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Search"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="palette__search">
+          <Search size={18} className="palette__search-icon" />
+          <input
+            ref={inputRef}
+            className="palette__input"
+            value={term}
+            onChange={(e) => setTerm(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder="Search seniors, volunteers, teams and visits…"
+            aria-label="Search"
+            aria-controls="palette-results"
+            aria-activedescendant={hits[active] ? `palette-hit-${active}` : undefined}
+          />
+          <kbd className="palette__kbd">Esc</kbd>
+        </div>
+
+        <div className="palette__results" id="palette-results" role="listbox">
+          {!term.trim() && (
+            <p className="palette__hint">Type a name, e.g. a senior to find their team and visits.</p>
+          )}
+          {error && <p className="palette__hint palette__hint--error">{describeError(error)}</p>}
+          {!error && !searching && query.trim() && hits.length === 0 && (
+            <p className="palette__hint">No matches for “{query.trim()}”.</p>
+          )}
+          {searching && hits.length === 0 && <p className="palette__hint">Searching…</p>}
+
+          {GROUPS.map(({ type, label, Icon }) => {
+            const group = hits.filter((h) => h.type === type);
+            if (group.length === 0) return null;
+            return (
+              <div key={type} className="palette__group">
+                <div className="palette__group-label">{label}</div>
+                {group.map((hit) => {
+                  const index = hits.indexOf(hit);
+                  return (
+                    <button
+                      key={`${hit.type}-${hit.id}`}
+                      id={`palette-hit-${index}`}
+                      role="option"
+                      aria-selected={index === active}
+                      className={`palette__hit${index === active ? " palette__hit--active" : ""}`}
+                      onMouseEnter={() => setActive(index)}
+                      onClick={() => choose(hit)}
+                    >
+                      <Icon size={16} className="palette__hit-icon" />
+                      <span className="palette__hit-label">{hit.label || "(no name)"}</span>
+                      {hit.detail && <span className="palette__hit-detail">{hit.detail}</span>}
+                    </button>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,361 @@
+/**
+ * ContactsEditor.jsx — A senior's caregivers, family and other contacts, with editing
+ *
+ * Used by the Contacts tab of the senior profile (pages/SeniorProfile.jsx).
+ * Contacts are grouped by relationship type and show phones, email, caregiver
+ * details and whether the contact gets WF7's monthly feedback email. A senior
+ * with no caregiver on file is flagged.
+ *
+ * Adds, edits and removals go through the senior-relationship webhook
+ * (baserowMutations.js); the contact's PERSON fields (name, email) and, for a
+ * caregiver, CAREGIVER fields travel in the same payload. Phone numbers are
+ * read-only here.
+ */
+import { useState } from "react";
+import { Phone, Mail, Pencil, AlertTriangle } from "lucide-react";
+import {
+  createSeniorRelationship,
+  updateSeniorRelationship,
+  removeSeniorRelationship,
+} from "../../services/baserowMutations";
+import { describeError } from "../../services/apiErrors";
+
+/** SENIOR_RELATIONSHIP.relationship_type → label, in display order */
+const RELATIONSHIP_LABELS = {
+  caregiver: "Caregiver",
+  family:    "Family",
+  other:     "Other contact",
+};
+
+/**
+ * Form field → Baserow field name, used to build the webhook payload and to map
+ * validation errors returned by the webhook back onto the form inputs.
+ * The caregiver fields are only sent for caregivers.
+ */
+const CONTACT_FIELDS = {
+  relationshipType:        "relationship_type",
+  firstName:               "first_name",
+  lastName:                "last_name",
+  email:                   "email",
+  notes:                   "notes",
+  receivesMonthlyFeedback: "receives_monthly_feedback",
+};
+const CAREGIVER_FIELDS = {
+  isPrivate:     "is_private",
+  isIndependent: "is_independent",
+};
+
+/** Blank draft for a new contact; caregivers get the monthly email unless unticked */
+function newContact(community) {
+  return {
+    id: "new",
+    relationshipType: "caregiver", firstName: "", lastName: "", email: "", notes: "",
+    receivesMonthlyFeedback: true,
+    isPrivate: false, isIndependent: false, community,
+  };
+}
+
+/** A mapped contact (mappers.mapContact) → form draft */
+function toDraft(contact, community) {
+  return {
+    id:                      contact.id,
+    relationshipType:        contact.relationshipType,
+    firstName:               contact.firstName,
+    lastName:                contact.lastName,
+    email:                   contact.email,
+    notes:                   contact.notes,
+    receivesMonthlyFeedback: contact.receivesMonthlyFeedback,
+    isPrivate:               contact.caregiver?.isPrivate ?? false,
+    isIndependent:           contact.caregiver?.isIndependent ?? false,
+    community:               contact.caregiver ? contact.caregiver.community : community,
+  };
+}
+
+/**
+ * Converts the form draft into Baserow field values for the webhook.
+ * caregiver_community is a link field; Baserow accepts the community's name.
+ * A private caregiver has no facility, so no community is sent for one.
+ */
+function toContactFields(draft) {
+  const fields = {};
+  for (const [key, baserowName] of Object.entries(CONTACT_FIELDS)) {
+    fields[baserowName] = typeof draft[key] === "string" ? draft[key].trim() : draft[key];
+  }
+  if (draft.relationshipType === "caregiver") {
+    for (const [key, baserowName] of Object.entries(CAREGIVER_FIELDS)) fields[baserowName] = draft[key];
+    fields.caregiver_community = !draft.isPrivate && draft.community ? [draft.community] : [];
+  }
+  return fields;
+}
+
+/** Maps webhook FieldErrors (Baserow names) back to form keys; unknown keys go to _form. */
+function toFormErrors(errors) {
+  const all = { ...CONTACT_FIELDS, ...CAREGIVER_FIELDS, community: "caregiver_community" };
+  const result = {};
+  for (const [name, message] of Object.entries(errors)) {
+    result[Object.keys(all).find((k) => all[k] === name) ?? "_form"] = message;
+  }
+  return result;
+}
+
+/**
+ * Writes a contact through the senior-relationship webhook: a create when id is
+ * "new", otherwise an update.
+ *
+ * @param {number|string} seniorId — SENIOR row ID the contact belongs to
+ * @param {object}        draft    — ContactForm's draft
+ * @returns {Promise<object|null>} null on success, or errors keyed by form field ("_form" = banner)
+ */
+async function saveContact(seniorId, draft) {
+  const fields = toContactFields(draft);
+  let result;
+  try {
+    result = draft.id === "new"
+      ? await createSeniorRelationship({ ...fields, senior: [seniorId] })
+      : await updateSeniorRelationship(draft.id, fields);
+  } catch (err) {
+    console.error("ContactsEditor: save failed:", err);
+    return { _form: `${describeError(err)} The contact was not saved.` };
+  }
+  return result.errors ? toFormErrors(result.errors) : null;
+}
+
+/**
+ * ContactsEditor — the contact list, with add / edit / remove for editors.
+ *
+ * State:
+ *   editingId    — "new" while adding, a contact's ID while editing it, else null
+ *   confirmingId — the contact whose removal is being confirmed
+ *   error        — banner message when a removal fails
+ *
+ * Props:
+ *   seniorId  {number|string} — The senior's row ID
+ *   contacts  {Array}         — Mapped contacts (useSeniorProfile().contacts)
+ *   community {string}        — The senior's community, the default for a facility caregiver
+ *   canEdit   {boolean}       — Show add / edit / remove (EDIT_RECORDS)
+ *   onChanged {function}      — Called after a successful write (reloads the profile)
+ */
+export default function ContactsEditor({ seniorId, contacts, community, canEdit, onChanged }) {
+  const [editingId,    setEditingId]    = useState(null);
+  const [confirmingId, setConfirmingId] = useState(null);
+  const [error,        setError]        = useState(null);
+
+  const hasCaregiver = contacts.some((c) => c.relationshipType === "caregiver");
+
+  function saved() {
+    setEditingId(null);
+    onChanged();
+  }
+
+  async function remove(contactId) {
+    try {
+      await removeSeniorRelationship(contactId);
+      setError(null);
+      setConfirmingId(null);
+      onChanged();
+    } catch (err) {
+      console.error("ContactsEditor: remove failed:", err);
+      setError(`${describeError(err)} The contact was not removed.`);
+    }
+  }
+
+  return (
+    <div className="senior-detail">
+      {!hasCaregiver && (
+        <p className="profile-flag">
+          <AlertTriangle size={13} /> No caregiver contact on file
+        </p>
+      )}
+      {error && <p className="form-error form-error--banner">{error}</p>}
+
+      {canEdit && (editingId === "new" ? (
+        <ContactForm
+          seniorId={seniorId}
+          contact={newContact(community)}
+          onSaved={saved}
+          onCancel={() => setEditingId(null)}
+        />
+      ) : (
+        <button className="group-card__add-btn" onClick={() => setEditingId("new")}>+ Add contact</button>
+      ))}
+
+      {contacts.length === 0 && <p className="detail-none">No caregivers or contacts on file.</p>}
+
+      {Object.entries(RELATIONSHIP_LABELS).map(([type, label]) => {
+        const group = contacts.filter((c) => c.relationshipType === type);
+        if (group.length === 0) return null;
+        return (
+          <div key={type} className="detail-section">
+            <span className="detail-label">{label}</span>
+            {group.map((c) => editingId === c.id ? (
+              <ContactForm
+                key={c.id}
+                seniorId={seniorId}
+                contact={toDraft(c, community)}
+                onSaved={saved}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <div key={c.id} className="profile-card">
+                <div className="profile-card__header">
+                  <span className="profile-contact__name">{c.firstName} {c.lastName}</span>
+                  {c.caregiver && (
+                    <span className="profile-contact__tags">
+                      {c.caregiver.isPrivate ? "Private" : "Facility"}
+                      {c.caregiver.isIndependent && " · Independent"}
+                      {c.caregiver.community && ` · ${c.caregiver.community}`}
+                    </span>
+                  )}
+                </div>
+                {c.phones.map((p) => (
+                  <a key={p.number} className="profile-phone" href={`tel:${p.number}`}>
+                    <Phone size={13} /> {p.number}{p.type === "secondary" && <span className="profile-phone__type">secondary</span>}
+                  </a>
+                ))}
+                {c.email && (
+                  <a className="profile-phone" href={`mailto:${c.email}`}><Mail size={13} /> {c.email}</a>
+                )}
+                {c.phones.length === 0 && !c.email && <span className="detail-none">No phone or email on file</span>}
+                {c.receivesMonthlyFeedback && (
+                  <span className="profile-contact__tags">Receives the monthly feedback email</span>
+                )}
+                {c.notes && <p className="detail-notes">{c.notes}</p>}
+
+                {canEdit && (confirmingId === c.id ? (
+                  <div className="profile-contact__confirm">
+                    <p className="group-card__confirm-msg">
+                      Remove <strong>{c.firstName} {c.lastName}</strong> from this senior's contacts?
+                    </p>
+                    <div className="form-actions">
+                      <button className="remove-confirm-btn" onClick={() => remove(c.id)}>Yes, Remove</button>
+                      <button className="edit-cancel-btn" onClick={() => setConfirmingId(null)}>Cancel</button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="detail-actions">
+                    <button className="detail-edit-trigger" onClick={() => setEditingId(c.id)}>
+                      <Pencil size={14} /> Edit
+                    </button>
+                    <button className="detail-edit-trigger" onClick={() => setConfirmingId(c.id)}>
+                      Remove
+                    </button>
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// ─── ContactForm — add or edit one contact ─────────────────────────────────
+
+/**
+ * Name, email, relationship type, notes and the monthly-email choice; for a
+ * caregiver also private vs facility staff, independent, and the facility.
+ */
+function ContactForm({ seniorId, contact, onSaved, onCancel }) {
+  const [draft,  setDraft]  = useState(contact);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  function setField(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function save() {
+    setSaving(true);
+    const saveErrors = await saveContact(seniorId, draft);
+    setSaving(false);
+    if (saveErrors) {
+      setErrors(saveErrors);
+      return;
+    }
+    onSaved();
+  }
+
+  return (
+    <div className="profile-contact-form">
+      {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+      <div className="form-row">
+        <label className="form-label">Relationship</label>
+        <select className="form-select" value={draft.relationshipType} onChange={(e) => setField("relationshipType", e.target.value)}>
+          {Object.entries(RELATIONSHIP_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        {errors.relationshipType && <span className="form-error">{errors.relationshipType}</span>}
+      </div>
+      <div className="form-row">
+        <label className="form-label">First Name</label>
+        <input className="form-input" value={draft.firstName} onChange={(e) => setField("firstName", e.target.value)} />
+        {errors.firstName && <span className="form-error">{errors.firstName}</span>}
+      </div>
+      <div className="form-row">
+        <label className="form-label">Last Name</label>
+        <input className="form-input" value={draft.lastName} onChange={(e) => setField("lastName", e.target.value)} />
+        {errors.lastName && <span className="form-error">{errors.lastName}</span>}
+      </div>
+      <div className="form-row">
+        <label className="form-label">Email</label>
+        <input type="email" className="form-input" value={draft.email} onChange={(e) => setField("email", e.target.value)} />
+        {errors.email && <span className="form-error">{errors.email}</span>}
+      </div>
+      <div className="form-row form-row--checkbox">
+        <label className="form-label">Monthly feedback email</label>
+        <input
+          type="checkbox"
+          checked={draft.receivesMonthlyFeedback}
+          onChange={(e) => setField("receivesMonthlyFeedback", e.target.checked)}
+        />
+      </div>
+
+      {draft.relationshipType === "caregiver" && (
+        <>
+          <div className="form-row">
+            <label className="form-label">Caregiver</label>
+            <select
+              className="form-select"
+              value={draft.isPrivate ? "private" : "facility"}
+              onChange={(e) => setField("isPrivate", e.target.value === "private")}
+            >
+              <option value="facility">Facility staff</option>
+              <option value="private">Private caregiver</option>
+            </select>
+          </div>
+          {!draft.isPrivate && (
+            <div className="form-row">
+              <label className="form-label">Facility</label>
+              <input className="form-input" value={draft.community} onChange={(e) => setField("community", e.target.value)} />
+              {errors.community && <span className="form-error">{errors.community}</span>}
+            </div>
+          )}
+          <div className="form-row form-row--checkbox">
+            <label className="form-label">Independent</label>
+            <input type="checkbox" checked={draft.isIndependent} onChange={(e) => setField("isIndependent", e.target.checked)} />
+          </div>
+        </>
+      )}
+
+      <div className="form-row form-row--full">
+        <label className="form-label">Notes</label>
+        <textarea
+          className="form-textarea"
+          rows={2}
+          placeholder="e.g. Daughter. Best reached after 5pm."
+          value={draft.notes}
+          onChange={(e) => setField("notes", e.target.value)}
+        />
+      </div>
+
+      <div className="form-actions">
+        <button className="edit-save-btn" onClick={save} disabled={saving}>
+          {saving ? "Saving…" : contact.id === "new" ? "Add Contact" : "Save Changes"}
+        </button>
+        <button className="edit-cancel-btn" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
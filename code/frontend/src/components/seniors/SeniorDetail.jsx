@@ -0,0 +1,324 @@
+/**
+ * SeniorDetail.jsx — A senior's own record: read-only view and edit form
+ *
+ * Used by the Seniors page's "+ New Senior" modal (edit mode only) and the
+ * Overview tab of the senior profile (pages/SeniorProfile.jsx).
+ *
+ * Saves go through the N8N senior webhook (baserowMutations.js) via saveSenior();
+ * PERSON fields (names, status, timezone) travel in the same payload as SENIOR fields.
+ *
+ * Availability is free text per day (e.g. "10:00-12:00" or "9am-11am, 2-4pm");
+ * rotationEngine.parseWindows reads it and unreadable days are flagged.
+ */
+import { useState } from "react";
+import { Pencil, MessageSquarePlus } from "lucide-react";
+import Badge from "../ui/Badge";
+import ProposeChangeForm from "../changes/ProposeChangeForm";
+import { createSenior, updateSenior } from "../../services/baserowMutations";
+import { describeError } from "../../services/apiErrors";
+import { parseWindows } from "../../services/rotationEngine";
+
+/** Lowercase day names used for availability field keys (e.g. "mondayAvailability") */
+const DAYS = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
+
+/**
+ * Blank template for creating a new senior.
+ * id: "new" is the sentinel value that distinguishes a create from an edit.
+ */
+export const NEW_SENIOR = {
+  id: "new",
+  firstName: "", lastName: "", status: "active", ageRange: "70-79",
+  community: "", timezone: "America/New_York", veteran: false,
+  onboardingDate: "", notes: "",
+  mondayAvailability: "", tuesdayAvailability: "", wednesdayAvailability: "",
+  thursdayAvailability: "", fridayAvailability: "", saturdayAvailability: "",
+  sundayAvailability: "",
+};
+
+/**
+ * Form field → Baserow field name, used to build the webhook payload and to map
+ * validation errors returned by the webhook back onto the form inputs.
+ */
+const SENIOR_FIELDS = {
+  firstName:      "first_name",
+  lastName:       "last_name",
+  status:         "status",
+  timezone:       "timezone",
+  ageRange:       "age_range",
+  veteran:        "veteran_status",
+  onboardingDate: "onboarding_date",
+  notes:          "notes",
+  ...Object.fromEntries(DAYS.map((d) => [`${d}Availability`, `${d}_availability`])),
+};
+
+/**
+ * Converts the form draft into Baserow field values for the senior webhook.
+ * Community is a link field; Baserow accepts the community's primary-field name.
+ */
+function toSeniorFields(draft) {
+  const fields = {};
+  for (const [key, baserowName] of Object.entries(SENIOR_FIELDS)) {
+    fields[baserowName] = draft[key] === "" ? null : draft[key];
+  }
+  // first/last name are required — send "" rather than null so validation flags them
+  fields.first_name = draft.firstName;
+  fields.last_name  = draft.lastName;
+  fields.senior_community = draft.community ? [draft.community] : [];
+  return fields;
+}
+
+/** Maps webhook FieldErrors (Baserow names) back to form keys; unknown keys go to _form. */
+function toFormErrors(errors) {
+  const result = {};
+  for (const [name, message] of Object.entries(errors)) {
+    const key = name === "senior_community"
+      ? "community"
+      : Object.keys(SENIOR_FIELDS).find((k) => SENIOR_FIELDS[k] === name) ?? "_form";
+    result[key] = message;
+  }
+  return result;
+}
+
+/**
+ * Writes a senior through the senior webhook: a create when id is "new",
+ * otherwise an update.
+ *
+ * @param {object} senior — The edited senior (SeniorDetail's draft)
+ * @returns {Promise<{ record: object|null, errors: object|null }>} The saved senior
+ *          (with its new row ID after a create), or errors keyed by form field
+ *          ("_form" = banner)
+ */
+export async function saveSenior(senior) {
+  const fields = toSeniorFields(senior);
+  let result;
+  try {
+    result = senior.id === "new"
+      ? await createSenior(fields)
+      : await updateSenior(senior.id, fields);
+  } catch (err) {
+    console.error("SeniorDetail: save failed:", err);
+    return { record: null, errors: { _form: `${describeError(err)} Your changes were not saved.` } };
+  }
+  if (result.errors) return { record: null, errors: toFormErrors(result.errors) };
+  return { record: senior.id === "new" ? { ...senior, id: result.row.id } : senior, errors: null };
+}
+
+/**
+ * SeniorDetail — renders either a read-only profile or an edit form.
+ *
+ * State:
+ *   editing — true when in edit mode. Auto-true for new seniors (id="new").
+ *   draft   — working copy of the senior's data while editing.
+ *              Discarded on cancel (reverts to the `senior` prop).
+ *   errors  — inline validation messages keyed by form field ("_form" = banner)
+ *   saving  — true while the webhook request is in flight (disables Save)
+ *
+ * Props:
+ *   senior     {object}   — The senior record to display/edit
+ *   canEdit    {boolean}  — Show the Edit button (EDIT_RECORDS)
+ *   canPropose {boolean}  — Without canEdit: show "Propose Change" (PROPOSE_CHANGES)
+ *   onSave     {function} — Async; called with the updated senior object on save.
+ *                           Resolves to null on success or an errors map on failure.
+ *   onCancel   {function} — Called when user cancels a "new" creation
+ */
+export default function SeniorDetail({ senior, canEdit, canPropose, onSave, onCancel }) {
+  const [editing,   setEditing]   = useState(senior.id === "new");
+  const [proposing, setProposing] = useState(false);
+  const [draft,   setDraft]   = useState(senior);
+  const [errors,  setErrors]  = useState({});
+  const [saving,  setSaving]  = useState(false);
+
+  /** Update a single field in the draft without touching the rest. */
+  function setField(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function save() {
+    setSaving(true);
+    const saveErrors = await onSave(draft);
+    setSaving(false);
+    if (saveErrors) {
+      setErrors(saveErrors); // stay in edit mode so the user can fix the flagged fields
+      return;
+    }
+    setErrors({});
+    setEditing(false);
+  }
+
+  function cancel() {
+    setErrors({});
+    if (senior.id === "new") {
+      onCancel(); // close modal entirely for new records
+    } else {
+      setDraft(senior); // revert draft to saved state
+      setEditing(false);
+    }
+  }
+
+  // ─── Edit form ────────────────────────────────────────────────────────
+  if (editing) {
+    return (
+      <div className="detail-edit-form">
+        {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+        <div className="form-row">
+          <label className="form-label">First Name</label>
+          <input className="form-input" value={draft.firstName} onChange={(e) => setField("firstName", e.target.value)} />
+          {errors.firstName && <span className="form-error">{errors.firstName}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Last Name</label>
+          <input className="form-input" value={draft.lastName} onChange={(e) => setField("lastName", e.target.value)} />
+          {errors.lastName && <span className="form-error">{errors.lastName}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Status</label>
+          <select className="form-select" value={draft.status} onChange={(e) => setField("status", e.target.value)}>
+            <option value="active">Active</option>
+            <option value="paused">Paused</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+        <div className="form-row">
+          <label className="form-label">Age Range</label>
+          <select className="form-select" value={draft.ageRange} onChange={(e) => setField("ageRange", e.target.value)}>
+            <option value="60-69">60–69</option>
+            <option value="70-79">70–79</option>
+            <option value="80-89">80–89</option>
+            <option value="90+">90+</option>
+          </select>
+        </div>
+        <div className="form-row">
+          <label className="form-label">Community</label>
+          <input className="form-input" value={draft.community} onChange={(e) => setField("community", e.target.value)} />
+          {errors.community && <span className="form-error">{errors.community}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Timezone</label>
+          <select className="form-select" value={draft.timezone} onChange={(e) => setField("timezone", e.target.value)}>
+            <option value="America/New_York">Eastern</option>
+            <option value="America/Chicago">Central</option>
+            <option value="America/Denver">Mountain</option>
+            <option value="America/Los_Angeles">Pacific</option>
+          </select>
+        </div>
+        <div className="form-row form-row--checkbox">
+          <label className="form-label">Veteran</label>
+          <input type="checkbox" checked={draft.veteran} onChange={(e) => setField("veteran", e.target.checked)} />
+        </div>
+
+        {/* Availability inputs — one per day, blank = unavailable */}
+        <p className="form-section-label">Availability (leave blank if unavailable)</p>
+        {DAYS.map((day) => (
+          <div key={day} className="form-row form-row--avail">
+            <label className="form-label form-label--day">{day.charAt(0).toUpperCase() + day.slice(1)}</label>
+            <input
+              className="form-input"
+              placeholder="e.g. 10:00-12:00 or 2-4pm"
+              value={draft[`${day}Availability`] || ""}
+              onChange={(e) => setField(`${day}Availability`, e.target.value)}
+            />
+            {errors[`${day}Availability`] && (
+              <span className="form-error">{errors[`${day}Availability`]}</span>
+            )}
+          </div>
+        ))}
+
+        <div className="form-row form-row--full">
+          <label className="form-label">Notes</label>
+          <textarea
+            className="form-textarea"
+            rows={3}
+            value={draft.notes || ""}
+            onChange={(e) => setField("notes", e.target.value)}
+          />
+        </div>
+
+        <div className="form-actions">
+          <button className="edit-save-btn" onClick={save} disabled={saving}>
+            {saving ? "Saving…" : senior.id === "new" ? "Add Senior" : "Save Changes"}
+          </button>
+          <button className="edit-cancel-btn" onClick={cancel}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // ─── Propose-a-change form (no direct edit rights) ────────────────────
+  if (proposing) {
+    return (
+      <ProposeChangeForm
+        subject={`Senior: ${senior.firstName} ${senior.lastName} (#${senior.id})`}
+        onDone={() => setProposing(false)}
+        onCancel={() => setProposing(false)}
+      />
+    );
+  }
+
+  // ─── Read-only view ───────────────────────────────────────────────────
+  return (
+    <div className="senior-detail">
+      <div className="detail-actions">
+        {canEdit ? (
+          <button className="detail-edit-trigger" onClick={() => setEditing(true)}>
+            <Pencil size={14} /> Edit
+          </button>
+        ) : canPropose && (
+          <button className="detail-edit-trigger" onClick={() => setProposing(true)}>
+            <MessageSquarePlus size={14} /> Propose Change
+          </button>
+        )}
+      </div>
+
+      <div className="detail-row">
+        <span className="detail-label">Status</span>
+        <Badge label={senior.status} variant={senior.status} />
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Age Range</span>
+        <span>{senior.ageRange}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Community</span>
+        <span>{senior.community}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Timezone</span>
+        <span>{senior.timezone}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Veteran</span>
+        <span>{senior.veteran ? "Yes" : "No"}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Onboarded</span>
+        <span>{senior.onboardingDate}</span>
+      </div>
+
+      {/* Availability — only shows days that have a value set */}
+      <div className="detail-section">
+        <span className="detail-label">Availability</span>
+        <div className="detail-availability">
+          {DAYS.map((day) => {
+            const val = senior[`${day}Availability`];
+            return val ? (
+              <div key={day} className="detail-avail-row">
+                <span className="detail-avail-day">{day.charAt(0).toUpperCase() + day.slice(1)}</span>
+                <span>
+                  {val}
+                  {!parseWindows(val) && <span className="detail-avail-flag" title="Rotation planning can't read this; use ranges like 10:00-12:00 or 2-4pm, or morning / afternoon / evening">unreadable</span>}
+                </span>
+              </div>
+            ) : null;
+          })}
+        </div>
+      </div>
+
+      {senior.notes && (
+        <div className="detail-section">
+          <span className="detail-label">Notes</span>
+          <p className="detail-notes">{senior.notes}</p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -7,28 +7,156 @@
  *
  * CSS media queries in DataTable.css control which layout is visible.
  *
+ * Sorting, filtering and pagination are all *controlled*: DataTable only renders
+ * the current state and reports user actions. The page (usually via the
+ * useServerTable hook) turns that state into Baserow page/size/order_by/filters
+ * params and passes back the rows for the current page. Without these props the
+ * table behaves exactly as before — it renders every row it is given.
+ *
  * Props:
  *   columns   {Array}    — Column definitions. Each item has:
- *                            key    {string}   — field name from row object
- *                            label  {string}   — column header text
- *                            render {function} — optional: (row) => ReactNode for custom cell rendering
+ *                            key      {string}   — field name from row object
+ *                            label    {string}   — column header text
+ *                            render   {function} — optional: (row) => ReactNode for custom cell rendering
+ *                            sortable {boolean}  — optional: header is clickable (needs onSortChange)
+ *                            filter   {object}   — optional: { type: "text"|"select"|"date",
+ *                                                  options: [{ value, label }] (select only),
+ *                                                  placeholder } (needs onFilterChange)
  *   rows      {Array}    — Data rows. Each row must have a unique `id` field (used as React key).
  *   onRowClick {function} — Optional callback fired with the row object when a row is clicked.
  *                           When provided, rows get a pointer cursor (data-table__row--clickable).
+ *   sort           {object}   — Optional: { key, direction: "asc"|"desc" } or null
+ *   onSortChange   {function} — Optional: (nextSort) => void. Clicking a sortable header
+ *                               cycles ascending → descending → unsorted.
+ *   filters        {object}   — Optional: { [columnKey]: value } ("" = no filter)
+ *   onFilterChange {function} — Optional: (columnKey, value) => void
+ *   pagination     {object}   — Optional: { page (1-based), pageSize, total }
+ *   onPageChange   {function} — Optional: (page) => void — desktop Prev/Next buttons
+ *   onLoadMore     {function} — Optional: () => void — mobile "Load more" button; the page
+ *                               appends the next page to `rows`
+ *   loading        {boolean}  — Optional: disables paging controls while a page is loading
  */
+import { ChevronUp, ChevronDown, ChevronsUpDown } from "lucide-react";
 import "./DataTable.css";
 
-export default function DataTable({ columns, rows, onRowClick }) {
+/** Next sort state when a header is clicked: asc → desc → none */
+function nextSort(sort, key) {
+  if (!sort || sort.key !== key) return { key, direction: "asc" };
+  if (sort.direction === "asc")  return { key, direction: "desc" };
+  return null;
+}
+
+/**
+ * ColumnFilter — the input for one column's filter (text, select or date).
+ * Rendered in the desktop filter row and in the mobile filter bar.
+ */
+function ColumnFilter({ column, value, onChange }) {
+  const { type = "text", options = [], placeholder } = column.filter;
+  const label = `Filter by ${column.label}`;
+
+  if (type === "select") {
+    return (
+      <select
+        className="data-table-filter"
+        value={value ?? ""}
+        onChange={(e) => onChange(e.target.value)}
+        aria-label={label}
+      >
+        <option value="">{placeholder ?? `All`}</option>
+        {options.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+    );
+  }
+
+  return (
+    <input
+      className="data-table-filter"
+      type={type === "date" ? "date" : "search"}
+      value={value ?? ""}
+      placeholder={placeholder ?? "Filter…"}
+      onChange={(e) => onChange(e.target.value)}
+      aria-label={label}
+    />
+  );
+}
+
+export default function DataTable({
+  columns,
+  rows,
+  onRowClick,
+  sort,
+  onSortChange,
+  filters = {},
+  onFilterChange,
+  pagination,
+  onPageChange,
+  onLoadMore,
+  loading = false,
+}) {
+  const filterColumns = onFilterChange ? columns.filter((c) => c.filter) : [];
+  const totalPages    = pagination ? Math.max(1, Math.ceil(pagination.total / pagination.pageSize)) : 1;
+  const hasMore       = pagination ? rows.length < pagination.total : false;
+
   return (
     <div className="data-table-wrapper">
+      {/* Mobile: column filters stacked above the cards (the desktop header row is hidden) */}
+      {filterColumns.length > 0 && (
+        <div className="data-table-filter-bar">
+          {filterColumns.map((col) => (
+            <ColumnFilter
+              key={col.key}
+              column={col}
+              value={filters[col.key]}
+              onChange={(v) => onFilterChange(col.key, v)}
+            />
+          ))}
+        </div>
+      )}
+
       {/* Desktop: standard HTML table */}
       <table className="data-table">
         <thead>
           <tr>
-            {columns.map((col) => (
-              <th key={col.key}>{col.label}</th>
-            ))}
+            {columns.map((col) => {
+              const canSort = col.sortable && onSortChange;
+              const active  = sort?.key === col.key;
+              const SortIcon = !active ? ChevronsUpDown : sort.direction === "asc" ? ChevronUp : ChevronDown;
+              return (
+                <th
+                  key={col.key}
+                  aria-sort={active ? (sort.direction === "asc" ? "ascending" : "descending") : undefined}
+                >
+                  {canSort ? (
+                    <button
+                      className={`data-table__sort${active ? " data-table__sort--active" : ""}`}
+                      onClick={() => onSortChange(nextSort(sort, col.key))}
+                    >
+                      {col.label}
+                      <SortIcon size={12} />
+                    </button>
+                  ) : col.label}
+                </th>
+              );
+            })}
           </tr>
+          {/* Per-column filter inputs, aligned under their headers */}
+          {filterColumns.length > 0 && (
+            <tr className="data-table__filter-row">
+              {columns.map((col) => (
+                <th key={col.key}>
+                  {col.filter && (
+                    <ColumnFilter
+                      column={col}
+                      value={filters[col.key]}
+                      onChange={(v) => onFilterChange(col.key, v)}
+                    />
+                  )}
+                </th>
+              ))}
+            </tr>
+          )}
         </thead>
         <tbody>
           {rows.map((row) => (
@@ -67,9 +195,43 @@ export default function DataTable({ columns, rows, onRowClick }) {
       </div>
 
       {/* Empty state — shown when the filtered result set is empty */}
-      {rows.length === 0 && (
+      {rows.length === 0 && !loading && (
         <p className="data-table-empty">No records found.</p>
       )}
+
+      {/* Desktop pagination: Prev / "Page X of Y" / Next */}
+      {pagination && onPageChange && pagination.total > 0 && (
+        <div className="data-table-pager">
+          <span className="data-table-pager__summary">
+            {Math.min(pagination.total, (pagination.page - 1) * pagination.pageSize + 1)}–
+            {Math.min(pagination.total, pagination.page * pagination.pageSize)} of {pagination.total}
+          </span>
+          <div className="data-table-pager__controls">
+            <button
+              className="data-table-pager__btn"
+              onClick={() => onPageChange(pagination.page - 1)}
+              disabled={loading || pagination.page <= 1}
+            >
+              ‹ Prev
+            </button>
+            <span className="data-table-pager__page">Page {pagination.page} of {totalPages}</span>
+            <button
+              className="data-table-pager__btn"
+              onClick={() => onPageChange(pagination.page + 1)}
+              disabled={loading || pagination.page >= totalPages}
+            >
+              Next ›
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Mobile: "Load more" appends the next page instead of paging */}
+      {pagination && onLoadMore && hasMore && (
+        <button className="data-table-load-more" onClick={onLoadMore} disabled={loading}>
+          {loading ? "Loading…" : `Load more (${pagination.total - rows.length} remaining)`}
+        </button>
+      )}
     </div>
   );
 }
@@ -0,0 +1,39 @@
+/**
+ * QueryStatus.jsx — Loading line / error banner for pages backed by data hooks
+ *
+ * Renders nothing once data has loaded. While loading it shows a muted
+ * "Loading…" line (same look as the Dashboard's Recent Activity placeholder).
+ * On error it shows a banner whose text depends on the error type from
+ * apiErrors.js (auth, not found, rate limit, network/timeout, server) with a
+ * Retry button wired to the hook's reload(). Auth errors get no Retry button —
+ * retrying with the same token can't succeed.
+ *
+ * Props:
+ *   loading {boolean}    — true while any of the page's queries is in flight
+ *   error   {Error|null} — The first query error, if any
+ *   onRetry {fn}         — Called when Retry is clicked (usually a hook's reload)
+ *   label   {string}     — What is loading, e.g. "seniors" (default "data")
+ */
+import { AuthError, describeError } from "../../services/apiErrors";
+import "./QueryStatus.css";
+
+export default function QueryStatus({ loading, error, onRetry, label = "data" }) {
+  if (error) {
+    return (
+      <div className="query-status query-status--error" role="alert">
+        <span>
+          <strong>Could not load {label}.</strong> {describeError(error)}
+        </span>
+        {onRetry && !(error instanceof AuthError) && (
+          <button className="query-status__retry" onClick={onRetry} disabled={loading}>
+            {loading ? "Retrying…" : "Retry"}
+          </button>
+        )}
+      </div>
+    );
+  }
+  if (loading) {
+    return <p className="query-status">Loading {label}…</p>;
+  }
+  return null;
+}
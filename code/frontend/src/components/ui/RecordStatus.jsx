@@ -0,0 +1,36 @@
+/**
+ * RecordStatus.jsx — What a detail route shows until its record is ready
+ *
+ * Detail routes (/seniors/:id, /volunteers/:id, /meetings/:instanceId,
+ * /feedback/:formId) load their record on their own, so the link works on a
+ * fresh page load. Rendered in place of the detail view while that record isn't
+ * available:
+ *   loading     — "Loading senior…" (QueryStatus)
+ *   not found   — the row doesn't exist (NotFoundError, or the load came back
+ *                 empty): a message and a link back to the list
+ *   other error — QueryStatus's banner with Retry
+ *
+ * Props:
+ *   query  {object} — The record hook's { loading, error, reload }
+ *   label  {string} — What the record is, e.g. "senior"
+ *   backTo {string} — The list page, e.g. "/seniors"
+ */
+import { Link } from "react-router-dom";
+import QueryStatus from "./QueryStatus";
+import { NotFoundError } from "../../services/apiErrors";
+import "./RecordStatus.css";
+
+export default function RecordStatus({ query, label, backTo }) {
+  if (query.loading || (query.error && !(query.error instanceof NotFoundError))) {
+    return <QueryStatus loading={query.loading} error={query.error} onRetry={query.reload} label={label} />;
+  }
+  return (
+    <div className="record-status" role="alert">
+      <p className="record-status__title">This {label} could not be found.</p>
+      <p className="record-status__text">
+        It may have been removed, or the link may be wrong.
+      </p>
+      <Link className="record-status__back" to={backTo}>Back to the list</Link>
+    </div>
+  );
+}
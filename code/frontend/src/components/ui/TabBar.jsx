@@ -0,0 +1,32 @@
+/**
+ * TabBar.jsx — Row of pill tabs for switching between a page's sections
+ *
+ * Controlled: the page holds the active tab (often in the URL, ?tab=) and
+ * renders the matching panel itself. Scrolls sideways on narrow screens.
+ *
+ * Props:
+ *   tabs     {Array}    — [{ value, label, count? }]; count is shown after the label
+ *   active   {string}   — value of the selected tab
+ *   onChange {function} — (value) => void
+ *   label    {string}   — Accessible name of the tab list, e.g. "Senior profile sections"
+ */
+import "./TabBar.css";
+
+export default function TabBar({ tabs, active, onChange, label }) {
+  return (
+    <div className="tab-bar" role="tablist" aria-label={label}>
+      {tabs.map((tab) => (
+        <button
+          key={tab.value}
+          role="tab"
+          aria-selected={active === tab.value}
+          className={`tab-bar__tab${active === tab.value ? " tab-bar__tab--active" : ""}`}
+          onClick={() => onChange(tab.value)}
+        >
+          {tab.label}
+          {tab.count != null && <span className="tab-bar__count">{tab.count}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
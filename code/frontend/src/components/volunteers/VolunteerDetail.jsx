@@ -0,0 +1,700 @@
+/**
+ * VolunteerDetail.jsx — A volunteer's own record: read-only view, edit form and onboarding preview
+ *
+ * Used by the Volunteers page's "+ New Volunteer" modal (edit mode only) and the
+ * Overview tab of the volunteer profile (pages/VolunteerProfile.jsx).
+ *
+ * Sub-views, switched by local state:
+ *   read-only view     — record, training dates, weekly availability, blackout dates
+ *                        and assigned senior(s), with Edit and Onboard buttons
+ *   edit form          — create or update the volunteer
+ *   OnboardingPreview  — email preview the coordinator can send to the volunteer
+ *
+ * Availability:
+ *   Weekly windows ("15:00-18:00" or "3-6pm" per day, like seniors; nothing listed = any time)
+ *   and blackout dates (VOLUNTEER_BLACKOUT: exams, school breaks) feed the rotation
+ *   planner and substitute suggestions (services/rotationEngine.js). The view
+ *   warns when a scheduled visit falls inside a blackout.
+ *
+ * Saves go through the N8N volunteer webhook (baserowMutations.js) via saveVolunteer();
+ * PERSON fields (names, email, timezone) travel in the same payload as VOLUNTEER fields.
+ * Blackouts are written through createVolunteerBlackout/removeVolunteerBlackout.
+ */
+import { useState } from "react";
+import { Pencil, Mail, CheckCircle, CalendarDays, MessageSquarePlus, AlertTriangle, X } from "lucide-react";
+import Badge from "../ui/Badge";
+import ProposeChangeForm from "../changes/ProposeChangeForm";
+import {
+  createVolunteer,
+  updateVolunteer,
+  createVolunteerBlackout,
+  removeVolunteerBlackout,
+} from "../../services/baserowMutations";
+import { describeError } from "../../services/apiErrors";
+import { visitDateOf, parseWindows } from "../../services/rotationEngine";
+import { useVolunteerBlackouts, useRotations } from "../../hooks/useCrmData";
+
+/** Full day names indexed by dayOfWeek (0=Sun, 1=Mon, …, 6=Sat) — used in onboarding schedule */
+const DAY_NAMES = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+/** Lowercase day names used for availability field keys (e.g. "mondayAvailability") */
+const DAYS = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
+
+/**
+ * Blank template for creating a new volunteer.
+ * gradYear defaults to next calendar year (typical for student volunteers).
+ */
+export const NEW_VOLUNTEER = {
+  id: "new",
+  firstName: "", lastName: "", status: "active",
+  email: "", timezone: "America/New_York", school: "", schoolCity: "", schoolState: "",
+  gradYear: new Date().getFullYear() + 1,
+  onboardingDate: "", lastTrainingDate: "",
+  ...Object.fromEntries(DAYS.map((d) => [`${d}Availability`, ""])),
+};
+
+/**
+ * Form field → Baserow field name for the volunteer webhook payload.
+ * PERSON fields (names, email, timezone) travel in the same payload as VOLUNTEER fields.
+ */
+const VOLUNTEER_FIELDS = {
+  firstName:        "first_name",
+  lastName:         "last_name",
+  email:            "email",
+  timezone:         "timezone",
+  status:           "status",
+  school:           "school",
+  schoolCity:       "school_city",
+  schoolState:      "school_state",
+  gradYear:         "graduation_year",
+  onboardingDate:   "onboarding_date",
+  lastTrainingDate: "last_training_date",
+  ...Object.fromEntries(DAYS.map((d) => [`${d}Availability`, `${d}_availability`])),
+};
+
+/** Converts the form draft into Baserow field values; blank optional fields become null. */
+function toVolunteerFields(draft) {
+  const fields = {};
+  for (const [key, baserowName] of Object.entries(VOLUNTEER_FIELDS)) {
+    fields[baserowName] = draft[key] === "" ? null : draft[key];
+  }
+  fields.first_name = draft.firstName;
+  fields.last_name  = draft.lastName;
+  fields.email      = draft.email;
+  return fields;
+}
+
+/** Maps webhook FieldErrors (Baserow names) back to form keys; unknown keys go to _form. */
+function toFormErrors(errors) {
+  const result = {};
+  for (const [name, message] of Object.entries(errors)) {
+    const key = Object.keys(VOLUNTEER_FIELDS).find((k) => VOLUNTEER_FIELDS[k] === name) ?? "_form";
+    result[key] = message;
+  }
+  return result;
+}
+
+/**
+ * Writes a volunteer through the volunteer webhook: a create when id is "new",
+ * otherwise an update.
+ *
+ * @param {object} volunteer — The edited volunteer (VolunteerDetail's draft)
+ * @returns {Promise<{ record: object|null, errors: object|null }>} The saved volunteer
+ *          (with its new row ID after a create), or errors keyed by form field
+ *          ("_form" = banner)
+ */
+export async function saveVolunteer(volunteer) {
+  const fields = toVolunteerFields(volunteer);
+  let result;
+  try {
+    result = volunteer.id === "new"
+      ? await createVolunteer(fields)
+      : await updateVolunteer(volunteer.id, fields);
+  } catch (err) {
+    console.error("VolunteerDetail: save failed:", err);
+    return { record: null, errors: { _form: `${describeError(err)} Your changes were not saved.` } };
+  }
+  if (result.errors) return { record: null, errors: toFormErrors(result.errors) };
+  return { record: volunteer.id === "new" ? { ...volunteer, id: result.row.id } : volunteer, errors: null };
+}
+
+/**
+ * Returns all visit teams where this volunteer is a member (has their ID in volunteerIds[]).
+ * A volunteer can theoretically be on multiple teams.
+ */
+function volunteerGroupMembership(volunteerId, groupsList) {
+  return groupsList.filter((t) => t.volunteerIds.includes(volunteerId));
+}
+
+/**
+ * VolunteerDetail — manages three sub-views via local state:
+ *   showOnboarding=true  → OnboardingPreview
+ *   editing=true         → Edit form
+ *   proposal (not null)  → ProposeChangeForm (staff without edit rights)
+ *   (default)            → Read-only profile
+ *
+ * Props:
+ *   volunteer  {object}   — Volunteer record to display
+ *   allGroups  {array}    — Full visitTeams list (not needed by the create form)
+ *   allSeniors {array}    — Full seniors list (to resolve senior names)
+ *   canEdit    {boolean}  — Show Edit and Onboard (EDIT_RECORDS)
+ *   canPropose {boolean}  — Without canEdit: show "Propose Change" (PROPOSE_CHANGES)
+ *   canProposeTeamChange {boolean} — Show "Propose leaving" on each team membership
+ *   onSave     {function} — Async; called with updated volunteer object.
+ *                           Resolves to null on success or an errors map to show inline.
+ *   onCancel   {function} — Called when user cancels a "new" creation
+ */
+export default function VolunteerDetail({
+  volunteer, allGroups = [], allSeniors = [], canEdit, canPropose, canProposeTeamChange, onSave, onCancel,
+}) {
+  const [editing,        setEditing]        = useState(volunteer.id === "new");
+  const [proposal,       setProposal]       = useState(null); // ProposeChangeForm props
+  const [draft,          setDraft]          = useState(volunteer);
+  const [showOnboarding, setShowOnboarding] = useState(false);
+  const [errors,         setErrors]         = useState({});
+  const [saving,         setSaving]         = useState(false);
+
+  function setField(field, value) {
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  }
+
+  async function save() {
+    setSaving(true);
+    const saveErrors = await onSave(draft);
+    setSaving(false);
+    if (saveErrors) {
+      setErrors(saveErrors); // keep the form open with the flagged fields
+      return;
+    }
+    setErrors({});
+    setEditing(false);
+  }
+
+  function cancel() {
+    setErrors({});
+    if (volunteer.id === "new") {
+      onCancel();
+    } else {
+      setDraft(volunteer); // revert unsaved changes
+      setEditing(false);
+    }
+  }
+
+  // Find all visit teams this volunteer belongs to
+  const memberGroups = volunteerGroupMembership(volunteer.id, allGroups);
+  const volunteerName = `${volunteer.firstName} ${volunteer.lastName}`;
+
+  function proposeDetailsChange() {
+    setProposal({ subject: `Volunteer: ${volunteerName} (#${volunteer.id})` });
+  }
+
+  /** Opens a team_change proposal for one membership (TEAM_MEMBER row from team.memberIds) */
+  function proposeLeaving(team, senior) {
+    const seniorName = `${senior.firstName} ${senior.lastName}`;
+    setProposal({
+      subject:     `Team: ${volunteerName} on ${seniorName}'s team`,
+      changeTypes: ["team_change"],
+      links:       { teamMember: { id: team.memberIds?.[volunteer.id], label: `${volunteerName} — ${seniorName}` } },
+    });
+  }
+
+  // ─── Onboarding preview takes priority ───────────────────────────────
+  if (showOnboarding) {
+    return (
+      <OnboardingPreview
+        volunteer={volunteer}
+        assignedTeams={memberGroups}
+        seniors={allSeniors}
+        onBack={() => setShowOnboarding(false)}
+      />
+    );
+  }
+
+  // ─── Edit form ────────────────────────────────────────────────────────
+  if (editing) {
+    return (
+      <div className="detail-edit-form">
+        {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+        <div className="form-row">
+          <label className="form-label">First Name</label>
+          <input className="form-input" value={draft.firstName} onChange={(e) => setField("firstName", e.target.value)} />
+          {errors.firstName && <span className="form-error">{errors.firstName}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Last Name</label>
+          <input className="form-input" value={draft.lastName} onChange={(e) => setField("lastName", e.target.value)} />
+          {errors.lastName && <span className="form-error">{errors.lastName}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Status</label>
+          <select className="form-select" value={draft.status} onChange={(e) => setField("status", e.target.value)}>
+            <option value="active">Active</option>
+            <option value="inactive">Inactive</option>
+          </select>
+        </div>
+        <div className="form-row">
+          <label className="form-label">Email</label>
+          <input className="form-input" type="email" value={draft.email} onChange={(e) => setField("email", e.target.value)} />
+          {errors.email && <span className="form-error">{errors.email}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Timezone</label>
+          <select className="form-select" value={draft.timezone} onChange={(e) => setField("timezone", e.target.value)}>
+            <option value="America/New_York">Eastern</option>
+            <option value="America/Chicago">Central</option>
+            <option value="America/Denver">Mountain</option>
+            <option value="America/Los_Angeles">Pacific</option>
+          </select>
+        </div>
+        <div className="form-row">
+          <label className="form-label">School</label>
+          <input className="form-input" value={draft.school} onChange={(e) => setField("school", e.target.value)} />
+        </div>
+        <div className="form-row">
+          <label className="form-label">City</label>
+          <input className="form-input" value={draft.schoolCity} onChange={(e) => setField("schoolCity", e.target.value)} />
+        </div>
+        <div className="form-row">
+          <label className="form-label">State</label>
+          <input className="form-input" value={draft.schoolState} onChange={(e) => setField("schoolState", e.target.value)} maxLength={2} />
+        </div>
+        <div className="form-row">
+          <label className="form-label">Grad Year</label>
+          <input className="form-input" type="number" value={draft.gradYear} onChange={(e) => setField("gradYear", Number(e.target.value))} />
+          {errors.gradYear && <span className="form-error">{errors.gradYear}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Onboarded</label>
+          <input className="form-input" type="date" value={draft.onboardingDate || ""} onChange={(e) => setField("onboardingDate", e.target.value)} />
+          {errors.onboardingDate && <span className="form-error">{errors.onboardingDate}</span>}
+        </div>
+        <div className="form-row">
+          <label className="form-label">Last Training</label>
+          <input className="form-input" type="date" value={draft.lastTrainingDate || ""} onChange={(e) => setField("lastTrainingDate", e.target.value)} />
+          {errors.lastTrainingDate && <span className="form-error">{errors.lastTrainingDate}</span>}
+        </div>
+
+        {/* Weekly availability — one per day; leave every day blank for "any time" */}
+        <p className="form-section-label">Weekly availability (leave all blank if any time works)</p>
+        {DAYS.map((day) => (
+          <div key={day} className="form-row form-row--avail">
+            <label className="form-label form-label--day">{day.charAt(0).toUpperCase() + day.slice(1)}</label>
+            <input
+              className="form-input"
+              placeholder="e.g. 15:00-18:00 or 3-6pm"
+              value={draft[`${day}Availability`] || ""}
+              onChange={(e) => setField(`${day}Availability`, e.target.value)}
+            />
+            {errors[`${day}Availability`] && (
+              <span className="form-error">{errors[`${day}Availability`]}</span>
+            )}
+          </div>
+        ))}
+
+        <div className="form-actions">
+          <button className="edit-save-btn" onClick={save} disabled={saving}>
+            {saving ? "Saving…" : volunteer.id === "new" ? "Add Volunteer" : "Save Changes"}
+          </button>
+          <button className="edit-cancel-btn" onClick={cancel}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // ─── Propose-a-change form (no direct edit rights) ────────────────────
+  if (proposal) {
+    return (
+      <ProposeChangeForm
+        {...proposal}
+        onDone={() => setProposal(null)}
+        onCancel={() => setProposal(null)}
+      />
+    );
+  }
+
+  // ─── Read-only profile view ───────────────────────────────────────────
+  return (
+    <div className="volunteer-detail">
+      <div className="detail-actions">
+        {canEdit ? (
+          <>
+            <button className="detail-edit-trigger" onClick={() => setEditing(true)}>
+              <Pencil size={14} /> Edit
+            </button>
+            {/* Onboard button opens the email preview sub-view */}
+            <button className="detail-onboard-btn" onClick={() => setShowOnboarding(true)}>
+              <Mail size={14} /> Onboard
+            </button>
+          </>
+        ) : canPropose && (
+          <button className="detail-edit-trigger" onClick={proposeDetailsChange}>
+            <MessageSquarePlus size={14} /> Propose Change
+          </button>
+        )}
+      </div>
+
+      <div className="detail-row">
+        <span className="detail-label">Status</span>
+        <Badge label={volunteer.status} variant={volunteer.status} />
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">School</span>
+        <span>{volunteer.school}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Location</span>
+        <span>{volunteer.schoolCity}, {volunteer.schoolState}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Grad Year</span>
+        <span>{volunteer.gradYear}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Email</span>
+        <span className="detail-email">{volunteer.email}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Timezone</span>
+        <span>{volunteer.timezone || "—"}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Onboarded</span>
+        <span>{volunteer.onboardingDate || "—"}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Last Training</span>
+        <span>{volunteer.lastTrainingDate || "—"}</span>
+      </div>
+      {/* inactiveDate only shows for inactive volunteers */}
+      {volunteer.inactiveDate && (
+        <div className="detail-row">
+          <span className="detail-label">Inactive Since</span>
+          <span>{volunteer.inactiveDate}</span>
+        </div>
+      )}
+
+      {/* Weekly availability — only days with a value; none listed = any time */}
+      <div className="detail-section">
+        <span className="detail-label">Availability</span>
+        {DAYS.some((day) => volunteer[`${day}Availability`]) ? (
+          <div className="detail-availability">
+            {DAYS.map((day) => {
+              const val = volunteer[`${day}Availability`];
+              return val ? (
+                <div key={day} className="detail-avail-row">
+                  <span className="detail-avail-day">{day.charAt(0).toUpperCase() + day.slice(1)}</span>
+                  <span>
+                    {val}
+                    {!parseWindows(val) && <span className="detail-avail-flag" title="Rotation planning can't read this; use ranges like 10:00-12:00 or 2-4pm, or morning / afternoon / evening">unreadable</span>}
+                  </span>
+                </div>
+              ) : null;
+            })}
+          </div>
+        ) : (
+          <p className="detail-none">Not listed — available any time.</p>
+        )}
+      </div>
+
+      <BlackoutDates volunteer={volunteer} teams={memberGroups} seniors={allSeniors} canEdit={canEdit} />
+
+      {/* Assigned senior(s) — derived from visit team membership */}
+      <div className="detail-section">
+        <span className="detail-label">Assigned Senior</span>
+        {memberGroups.length === 0 ? (
+          <p className="detail-none">Not assigned to any senior.</p>
+        ) : (
+          memberGroups.map((t) => {
+            const s = allSeniors.find((sr) => sr.id === t.seniorId);
+            if (!s) return null;
+            return (
+              <div key={t.id} className="detail-team-row">
+                <div className="detail-group-chip">{s.firstName} {s.lastName}</div>
+                {canProposeTeamChange && (
+                  <button className="detail-team-propose" onClick={() => proposeLeaving(t, s)}>
+                    <MessageSquarePlus size={13} /> Propose leaving
+                  </button>
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── BlackoutDates — date ranges the volunteer can't visit ────────────────
+
+/**
+ * BlackoutDates — lists the volunteer's VOLUNTEER_BLACKOUT rows, warns about
+ * scheduled visits that fall inside one, and (with EDIT_RECORDS) adds or removes them.
+ *
+ * Props:
+ *   volunteer {object}  — Volunteer whose blackouts are shown
+ *   teams     {array}   — Visit teams the volunteer is on (to date their rotations)
+ *   seniors   {array}   — Full seniors list (to name the visit in a warning)
+ *   canEdit   {boolean} — Show the add form and remove buttons
+ */
+function BlackoutDates({ volunteer, teams, seniors, canEdit }) {
+  const blackoutsQuery       = useVolunteerBlackouts();
+  const { data: rotations }  = useRotations();
+  const [adding,   setAdding]   = useState(false);
+  const [draft,    setDraft]    = useState({ from: "", to: "", reason: "" });
+  const [errors,   setErrors]   = useState({});
+  const [saving,   setSaving]   = useState(false);
+
+  const blackouts = blackoutsQuery.data.filter((b) => b.volunteerId === volunteer.id);
+
+  /** Scheduled visits for this volunteer that fall inside a blackout */
+  function clashes(blackout) {
+    return rotations.flatMap((r) => {
+      if (r.assignedVolunteerId !== volunteer.id || r.status !== "scheduled") return [];
+      const team = teams.find((t) => t.id === r.teamId);
+      const slot = team?.schedule[r.scheduleIndex ?? 0];
+      if (!slot) return [];
+      const date = visitDateOf(r.weekStartDate, slot.dayOfWeek);
+      if (date < blackout.from || date > blackout.to) return [];
+      const senior = seniors.find((s) => s.id === team.seniorId);
+      return [{ id: r.id, date, senior }];
+    });
+  }
+
+  async function add() {
+    setSaving(true);
+    try {
+      const { errors: saveErrors } = await createVolunteerBlackout({
+        volunteer:  [volunteer.id],
+        start_date: draft.from,
+        end_date:   draft.to || null,
+        reason:     draft.reason.trim(),
+      });
+      if (saveErrors) {
+        setErrors(saveErrors);
+        return;
+      }
+      setErrors({});
+      setDraft({ from: "", to: "", reason: "" });
+      setAdding(false);
+      blackoutsQuery.reload();
+    } catch (err) {
+      console.error("BlackoutDates: add failed:", err);
+      setErrors({ _form: `${describeError(err)} The blackout was not saved.` });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  async function remove(blackoutId) {
+    try {
+      await removeVolunteerBlackout(blackoutId);
+      blackoutsQuery.reload();
+    } catch (err) {
+      console.error("BlackoutDates: remove failed:", err);
+      setErrors({ _form: `${describeError(err)} The blackout was not removed.` });
+    }
+  }
+
+  return (
+    <div className="detail-section">
+      <span className="detail-label">Blackout Dates</span>
+      {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+      {blackouts.length === 0 && !adding && <p className="detail-none">No blackout dates.</p>}
+
+      {blackouts.map((b) => (
+        <div key={b.id} className="blackout-row">
+          <div className="blackout-row__main">
+            <span>{b.from === b.to ? b.from : `${b.from} – ${b.to}`}</span>
+            {b.reason && <span className="blackout-row__reason">{b.reason}</span>}
+            {canEdit && (
+              <button className="member-chip__remove" onClick={() => remove(b.id)} aria-label="Remove blackout">
+                <X size={11} />
+              </button>
+            )}
+          </div>
+          {clashes(b).map((c) => (
+            <p key={c.id} className="blackout-row__warning">
+              <AlertTriangle size={12} /> Scheduled to visit
+              {c.senior ? ` ${c.senior.firstName} ${c.senior.lastName}` : ""} on {c.date}
+            </p>
+          ))}
+        </div>
+      ))}
+
+      {canEdit && (adding ? (
+        <div className="blackout-form">
+          <div className="form-row">
+            <label className="form-label">From</label>
+            <input type="date" className="form-input" value={draft.from}
+              onChange={(e) => setDraft((d) => ({ ...d, from: e.target.value }))} />
+            {errors.start_date && <span className="form-error">{errors.start_date}</span>}
+          </div>
+          <div className="form-row">
+            <label className="form-label">To (optional)</label>
+            <input type="date" className="form-input" value={draft.to}
+              onChange={(e) => setDraft((d) => ({ ...d, to: e.target.value }))} />
+            {errors.end_date && <span className="form-error">{errors.end_date}</span>}
+          </div>
+          <div className="form-row form-row--full">
+            <label className="form-label">Reason</label>
+            <input className="form-input" placeholder="e.g. Final exams" value={draft.reason}
+              onChange={(e) => setDraft((d) => ({ ...d, reason: e.target.value }))} />
+          </div>
+          <div className="form-actions">
+            <button className="edit-save-btn" onClick={add} disabled={saving}>
+              {saving ? "Saving…" : "Add Blackout"}
+            </button>
+            <button className="edit-cancel-btn" onClick={() => { setAdding(false); setErrors({}); }}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button className="group-card__add-btn" onClick={() => setAdding(true)}>+ Add blackout</button>
+      ))}
+    </div>
+  );
+}
+
+// ─── OnboardingPreview — email preview + send trigger ────────────────────
+
+/**
+ * OnboardingPreview — renders a mock email preview with interactive steps.
+ *
+ * The coordinator can preview the onboarding email that will be sent to the volunteer.
+ * Two required steps are embedded in the preview (simulating what the volunteer will do):
+ *   Step 1: Accept Terms of Service (checkbox)
+ *   Step 2: Connect Google Calendar (button, enabled after Step 1)
+ *
+ * Clicking "Send Onboarding Email":
+ *   - Requires volunteer.email to be set (button disabled otherwise)
+ *   - TODO (Sprint 3): Replace setSent(true) with a POST to the N8N onboarding webhook
+ *     (N8N will then send the actual email via SMTP/Gmail integration)
+ *
+ * Props:
+ *   volunteer     {object} — Volunteer receiving the onboarding email
+ *   assignedTeams {array}  — Visit teams the volunteer belongs to (for schedule details)
+ *   seniors       {array}  — Full seniors list (to name each team's senior)
+ *   onBack        {fn}     — Returns to the profile view
+ */
+function OnboardingPreview({ volunteer, assignedTeams, seniors, onBack }) {
+  const [termsAccepted, setTermsAccepted] = useState(false);
+  const [calConnected,  setCalConnected]  = useState(false);
+  const [sent,          setSent]          = useState(false);
+
+  // Success screen — shown after "Send" is clicked
+  if (sent) {
+    return (
+      <div className="onboarding-success">
+        <CheckCircle size={40} color="var(--green)" />
+        <p>Onboarding email sent!</p>
+        <strong>{volunteer.email || "(no email on file)"}</strong>
+        <button className="edit-cancel-btn" onClick={onBack} style={{ marginTop: "0.75rem" }}>
+          Back to profile
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="onboarding-preview">
+      <button className="onboarding-back-btn" onClick={onBack}>← Back to profile</button>
+
+      {/* Email preview — mimics how the email looks to the volunteer */}
+      <div className="onboarding-email-preview">
+        <div className="onboarding-email-preview__meta">
+          <div><span className="onboarding-meta-label">From:</span> noreply@ctr.org</div>
+          <div><span className="onboarding-meta-label">To:</span> {volunteer.email || <em>no email on file</em>}</div>
+          <div><span className="onboarding-meta-label">Subject:</span> Welcome to Conversations to Remember!</div>
+        </div>
+
+        <div className="onboarding-email-preview__body">
+          <img src="/logo.png" alt="Conversations to Remember" className="onboarding-logo" />
+
+          <p>Hi <strong>{volunteer.firstName || "Volunteer"}</strong>,</p>
+          <p>
+            Welcome to <strong>Conversations to Remember</strong>! You've been approved as a volunteer
+            and we're excited to have you join our community of student volunteers.
+          </p>
+
+          {/* Visit schedule list — rendered if the volunteer is already assigned to teams */}
+          {assignedTeams.length > 0 ? (
+            <>
+              <p><strong>Your senior visit assignment{assignedTeams.length > 1 ? "s" : ""}:</strong></p>
+              <ul className="onboarding-schedule-list">
+                {assignedTeams.map((t) => {
+                  const s = seniors.find((sr) => sr.id === t.seniorId);
+                  return (
+                    <li key={t.id}>
+                      <strong>{s ? `${s.firstName} ${s.lastName}` : "Senior"}</strong>
+                      {" — "}
+                      {/* Format each schedule slot as "Mondays at 10:00" */}
+                      {t.schedule.map((sl, i) =>
+                        `${DAY_NAMES[sl.dayOfWeek]}s at ${sl.timeOfDay}${i < t.schedule.length - 1 ? ", " : ""}`
+                      )}
+                      {" (virtual via Google Meet)"}
+                    </li>
+                  );
+                })}
+              </ul>
+            </>
+          ) : (
+            <p>Your visit assignment will be confirmed shortly by your coordinator.</p>
+          )}
+
+          <p>Please complete the two steps below to confirm your participation:</p>
+
+          {/* Step 1: Accept terms */}
+          <div className="onboarding-step">
+            <label className="onboarding-step__check">
+              <input
+                type="checkbox"
+                checked={termsAccepted}
+                onChange={(e) => setTermsAccepted(e.target.checked)}
+              />
+              <span>
+                I have read and accept the <strong>Terms of Service</strong> and <strong>Volunteer Agreement</strong>
+              </span>
+            </label>
+          </div>
+
+          {/* Step 2: Connect Google Calendar (requires Step 1 first) */}
+          <div className="onboarding-step">
+            <p className="onboarding-step__heading">Connect Google Calendar to auto-fill your schedule:</p>
+            <button
+              className={`onboarding-gcal-btn${calConnected ? " onboarding-gcal-btn--done" : ""}`}
+              onClick={() => setCalConnected(true)}
+              disabled={!termsAccepted || calConnected}
+            >
+              {calConnected ? (
+                <><CheckCircle size={15} /> Schedule Added to Google Calendar</>
+              ) : (
+                <><CalendarDays size={15} /> Authorize &amp; Connect Google Calendar</>
+              )}
+            </button>
+            {calConnected && assignedTeams.length > 0 && (
+              <p className="onboarding-step__note">
+                Your visit schedule has been automatically added to your Google Calendar. You'll receive reminders before each visit.
+              </p>
+            )}
+          </div>
+
+          <p style={{ fontSize: "0.8rem", color: "var(--text-muted)", marginTop: "0.5rem" }}>
+            Questions? Reply to this email or contact your coordinator at ctr@conversations.org
+          </p>
+        </div>
+      </div>
+
+      {/* Send button — disabled if no email on file */}
+      <div className="form-actions" style={{ marginTop: "0.75rem" }}>
+        <button
+          className="edit-save-btn"
+          onClick={() => setSent(true)} // TODO: POST to N8N webhook instead
+          disabled={!volunteer.email}
+          title={!volunteer.email ? "Add an email address to send" : ""}
+        >
+          <Mail size={14} /> Send Onboarding Email
+        </button>
+        <button className="edit-cancel-btn" onClick={onBack}>Cancel</button>
+      </div>
+    </div>
+  );
+}
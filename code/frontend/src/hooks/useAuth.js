@@ -0,0 +1,26 @@
+/**
+ * useAuth.js — Access to the signed-in staff session
+ *
+ * The session itself is owned by <AuthProvider> (components/auth/AuthProvider.jsx),
+ * mounted once in App.jsx. Any component below it can read it:
+ *
+ *   const { user, can, signOut } = useAuth();
+ *   if (can(PERMISSIONS.EDIT_RECORDS)) …
+ *
+ * Returns:
+ *   user      {object|null} — { id, name, email, role, personId } or null when signed out
+ *   session   {object|null} — Full session incl. tokens (see authApi.js); for API clients
+ *   restoring {boolean}     — true while a stored session is being refreshed on page load
+ *   signIn    {fn}          — async (email, password) → resolves once signed in; throws on failure
+ *   signOut   {fn}          — Clears the session
+ *   can       {fn}          — (permission) → boolean, see services/permissions.js
+ */
+import { createContext, useContext } from "react";
+
+export const AuthContext = createContext(null);
+
+export function useAuth() {
+  const value = useContext(AuthContext);
+  if (!value) throw new Error("useAuth() must be used inside <AuthProvider>");
+  return value;
+}
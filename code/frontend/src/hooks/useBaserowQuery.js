@@ -0,0 +1,73 @@
+/**
+ * useBaserowQuery.js — Generic async-loader hook for page data
+ *
+ * Wraps the load-on-mount pattern Dashboard.jsx uses (cancelled flag,
+ * loading state, try/catch) so every page gets the same behavior:
+ *
+ *   const { data, loading, error, reload } = useBaserowQuery(() => fetchX(a, b), [a, b]);
+ *
+ * The loader re-runs whenever `deps` change or reload() is called (the loader itself
+ * is usually an inline arrow, so a new one each render doesn't trigger a load). Results that
+ * arrive after the component unmounts (or after the deps changed again) are dropped.
+ * `loading` turns true in the same render the deps change, so a caller never sees
+ * loading=false next to data that belongs to the previous deps (e.g. a detail
+ * route switching from one record ID to another).
+ *
+ * Returns:
+ *   data     {any}        — The loader's resolved value (initialData until the first load)
+ *   loading  {boolean}    — true while a load is in flight
+ *   error    {Error|null} — The last load's error, cleared on the next successful load
+ *   reload   {fn}         — Re-runs the loader (e.g. from a "Retry" button)
+ */
+import { useState, useEffect, useCallback, useRef } from "react";
+
+/**
+ * @param {() => Promise<any>} loader      — Async function returning the page data
+ * @param {Array}              deps        — Re-run the loader when any of these change
+ * @param {any}                initialData — Value of `data` before the first load resolves
+ */
+export function useBaserowQuery(loader, deps = [], initialData = null) {
+  const [data,    setData]    = useState(initialData);
+  const [loading, setLoading] = useState(true);
+  const [error,   setError]   = useState(null);
+  const [version, setVersion] = useState(0); // bumped by reload()
+
+  // Deps of the load in flight (or last finished); a change flags loading right away.
+  // loadDeps only gets a new identity when a dep changes, so it keys the load below.
+  const [loadDeps, setLoadDeps] = useState(deps);
+  if (deps.length !== loadDeps.length || deps.some((d, i) => !Object.is(d, loadDeps[i]))) {
+    setLoadDeps(deps);
+    setLoading(true);
+  }
+
+  // The latest loader, so the load effect sees the current closure without re-running for it
+  const loaderRef = useRef(loader);
+  useEffect(() => { loaderRef.current = loader; });
+
+  useEffect(() => {
+    let cancelled = false; // prevent setState after unmount / stale deps
+
+    async function load() {
+      setLoading(true);
+      try {
+        const result = await loaderRef.current();
+        if (cancelled) return;
+        setData(result);
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("useBaserowQuery: load failed:", err);
+        setError(err);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }
+
+    load();
+    return () => { cancelled = true; };
+  }, [loadDeps, version]);
+
+  const reload = useCallback(() => setVersion((v) => v + 1), []);
+
+  return { data, loading, error, reload };
+}
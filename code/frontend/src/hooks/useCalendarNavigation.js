@@ -0,0 +1,115 @@
+/**
+ * useCalendarNavigation.js — Calendar view + date navigation kept in the URL
+ *
+ * The view and the date it is centred on live in the query string, so any
+ * week or month can be bookmarked or shared:
+ *   /schedule?view=month&date=2026-11-01
+ *   /schedule?view=week&date=2026-11-09
+ * Missing or unreadable values fall back to the week view of today. Other query
+ * parameters (e.g. the Schedule page's filters) are left untouched.
+ *
+ * Views (weeks start on Monday, as rotations do):
+ *   week   — the 7 days Mon–Sun around `date`
+ *   month  — `date`'s month, padded out to whole Mon–Sun weeks for the grid
+ *   agenda — every day of `date`'s month, as a list
+ *
+ * Returns:
+ *   view       {string}  — "week" | "month" | "agenda"
+ *   anchor     {Date}    — The date the view is centred on
+ *   days       {Date[]}  — The days the view shows, in order
+ *   from / to  {string}  — First and last of those days, "yyyy-MM-dd"
+ *   label      {string}  — "Feb 17 – Feb 23, 2026" or "February 2026"
+ *   setView    {fn}      — Switch view, keeping the date
+ *   goToDate   {fn}      — (date, view?) Jump to a date, optionally switching view
+ *   prev / next {fn}     — Step one week or one month
+ *   goToToday  {fn}      — Back to today (drops `date` from the URL)
+ *
+ * Usage:
+ *   const { view, days, from, to, label, prev, next } = useCalendarNavigation();
+ */
+import { useSearchParams } from "react-router-dom";
+import {
+  startOfWeek,
+  endOfWeek,
+  startOfMonth,
+  endOfMonth,
+  addWeeks,
+  addMonths,
+  eachDayOfInterval,
+  format,
+  parseISO,
+  isValid,
+} from "date-fns";
+
+/** The views the calendar offers, in switcher order */
+export const CALENDAR_VIEWS = [
+  { value: "week",   label: "Week" },
+  { value: "month",  label: "Month" },
+  { value: "agenda", label: "Agenda" },
+];
+
+const DEFAULT_VIEW = "week";
+const WEEK         = { weekStartsOn: 1 };
+
+/** The days a view shows around an anchor date */
+function daysFor(view, anchor) {
+  if (view === "week") {
+    return eachDayOfInterval({ start: startOfWeek(anchor, WEEK), end: endOfWeek(anchor, WEEK) });
+  }
+  if (view === "month") {
+    return eachDayOfInterval({
+      start: startOfWeek(startOfMonth(anchor), WEEK),
+      end:   endOfWeek(endOfMonth(anchor), WEEK),
+    });
+  }
+  return eachDayOfInterval({ start: startOfMonth(anchor), end: endOfMonth(anchor) });
+}
+
+export function useCalendarNavigation() {
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const requestedView = searchParams.get("view");
+  const view = CALENDAR_VIEWS.some((v) => v.value === requestedView) ? requestedView : DEFAULT_VIEW;
+
+  const requestedDate = searchParams.get("date") ? parseISO(searchParams.get("date")) : null;
+  const anchor = requestedDate && isValid(requestedDate) ? requestedDate : new Date();
+
+  const days = daysFor(view, anchor);
+
+  /** Sets (or with null, removes) query parameters, keeping the rest */
+  function update(values) {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      for (const [key, value] of Object.entries(values)) {
+        if (value == null) next.delete(key);
+        else next.set(key, value);
+      }
+      return next;
+    });
+  }
+
+  /** Moves by whole weeks (week view) or months (month and agenda views) */
+  function step(n) {
+    const target = view === "week"
+      ? startOfWeek(addWeeks(anchor, n), WEEK)
+      : startOfMonth(addMonths(anchor, n));
+    update({ date: format(target, "yyyy-MM-dd") });
+  }
+
+  return {
+    view,
+    anchor,
+    days,
+    from:  format(days[0], "yyyy-MM-dd"),
+    to:    format(days[days.length - 1], "yyyy-MM-dd"),
+    // Format: "Feb 17 – Feb 23, 2026" / "February 2026"
+    label: view === "week"
+      ? `${format(days[0], "MMM d")} – ${format(days[6], "MMM d, yyyy")}`
+      : format(anchor, "MMMM yyyy"),
+    setView:   (next) => update({ view: next }),
+    goToDate:  (date, nextView) => update({ date: format(date, "yyyy-MM-dd"), ...(nextView && { view: nextView }) }),
+    prev:      () => step(-1),
+    next:      () => step(1),
+    goToToday: () => update({ date: null }),
+  };
+}
@@ -0,0 +1,743 @@
+/**
+ * useCrmData.js — Page data hooks (live Baserow or mock data)
+ *
+ * Every page reads its lists through these hooks instead of importing src/mock/*
+ * directly. Each hook returns { data, loading, error, reload } (see useBaserowQuery).
+ *
+ *   useSeniors()                         — seniors (joined with PERSON + SENIOR_COMMUNITY)
+ *   useVolunteers()                      — volunteers (joined with PERSON for email)
+ *   useVolunteerBlackouts()              — every VOLUNTEER_BLACKOUT date range
+ *   useTeams()                           — visit teams with volunteerIds + schedule slots
+ *   useMeetings()                        — recurring meetings (senior/volunteer via team)
+ *   useMeetingInstancesTable()           — server-paginated meeting instances (Meetings.jsx)
+ *   useRotations(fromDate?)              — instances from a date on (default: the planner's 8-week window)
+ *                                          in rotation shape (Groups.jsx, visit detail, blackouts)
+ *   useInstancesInRange(from, to)        — instances between two dates in rotation shape (Schedule.jsx)
+ *   useFeedbackFormsTable(formType)      — server-paginated feedback forms, filtered by type
+ *   useFeedbackFormCounts()              — { [formTypeKey]: count } for the summary cards
+ *   useProposedChangesTable(status)      — server-paginated PROPOSED_CHANGE queue (Approvals.jsx)
+ *   useSenior(id)                        — one senior (null id → null), for /seniors/:id
+ *   useSeniorProfile(id)                 — a senior's teams, visit history, feedback and contacts
+ *   useCaregiverSeniorIds()              — IDs of seniors with a caregiver contact on file
+ *   useVolunteer(id)                     — one volunteer (null id → null), for /volunteers/:id
+ *   useVolunteerProfile(id)              — a volunteer's team memberships, visit history and status notes
+ *   useFeedbackForm(id)                  — one feedback submission (null id → null), for /feedback/:formId
+ *   useMeetingInstance(id)               — one meeting instance (null id → null)
+ *   useInstanceAttendance(instanceId)    — MEETING_ATTENDANCE rows for one instance
+ *   useGlobalSearch(term)                — seniors, volunteers, teams and visits matching a term
+ *
+ * Live rows are converted to the mock (camelCase) shapes by services/mappers.js,
+ * so page code is identical in both modes.
+ *
+ * Mock switch (build-time):
+ *   VITE_USE_MOCK_DATA=true  — serve src/mock/* (local dev without Baserow, demos)
+ *   anything else            — read live from Baserow via baserowApi.js
+ * The mock modules are loaded with dynamic import() so a live build never bundles
+ * them into the main chunk.
+ */
+import { format } from "date-fns";
+import { useBaserowQuery } from "./useBaserowQuery";
+import { useServerTable, paginateLocally } from "./useServerTable";
+import {
+  fetchSeniors,
+  fetchSenior,
+  fetchSeniorTeams,
+  fetchTeamMembersForTeams,
+  fetchMeetingsForTeams,
+  fetchInstancesForMeetings,
+  fetchSeniorFeedback,
+  fetchSeniorRelationships,
+  fetchCaregiverRelationships,
+  fetchPhonesForPeople,
+  fetchCaregiversForPeople,
+  fetchVolunteers,
+  fetchVolunteer,
+  fetchVolunteerBlackouts,
+  fetchVolunteerMemberships,
+  fetchTeam,
+  fetchVolunteerAttendance,
+  fetchInstancesCoveredBy,
+  fetchVolunteerStatusNotes,
+  fetchActiveTeams,
+  fetchActiveTeamMembers,
+  fetchMeetings,
+  fetchMeetingInstancesPage,
+  fetchMeetingInstance,
+  fetchInstancesInRange,
+  fetchAttendanceForInstances,
+  fetchFeedbackFormsPage,
+  fetchFeedbackFormsCount,
+  fetchFeedbackForm,
+  fetchPeople,
+  fetchPerson,
+  fetchCommunities,
+  fetchCommunity,
+  fetchProposedChangesPage,
+  searchRecords,
+} from "../services/baserowApi";
+import {
+  mapSenior,
+  mapVolunteer,
+  mapTeams,
+  mapMeeting,
+  mapInstance,
+  mapVisit,
+  mapVolunteerVisit,
+  volunteerVisit,
+  mapMembership,
+  mapStatusNote,
+  mapRotation,
+  mapFeedbackForm,
+  mapProposedChange,
+  mapAttendance,
+  mapBlackout,
+  mapContact,
+  mapPhones,
+  indexById,
+  linkIds,
+  firstLinkId,
+  formTypeName,
+  mapSearchHits,
+} from "../services/mappers";
+import { findRecord } from "../services/recordLinks";
+import { NotFoundError } from "../services/apiErrors";
+import { mondayOf, addDays } from "../services/rotationEngine";
+
+/** Weeks of visit history useRotations() loads by default (the planner's window) */
+const ROTATION_HISTORY_WEEKS = 8;
+
+/** FeedbackForms.jsx type keys, in summary-card order */
+const FORM_TYPE_KEYS = ["volunteer", "call_support", "senior_monthly", "caregiver_monthly"];
+
+/** Day names indexed by dayOfWeek (0=Sun), for mock team labels shaped like team_name */
+const DAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+export const USE_MOCK = import.meta.env.VITE_USE_MOCK_DATA === "true";
+
+/** DataTable column key → Baserow field, for server-side order_by */
+const INSTANCE_SORT_FIELDS = { instanceDate: "instance_date", status: "instance_status" };
+const FEEDBACK_SORT_FIELDS = { submittedAt: "submitted_at" };
+const PROPOSAL_SORT_FIELDS = { proposedAt: "proposed_at", reviewedAt: "reviewed_at" };
+
+/**
+ * Builds Baserow's order_by from a DataTable sort ({ key, direction }).
+ * Falls back to `fallback` when unsorted or the column has no Baserow field.
+ */
+function orderBy(sort, fields, fallback) {
+  const field = sort && fields[sort.key];
+  if (!field) return fallback;
+  return `${sort.direction === "desc" ? "-" : ""}${field}`;
+}
+
+// ─── Loaders ──────────────────────────────────────────────────────────────────
+// Each loader returns page-shaped data; the mock branch mirrors the live one.
+
+async function loadSeniors() {
+  if (USE_MOCK) return (await import("../mock/seniors")).seniors;
+  const [rows, people, communities] = await Promise.all([
+    fetchSeniors(),
+    fetchPeople(),
+    fetchCommunities(),
+  ]);
+  const ctx = { peopleById: indexById(people), communitiesById: indexById(communities) };
+  return rows.map((row) => mapSenior(row, ctx));
+}
+
+async function loadVolunteers() {
+  if (USE_MOCK) return (await import("../mock/volunteers")).volunteers;
+  const [rows, people] = await Promise.all([fetchVolunteers(), fetchPeople()]);
+  const ctx = { peopleById: indexById(people) };
+  return rows.map((row) => mapVolunteer(row, ctx));
+}
+
+/**
+ * One senior by ID, joined with just its own PERSON and SENIOR_COMMUNITY rows.
+ * IDs usually come from the URL, so mock records are matched as strings (findRecord).
+ */
+async function loadSenior(id) {
+  if (id == null) return null;
+  if (USE_MOCK) return findRecord((await import("../mock/seniors")).seniors, String(id)) ?? null;
+  const row = await fetchSenior(id);
+  const personId    = firstLinkId(row.person);
+  const communityId = firstLinkId(row.senior_community);
+  const [person, community] = await Promise.all([
+    personId    != null ? fetchPerson(personId)       : null,
+    communityId != null ? fetchCommunity(communityId) : null,
+  ]);
+  return mapSenior(row, {
+    peopleById:      indexById([person].filter(Boolean)),
+    communitiesById: indexById([community].filter(Boolean)),
+  });
+}
+
+/**
+ * Everything the senior profile shows beyond the senior record itself:
+ *   teams    — every team the senior has had, active or not (visitTeams shape)
+ *   visits   — every meeting instance of those teams, newest first, with volunteerId
+ *   feedback — monthly forms about the senior and forms about their visits, newest first
+ *   contacts — SENIOR_RELATIONSHIP rows with the related person's phones and CAREGIVER row
+ *   phones   — the senior's own PERSON_PHONE numbers
+ * The mock branch finds visits through each meeting's seniorId and expects the
+ * meeting's regular volunteer unless a substitute is set (as loadInstanceAttendance).
+ */
+async function loadSeniorProfile(id) {
+  if (id == null) return null;
+  if (USE_MOCK) {
+    const [{ visitTeams }, { meetings }, { meetingInstances }, { feedbackForms }, { seniorContacts, seniorPhones }] =
+      await Promise.all([
+        import("../mock/groups"),
+        import("../mock/meetings"),
+        import("../mock/meetingInstances"),
+        import("../mock/feedbackForms"),
+        import("../mock/seniorContacts"),
+      ]);
+    const seniorId = String(id);
+    const visits = meetingInstances
+      .map((mi) => ({ mi, meeting: meetings.find((m) => m.id === mi.meetingId) }))
+      .filter(({ meeting }) => meeting?.seniorId === seniorId)
+      .map(({ mi, meeting }) => ({ ...mi, volunteerId: mi.substituteVolunteerId ?? meeting.volunteerId }))
+      .sort((a, b) => b.instanceDate.localeCompare(a.instanceDate));
+    const visitIds = visits.map((v) => v.id);
+    return {
+      teams:    visitTeams.filter((t) => t.seniorId === seniorId),
+      visits,
+      feedback: feedbackForms
+        .filter((f) => f.seniorId === seniorId || visitIds.includes(f.meetingInstanceId))
+        .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt)),
+      contacts: seniorContacts.filter((c) => c.seniorId === seniorId),
+      phones:   seniorPhones[seniorId] ?? [],
+    };
+  }
+
+  const [seniorRow, teamRows, relationshipRows] = await Promise.all([
+    fetchSenior(id),
+    fetchSeniorTeams(id),
+    fetchSeniorRelationships(id),
+  ]);
+  const teamIds = teamRows.map((t) => t.id);
+  const [memberRows, meetingRows] = await Promise.all([
+    fetchTeamMembersForTeams(teamIds),
+    fetchMeetingsForTeams(teamIds),
+  ]);
+  const instanceRows   = await fetchInstancesForMeetings(meetingRows.map((m) => m.id));
+  const instanceIds    = instanceRows.map((r) => r.id);
+  const seniorPersonId = firstLinkId(seniorRow.person);
+  const contactIds     = relationshipRows.map((r) => firstLinkId(r.related_person)).filter((p) => p != null);
+  const [attendanceRows, feedbackRows, people, phoneRows, caregiverRows] = await Promise.all([
+    fetchAttendanceForInstances(instanceIds),
+    fetchSeniorFeedback(id, instanceIds),
+    Promise.all(contactIds.map(fetchPerson)),
+    fetchPhonesForPeople([seniorPersonId, ...contactIds].filter((p) => p != null)),
+    fetchCaregiversForPeople(contactIds),
+  ]);
+  const ctx = { peopleById: indexById(people), phoneRows, caregiverRows };
+  return {
+    teams:    mapTeams(teamRows, memberRows, meetingRows),
+    visits:   instanceRows.map((row) => mapVisit(row, attendanceRows)),
+    feedback: feedbackRows.map(mapFeedbackForm),
+    contacts: relationshipRows.map((row) => mapContact(row, ctx)),
+    phones:   mapPhones(phoneRows, seniorPersonId),
+  };
+}
+
+/** IDs of the seniors with at least one caregiver relationship (Seniors list flag) */
+async function loadCaregiverSeniorIds() {
+  const seniorIds = USE_MOCK
+    ? (await import("../mock/seniorContacts")).seniorContacts
+        .filter((c) => c.relationshipType === "caregiver")
+        .map((c) => c.seniorId)
+    : (await fetchCaregiverRelationships()).flatMap((row) => linkIds(row.senior));
+  return [...new Set(seniorIds)];
+}
+
+/** One volunteer by ID, joined with its own PERSON row. */
+async function loadVolunteer(id) {
+  if (id == null) return null;
+  if (USE_MOCK) return findRecord((await import("../mock/volunteers")).volunteers, String(id)) ?? null;
+  const row = await fetchVolunteer(id);
+  const personId = firstLinkId(row.person);
+  const person   = personId != null ? await fetchPerson(personId) : null;
+  return mapVolunteer(row, { peopleById: indexById([person].filter(Boolean)) });
+}
+
+/**
+ * Everything the volunteer profile shows beyond the volunteer record itself:
+ *   memberships — every TEAM_MEMBER row, current and ended, most recent start first
+ *                 (teamName is blank when the team row has been deleted)
+ *   visits      — instances the volunteer has an attendance row for on their teams,
+ *                 plus any they were the substitute for, newest first, with the
+ *                 volunteer's outcome and the visit length (mappers.volunteerVisit)
+ *   notes       — VOLUNTEER_STATUS_NOTE rows, newest first
+ * Mock data has no attendance table, so the mock branch treats the meeting's
+ * regular volunteer as expected and marks them substituted when someone else covers.
+ */
+async function loadVolunteerProfile(id) {
+  if (id == null) return null;
+  if (USE_MOCK) {
+    const [{ visitTeams }, { seniors }, { meetings }, { meetingInstances }, { teamMemberships, volunteerStatusNotes }] =
+      await Promise.all([
+        import("../mock/groups"),
+        import("../mock/seniors"),
+        import("../mock/meetings"),
+        import("../mock/meetingInstances"),
+        import("../mock/volunteerHistory"),
+      ]);
+    const volunteerId = String(id);
+    const nameOf = (seniorId) => {
+      const s = seniors.find((sen) => sen.id === seniorId);
+      return s ? `${s.firstName} ${s.lastName}` : "";
+    };
+    const memberships = teamMemberships
+      .filter((m) => m.volunteerId === volunteerId)
+      .map((m) => {
+        const team = visitTeams.find((t) => t.id === m.teamId);
+        const slot = team?.schedule[0];
+        return {
+          id:         m.id,
+          teamId:     m.teamId,
+          seniorId:   team?.seniorId ?? null,
+          teamName:   team ? `${nameOf(team.seniorId)} - ${DAY_NAMES[slot?.dayOfWeek] ?? ""} ${slot?.timeOfDay ?? ""}` : "",
+          startDate:  m.startDate,
+          endDate:    m.endDate,
+        };
+      })
+      .sort((a, b) => b.startDate.localeCompare(a.startDate));
+    const visits = meetingInstances
+      .map((mi) => ({ mi, meeting: meetings.find((m) => m.id === mi.meetingId) }))
+      .filter(({ mi, meeting }) => meeting?.volunteerId === volunteerId || mi.substituteVolunteerId === volunteerId)
+      .map(({ mi, meeting }) => {
+        const regular = meeting.volunteerId === volunteerId;
+        const status  = regular ? (mi.substituteVolunteerId ? "substitute" : "expected") : null;
+        return volunteerVisit(
+          { ...mi, teamName: `${nameOf(meeting.seniorId)} - ${meeting.dayOfWeek} ${meeting.meetingTime}` },
+          volunteerId,
+          status
+        );
+      })
+      .sort((a, b) => b.instanceDate.localeCompare(a.instanceDate));
+    return {
+      memberships,
+      visits,
+      notes: volunteerStatusNotes
+        .filter((n) => n.volunteerId === volunteerId)
+        .sort((a, b) => b.date.localeCompare(a.date)),
+    };
+  }
+
+  const [memberRows, attendanceRows, coveredRows, noteRows] = await Promise.all([
+    fetchVolunteerMemberships(id),
+    fetchVolunteerAttendance(id),
+    fetchInstancesCoveredBy(id),
+    fetchVolunteerStatusNotes(id),
+  ]);
+  const teamIds = [...new Set(memberRows.map((m) => firstLinkId(m.team)).filter((t) => t != null))];
+  const [teamResults, meetingRows] = await Promise.all([
+    Promise.allSettled(teamIds.map(fetchTeam)),
+    fetchMeetingsForTeams(teamIds),
+  ]);
+  // A membership can outlive its team row; list it without a team name rather than
+  // failing the whole profile. Any other error still fails the load.
+  const failed = teamResults.find((r) => r.status === "rejected" && !(r.reason instanceof NotFoundError));
+  if (failed) throw failed.reason;
+  const teamRows = teamResults.filter((r) => r.status === "fulfilled").map((r) => r.value);
+  const teamInstances = await fetchInstancesForMeetings(meetingRows.map((m) => m.id));
+  const attendedIds   = new Set(attendanceRows.flatMap((a) => linkIds(a.meeting_instance)));
+  // A covered visit on one of the volunteer's own teams is in both lists; keep one copy
+  const instanceRows  = [...new Map(
+    [...teamInstances.filter((r) => attendedIds.has(r.id)), ...coveredRows].map((r) => [r.id, r])
+  ).values()].sort((a, b) => (b.instance_date ?? "").localeCompare(a.instance_date ?? ""));
+  const teamsById = indexById(teamRows);
+  return {
+    memberships: memberRows.map((row) => mapMembership(row, teamsById)),
+    visits:      instanceRows.map((row) => mapVolunteerVisit(row, id, attendanceRows)),
+    notes:       noteRows.map(mapStatusNote),
+  };
+}
+
+async function loadVolunteerBlackouts() {
+  if (USE_MOCK) return (await import("../mock/volunteerBlackouts")).volunteerBlackouts;
+  return (await fetchVolunteerBlackouts()).map(mapBlackout);
+}
+
+async function loadTeams() {
+  if (USE_MOCK) return (await import("../mock/groups")).visitTeams;
+  const [teamRows, memberRows, meetingRows] = await Promise.all([
+    fetchActiveTeams(),
+    fetchActiveTeamMembers(),
+    fetchMeetings(),
+  ]);
+  return mapTeams(teamRows, memberRows, meetingRows);
+}
+
+async function loadMeetings() {
+  if (USE_MOCK) return (await import("../mock/meetings")).meetings;
+  const [teams, meetingRows] = await Promise.all([loadTeams(), fetchMeetings()]);
+  const teamsById = indexById(teams);
+  return meetingRows.map((row) => mapMeeting(row, teamsById));
+}
+
+/**
+ * One page of meeting instances for useServerTable.
+ * Column filters: status (single select), instanceDate (exact date).
+ */
+async function loadMeetingInstancesPage({ page, size, sort, filters }) {
+  if (USE_MOCK) {
+    const { meetingInstances } = await import("../mock/meetingInstances");
+    return paginateLocally(
+      meetingInstances,
+      { page, size, sort: sort ?? { key: "instanceDate", direction: "desc" }, filters },
+      { status: (r, v) => r.status === v, instanceDate: (r, v) => r.instanceDate === v }
+    );
+  }
+  const data = await fetchMeetingInstancesPage({
+    page,
+    size,
+    orderBy: orderBy(sort, INSTANCE_SORT_FIELDS, "-instance_date"),
+    status:  filters.status || undefined,
+    date:    filters.instanceDate || undefined,
+  });
+  return { count: data.count, rows: data.results.map(mapInstance) };
+}
+
+/**
+ * Converts MEETING_INSTANCE rows to rotation records.
+ * Attendance is only fetched for the given rows, then each row is mapped
+ * against the live team schedules; instances not on an active team are dropped.
+ */
+async function toRotations(instanceRows) {
+  const [teams, attendanceRows] = await Promise.all([
+    loadTeams(),
+    fetchAttendanceForInstances(instanceRows.map((r) => r.id)),
+  ]);
+  return instanceRows
+    .map((row) => mapRotation(row, teams, attendanceRows))
+    .filter(Boolean);
+}
+
+async function loadRotations(fromDate) {
+  if (USE_MOCK) {
+    const { rotations } = await import("../mock/rotations");
+    return rotations.filter((r) => r.weekStartDate >= mondayOf(fromDate));
+  }
+  return toRotations(await fetchInstancesInRange(fromDate));
+}
+
+async function loadInstancesInRange(fromDate, toDate) {
+  if (USE_MOCK) {
+    const { rotations } = await import("../mock/rotations");
+    // Mock rotations have no date of their own: keep every week that overlaps the range
+    return rotations.filter((r) => r.weekStartDate >= mondayOf(fromDate) && r.weekStartDate <= toDate);
+  }
+  return toRotations(await fetchInstancesInRange(fromDate, toDate));
+}
+
+/**
+ * One page of feedback forms for useServerTable.
+ * formType comes from the page's type cards; column filter: followUp ("needed" | "none").
+ *
+ * @param {string} formType — FeedbackForms.jsx key ("volunteer", …) or "all"
+ */
+async function loadFeedbackFormsPage(formType, { page, size, sort, filters }) {
+  const all = !formType || formType === "all";
+  if (USE_MOCK) {
+    const { feedbackForms } = await import("../mock/feedbackForms");
+    const needsFollowUp = (f) => !!(f.followUpNeeded || f.concernsRaised);
+    return paginateLocally(
+      all ? feedbackForms : feedbackForms.filter((f) => f.formType === formType),
+      { page, size, sort: sort ?? { key: "submittedAt", direction: "desc" }, filters },
+      { followUp: (f, v) => needsFollowUp(f) === (v === "needed") }
+    );
+  }
+  const data = await fetchFeedbackFormsPage({
+    page,
+    size,
+    orderBy:  orderBy(sort, FEEDBACK_SORT_FIELDS, "-submitted_at"),
+    formType: all ? undefined : formTypeName(formType),
+    followUp: filters.followUp || undefined,
+  });
+  return { count: data.count, rows: data.results.map(mapFeedbackForm) };
+}
+
+async function loadFeedbackForm(id) {
+  if (id == null) return null;
+  if (USE_MOCK) return findRecord((await import("../mock/feedbackForms")).feedbackForms, String(id)) ?? null;
+  return mapFeedbackForm(await fetchFeedbackForm(id));
+}
+
+async function loadFeedbackFormCounts() {
+  if (USE_MOCK) {
+    const { feedbackForms } = await import("../mock/feedbackForms");
+    return Object.fromEntries(FORM_TYPE_KEYS.map((key) =>
+      [key, feedbackForms.filter((f) => f.formType === key).length]));
+  }
+  const counts = await Promise.all(FORM_TYPE_KEYS.map((key) => fetchFeedbackFormsCount(formTypeName(key))));
+  return Object.fromEntries(FORM_TYPE_KEYS.map((key, i) => [key, counts[i]]));
+}
+
+/**
+ * One page of the PROPOSED_CHANGE queue for useServerTable.
+ * status comes from the page's status tabs; column filter: changeType.
+ *
+ * @param {string} status — "pending" | "approved" | "rejected" | "all"
+ */
+async function loadProposedChangesPage(status, { page, size, sort, filters }) {
+  const all = !status || status === "all";
+  if (USE_MOCK) {
+    const { proposedChanges } = await import("../mock/proposedChanges");
+    return paginateLocally(
+      all ? proposedChanges : proposedChanges.filter((c) => c.status === status),
+      { page, size, sort: sort ?? { key: "proposedAt", direction: "desc" }, filters },
+      { changeType: (c, v) => c.changeType === v }
+    );
+  }
+  const data = await fetchProposedChangesPage({
+    page,
+    size,
+    orderBy:    orderBy(sort, PROPOSAL_SORT_FIELDS, "-proposed_at"),
+    status:     all ? undefined : status,
+    changeType: filters.changeType || undefined,
+  });
+  return { count: data.count, rows: data.results.map(mapProposedChange) };
+}
+
+async function loadMeetingInstance(id) {
+  if (id == null) return null;
+  if (USE_MOCK) {
+    const { meetingInstances } = await import("../mock/meetingInstances");
+    return findRecord(meetingInstances, String(id)) ?? null;
+  }
+  return mapInstance(await fetchMeetingInstance(id));
+}
+
+/**
+ * Attendance for one meeting instance. Mock data has no attendance table, so
+ * the mock branch expects the instance's regular (or substitute) volunteer.
+ */
+async function loadInstanceAttendance(instanceId) {
+  if (instanceId == null) return [];
+  if (USE_MOCK) {
+    const [{ meetingInstances }, { meetings }] = await Promise.all([
+      import("../mock/meetingInstances"),
+      import("../mock/meetings"),
+    ]);
+    const instance = meetingInstances.find((mi) => mi.id === instanceId);
+    const meeting  = instance && meetings.find((m) => m.id === instance.meetingId);
+    if (!meeting) return [];
+    return [{
+      id:          `ma-${instance.id}`,
+      instanceId:  instance.id,
+      volunteerId: instance.substituteVolunteerId ?? meeting.volunteerId,
+      status:      instance.substituteVolunteerId ? "substitute" : "expected",
+      note:        "",
+    }];
+  }
+  return (await fetchAttendanceForInstances([instanceId])).map(mapAttendance);
+}
+
+/** Hits per record type in the command palette */
+const SEARCH_LIMIT = 5;
+
+/**
+ * Command palette hits for a search term (blank → none). The mock branch matches
+ * the same text Baserow searches: names, and team / visit labels shaped like the
+ * team_name formula ("Harold Brooks - Thursday 14:00").
+ */
+async function loadSearchHits(term) {
+  const query = term.trim();
+  if (!query) return [];
+  if (!USE_MOCK) return mapSearchHits(await searchRecords(query, SEARCH_LIMIT));
+
+  const [{ seniors }, { volunteers }, { visitTeams }, { meetings }, { meetingInstances }] = await Promise.all([
+    import("../mock/seniors"),
+    import("../mock/volunteers"),
+    import("../mock/groups"),
+    import("../mock/meetings"),
+    import("../mock/meetingInstances"),
+  ]);
+  const matches  = (text) => text.toLowerCase().includes(query.toLowerCase());
+  const nameOf   = (id) => {
+    const s = seniors.find((sen) => sen.id === id);
+    return s ? `${s.firstName} ${s.lastName}` : "";
+  };
+  const first    = (hits) => hits.filter((h) => matches(h.label)).slice(0, SEARCH_LIMIT);
+
+  return [
+    ...first(seniors.map((s) => ({
+      type: "senior", id: s.id, label: `${s.firstName} ${s.lastName}`, detail: s.community,
+    }))),
+    ...first(volunteers.map((v) => ({
+      type: "volunteer", id: v.id, label: `${v.firstName} ${v.lastName}`,
+      detail: [v.status, v.school].filter(Boolean).join(" · "),
+    }))),
+    ...first(visitTeams.map((t) => ({
+      type: "team", id: t.id,
+      label: `${nameOf(t.seniorId)} - ${DAY_NAMES[t.schedule[0]?.dayOfWeek] ?? ""} ${t.schedule[0]?.timeOfDay ?? ""}`,
+      detail: t.isActive ? "active" : "inactive",
+    }))),
+    ...first([...meetingInstances]
+      .sort((a, b) => b.instanceDate.localeCompare(a.instanceDate))
+      .map((mi) => {
+        const m = meetings.find((mtg) => mtg.id === mi.meetingId);
+        return {
+          type: "instance", id: mi.id,
+          label: m ? `${nameOf(m.seniorId)} - ${m.dayOfWeek} ${m.meetingTime}` : "",
+          detail: `${mi.instanceDate} · ${mi.status}`,
+        };
+      })),
+  ];
+}
+
+// ─── Hooks ────────────────────────────────────────────────────────────────────
+
+export function useSeniors()            { return useBaserowQuery(loadSeniors,            [], []); }
+export function useVolunteers()         { return useBaserowQuery(loadVolunteers,         [], []); }
+export function useVolunteerBlackouts() { return useBaserowQuery(loadVolunteerBlackouts, [], []); }
+export function useTeams()              { return useBaserowQuery(loadTeams,              [], []); }
+export function useMeetings()           { return useBaserowQuery(loadMeetings,           [], []); }
+export function useFeedbackFormCounts() { return useBaserowQuery(loadFeedbackFormCounts, [], {}); }
+export function useCaregiverSeniorIds() { return useBaserowQuery(loadCaregiverSeniorIds, [], []); }
+
+/**
+ * Monday ROTATION_HISTORY_WEEKS before a date's week — as far back as the
+ * rotation planner counts visits for it (rotationEngine's default windowWeeks).
+ *
+ * @param {string} [date] — "yyyy-MM-dd"; defaults to today
+ */
+export function rotationHistoryStart(date = format(new Date(), "yyyy-MM-dd")) {
+  return addDays(mondayOf(date), -7 * ROTATION_HISTORY_WEEKS);
+}
+
+/**
+ * Rotation-shaped visits dated on or after a day: the recent history the planner
+ * and substitute suggestions weigh, plus everything already scheduled. Bounded
+ * below so the read doesn't grow with the whole MEETING_INSTANCE table.
+ *
+ * @param {string} [fromDate] — "yyyy-MM-dd"; defaults to rotationHistoryStart()
+ */
+export function useRotations(fromDate = rotationHistoryStart()) {
+  return useBaserowQuery(() => loadRotations(fromDate), [fromDate], []);
+}
+
+/**
+ * Rotation-shaped visits dated between two days (both inclusive).
+ *
+ * @param {string} fromDate — "yyyy-MM-dd"
+ * @param {string} toDate   — "yyyy-MM-dd"
+ */
+export function useInstancesInRange(fromDate, toDate) {
+  return useBaserowQuery(
+    () => loadInstancesInRange(fromDate, toDate),
+    [fromDate, toDate],
+    []
+  );
+}
+
+/** Server-paginated meeting instances, newest first by default. */
+export function useMeetingInstancesTable() {
+  return useServerTable(loadMeetingInstancesPage, {
+    pageSize:    25,
+    initialSort: { key: "instanceDate", direction: "desc" },
+  });
+}
+
+/**
+ * Server-paginated feedback submissions, newest first by default.
+ *
+ * @param {string} [formType] — "all" (default) or a FeedbackForms.jsx type key
+ */
+export function useFeedbackFormsTable(formType = "all") {
+  return useServerTable((query) => loadFeedbackFormsPage(formType, query), {
+    pageSize:    25,
+    initialSort: { key: "submittedAt", direction: "desc" },
+    deps:        [formType],
+  });
+}
+
+/**
+ * Server-paginated PROPOSED_CHANGE queue, newest first by default.
+ *
+ * @param {string} [status] — "pending" (default), "approved", "rejected" or "all"
+ */
+export function useProposedChangesTable(status = "pending") {
+  return useServerTable((query) => loadProposedChangesPage(status, query), {
+    pageSize:    25,
+    initialSort: { key: "proposedAt", direction: "desc" },
+    deps:        [status],
+  });
+}
+
+/**
+ * One senior by ID, in the Seniors.jsx shape — loaded on its own, so a
+ * /seniors/:id link opens without waiting for the whole roster.
+ *
+ * @param {number|string|null} id — SENIOR row ID; null loads nothing
+ */
+export function useSenior(id) {
+  return useBaserowQuery(() => loadSenior(id), [id], null);
+}
+
+/**
+ * The senior profile's related records (see loadSeniorProfile): teams, visits,
+ * feedback, contacts and the senior's own phone numbers.
+ *
+ * @param {number|string|null} id — SENIOR row ID; null loads nothing
+ */
+export function useSeniorProfile(id) {
+  return useBaserowQuery(() => loadSeniorProfile(id), [id], null);
+}
+
+/**
+ * One volunteer by ID, in the Volunteers.jsx shape.
+ *
+ * @param {number|string|null} id — VOLUNTEER row ID; null loads nothing
+ */
+export function useVolunteer(id) {
+  return useBaserowQuery(() => loadVolunteer(id), [id], null);
+}
+
+/**
+ * The volunteer profile's related records (see loadVolunteerProfile): team
+ * memberships, visit history and status notes.
+ *
+ * @param {number|string|null} id — VOLUNTEER row ID; null loads nothing
+ */
+export function useVolunteerProfile(id) {
+  return useBaserowQuery(() => loadVolunteerProfile(id), [id], null);
+}
+
+/**
+ * One feedback submission by ID, in the FeedbackForms.jsx shape.
+ *
+ * @param {number|string|null} id — FEEDBACK_FORM row ID; null loads nothing
+ */
+export function useFeedbackForm(id) {
+  return useBaserowQuery(() => loadFeedbackForm(id), [id], null);
+}
+
+/**
+ * One meeting instance by ID, in the Meetings.jsx shape.
+ *
+ * @param {number|string|null} id — MEETING_INSTANCE row ID; null loads nothing
+ */
+export function useMeetingInstance(id) {
+  return useBaserowQuery(() => loadMeetingInstance(id), [id], null);
+}
+
+/**
+ * MEETING_ATTENDANCE rows for one meeting instance (who is expected to attend).
+ *
+ * @param {number|string|null} instanceId — null loads nothing
+ */
+export function useInstanceAttendance(instanceId) {
+  return useBaserowQuery(() => loadInstanceAttendance(instanceId), [instanceId], []);
+}
+
+/**
+ * Command palette results for a search term, as { type, id, label, detail } hits
+ * grouped by type (seniors, volunteers, teams, then visits). A blank term loads nothing.
+ *
+ * @param {string} term
+ */
+export function useGlobalSearch(term) {
+  return useBaserowQuery(() => loadSearchHits(term), [term], []);
+}
@@ -0,0 +1,148 @@
+/**
+ * useServerTable.js — State for a server-paginated DataTable
+ *
+ * Owns page / sort / column-filter state and loads one page at a time through a
+ * page loader, so large tables (MEETING_INSTANCE, FEEDBACK_FORM) are never pulled
+ * whole through getAllRows.
+ *
+ *   const table = useServerTable(loadInstancesPage, { pageSize: 25, initialSort });
+ *   <DataTable columns={columns} {...table.tableProps} onRowClick={…} />
+ *
+ * The loader receives { page, size, sort, filters } (UI column keys) and resolves
+ * to { count, rows }; it is responsible for mapping those to Baserow params
+ * (page, size, order_by, filters) — see the *Page loaders in useCrmData.js.
+ *
+ * Behavior:
+ *   - Changing sort or a filter resets to page 1.
+ *   - Text filters are debounced (FILTER_DEBOUNCE_MS) so typing doesn't fire a
+ *     request per keystroke.
+ *   - setPage() replaces the rows (desktop pager); loadMore() appends the next
+ *     page to the rows already shown (mobile "Load more").
+ *   - reload() goes back to page 1 and replaces the rows, so after "Load more" a
+ *     reloaded page is never appended twice and decided or edited rows drop out.
+ *
+ * Returns:
+ *   rows, total, page, pageSize, sort, filters, loading, error, reload,
+ *   setPage, loadMore, setSort, setFilter,
+ *   tableProps — the controlled DataTable props, ready to spread
+ */
+import { useState, useEffect, useCallback, useRef } from "react";
+import { useBaserowQuery } from "./useBaserowQuery";
+import { nextPaging, mergeRows } from "../services/paging";
+
+const FILTER_DEBOUNCE_MS = 300;
+
+/**
+ * @param {(query: { page, size, sort, filters }) => Promise<{ count: number, rows: Array }>} loadPage
+ * @param {object} [options]
+ * @param {number} [options.pageSize]       — Rows per page (Baserow max is 200)
+ * @param {object} [options.initialSort]    — { key, direction } or null
+ * @param {object} [options.initialFilters] — { [columnKey]: value }
+ * @param {Array}  [options.deps]           — Extra values that should reload from page 1
+ */
+export function useServerTable(loadPage, { pageSize = 25, initialSort = null, initialFilters = {}, deps = [] } = {}) {
+  const [sort,    setSortState] = useState(initialSort);
+  const [filters, setFilters]   = useState(initialFilters);
+  const [applied, setApplied]   = useState(initialFilters); // debounced copy sent to the loader
+  const [rows,    setRows]      = useState([]);
+  const [total,   setTotal]     = useState(0);
+
+  // Debounce filter input before it reaches the loader
+  useEffect(() => {
+    const timer = setTimeout(() => setApplied(filters), FILTER_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  // Paging state is tagged with the query it belongs to; when sort, filters or
+  // deps change, the stale tag makes the page fall back to 1 in the same render
+  // (no extra request for the old page number).
+  const queryKey = JSON.stringify([sort, applied, ...deps]);
+  const [paging, setPaging] = useState(() => nextPaging(null, "reload", queryKey));
+  const current = paging.key === queryKey ? paging : nextPaging(paging, "reload", queryKey);
+  const page    = current.page;
+
+  const query = useBaserowQuery(
+    () => loadPage({ page, size: pageSize, sort, filters: applied }),
+    [page, pageSize, queryKey],
+    null
+  );
+
+  // Whether the page being loaded adds to the rows shown; read when its data arrives
+  const appendRef = useRef(current.append);
+  useEffect(() => { appendRef.current = current.append; }, [current.append]);
+
+  useEffect(() => {
+    if (!query.data) return;
+    setRows((prev) => mergeRows(prev, query.data.rows, appendRef.current));
+    setTotal(query.data.count);
+  }, [query.data]);
+
+  const setPage = useCallback((p) => {
+    setPaging({ key: queryKey, page: p, append: false });
+  }, [queryKey]);
+  const loadMore = useCallback(() => {
+    setPaging((prev) => nextPaging(prev, "loadMore", queryKey));
+  }, [queryKey]);
+  // Page 1 again; the reload is still forced for when page 1 is already showing
+  const { reload: reloadQuery } = query;
+  const reload = useCallback(() => {
+    setPaging((prev) => nextPaging(prev, "reload", queryKey));
+    reloadQuery();
+  }, [queryKey, reloadQuery]);
+  const setSort = useCallback((s) => setSortState(s), []);
+  const setFilter = useCallback((key, value) => {
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  return {
+    rows,
+    total,
+    page,
+    pageSize,
+    sort,
+    filters,
+    loading: query.loading,
+    error:   query.error,
+    reload,
+    setPage,
+    loadMore,
+    setSort,
+    setFilter,
+    tableProps: {
+      rows,
+      sort,
+      onSortChange:   setSort,
+      filters,
+      onFilterChange: setFilter,
+      pagination:     { page, pageSize, total },
+      onPageChange:   setPage,
+      onLoadMore:     loadMore,
+      loading:        query.loading,
+    },
+  };
+}
+
+/**
+ * Applies a page query to an in-memory list — used by the mock-data page loaders
+ * so mock mode pages, sorts and filters the same way Baserow does.
+ *
+ * @param {Array}  all                  — Every row
+ * @param {object} query                — { page, size, sort, filters }
+ * @param {object} [matchers]           — { [columnKey]: (row, value) => boolean }.
+ *                                        Default: case-insensitive substring match on row[key].
+ * @returns {{ count: number, rows: Array }}
+ */
+export function paginateLocally(all, { page, size, sort, filters = {} }, matchers = {}) {
+  let rows = all.filter((row) =>
+    Object.entries(filters).every(([key, value]) => {
+      if (value === "" || value === undefined || value === null) return true;
+      if (matchers[key]) return matchers[key](row, value);
+      return String(row[key] ?? "").toLowerCase().includes(String(value).toLowerCase());
+    })
+  );
+  if (sort) {
+    const dir = sort.direction === "desc" ? -1 : 1;
+    rows = [...rows].sort((a, b) => String(a[sort.key] ?? "").localeCompare(String(b[sort.key] ?? "")) * dir);
+  }
+  return { count: rows.length, rows: rows.slice((page - 1) * size, page * size) };
+}
@@ -0,0 +1,23 @@
+export const appUsers = [
+  {
+    id: "u1",
+    name: "Alex Rivera",
+    email: "admin@example.org",
+    role: "admin",
+    personId: null,
+  },
+  {
+    id: "u2",
+    name: "Dana Whitfield",
+    email: "editor@example.org",
+    role: "editor",
+    personId: null,
+  },
+  {
+    id: "u3",
+    name: "Sam Okafor",
+    email: "proposer@example.org",
+    role: "proposer",
+    personId: null,
+  },
+];
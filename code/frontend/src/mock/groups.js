@@ -1,15 +1,18 @@
 // Each entry is one senior's virtual visit team.
 // One senior per team — no group names, no descriptions.
 // All visits are virtual.
-// schedule is an array so seniors can have multiple visit days per week.
+// schedule is an array so seniors can have multiple visit days per week; each slot's
+// time is in its timeZone (the senior's community zone, as MEETING.meeting_timezone).
+// memberIds maps each volunteerId to its TEAM_MEMBER row (used when proposing an end date).
 export const visitTeams = [
   {
     id: "t1",
     seniorId: "s1",
     volunteerIds: ["v1", "v3"],
+    memberIds: { v1: "tm1", v3: "tm2" },
     schedule: [
-      { dayOfWeek: 1, timeOfDay: "10:00" },
-      { dayOfWeek: 4, timeOfDay: "14:00" },
+      { dayOfWeek: 1, timeOfDay: "10:00", timeZone: "America/New_York" },
+      { dayOfWeek: 4, timeOfDay: "14:00", timeZone: "America/New_York" },
     ],
     isActive: true,
   },
@@ -17,16 +20,18 @@ export const visitTeams = [
     id: "t2",
     seniorId: "s3",
     volunteerIds: ["v9"],
-    schedule: [{ dayOfWeek: 3, timeOfDay: "13:00" }],
+    memberIds: { v9: "tm3" },
+    schedule: [{ dayOfWeek: 3, timeOfDay: "13:00", timeZone: "America/New_York" }],
     isActive: true,
   },
   {
     id: "t3",
     seniorId: "s2",
     volunteerIds: ["v2", "v7"],
+    memberIds: { v2: "tm4", v7: "tm5" },
     schedule: [
-      { dayOfWeek: 2, timeOfDay: "09:30" },
-      { dayOfWeek: 5, timeOfDay: "11:00" },
+      { dayOfWeek: 2, timeOfDay: "09:30", timeZone: "America/Chicago" },
+      { dayOfWeek: 5, timeOfDay: "11:00", timeZone: "America/Chicago" },
     ],
     isActive: true,
   },
@@ -34,28 +39,32 @@ export const visitTeams = [
     id: "t4",
     seniorId: "s5",
     volunteerIds: ["v8"],
-    schedule: [{ dayOfWeek: 4, timeOfDay: "10:00" }],
+    memberIds: { v8: "tm6" },
+    schedule: [{ dayOfWeek: 4, timeOfDay: "10:00", timeZone: "America/Chicago" }],
     isActive: true,
   },
   {
     id: "t5",
     seniorId: "s8",
     volunteerIds: ["v7"],
-    schedule: [{ dayOfWeek: 1, timeOfDay: "09:00" }],
+    memberIds: { v7: "tm7" },
+    schedule: [{ dayOfWeek: 1, timeOfDay: "09:00", timeZone: "America/Chicago" }],
     isActive: true,
   },
   {
     id: "t6",
     seniorId: "s4",
     volunteerIds: ["v4", "v10"],
-    schedule: [{ dayOfWeek: 6, timeOfDay: "11:00" }],
+    memberIds: { v4: "tm8", v10: "tm9" },
+    schedule: [{ dayOfWeek: 6, timeOfDay: "11:00", timeZone: "America/Los_Angeles" }],
     isActive: true,
   },
   {
     id: "t7",
     seniorId: "s7",
     volunteerIds: ["v5"],
-    schedule: [{ dayOfWeek: 2, timeOfDay: "14:30" }],
+    memberIds: { v5: "tm10" },
+    schedule: [{ dayOfWeek: 2, timeOfDay: "14:30", timeZone: "America/New_York" }],
     isActive: true,
   },
 ];
@@ -6,6 +6,7 @@ export const meetings = [
     groupId: "g1",
     dayOfWeek: "Monday",
     meetingTime: "10:00",
+    timeZone: "America/New_York",
     meetingLink: "https://meet.google.com/abc-defg-hij",
     status: "active",
     calendarEventId: "cal_m1",
@@ -17,6 +18,7 @@ export const meetings = [
     groupId: "g2",
     dayOfWeek: "Tuesday",
     meetingTime: "09:30",
+    timeZone: "America/Chicago",
     meetingLink: "https://meet.google.com/bcd-efgh-ijk",
     status: "active",
     calendarEventId: "cal_m2",
@@ -28,6 +30,7 @@ export const meetings = [
     groupId: "g1",
     dayOfWeek: "Wednesday",
     meetingTime: "13:00",
+    timeZone: "America/New_York",
     meetingLink: "https://meet.google.com/cde-fghi-jkl",
     status: "active",
     calendarEventId: "cal_m3",
@@ -39,6 +42,7 @@ export const meetings = [
     groupId: "g3",
     dayOfWeek: "Saturday",
     meetingTime: "11:00",
+    timeZone: "America/Los_Angeles",
     meetingLink: "https://meet.google.com/def-ghij-klm",
     status: "active",
     calendarEventId: "cal_m4",
@@ -50,6 +54,7 @@ export const meetings = [
     groupId: "g2",
     dayOfWeek: "Thursday",
     meetingTime: "10:00",
+    timeZone: "America/Chicago",
     meetingLink: "https://meet.google.com/efg-hijk-lmn",
     status: "active",
     calendarEventId: "cal_m5",
@@ -61,6 +66,7 @@ export const meetings = [
     groupId: null,
     dayOfWeek: "Wednesday",
     meetingTime: "11:00",
+    timeZone: "America/Los_Angeles",
     meetingLink: "https://meet.google.com/fgh-ijkl-mno",
     status: "paused",
     calendarEventId: "cal_m6",
@@ -72,6 +78,7 @@ export const meetings = [
     groupId: "g4",
     dayOfWeek: "Tuesday",
     meetingTime: "14:30",
+    timeZone: "America/New_York",
     meetingLink: "https://meet.google.com/ghi-jklm-nop",
     status: "active",
     calendarEventId: "cal_m7",
@@ -83,6 +90,7 @@ export const meetings = [
     groupId: "g2",
     dayOfWeek: "Monday",
     meetingTime: "09:00",
+    timeZone: "America/Chicago",
     meetingLink: "https://meet.google.com/hij-klmn-opq",
     status: "active",
     calendarEventId: "cal_m8",
@@ -94,6 +102,7 @@ export const meetings = [
     groupId: "g1",
     dayOfWeek: "Friday",
     meetingTime: "10:00",
+    timeZone: "America/New_York",
     meetingLink: "https://meet.google.com/ijk-lmno-pqr",
     status: "active",
     calendarEventId: "cal_m9",
@@ -105,6 +114,7 @@ export const meetings = [
     groupId: "g2",
     dayOfWeek: "Thursday",
     meetingTime: "09:30",
+    timeZone: "America/Chicago",
     meetingLink: "https://meet.google.com/jkl-mnop-qrs",
     status: "active",
     calendarEventId: "cal_m10",
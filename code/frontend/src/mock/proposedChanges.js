@@ -0,0 +1,98 @@
+// PROPOSED_CHANGE queue for Approvals.jsx
+// changeType: "cancel_instance" | "team_change" | "substitution" | "reschedule"
+// status:     "pending" | "approved" | "rejected"
+// Link fields are { id, label } (label = the linked row's primary field); meetingInstance
+// ids point at src/mock/meetingInstances.js.
+// reviewAudit: WF9's decision log, one line per decision.
+export const proposedChanges = [
+  {
+    id: "pc1",
+    proposedAt: "2026-02-16T15:20:00Z",
+    changeType: "cancel_instance",
+    description: "Margaret has a doctor's appointment on the 24th — please cancel that visit.",
+    notes: "Her daughter called the office this morning.",
+    newDate: "",
+    newTime: "",
+    status: "pending",
+    proposedBy: "Sam Okafor",
+    meetingInstance: { id: "mi22", label: "Margaret Collins — 2026-02-24" },
+    teamMember: null,
+    meetingAttendance: null,
+    reviewedBy: "",
+    reviewedAt: "",
+    rejectionReason: "",
+    reviewAudit: "",
+  },
+  {
+    id: "pc2",
+    proposedAt: "2026-02-15T18:05:00Z",
+    changeType: "reschedule",
+    description: "Move Harold's visit from the 24th to the 26th — volunteer has an exam.",
+    notes: "",
+    newDate: "2026-02-26",
+    newTime: "",
+    status: "pending",
+    proposedBy: "Dana Whitfield",
+    meetingInstance: { id: "mi21", label: "Harold Vance — 2026-02-24" },
+    teamMember: null,
+    meetingAttendance: null,
+    reviewedBy: "",
+    reviewedAt: "",
+    rejectionReason: "",
+    reviewAudit: "",
+  },
+  {
+    id: "pc3",
+    proposedAt: "2026-02-12T13:40:00Z",
+    changeType: "team_change",
+    description: "Marcus is graduating in May and will leave Harold's team at the end of April.",
+    notes: "",
+    newDate: "2026-04-30",
+    newTime: "",
+    status: "approved",
+    proposedBy: "Sam Okafor",
+    meetingInstance: null,
+    teamMember: { id: "tm4", label: "Marcus Jefferson — Harold Vance" },
+    meetingAttendance: null,
+    reviewedBy: "Alex Rivera",
+    reviewedAt: "2026-02-13T09:10:00Z",
+    rejectionReason: "",
+    reviewAudit: "2026-02-13T09:10:00Z approved by Alex Rivera <admin@example.org> (APP_USERS #u1) via email, token 4b1f9c2e",
+  },
+  {
+    id: "pc4",
+    proposedAt: "2026-02-10T20:15:00Z",
+    changeType: "substitution",
+    description: "Priya can't make Friday's visit; Anika offered to cover.",
+    notes: "",
+    newDate: "",
+    newTime: "",
+    status: "approved",
+    proposedBy: "Dana Whitfield",
+    meetingInstance: { id: "mi9", label: "Margaret Collins — 2026-02-20" },
+    teamMember: null,
+    meetingAttendance: { id: "ma9", label: "Priya Sharma — 2026-02-20" },
+    reviewedBy: "Alex Rivera",
+    reviewedAt: "2026-02-11T08:30:00Z",
+    rejectionReason: "",
+    reviewAudit: "2026-02-11T08:30:00Z approved by Alex Rivera <admin@example.org> (APP_USERS #u1) via app, token 9e07d3a1",
+  },
+  {
+    id: "pc5",
+    proposedAt: "2026-02-09T16:00:00Z",
+    changeType: "cancel_instance",
+    description: "Cancel the 12th — volunteer conflict.",
+    notes: "",
+    newDate: "",
+    newTime: "",
+    status: "rejected",
+    proposedBy: "Sam Okafor",
+    meetingInstance: { id: "mi14", label: "Ruth Patel — 2026-02-12" },
+    teamMember: null,
+    meetingAttendance: null,
+    reviewedBy: "Alex Rivera",
+    reviewedAt: "2026-02-09T19:45:00Z",
+    rejectionReason: "Please find a substitute instead — Ruth has already missed two visits this month.",
+    reviewAudit: "2026-02-09T19:45:00Z rejected by Alex Rivera <admin@example.org> (APP_USERS #u1) via app, token 1c6a8f50",
+  },
+];
@@ -0,0 +1,59 @@
+// SENIOR_RELATIONSHIP — each senior's caregivers, family and other contacts
+// seniorId matches seniors[].id; relationshipType is "caregiver" | "family" | "other".
+// phones come from PERSON_PHONE (cell first); caregiver is the person's CAREGIVER row,
+// null for contacts who aren't caregivers. receivesMonthlyFeedback = WF7 emails them.
+export const seniorContacts = [
+  {
+    id: "sr1", seniorId: "s1", personId: "p101",
+    firstName: "Linda", lastName: "Collins", email: "linda.collins@example.com",
+    relationshipType: "family", notes: "Daughter. Best reached after 5pm.",
+    receivesMonthlyFeedback: true,
+    phones: [{ number: "(555) 310-2211", type: "cell" }],
+    caregiver: null,
+  },
+  {
+    id: "sr2", seniorId: "s1", personId: "p102",
+    firstName: "Teresa", lastName: "Moore", email: "tmoore@sunrisegardens.example.com",
+    relationshipType: "caregiver", notes: "Activities coordinator; sets up the tablet for calls.",
+    receivesMonthlyFeedback: true,
+    phones: [
+      { number: "(555) 310-8800", type: "cell" },
+      { number: "(555) 310-8000", type: "secondary" },
+    ],
+    caregiver: { id: "cg1", isIndependent: false, isPrivate: false, community: "Sunrise Gardens", notes: "" },
+  },
+  {
+    id: "sr3", seniorId: "s2", personId: "p103",
+    firstName: "Mark", lastName: "Vance", email: "mark.vance@example.com",
+    relationshipType: "family", notes: "Son.",
+    receivesMonthlyFeedback: false,
+    phones: [{ number: "(555) 420-1934", type: "cell" }],
+    caregiver: null,
+  },
+  {
+    id: "sr4", seniorId: "s3", personId: "p104",
+    firstName: "Carmen", lastName: "Reyes", email: "carmen.reyes@example.com",
+    relationshipType: "caregiver", notes: "Niece; private caregiver three days a week.",
+    receivesMonthlyFeedback: true,
+    phones: [{ number: "(555) 530-7712", type: "cell" }],
+    caregiver: { id: "cg2", isIndependent: true, isPrivate: true, community: "", notes: "" },
+  },
+  {
+    id: "sr5", seniorId: "s7", personId: "p105",
+    firstName: "Paul", lastName: "Santos", email: "",
+    relationshipType: "other", notes: "Neighbor; call if Eleanor misses a visit.",
+    receivesMonthlyFeedback: false,
+    phones: [{ number: "(555) 640-0457", type: "secondary" }],
+    caregiver: null,
+  },
+];
+
+// PERSON_PHONE numbers of the seniors themselves, keyed by seniors[].id
+export const seniorPhones = {
+  s1: [{ number: "(555) 310-4410", type: "cell" }],
+  s2: [{ number: "(555) 420-3302", type: "secondary" }],
+  s3: [{ number: "(555) 530-1189", type: "cell" }],
+  s5: [{ number: "(555) 420-7721", type: "secondary" }],
+  s7: [{ number: "(555) 640-2290", type: "cell" }],
+  s8: [{ number: "(555) 420-6614", type: "cell" }],
+};
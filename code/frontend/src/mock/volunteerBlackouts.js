@@ -0,0 +1,7 @@
+// VOLUNTEER_BLACKOUT — date ranges a volunteer can't visit
+// from/to are inclusive "yyyy-MM-dd"; volunteerId matches volunteers[].id
+export const volunteerBlackouts = [
+  { id: "vb1", volunteerId: "v2", from: "2026-02-16", to: "2026-02-20", reason: "Midterm exams" },
+  { id: "vb2", volunteerId: "v1", from: "2026-03-09", to: "2026-03-13", reason: "Spring break" },
+  { id: "vb3", volunteerId: "v9", from: "2026-04-03", to: "2026-04-03", reason: "Family event" },
+];
@@ -0,0 +1,27 @@
+// TEAM_MEMBER — every team membership, current and ended
+// id matches visitTeams[].memberIds for current members; an ended membership has an endDate.
+export const teamMemberships = [
+  { id: "tm1",  volunteerId: "v1",  teamId: "t1", startDate: "2024-09-16", endDate: "" },
+  { id: "tm2",  volunteerId: "v3",  teamId: "t1", startDate: "2025-01-20", endDate: "" },
+  { id: "tm3",  volunteerId: "v9",  teamId: "t2", startDate: "2025-01-20", endDate: "" },
+  { id: "tm4",  volunteerId: "v2",  teamId: "t3", startDate: "2024-09-16", endDate: "" },
+  { id: "tm5",  volunteerId: "v7",  teamId: "t3", startDate: "2025-01-20", endDate: "" },
+  { id: "tm6",  volunteerId: "v8",  teamId: "t4", startDate: "2024-10-01", endDate: "" },
+  { id: "tm7",  volunteerId: "v7",  teamId: "t5", startDate: "2025-02-03", endDate: "" },
+  { id: "tm8",  volunteerId: "v4",  teamId: "t6", startDate: "2024-09-16", endDate: "" },
+  { id: "tm9",  volunteerId: "v10", teamId: "t6", startDate: "2025-01-20", endDate: "" },
+  { id: "tm10", volunteerId: "v5",  teamId: "t7", startDate: "2024-09-16", endDate: "" },
+  { id: "tm11", volunteerId: "v3",  teamId: "t2", startDate: "2024-09-16", endDate: "2025-01-17" },
+  { id: "tm12", volunteerId: "v6",  teamId: "t7", startDate: "2024-09-16", endDate: "2025-01-15" },
+  { id: "tm13", volunteerId: "v1",  teamId: "t4", startDate: "2024-09-16", endDate: "2024-09-30" },
+];
+
+// VOLUNTEER_STATUS_NOTE — dated staff notes on a volunteer's standing
+export const volunteerStatusNotes = [
+  { id: "vsn1", volunteerId: "v1", date: "2024-09-01", note: "Completed orientation and the first training session." },
+  { id: "vsn2", volunteerId: "v1", date: "2025-12-08", note: "Asked for a lighter load during finals; back to weekly visits in January." },
+  { id: "vsn3", volunteerId: "v3", date: "2025-01-17", note: "Moved to Margaret Collins's team to keep Wednesdays free for labs." },
+  { id: "vsn4", volunteerId: "v6", date: "2025-01-06", note: "Starting a full-time internship; asked to step back from visits." },
+  { id: "vsn5", volunteerId: "v6", date: "2025-01-15", note: "Marked inactive. Open to volunteering again after graduation." },
+  { id: "vsn6", volunteerId: "v9", date: "2026-02-09", note: "Happy to cover extra visits as a substitute this semester." },
+];
@@ -9,8 +9,17 @@ export const volunteers = [
     gradYear: 2026,
     status: "active",
     birthDate: "2003-04-12",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "priya.sharma@umich.edu",
+    timezone: "America/New_York",
+    mondayAvailability: "09:00-12:00",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "13:00-17:00",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v2",
@@ -22,8 +31,17 @@ export const volunteers = [
     gradYear: 2025,
     status: "active",
     birthDate: "2002-11-30",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "marcus.j@osu.edu",
+    timezone: "America/New_York",
+    mondayAvailability: "",
+    tuesdayAvailability: "09:00-12:00",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "10:00-13:00",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v3",
@@ -35,8 +53,17 @@ export const volunteers = [
     gradYear: 2027,
     status: "active",
     birthDate: "2004-07-22",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "aosei@umich.edu",
+    timezone: "America/New_York",
+    mondayAvailability: "10:00-11:00",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "15:00-18:00",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v4",
@@ -48,8 +75,17 @@ export const volunteers = [
     gradYear: 2025,
     status: "active",
     birthDate: "2002-02-14",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "dcruz@ucla.edu",
+    timezone: "America/Los_Angeles",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v5",
@@ -61,8 +97,17 @@ export const volunteers = [
     gradYear: 2026,
     status: "active",
     birthDate: "2003-08-05",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "s.andersen@northwestern.edu",
+    timezone: "America/Chicago",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v6",
@@ -74,9 +119,18 @@ export const volunteers = [
     gradYear: 2026,
     status: "inactive",
     birthDate: "2003-01-19",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     inactiveDate: "2025-01-15",
     email: "jokafor@ucla.edu",
+    timezone: "America/Los_Angeles",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v7",
@@ -88,8 +142,17 @@ export const volunteers = [
     gradYear: 2027,
     status: "active",
     birthDate: "2004-05-08",
+    onboardingDate: "2025-01-06",
     lastTrainingDate: "2025-01-10",
     email: "m.tanaka@osu.edu",
+    timezone: "America/New_York",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v8",
@@ -101,8 +164,17 @@ export const volunteers = [
     gradYear: 2025,
     status: "active",
     birthDate: "2002-09-27",
+    onboardingDate: "2024-08-20",
     lastTrainingDate: "2024-09-01",
     email: "rpatel@northwestern.edu",
+    timezone: "America/Chicago",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v9",
@@ -114,8 +186,17 @@ export const volunteers = [
     gradYear: 2026,
     status: "active",
     birthDate: "2003-12-03",
+    onboardingDate: "2025-01-06",
     lastTrainingDate: "2025-01-10",
     email: "lhassan@umich.edu",
+    timezone: "America/New_York",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
   {
     id: "v10",
@@ -127,7 +208,16 @@ export const volunteers = [
     gradYear: 2027,
     status: "active",
     birthDate: "2004-03-15",
+    onboardingDate: "2025-01-06",
     lastTrainingDate: "2025-01-10",
     email: "tbrooks@ucla.edu",
+    timezone: "America/Los_Angeles",
+    mondayAvailability: "",
+    tuesdayAvailability: "",
+    wednesdayAvailability: "",
+    thursdayAvailability: "",
+    fridayAvailability: "",
+    saturdayAvailability: "",
+    sundayAvailability: "",
   },
 ];
@@ -0,0 +1,382 @@
+/**
+ * Approvals.jsx — PROPOSED_CHANGE queue: review, approve or reject (admin only)
+ *
+ * Staff who can't edit calendar data directly submit a PROPOSED_CHANGE (WF9 —
+ * Approval Gate). WF9 emails the admin approve/reject links; this page is the
+ * in-app view of the same queue.
+ *
+ * UI elements:
+ *   Status tabs         — Pending (default) / Approved / Rejected / All
+ *   DataTable           — server-paginated; sortable by proposed / reviewed date,
+ *                         filterable by change type
+ *   Modal → ChangeDetail — the proposal, the meeting instance or team member it
+ *                         affects, review history, and (when pending) Approve /
+ *                         Reject-with-reason actions
+ *
+ * Approve / reject call WF9's existing decision callbacks (approveChange /
+ * rejectChange in baserowMutations.js) — the same endpoints the emailed
+ * confirmation forms post to — so WF9 still applies the change and emails the
+ * proposer. Each decision carries a single-use token the proxy signs for the
+ * signed-in admin; WF9 checks it and writes reviewed_by / reviewed_at and the
+ * review_audit trail.
+ *
+ * Data: useProposedChangesTable(status) pages through PROPOSED_CHANGE (or src/mock when
+ *   VITE_USE_MOCK_DATA=true). The read proxy only serves that table to admins, and
+ *   App.jsx only routes admins here (PERMISSIONS.APPROVE_CHANGES).
+ */
+import { useState } from "react";
+import { format, parseISO } from "date-fns";
+import { Check, X } from "lucide-react";
+import DataTable from "../components/ui/DataTable";
+import Badge from "../components/ui/Badge";
+import Modal from "../components/ui/Modal";
+import QueryStatus from "../components/ui/QueryStatus";
+import {
+  useProposedChangesTable,
+  useMeetingInstance,
+  useMeetings,
+  useSeniors,
+} from "../hooks/useCrmData";
+import { approveChange, rejectChange } from "../services/baserowMutations";
+import { describeError } from "../services/apiErrors";
+import "./Approvals.css";
+
+/** Status tabs, in display order */
+const STATUS_TABS = [
+  { value: "pending",  label: "Pending" },
+  { value: "approved", label: "Approved" },
+  { value: "rejected", label: "Rejected" },
+  { value: "all",      label: "All" },
+];
+
+/** Badge color per approval_status: amber = waiting, green = approved, red = rejected */
+const STATUS_VARIANTS = {
+  pending:  "paused",
+  approved: "completed",
+  rejected: "cancelled",
+};
+
+/** PROPOSED_CHANGE.change_type → label */
+const CHANGE_TYPE_LABELS = {
+  cancel_instance: "Cancel visit",
+  team_change:     "End team membership",
+  substitution:    "Substitution",
+  reschedule:      "Reschedule",
+};
+
+const CHANGE_TYPE_OPTIONS = Object.entries(CHANGE_TYPE_LABELS).map(([value, label]) => ({ value, label }));
+
+/** "2026-02-16T15:20:00Z" → "Feb 16, 2026 10:20 AM" (local time); "—" when empty */
+function formatTimestamp(value) {
+  if (!value) return "—";
+  return format(parseISO(value), "MMM d, yyyy h:mm a");
+}
+
+/** The record a change targets, as a short label for the table */
+function affectsLabel(change) {
+  return change.meetingInstance?.label ?? change.teamMember?.label ?? change.meetingAttendance?.label ?? "—";
+}
+
+/** First line of the description — the full text is in the detail modal */
+function summary(description) {
+  const firstLine = description.split("\n").find((line) => line.trim()) ?? "";
+  return firstLine.length > 80 ? `${firstLine.slice(0, 77)}…` : firstLine;
+}
+
+/** DataTable column definitions for the queue */
+const columns = [
+  {
+    key: "proposedAt",
+    label: "Proposed",
+    sortable: true,
+    render: (r) => formatTimestamp(r.proposedAt),
+  },
+  {
+    key: "changeType",
+    label: "Change",
+    filter: { type: "select", options: CHANGE_TYPE_OPTIONS, placeholder: "All changes" },
+    render: (r) => CHANGE_TYPE_LABELS[r.changeType] ?? r.changeType,
+  },
+  { key: "description", label: "Description", render: (r) => summary(r.description) },
+  { key: "affects",     label: "Affects",     render: affectsLabel },
+  { key: "proposedBy",  label: "Proposed By" },
+  {
+    key: "status",
+    label: "Status",
+    render: (r) => <Badge label={r.status} variant={STATUS_VARIANTS[r.status]} />,
+  },
+  {
+    key: "reviewedAt",
+    label: "Reviewed",
+    sortable: true,
+    render: (r) => (r.reviewedAt ? `${r.reviewedBy || "Admin"} · ${format(parseISO(r.reviewedAt), "MMM d")}` : "—"),
+  },
+];
+
+// ─── Main page component ──────────────────────────────────────────────────
+
+export default function Approvals() {
+  const [status,   setStatus]   = useState("pending");
+  const [selected, setSelected] = useState(null);
+
+  // Switching tabs reloads the table from page 1 (server-side filter)
+  const table = useProposedChangesTable(status);
+
+  /**
+   * After a decision: close the modal and reload the queue from page 1, which
+   * drops the decided change from the Pending tab (also after "Load more")
+   */
+  function handleReviewed() {
+    setSelected(null);
+    table.reload();
+  }
+
+  const tabLabel = STATUS_TABS.find((t) => t.value === status).label.toLowerCase();
+
+  return (
+    <div>
+      <div className="page-header">
+        <h1 className="page-title">Approvals</h1>
+        <p className="page-subtitle">
+          {table.total} {status === "all" ? "" : `${tabLabel} `}proposed change{table.total === 1 ? "" : "s"}
+        </p>
+      </div>
+
+      <div className="approvals-tabs" role="tablist">
+        {STATUS_TABS.map((tab) => (
+          <button
+            key={tab.value}
+            role="tab"
+            aria-selected={status === tab.value}
+            className={`approvals-tab${status === tab.value ? " approvals-tab--active" : ""}`}
+            onClick={() => setStatus(tab.value)}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      <QueryStatus
+        loading={table.loading}
+        error={table.error}
+        onRetry={table.reload}
+        label="proposed changes"
+      />
+
+      <DataTable columns={columns} {...table.tableProps} onRowClick={(row) => setSelected(row)} />
+
+      <Modal
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? CHANGE_TYPE_LABELS[selected.changeType] ?? "Proposed Change" : ""}
+      >
+        {selected && <ChangeDetail change={selected} onReviewed={handleReviewed} />}
+      </Modal>
+    </div>
+  );
+}
+
+// ─── ChangeDetail — proposal, affected record, history and actions ───────
+
+/**
+ * ChangeDetail — full view of one PROPOSED_CHANGE inside the modal.
+ *
+ * Props:
+ *   change     {object}   — The proposed change (mapProposedChange shape)
+ *   onReviewed {function} — Called after a successful approve / reject
+ */
+function ChangeDetail({ change, onReviewed }) {
+  return (
+    <div className="change-detail">
+      <div className="detail-row">
+        <span className="detail-label">Status</span>
+        <Badge label={change.status} variant={STATUS_VARIANTS[change.status]} />
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Change</span>
+        <span>{CHANGE_TYPE_LABELS[change.changeType] ?? change.changeType}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Proposed By</span>
+        <span>{change.proposedBy || "—"}</span>
+      </div>
+      <div className="detail-row">
+        <span className="detail-label">Proposed</span>
+        <span>{formatTimestamp(change.proposedAt)}</span>
+      </div>
+      {change.newDate && (
+        <div className="detail-row">
+          <span className="detail-label">New Date</span>
+          <span>{change.newDate}{change.newTime && ` at ${change.newTime}`}</span>
+        </div>
+      )}
+
+      <div className="detail-section">
+        <span className="detail-label">Description</span>
+        <p className="detail-notes">{change.description || "—"}</p>
+      </div>
+      {change.notes && (
+        <div className="detail-section">
+          <span className="detail-label">Notes</span>
+          <p className="detail-notes">{change.notes}</p>
+        </div>
+      )}
+
+      <AffectedRecord change={change} />
+
+      {change.status === "pending"
+        ? <ReviewActions change={change} onReviewed={onReviewed} />
+        : <ReviewHistory change={change} />}
+    </div>
+  );
+}
+
+/**
+ * AffectedRecord — what the change would touch.
+ * A meeting instance is loaded and joined to its senior (via MEETING → team);
+ * team members and attendance rows are shown by their link label.
+ */
+function AffectedRecord({ change }) {
+  const { data: instance, loading, error } = useMeetingInstance(change.meetingInstance?.id ?? null);
+  const { data: meetings } = useMeetings();
+  const { data: seniors }  = useSeniors();
+
+  if (!change.meetingInstance && !change.teamMember && !change.meetingAttendance) return null;
+
+  const meeting = instance && meetings.find((m) => m.id === instance.meetingId);
+  const senior  = meeting && seniors.find((s) => s.id === meeting.seniorId);
+
+  return (
+    <div className="change-detail__affected">
+      <span className="detail-label">Affects</span>
+      {change.meetingInstance && (
+        <div className="detail-row">
+          <span>Meeting instance</span>
+          <span>
+            {loading && "Loading…"}
+            {!loading && (error || !instance) && change.meetingInstance.label}
+            {!loading && instance && (
+              <>
+                {senior ? `${senior.firstName} ${senior.lastName} · ` : ""}
+                {instance.instanceDate}
+                {meeting ? ` ${meeting.meetingTime}` : ""}{" "}
+                <Badge label={instance.status} variant={instance.status} />
+              </>
+            )}
+          </span>
+        </div>
+      )}
+      {change.teamMember && (
+        <div className="detail-row">
+          <span>Team member</span>
+          <span>{change.teamMember.label}</span>
+        </div>
+      )}
+      {change.meetingAttendance && (
+        <div className="detail-row">
+          <span>Attendance record</span>
+          <span>{change.meetingAttendance.label}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** ReviewHistory — who decided, when, and why (rejections) */
+function ReviewHistory({ change }) {
+  return (
+    <div className="change-detail__history">
+      <span className="detail-label">Review</span>
+      <div className="detail-row">
+        <span>Reviewed by</span>
+        <span>{change.reviewedBy || "—"}</span>
+      </div>
+      <div className="detail-row">
+        <span>Reviewed at</span>
+        <span>{formatTimestamp(change.reviewedAt)}</span>
+      </div>
+      {change.rejectionReason && (
+        <div className="detail-section">
+          <span className="detail-label">Rejection Reason</span>
+          <p className="detail-notes">{change.rejectionReason}</p>
+        </div>
+      )}
+      {/* Written by WF9 with each decision: who, when, email link or app, token ID */}
+      {change.reviewAudit && (
+        <div className="detail-section">
+          <span className="detail-label">Decision Log</span>
+          <p className="detail-notes change-detail__audit">{change.reviewAudit}</p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * ReviewActions — Approve, or Reject with a required reason.
+ * The reviewer is the signed-in admin named in the decision token (see approveChange).
+ */
+function ReviewActions({ change, onReviewed }) {
+  const [rejecting, setRejecting] = useState(false);
+  const [reason,    setReason]    = useState("");
+  const [errors,    setErrors]    = useState({});
+  const [saving,    setSaving]    = useState(false);
+
+  async function decide(decision) {
+    if (decision === "reject" && !reason.trim()) {
+      setErrors({ reason: "Tell the proposer why this was rejected" });
+      return;
+    }
+    setSaving(true);
+    try {
+      if (decision === "approve") await approveChange(change.id);
+      else                        await rejectChange(change.id, reason.trim());
+      onReviewed();
+    } catch (err) {
+      console.error(`Approvals: ${decision} failed:`, err);
+      setErrors({ _form: `${describeError(err)} The change was not ${decision}d.` });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="detail-edit-form">
+      {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+      {rejecting && (
+        <div className="form-row form-row--full">
+          <label className="form-label">Reason for rejection</label>
+          <textarea
+            className="form-textarea"
+            rows={3}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            autoFocus
+          />
+          {errors.reason && <span className="form-error">{errors.reason}</span>}
+        </div>
+      )}
+      <div className="form-actions">
+        {rejecting ? (
+          <>
+            <button className="approvals-reject-btn" onClick={() => decide("reject")} disabled={saving}>
+              <X size={14} /> {saving ? "Rejecting…" : "Confirm Rejection"}
+            </button>
+            <button className="edit-cancel-btn" onClick={() => { setRejecting(false); setErrors({}); }} disabled={saving}>
+              Back
+            </button>
+          </>
+        ) : (
+          <>
+            <button className="edit-save-btn" onClick={() => decide("approve")} disabled={saving}>
+              <Check size={14} /> {saving ? "Approving…" : "Approve"}
+            </button>
+            <button className="approvals-reject-btn" onClick={() => setRejecting(true)} disabled={saving}>
+              <X size={14} /> Reject
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -7,13 +7,17 @@
  * Layout:
  *   Row 1: 4 KPI cards (active seniors, active volunteers, active teams, scheduled visits)
  *   Row 2: Two-column grid
- *     Left:  "Recent Activity" — last 5 meeting instances sorted by date (newest first)
+ *     Left:  "Recent Activity" — last 5 meeting instances sorted by date (newest first),
+ *            each linking to its /meetings/:instanceId route
  *     Right: "Quick Links" — icon buttons that navigate to key sections
  *
  * Data fetching:
  *   All 5 queries run in parallel via Promise.all() on mount.
  *   A loading state prevents rendering stale/zero values during the fetch.
- *   Errors are caught and logged; the dashboard falls back to showing "—" for failed counts.
+ *   Errors are caught and logged; the dashboard falls back to showing "—" for failed counts
+ *   and shows an error banner (QueryStatus) explaining the failure, with a Retry button.
+ *   Requests time out and retry on their own (see services/httpClient.js), so a Baserow
+ *   restart ends in the banner instead of an endless "Loading…".
  *
  * Baserow field name notes (raw API returns Baserow's field names, not JS camelCase):
  *   - MEETING_INSTANCE rows have: instance_date, instance_status, meeting (link array)
@@ -26,10 +30,13 @@
  * The "Groups" quick link count is the active team count from VOLUNTEER_TEAM.
  */
 import { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { Users, UserCheck, CalendarDays, ClipboardList, UsersRound } from "lucide-react";
 import KpiCard from "../components/ui/KpiCard";
 import Badge from "../components/ui/Badge";
+import QueryStatus from "../components/ui/QueryStatus";
+import { normalizeStatus } from "../services/mappers";
+import { recordPath } from "../services/recordLinks";
 import {
   fetchActiveSeniorsCount,
   fetchActiveVolunteersCount,
@@ -49,12 +56,15 @@ export default function Dashboard() {
   const [activeTeams,     setActiveTeams]     = useState(null);
   const [scheduledVisits, setScheduledVisits] = useState(null);
   const [recentInstances, setRecentInstances] = useState([]);
+  const [error,           setError]           = useState(null);
+  const [reloadKey,       setReloadKey]       = useState(0); // bumped by the banner's Retry
 
   // ─── Data fetch on mount ──────────────────────────────────────────────────
   useEffect(() => {
     let cancelled = false; // prevent setState after unmount
 
     async function loadDashboard() {
+      setLoading(true);
       try {
         // Run all 5 queries in parallel for faster load
         const [seniors, volunteers, teams, instances, recent] = await Promise.all([
@@ -71,8 +81,10 @@ export default function Dashboard() {
         setActiveTeams(teams);
         setScheduledVisits(instances);
         setRecentInstances(recent);
+        setError(null);
       } catch (err) {
         console.error("Dashboard: failed to load Baserow data:", err);
+        if (!cancelled) setError(err);
         // Keep null values — KpiCard will show "—" for null
       } finally {
         if (!cancelled) setLoading(false);
@@ -81,7 +93,7 @@ export default function Dashboard() {
 
     loadDashboard();
     return () => { cancelled = true; }; // cleanup if component unmounts during fetch
-  }, []);
+  }, [reloadKey]);
 
   // ─── Quick Links (uses live counts once loaded) ───────────────────────────
   const quickLinks = [
@@ -116,7 +128,8 @@ export default function Dashboard() {
   }
 
   function instanceStatus(instance) {
-    return instance["instance_status"] || "scheduled";
+    // Single-select → { id, value, color }; "canceled" → "cancelled" for the Badge variant
+    return normalizeStatus(instance["instance_status"]) || "scheduled";
   }
 
   return (
@@ -126,6 +139,15 @@ export default function Dashboard() {
         <p className="page-subtitle">Welcome to the CTR CRM — Conversations to Remember</p>
       </div>
 
+      {error && (
+        <QueryStatus
+          loading={loading}
+          error={error}
+          onRetry={() => setReloadKey((k) => k + 1)}
+          label="dashboard data"
+        />
+      )}
+
       {/* KPI strip — 4 metric cards across the top */}
       <div className="dashboard-kpis">
         <KpiCard
@@ -164,13 +186,13 @@ export default function Dashboard() {
             {recentInstances.map((mi) => {
               const status = instanceStatus(mi);
               return (
-                <div key={mi.id} className="activity-item">
+                <Link key={mi.id} className="activity-item" to={recordPath("instance", mi.id)}>
                   <div className="activity-item__info">
                     <span className="activity-item__name">{instanceLabel(mi)}</span>
                     <span className="activity-item__date">{instanceDate(mi)}</span>
                   </div>
                   <Badge label={status} variant={status} />
-                </div>
+                </Link>
               );
             })}
           </div>
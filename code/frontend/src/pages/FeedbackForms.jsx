@@ -14,25 +14,39 @@
  * UI elements:
  *   Type summary cards  — clickable count cards at top, act as toggle filters
  *   Type dropdown       — redundant with cards but provides "All Types" option
- *   DataTable           — sortable by submittedAt date (newest first)
+ *   DataTable           — server-paginated; sortable by submittedAt (newest first by
+ *                         default), filterable by follow-up status
  *   Modal → FormDetail  — full field display for the selected submission
  *
+ * Routing:
+ *   /feedback/:formId opens that submission's modal (linkable, survives a refresh).
+ *   The submission is fetched on its own (useFeedbackForm); closing the modal goes
+ *   back to /feedback and an unknown ID shows a not-found message (RecordStatus).
+ *
  * Follow-up detection:
  *   followUpNeeded (volunteer forms) OR concernsRaised (monthly forms) → flags "Follow-up Needed"
  *
- * TODO (Sprint 4): Replace mock data with Baserow API reads from FEEDBACK_FORM table.
- *   Reads: GET rows filtered by form_type, sorted by submitted_at DESC
+ * Data: useFeedbackFormsTable(typeFilter) pages through the FEEDBACK_FORM table (or src/mock
+ *   when VITE_USE_MOCK_DATA=true), filtered by form type server-side; form_type links are
+ *   mapped to the short keys below. useFeedbackFormCounts() fills the summary cards.
  *   The shareable form URLs (for submission) are configured directly in Baserow — no React code needed.
  */
 import { useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
 import { ClipboardCheck } from "lucide-react";
 import DataTable from "../components/ui/DataTable";
 import Badge from "../components/ui/Badge";
 import Modal from "../components/ui/Modal";
-import { feedbackForms } from "../mock/feedbackForms";
-import { seniors } from "../mock/seniors";
-import { volunteers } from "../mock/volunteers";
-import { meetingInstances } from "../mock/meetingInstances";
+import QueryStatus from "../components/ui/QueryStatus";
+import RecordStatus from "../components/ui/RecordStatus";
+import {
+  useFeedbackFormsTable,
+  useFeedbackFormCounts,
+  useFeedbackForm,
+  useSeniors,
+  useVolunteers,
+} from "../hooks/useCrmData";
+import { recordPath, listPath, isRecord } from "../services/recordLinks";
 import "./FeedbackForms.css";
 
 /** Dropdown filter options (value used for filtering, label shown to user) */
@@ -63,8 +77,14 @@ const TYPE_VARIANTS = {
   caregiver_monthly: "paused",     // amber
 };
 
+/** Options for the Follow-up column filter */
+const FOLLOW_UP_OPTIONS = [
+  { value: "needed", label: "Needed" },
+  { value: "none",   label: "None" },
+];
+
 /** Returns a senior's full name by ID, or "—" if not found or ID is null */
-function seniorName(id) {
+function seniorName(id, seniors) {
   if (!id) return "—";
   const s = seniors.find((sr) => sr.id === id);
   return s ? `${s.firstName} ${s.lastName}` : "—";
@@ -73,85 +93,86 @@ function seniorName(id) {
 /**
  * Returns a human-readable label for who submitted the form.
  * call_support and caregiver_monthly forms don't have a volunteer submitter in the mock data,
- * so we return a generic label. For volunteer forms, we look up the volunteer by personId.
+ * so we return a generic label. Live rows carry the submitter's name from the
+ * submitted_by_person link; mock rows are resolved by looking up the volunteer by personId.
  */
-function submitterLabel(personId, formType) {
-  if (formType === "call_support")      return "Call Support Staff";
-  if (formType === "caregiver_monthly") return "Caregiver";
-  const v = volunteers.find((vol) => vol.id === personId);
-  return v ? `${v.firstName} ${v.lastName}` : personId;
+function submitterLabel(form, volunteers) {
+  if (form.formType === "call_support")      return "Call Support Staff";
+  if (form.formType === "caregiver_monthly") return "Caregiver";
+  if (form.submittedByName)                  return form.submittedByName;
+  const v = volunteers.find((vol) => vol.id === form.submittedByPersonId);
+  return v ? `${v.firstName} ${v.lastName}` : form.submittedByPersonId;
 }
 
 /**
- * Looks up the meetingId for a given meeting instance.
- * Currently unused in rendering but available for future join lookups.
+ * DataTable column definitions for the submissions list.
+ * Built per render because the name columns join against the hook-loaded lists.
  */
-function relatedSeniorForInstance(instanceId) {
-  const mi = meetingInstances.find((m) => m.id === instanceId);
-  return mi ? mi.meetingId : null;
-}
-
-/** DataTable column definitions for the submissions list */
-const columns = [
-  {
-    key: "formType",
-    label: "Form Type",
-    render: (r) => <Badge label={TYPE_LABELS[r.formType]} variant={TYPE_VARIANTS[r.formType]} />,
-  },
-  {
-    key: "submittedBy",
-    label: "Submitted By",
-    render: (r) => submitterLabel(r.submittedByPersonId, r.formType),
-  },
-  {
-    key: "senior",
-    label: "Senior",
-    render: (r) => {
-      if (r.seniorId)          return seniorName(r.seniorId);      // monthly forms link directly to a senior
-      if (r.meetingInstanceId) return "via meeting";               // per-meeting forms link to an instance
-      return "—";
+function buildColumns({ seniors, volunteers }) {
+  return [
+    {
+      key: "formType",
+      label: "Form Type",
+      render: (r) => <Badge label={TYPE_LABELS[r.formType]} variant={TYPE_VARIANTS[r.formType]} />,
     },
-  },
-  {
-    key: "submittedAt",
-    label: "Date",
-    render: (r) => r.submittedAt.slice(0, 10), // show date only, not time
-  },
-  {
-    key: "followUp",
-    label: "Follow-up",
-    render: (r) => {
-      // Flag if volunteer checked "follow up needed" OR monthly form has "concerns raised"
-      const needed = r.followUpNeeded || r.concernsRaised;
-      return needed ? <Badge label="Needed" variant="paused" /> : <Badge label="None" variant="active" />;
+    {
+      key: "submittedBy",
+      label: "Submitted By",
+      render: (r) => submitterLabel(r, volunteers),
     },
-  },
-];
+    {
+      key: "senior",
+      label: "Senior",
+      render: (r) => {
+        if (r.seniorId)          return seniorName(r.seniorId, seniors); // monthly forms link directly to a senior
+        if (r.meetingInstanceId) return "via meeting";                   // per-meeting forms link to an instance
+        return "—";
+      },
+    },
+    {
+      key: "submittedAt",
+      label: "Date",
+      sortable: true,
+      render: (r) => r.submittedAt.slice(0, 10), // show date only, not time
+    },
+    {
+      key: "followUp",
+      label: "Follow-up",
+      filter: { type: "select", options: FOLLOW_UP_OPTIONS, placeholder: "Any" },
+      render: (r) => {
+        // Flag if volunteer checked "follow up needed" OR monthly form has "concerns raised"
+        const needed = r.followUpNeeded || r.concernsRaised;
+        return needed ? <Badge label="Needed" variant="paused" /> : <Badge label="None" variant="active" />;
+      },
+    },
+  ];
+}
 
 // ─── Main page component ──────────────────────────────────────────────────
 
 export default function FeedbackForms() {
   const [typeFilter, setTypeFilter] = useState("all");
-  const [selected,   setSelected]   = useState(null);
+  const { formId } = useParams();
+  const navigate   = useNavigate();
+  const formQuery  = useFeedbackForm(formId ?? null);
+  const selected   = isRecord(formQuery.data, formId) ? formQuery.data : null;
 
-  // Filter by type and sort newest-first
-  const filtered = feedbackForms
-    .filter((f) => typeFilter === "all" || f.formType === typeFilter)
-    .sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
+  // Changing the type reloads the table from page 1 (server-side filter)
+  const table                = useFeedbackFormsTable(typeFilter);
+  const { data: counts }     = useFeedbackFormCounts();
+  const { data: seniors }    = useSeniors();
+  const { data: volunteers } = useVolunteers();
+  const lookup               = { seniors, volunteers };
+  const columns              = buildColumns(lookup);
 
-  // Submission counts per type (used for the clickable summary cards)
-  const counts = {
-    volunteer:         feedbackForms.filter((f) => f.formType === "volunteer").length,
-    call_support:      feedbackForms.filter((f) => f.formType === "call_support").length,
-    senior_monthly:    feedbackForms.filter((f) => f.formType === "senior_monthly").length,
-    caregiver_monthly: feedbackForms.filter((f) => f.formType === "caregiver_monthly").length,
-  };
+  // Total across all types — from the per-type counts, not the (filtered) rows
+  const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
 
   return (
     <div>
       <div className="page-header">
         <h1 className="page-title">Feedback Forms</h1>
-        <p className="page-subtitle">{feedbackForms.length} total submissions</p>
+        <p className="page-subtitle">{total} total submissions</p>
       </div>
 
       {/* Summary cards — clicking a card toggles that type as a filter.
@@ -163,7 +184,7 @@ export default function FeedbackForms() {
             className={`feedback-type-card${typeFilter === key ? " feedback-type-card--active" : ""}`}
             onClick={() => setTypeFilter(typeFilter === key ? "all" : key)}
           >
-            <span className="feedback-type-card__count">{counts[key]}</span>
+            <span className="feedback-type-card__count">{counts[key] ?? "—"}</span>
             <span className="feedback-type-card__label">{label}</span>
           </button>
         ))}
@@ -182,14 +203,23 @@ export default function FeedbackForms() {
         </select>
       </div>
 
-      <DataTable columns={columns} rows={filtered} onRowClick={(row) => setSelected(row)} />
+      <QueryStatus
+        loading={table.loading}
+        error={table.error}
+        onRetry={table.reload}
+        label="feedback forms"
+      />
+
+      <DataTable columns={columns} {...table.tableProps} onRowClick={(row) => navigate(recordPath("feedback", row.id))} />
 
       <Modal
-        open={!!selected}
-        onClose={() => setSelected(null)}
-        title={selected ? `${TYPE_LABELS[selected.formType]} Form` : ""}
+        open={formId != null}
+        onClose={() => navigate(listPath("feedback"))}
+        title={selected ? `${TYPE_LABELS[selected.formType]} Form` : "Feedback Form"}
       >
-        {selected && <FormDetail form={selected} />}
+        {selected
+          ? <FormDetail form={selected} lookup={lookup} />
+          : <RecordStatus query={formQuery} label="feedback form" backTo={listPath("feedback")} />}
       </Modal>
     </div>
   );
@@ -207,9 +237,10 @@ export default function FeedbackForms() {
  * Follow-up section appears at the bottom when followUpNeeded or concernsRaised is true.
  *
  * Props:
- *   form {object} — The feedback form record to display
+ *   form   {object} — The feedback form record to display
+ *   lookup {object} — { seniors, volunteers } lists from the data hooks
  */
-function FormDetail({ form }) {
+function FormDetail({ form, lookup }) {
   // Any form flagged for follow-up shows a prominent section at the bottom
   const isFollowUp = form.followUpNeeded || form.concernsRaised;
 
@@ -221,7 +252,7 @@ function FormDetail({ form }) {
       </div>
       <div className="detail-row">
         <span className="detail-label">Submitted By</span>
-        <span>{submitterLabel(form.submittedByPersonId, form.formType)}</span>
+        <span>{submitterLabel(form, lookup.volunteers)}</span>
       </div>
       <div className="detail-row">
         <span className="detail-label">Date</span>
@@ -232,7 +263,7 @@ function FormDetail({ form }) {
       {form.seniorId && (
         <div className="detail-row">
           <span className="detail-label">Senior</span>
-          <span>{seniorName(form.seniorId)}</span>
+          <span>{seniorName(form.seniorId, lookup.seniors)}</span>
         </div>
       )}
       {/* Meeting instance ID — present on per-meeting forms */}
@@ -5,61 +5,131 @@
  *
  *   1. Visit Teams (one card per senior)
  *      - Add/remove volunteers from each team
- *      - Edit visit schedule (day of week + time, multiple slots allowed)
- *      - Remove a senior's team entirely (with confirmation)
+ *      - Edit visit schedule (day of week + time, multiple slots allowed; a saved slot can be
+ *        moved but not removed, since MEETING has no status to retire it); the editor only
+ *        offers times inside the senior's availability, ranked by how many team volunteers
+ *        are free then in their own timezone (rotationEngine.findSlots); slot times are
+ *        in the meeting's zone (MEETING.meeting_timezone, the senior's zone for new slots)
+ *      - Remove a senior's team entirely (with confirmation): memberships end, meetings
+ *        are retired and the team is marked inactive; past visits are kept
  *
  *   2. Rotation Scheduling
- *      - Clicking "4 weeks / 8 weeks / 12 weeks / Custom" on a card calls generateRotations()
- *      - Rotations are assigned in round-robin order across the team's volunteers
- *      - Each schedule slot (e.g. "Mondays 10:00") generates independent rotations
+ *      - Clicking "4 weeks / 8 weeks / 12 weeks / Custom" on a card calls scheduleRotations(),
+ *        which plans the weeks after the team's latest rotation with services/rotationEngine.js
+ *        (the same planner WF5 uses for each week's MEETING_INSTANCE) and books each visit
+ *        as WF5 would (createRotationVisit); WF5 then skips those weeks
+ *      - Each visit goes to the team volunteer with the fewest visits over the last 8 weeks;
+ *        slots outside the senior's availability get no visit, and volunteers sit out
+ *        visits outside their weekly availability (read in their own timezone) or inside
+ *        one of their blackout dates
+ *      - Each schedule slot (e.g. "Mondays 10:00") is planned separately
  *        (scheduleIndex tracks which slot within a multi-day team schedule)
+ *      - Why each volunteer was chosen (or a slot skipped) shows on the card, and an
+ *        upcoming visit inside its volunteer's blackout dates is flagged
  *
- *   3. Rotation Calendar
+ *   3. Scheduling Conflicts (services/scheduleConflicts.js)
+ *      - Re-checked whenever a slot, member or rotation changes: volunteers double-booked
+ *        across teams, visits closer together than the buffer (adjustable in the report),
+ *        and slots outside the senior's availability
+ *      - A report for all teams above the cards, and each card's own conflicts; the
+ *        schedule editor checks the draft slots and the volunteer lookup warns about
+ *        volunteers whose other teams clash with this one
+ *
+ *   4. Rotation Calendar
  *      - Month-view calendar at the bottom showing all rotation assignments
+ *        (the shared components/calendar/MonthGrid, Mon–Sun like the Schedule page)
  *      - Volunteer initials appear on each day that has a rotation visit
  *
  * Key data models:
- *   teams     — Each team: { id, seniorId, volunteerIds[], schedule[{ dayOfWeek, timeOfDay }] }
- *   rotations — Each rotation: { id, teamId, scheduleIndex, assignedVolunteerId, weekStartDate, status }
- *               weekStartDate is always Monday (ISO format "yyyy-MM-dd")
+ *   teams     — Each team: { id, seniorId, volunteerIds[], memberIds{}, schedule[{ dayOfWeek, timeOfDay, timeZone, meetingId }] }
+ *   rotations — Each rotation: { id, teamId, scheduleIndex, assignedVolunteerId, weekStartDate, status, reason? }
+ *               weekStartDate is always Monday (ISO format "yyyy-MM-dd"); reason is set on planned ones
  *
  * State:
- *   teams / rotations   — Live data (starts from mock, updated in-place on all edits)
+ *   teams / rotations   — Copies of useTeams() / useRotations() (live Baserow, or src/mock
+ *                         when VITE_USE_MOCK_DATA=true), re-seeded after every save;
+ *                         rotations start 8 weeks back (the planner's window), or at the
+ *                         calendar's month when it shows an earlier one
+ *   saving / saveError  — A save in flight (edit controls wait), and why the last one failed
  *   lookupOpen          — Controls the volunteer-add slide-in panel
  *   lookupTeamId        — Which team's volunteer panel is open
  *   lookupQuery         — Search filter for the volunteer lookup panel
  *   seniorLookupOpen    — Controls the new-team / add-senior slide-in panel
  *   seniorLookupQuery   — Search filter for the senior lookup panel
  *   calMonth / calYear  — Controls the rotation calendar's displayed month
+ *   skippedSlots        — Per team, the slots the last planning run left without a visit
+ *   bufferMinutes       — Minimum gap between one volunteer's visits for the conflict check
+ *
+ * Routing:
+ *   /groups/:teamId picks out one team (linkable, survives a refresh): its card is
+ *   scrolled into view once it renders and stays highlighted while the URL names it.
+ *   An ID that isn't an active team shows a not-found message (RecordStatus).
+ *
+ * Role gating (services/permissions.js):
+ *   Team, membership and schedule edits are calendar changes (WF1/WF2 push them to
+ *   Google Calendar), so they need EDIT_CALENDAR (admins). Everyone else sees the
+ *   cards read-only, with a "Propose change" button per card when they have
+ *   PROPOSE_CHANGES.
  *
- * TODO (Sprint 3): Wire to Baserow API via baserowApi.js:
- *   Reads:  VOLUNTEER_TEAM, TEAM_MEMBER, SENIOR, VOLUNTEER, MEETING_INSTANCE tables
- *   Writes: Through N8N webhooks (adding/removing team members triggers calendar recalculation)
+ * Data:
+ *   Reads:  useTeams (VOLUNTEER_TEAM + TEAM_MEMBER + MEETING), useRotations (MEETING_INSTANCE +
+ *           MEETING_ATTENDANCE), useSeniors, useVolunteers, useVolunteerBlackouts
+ *   Writes: services/baserowMutations.js (crm-volunteer-team, crm-team-member, crm-meeting,
+ *           crm-meeting-instance and crm-meeting-attendance webhooks); WF1/WF2 then update
+ *           Google Calendar. Each save reloads the teams and visits; a failure shows in
+ *           the banner above the cards
  */
-import { useState, useMemo } from "react";
-import { ChevronLeft, ChevronRight, X, UserPlus, Video } from "lucide-react";
+import { useState, useMemo, useEffect, useRef } from "react";
+import { useParams } from "react-router-dom";
+import { ChevronLeft, ChevronRight, X, UserPlus, Video, MessageSquarePlus, AlertTriangle } from "lucide-react";
 import Badge from "../components/ui/Badge";
 import SearchInput from "../components/ui/SearchInput";
-import { visitTeams as initialTeams } from "../mock/groups";
-import { seniors } from "../mock/seniors";
-import { volunteers } from "../mock/volunteers";
-import { rotations as initialRotations } from "../mock/rotations";
+import QueryStatus from "../components/ui/QueryStatus";
+import RecordStatus from "../components/ui/RecordStatus";
+import Modal from "../components/ui/Modal";
+import ProposeChangeForm from "../components/changes/ProposeChangeForm";
+import { useTeams, useRotations, rotationHistoryStart, useSeniors, useVolunteers, useVolunteerBlackouts } from "../hooks/useCrmData";
+import { listPath, findRecord } from "../services/recordLinks";
+import { useAuth } from "../hooks/useAuth";
+import { PERMISSIONS } from "../services/permissions";
+import {
+  planRotations,
+  mondayOf,
+  addDays,
+  blackoutOn,
+  availabilityFrom,
+  readAvailability,
+  findSlots,
+} from "../services/rotationEngine";
+import { DEFAULT_TIMEZONE, meetingTimeZone, zoneAbbreviation } from "../services/timeZones";
+import {
+  createVisitTeam,
+  deactivateVisitTeam,
+  createTeamMember,
+  deactivateTeamMember,
+  createMeeting,
+  updateMeeting,
+  deactivateMeeting,
+  createRotationVisit,
+} from "../services/baserowMutations";
+import { describeError } from "../services/apiErrors";
+import { findConflicts, DEFAULT_BUFFER_MINUTES } from "../services/scheduleConflicts";
+import MonthGrid from "../components/calendar/MonthGrid";
 import {
   format,
-  addWeeks,
-  startOfWeek,
   getMonth,
   getYear,
-  getDaysInMonth,
-  startOfMonth,
-  getDay,
 } from "date-fns";
 import "./Groups.css";
 
-/** Abbreviated day labels for the month calendar header (Sun-Sat) */
-const DAY_LABELS   = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 /** Full day names indexed 0=Sunday … 6=Saturday */
 const DAY_NAMES    = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+/** Conflict kinds as shown in the reports */
+const CONFLICT_LABELS = {
+  "double-booked":        "Double-booked",
+  "too-close":            "Too close",
+  "outside-availability": "Outside availability",
+};
 const MONTH_LABELS = [
   "January","February","March","April","May","June",
   "July","August","September","October","November","December",
@@ -68,21 +138,26 @@ const MONTH_LABELS = [
 // ─── Utility helpers ──────────────────────────────────────────────────────
 
 /** Look up a senior record by ID */
-function seniorById(id)    { return seniors.find((s) => s.id === id); }
+function seniorById(seniors, id)       { return seniors.find((s) => s.id === id); }
 /** Look up a volunteer record by ID */
-function volunteerById(id) { return volunteers.find((v) => v.id === id); }
+function volunteerById(volunteers, id) { return volunteers.find((v) => v.id === id); }
 /** Returns two-letter initials for a person, e.g. "JD". Returns "?" if person is null. */
 function initials(person)  { return person ? `${person.firstName[0]}${person.lastName[0]}` : "?"; }
 
+/** "monday" → "Mon" */
+function shortDay(day) { return day.charAt(0).toUpperCase() + day.slice(1, 3); }
+
 /**
- * Returns abbreviated day names where the senior has availability set.
- * Example: "Mon, Wed" — used in the card header below the senior's name.
+ * Returns abbreviated day names where the senior has readable availability, then
+ * any days whose text can't be parsed.
+ * Example: "Mon, Wed" or "Mon, Wed (check Fri)" — used in the card header below the senior's name.
  */
 function availableDays(senior) {
   const days = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
-  return days.filter((d) => senior[`${d}Availability`])
-    .map((d) => d.charAt(0).toUpperCase() + d.slice(1, 3))
-    .join(", ") || "None listed";
+  const { days: windows, unreadable } = readAvailability(availabilityFrom(senior));
+  const listed = days.filter((d) => windows[d].length).map(shortDay).join(", ");
+  const check  = unreadable.length ? `(check ${days.filter((d) => unreadable.includes(d)).map(shortDay).join(", ")})` : "";
+  return [listed, check].filter(Boolean).join(" ") || "None listed";
 }
 
 /**
@@ -121,64 +196,49 @@ function visitDate(rotation, slot) {
   return new Date(y, m - 1, d + offset);
 }
 
-/**
- * Generates new rotation records for a team's schedule slot, continuing from the last
- * existing rotation (preserving round-robin order across re-generates).
- *
- * Algorithm:
- *   1. Find the latest existing rotation for this team+slot
- *   2. Start the new rotations from the week after the latest
- *   3. Pick the next volunteer in round-robin order (continuing from where we left off)
- *   4. Generate numWeeks new records
- *
- * @param {string} teamId
- * @param {number} scheduleIndex — Which slot within the team's schedule[] array
- * @param {string[]} volunteerIds — IDs of volunteers to rotate through
- * @param {number} numWeeks — How many weeks to generate
- * @param {Array}  existingRotations — All current rotation records (to find the last one)
- * @returns {Array} New rotation records to append
- */
-function generateRotations(teamId, scheduleIndex, volunteerIds, numWeeks, existingRotations) {
-  if (volunteerIds.length === 0) return [];
+// ─── Main page component ──────────────────────────────────────────────────
 
-  // Find existing rotations for this specific team+slot
-  const existing = existingRotations.filter(
-    (r) => r.teamId === teamId && (r.scheduleIndex ?? 0) === scheduleIndex
-  );
+export default function Groups() {
+  const teamsQuery                = useTeams();
+  const { data: seniors }         = useSeniors();
+  const { data: volunteers }      = useVolunteers();
+  const { data: blackouts }       = useVolunteerBlackouts();
+  const [teams,     setTeams]     = useState([]);
+  const [rotations, setRotations] = useState([]);
 
-  // Find the latest Monday (week start) in existing rotations, or use today if none exist
-  const latestDate = existing.reduce((acc, r) => {
-    const [y, m, d] = r.weekStartDate.split("-").map(Number);
-    const date = new Date(y, m - 1, d);
-    return date > acc ? date : acc;
-  }, new Date());
-
-  const result = [];
-  // Continue round-robin from the position after the last existing assignment
-  let idx       = existing.length % volunteerIds.length;
-  // Start from the week after the latest existing rotation
-  let weekStart = addWeeks(startOfWeek(latestDate, { weekStartsOn: 1 }), 1);
-
-  for (let i = 0; i < numWeeks; i++) {
-    result.push({
-      id:                  `r-gen-${Date.now()}-${teamId}-${scheduleIndex}-${i}`,
-      teamId,
-      scheduleIndex,
-      assignedVolunteerId: volunteerIds[idx % volunteerIds.length],
-      weekStartDate:       format(weekStart, "yyyy-MM-dd"),
-      status:              "scheduled",
-    });
-    idx++;
-    weekStart = addWeeks(weekStart, 1);
-  }
-  return result;
-}
+  // Rotation calendar month/year navigation
+  const [calMonth, setCalMonth] = useState(getMonth(new Date()));
+  const [calYear,  setCalYear]  = useState(getYear(new Date()));
 
-// ─── Main page component ──────────────────────────────────────────────────
+  // Visits from the planner's history window on, or from the calendar's month when it is earlier
+  const calStart = format(new Date(calYear, calMonth, 1), "yyyy-MM-dd");
+  const historyStart = rotationHistoryStart();
+  const rotationsQuery = useRotations(calStart < historyStart ? calStart : historyStart);
 
-export default function Groups() {
-  const [teams,     setTeams]     = useState(initialTeams);
-  const [rotations, setRotations] = useState(initialRotations);
+  const { can } = useAuth();
+  const canEdit    = can(PERMISSIONS.EDIT_CALENDAR);
+  const canPropose = can(PERMISSIONS.PROPOSE_CHANGES);
+
+  // Team whose "Propose change" form is open (staff without EDIT_CALENDAR)
+  const [proposeTeam, setProposeTeam] = useState(null);
+
+  // Re-seed the local copies whenever a (re)load finishes
+  useEffect(() => { setTeams(teamsQuery.data); },         [teamsQuery.data]);
+  useEffect(() => { setRotations(rotationsQuery.data); }, [rotationsQuery.data]);
+
+  // The routed team (/groups/:teamId). Its card is scrolled to once it renders
+  // (cards also wait for the senior), once per visit to the route.
+  const { teamId } = useParams();
+  const routedTeam = teamId != null ? findRecord(teams, teamId) : null;
+  const scrolledTo = useRef(null);
+  useEffect(() => {
+    if (teamId == null) { scrolledTo.current = null; return; }
+    if (!routedTeam || scrolledTo.current === routedTeam.id) return;
+    const card = document.getElementById(`team-${routedTeam.id}`);
+    if (!card) return;
+    card.scrollIntoView({ behavior: "smooth", block: "center" });
+    scrolledTo.current = routedTeam.id;
+  }, [teamId, routedTeam, seniors]);
 
   // Volunteer lookup panel (slide-in, triggered from a team card's "+ Add" button)
   const [lookupOpen,   setLookupOpen]   = useState(false);
@@ -189,9 +249,35 @@ export default function Groups() {
   const [seniorLookupOpen,  setSeniorLookupOpen]  = useState(false);
   const [seniorLookupQuery, setSeniorLookupQuery] = useState("");
 
-  // Rotation calendar month/year navigation
-  const [calMonth, setCalMonth] = useState(getMonth(new Date()));
-  const [calYear,  setCalYear]  = useState(getYear(new Date()));
+  // Slots the last "Schedule Rotation" run skipped, by team ID (shown on the card)
+  const [skippedSlots, setSkippedSlots] = useState({});
+
+  // A save in flight, and the banner message when the last one failed
+  const [saving,    setSaving]    = useState(false);
+  const [saveError, setSaveError] = useState(null);
+
+  // Conflict check across all teams (re-runs on every team, member or rotation change)
+  const [bufferMinutes, setBufferMinutes] = useState(DEFAULT_BUFFER_MINUTES);
+  const conflicts = useMemo(
+    () => findConflicts({ teams, rotations, seniors, volunteers, bufferMinutes }),
+    [teams, rotations, seniors, volunteers, bufferMinutes]
+  );
+
+  /** Conflicts a team would have with this schedule (the editor's draft); planned rotations aren't re-checked */
+  function scheduleConflicts(teamId, schedule) {
+    return findConflicts({
+      teams: teams.map((t) => (t.id === teamId ? { ...t, schedule } : t)),
+      seniors, volunteers, bufferMinutes,
+    }).filter((c) => c.teamIds.includes(teamId));
+  }
+
+  /** Conflicts adding a volunteer to a team would create (shown in the volunteer lookup) */
+  function membershipConflicts(teamId, volunteerId) {
+    return findConflicts({
+      teams: teams.map((t) => (t.id === teamId ? { ...t, volunteerIds: [...t.volunteerIds, volunteerId] } : t)),
+      seniors, volunteers, bufferMinutes,
+    }).filter((c) => c.volunteerId === volunteerId && c.teamIds.includes(teamId));
+  }
 
   /** Opens the volunteer lookup panel for a specific team */
   function openVolunteerLookup(teamId) {
@@ -201,81 +287,178 @@ export default function Groups() {
   }
 
   /**
-   * Adds a volunteer to the team currently open in the lookup panel.
-   * Idempotent — won't add a duplicate if already on the team.
+   * Runs one save — a run of mutations that resolves to the first rejected write's
+   * errors, or null — then reloads the teams and visits so the cards show what was
+   * saved. Writes before a failure stay saved, so the reload runs either way.
+   *
+   * @param {string}   failure — Banner text after a thrown error, e.g. "The volunteer was not added."
+   * @param {function} write   — Async; returns FieldErrors or null
+   */
+  async function save(failure, write) {
+    setSaving(true);
+    setSaveError(null);
+    try {
+      const errors = await write();
+      if (errors) setSaveError(`${Object.values(errors).join(" ")} ${failure}`);
+    } catch (err) {
+      console.error("Groups: save failed:", err);
+      setSaveError(`${describeError(err)} ${failure}`);
+    } finally {
+      setSaving(false);
+      teamsQuery.reload();
+      rotationsQuery.reload();
+    }
+  }
+
+  /**
+   * Adds a volunteer to the team currently open in the lookup panel (a TEAM_MEMBER
+   * starting today). Idempotent — won't add a duplicate if already on the team.
    */
   function addVolunteerToTeam(volunteerId) {
-    setTeams((prev) =>
-      prev.map((t) => {
-        if (t.id !== lookupTeamId)               return t;
-        if (t.volunteerIds.includes(volunteerId)) return t; // already a member
-        return { ...t, volunteerIds: [...t.volunteerIds, volunteerId] };
-      })
-    );
+    const team = teams.find((t) => t.id === lookupTeamId);
     setLookupOpen(false);
+    if (!team || team.volunteerIds.includes(volunteerId)) return; // already a member
+    save("The volunteer was not added.", async () => (await createTeamMember({
+      team:       [team.id],
+      volunteer:  [volunteerId],
+      start_date: format(new Date(), "yyyy-MM-dd"),
+    })).errors);
   }
 
-  /** Removes a volunteer from a specific team (does not delete any rotation records) */
+  /** Ends a volunteer's membership of a team today (their past and booked visits are kept) */
   function removeVolunteerFromTeam(teamId, volunteerId) {
-    setTeams((prev) =>
-      prev.map((t) =>
-        t.id === teamId
-          ? { ...t, volunteerIds: t.volunteerIds.filter((id) => id !== volunteerId) }
-          : t
-      )
-    );
+    const memberId = teams.find((t) => t.id === teamId)?.memberIds[volunteerId];
+    if (memberId == null) return;
+    save("The volunteer was not removed.", async () => (await deactivateTeamMember(memberId)).errors);
   }
 
   /**
    * Creates a new team for an unassigned senior.
-   * Default schedule: Monday at 10:00 (staff can edit it after creation).
+   * Default schedule: Monday at 10:00 in the senior's zone (staff can edit it after creation).
    */
   function addSeniorTeam(seniorId) {
-    const newTeam = {
-      id:           `t-${Date.now()}`,
-      seniorId,
-      volunteerIds: [],
-      schedule:     [{ dayOfWeek: 1, timeOfDay: "10:00" }], // default: Monday 10am
-      isActive:     true,
-    };
-    setTeams((prev) => [...prev, newTeam]);
+    const timeZone = seniorById(seniors, seniorId)?.timezone || DEFAULT_TIMEZONE;
     setSeniorLookupOpen(false);
     setSeniorLookupQuery("");
+    save("The team may not have been fully created.", async () => {
+      const team = await createVisitTeam({ senior: [seniorId], status: "active" });
+      if (team.errors) return team.errors;
+      return (await createMeeting({
+        team:                [team.row.id],
+        meeting_day_of_week: DAY_NAMES[1], // default: Monday 10am
+        meeting_time:        "10:00",
+        meeting_timezone:    timeZone,
+      })).errors;
+    });
   }
 
   /**
-   * Removes a team and all its rotation records.
+   * Removes a team: ends its memberships, retires its meetings, then marks it
+   * inactive. Visits already recorded are kept.
    * Called after the user confirms the destructive action in the card's confirmation state.
    */
   function removeSeniorTeam(teamId) {
-    setTeams((prev) => prev.filter((t) => t.id !== teamId));
-    setRotations((prev) => prev.filter((r) => r.teamId !== teamId));
+    const team = teams.find((t) => t.id === teamId);
+    if (!team) return;
+    save("The team may not have been fully removed.", async () => {
+      for (const memberId of Object.values(team.memberIds)) {
+        const { errors } = await deactivateTeamMember(memberId);
+        if (errors) return errors;
+      }
+      for (const slot of team.schedule.filter((s) => s.meetingId != null)) {
+        const { errors } = await deactivateMeeting(slot.meetingId);
+        if (errors) return errors;
+      }
+      return (await deactivateVisitTeam(team.id)).errors;
+    });
   }
 
   /**
-   * Generates and appends new rotation records for all schedule slots of a team.
+   * Plans the weeks after the team's latest rotation for all its schedule slots, and
+   * books each planned visit (createRotationVisit).
    * Called when user clicks "4 weeks", "8 weeks", "12 weeks", or a custom number.
    */
   function scheduleRotations(teamId, volunteerIds, numWeeks) {
     const team = teams.find((t) => t.id === teamId);
     if (!team) return;
-    // Generate rotations for every slot in the team's schedule (flatMap)
-    const newRots = team.schedule.flatMap((_, si) =>
-      generateRotations(teamId, si, volunteerIds, numWeeks, rotations)
-    );
-    setRotations((prev) => [...prev, ...newRots]);
+    if (team.schedule.some((slot) => slot.meetingId == null)) {
+      setSaveError("Save this team's visit schedule before scheduling rotations.");
+      return;
+    }
+
+    // Continue from the week after the team's latest rotation, or next week if it has none
+    const teamRotations = rotations.filter((r) => r.teamId === teamId);
+    const latest = teamRotations.reduce((acc, r) => (r.weekStartDate > acc ? r.weekStartDate : acc), mondayOf(format(new Date(), "yyyy-MM-dd")));
+
+    const { rotations: planned, gaps } = planRotations({
+      teamId,
+      schedule:     team.schedule,
+      volunteerIds,
+      startWeek:    addDays(latest, 7),
+      numWeeks,
+      history:      teamRotations,
+      availability: availabilityFrom(seniorById(seniors, team.seniorId)),
+      blackouts,
+      volunteerAvailability: Object.fromEntries(
+        volunteerIds.map((id) => [id, availabilityFrom(volunteerById(volunteers, id))])
+      ),
+      volunteerTimeZones: Object.fromEntries(
+        volunteerIds.map((id) => [id, volunteerById(volunteers, id)?.timezone])
+      ),
+      nameOf:       (id) => {
+        const v = volunteerById(volunteers, id);
+        return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+      },
+    });
+
+    setSkippedSlots((prev) => ({ ...prev, [teamId]: gaps }));
+    save("Some visits may not have been booked.", async () => {
+      for (const r of planned) {
+        const slot = team.schedule[r.scheduleIndex];
+        const { errors } = await createRotationVisit({
+          meetingId:   slot.meetingId,
+          date:        r.visitDate,
+          time:        slot.timeOfDay,
+          timeZone:    meetingTimeZone(slot),
+          volunteerId: r.assignedVolunteerId,
+          memberIds:   volunteerIds,
+          reason:      r.reason,
+        });
+        if (errors) return errors;
+      }
+      return null;
+    });
   }
 
-  /** Saves an edited visit schedule (day/time slots) to a team */
+  /**
+   * Saves an edited visit schedule (day/time slots) to a team: saved slots are
+   * updated in place (only when changed), new ones become MEETING rows.
+   */
   function saveSchedule(teamId, schedule) {
-    setTeams((prev) =>
-      prev.map((t) => (t.id === teamId ? { ...t, schedule } : t))
-    );
+    const team = teams.find((t) => t.id === teamId);
+    if (!team) return;
+    save("Some schedule changes may not have been saved.", async () => {
+      for (const slot of schedule) {
+        const fields = {
+          meeting_day_of_week: DAY_NAMES[slot.dayOfWeek],
+          meeting_time:        slot.timeOfDay,
+        };
+        const saved = team.schedule.find((s) => s.meetingId != null && s.meetingId === slot.meetingId);
+        let result = null;
+        if (!saved) {
+          result = await createMeeting({ ...fields, team: [team.id], meeting_timezone: meetingTimeZone(slot) });
+        } else if (saved.dayOfWeek !== slot.dayOfWeek || saved.timeOfDay !== slot.timeOfDay) {
+          result = await updateMeeting(slot.meetingId, fields);
+        }
+        if (result?.errors) return result.errors;
+      }
+      return null;
+    });
   }
 
   /**
    * Computes all rotation visit dates that fall within the currently displayed calendar month.
-   * Returns { date: Date, volunteerId: string } objects for the MonthCalendar component.
+   * Returns MonthGrid events: { key, date: "yyyy-MM-dd", volunteerId }.
    * useMemo recalculates only when rotations, teams, or the displayed month/year change.
    */
   const rotationDatesThisMonth = useMemo(() => {
@@ -287,7 +470,7 @@ export default function Groups() {
       const vd = visitDate(r, slot);
       // Filter to only dates within the displayed calendar month
       if (vd.getMonth() !== calMonth || vd.getFullYear() !== calYear) return [];
-      return [{ date: vd, volunteerId: r.assignedVolunteerId }];
+      return [{ key: r.id, date: format(vd, "yyyy-MM-dd"), volunteerId: r.assignedVolunteerId }];
     });
   }, [rotations, teams, calMonth, calYear]);
 
@@ -303,13 +486,13 @@ export default function Groups() {
         !already.includes(v.id) &&
         `${v.firstName} ${v.lastName}`.toLowerCase().includes(lookupQuery.toLowerCase())
     );
-  }, [lookupTeamId, lookupQuery, teams]);
+  }, [lookupTeamId, lookupQuery, teams, volunteers]);
 
   /** Seniors who don't yet have a visit team (only these can be added via "+ Add Senior") */
   const unassignedSeniors = useMemo(() => {
     const assignedIds = new Set(teams.map((t) => t.seniorId));
     return seniors.filter((s) => !assignedIds.has(s.id));
-  }, [teams]);
+  }, [teams, seniors]);
 
   const seniorLookupResults = useMemo(() => {
     return unassignedSeniors.filter((s) =>
@@ -336,26 +519,77 @@ export default function Groups() {
           <p className="page-subtitle">Each senior has their own virtual visit team</p>
         </div>
         {/* Disabled when all seniors already have teams */}
-        <button
-          className="page-new-btn"
-          onClick={() => { setSeniorLookupOpen(true); setSeniorLookupQuery(""); }}
-          disabled={unassignedSeniors.length === 0}
-        >
-          + Add Senior
-        </button>
+        {canEdit && (
+          <button
+            className="page-new-btn"
+            onClick={() => { setSeniorLookupOpen(true); setSeniorLookupQuery(""); }}
+            disabled={unassignedSeniors.length === 0 || saving}
+          >
+            + Add Senior
+          </button>
+        )}
       </div>
 
+      <QueryStatus
+        loading={teamsQuery.loading || rotationsQuery.loading}
+        error={teamsQuery.error ?? rotationsQuery.error}
+        onRetry={() => { teamsQuery.reload(); rotationsQuery.reload(); }}
+        label="visit teams"
+      />
+      {teamId != null && !routedTeam && !teamsQuery.loading && !teamsQuery.error && (
+        <RecordStatus query={teamsQuery} label="visit team" backTo={listPath("team")} />
+      )}
+      {saveError && <p className="form-error form-error--banner">{saveError}</p>}
+
+      {/* Conflicts across all teams, with the buffer used for "too close" */}
+      {teams.length > 0 && (
+        <section className="groups-conflicts">
+          <div className="groups-conflicts__header">
+            <h2 className="dashboard-section__title">
+              Scheduling Conflicts{conflicts.length > 0 && ` (${conflicts.length})`}
+            </h2>
+            <label className="groups-conflicts__buffer">
+              Buffer between visits
+              <input
+                type="number"
+                min="0"
+                max="240"
+                step="5"
+                className="schedule-custom__input"
+                value={bufferMinutes}
+                onChange={(e) => setBufferMinutes(Math.max(0, Number(e.target.value) || 0))}
+              />
+              min
+            </label>
+          </div>
+          {conflicts.length === 0 ? (
+            <p className="group-card__empty">No double-bookings, tight gaps or slots outside availability.</p>
+          ) : (
+            <ConflictList conflicts={conflicts} />
+          )}
+        </section>
+      )}
+
       {/* Team cards grid — one card per senior with their visit team */}
       <div className="groups-grid">
         {teams.map((team) => {
-          const senior = seniorById(team.seniorId);
+          const senior = seniorById(seniors, team.seniorId);
           if (!senior) return null; // skip orphaned teams with missing senior data
           return (
             <VisitTeamCard
               key={team.id}
               team={team}
               senior={senior}
+              volunteers={volunteers}
               rotations={rotations}
+              skipped={skippedSlots[team.id] ?? []}
+              blackouts={blackouts}
+              conflicts={conflicts.filter((c) => c.teamIds.includes(team.id))}
+              checkSchedule={(sched) => scheduleConflicts(team.id, sched)}
+              highlighted={team.id === routedTeam?.id}
+              readOnly={!canEdit}
+              saving={saving}
+              onPropose={canPropose ? () => setProposeTeam({ team, senior }) : null}
               onAddVolunteer={() => openVolunteerLookup(team.id)}
               onRemoveVolunteer={(vid) => removeVolunteerFromTeam(team.id, vid)}
               onSchedule={(n) => scheduleRotations(team.id, team.volunteerIds, n)}
@@ -376,13 +610,32 @@ export default function Groups() {
             <button className="cal-nav-btn" onClick={nextMonth}><ChevronRight size={16} /></button>
           </div>
         </div>
-        <MonthCalendar
-          month={calMonth}
-          year={calYear}
-          rotationDates={rotationDatesThisMonth}
+        {/* Volunteer initials chip per rotation visit */}
+        <MonthGrid
+          month={new Date(calYear, calMonth, 1)}
+          events={rotationDatesThisMonth}
+          renderEvent={(r) => {
+            const v = volunteerById(volunteers, r.volunteerId);
+            return <div className="month-cal__chip">{v ? initials(v) : "?"}</div>;
+          }}
         />
       </section>
 
+      {/* Propose-a-change form for read-only staff */}
+      <Modal
+        open={!!proposeTeam}
+        onClose={() => setProposeTeam(null)}
+        title="Propose a Change"
+      >
+        {proposeTeam && (
+          <ProposeChangeForm
+            subject={`Visit team: ${proposeTeam.senior.firstName} ${proposeTeam.senior.lastName} (#${proposeTeam.team.id})`}
+            onDone={() => setProposeTeam(null)}
+            onCancel={() => setProposeTeam(null)}
+          />
+        )}
+      </Modal>
+
       {/* Volunteer lookup slide-in panel — opens when clicking "+ Add" on a team card */}
       {lookupOpen && (
         <div className="lookup-backdrop" onClick={() => setLookupOpen(false)}>
@@ -399,19 +652,28 @@ export default function Groups() {
               placeholder="Search volunteers..."
             />
             <div className="lookup-results">
-              {lookupResults.map((v) => (
-                <button
-                  key={v.id}
-                  className="lookup-result-item"
-                  onClick={() => addVolunteerToTeam(v.id)}
-                >
-                  <span className="lookup-result-avatar">{initials(v)}</span>
-                  <div>
-                    <div>{v.firstName} {v.lastName}</div>
-                    <div style={{ fontSize: "0.75rem", color: "var(--text-muted)" }}>{v.school}</div>
-                  </div>
-                </button>
-              ))}
+              {lookupResults.map((v) => {
+                const clashes = membershipConflicts(lookupTeamId, v.id);
+                return (
+                  <button
+                    key={v.id}
+                    className="lookup-result-item"
+                    onClick={() => addVolunteerToTeam(v.id)}
+                    disabled={saving}
+                  >
+                    <span className="lookup-result-avatar">{initials(v)}</span>
+                    <div>
+                      <div>{v.firstName} {v.lastName}</div>
+                      <div style={{ fontSize: "0.75rem", color: "var(--text-muted)" }}>{v.school}</div>
+                      {clashes.map((c) => (
+                        <div key={c.id} className="lookup-result-warning">
+                          <AlertTriangle size={11} /> {c.message}
+                        </div>
+                      ))}
+                    </div>
+                  </button>
+                );
+              })}
               {lookupResults.length === 0 && (
                 <p className="lookup-empty">No volunteers found.</p>
               )}
@@ -441,6 +703,7 @@ export default function Groups() {
                   key={s.id}
                   className="lookup-result-item"
                   onClick={() => addSeniorTeam(s.id)}
+                  disabled={saving}
                 >
                   <span className="lookup-result-avatar">{initials(s)}</span>
                   <div>
@@ -469,24 +732,40 @@ export default function Groups() {
 /**
  * VisitTeamCard — renders one team card with 4 sections:
  *   1. Senior header (avatar, name, community, availability, status badge, remove button)
- *   2. Visit Schedule (day+time badges, editable inline)
+ *   2. Visit Schedule (day+time badges, editable inline; the editor suggests times that fit
+ *      the senior's and volunteers' availability)
  *   3. Volunteer team (chips with initials + remove ×, + Add button)
- *   4. Rotation scheduler (preset buttons: 4/8/12 weeks + custom input)
- *   5. Upcoming rotations (next 4 visits with date and assigned volunteer)
+ *   4. Rotation scheduler (preset buttons: 4/8/12 weeks + custom input), then any
+ *      slots the last run skipped and why
+ *   5. Upcoming rotations (next 4 visits with date and assigned volunteer; hover for
+ *      why that volunteer was chosen)
+ *   6. Conflicts involving this team (while editing the schedule, the draft's instead)
  *
  * When "confirmRemove" is true, the card shows a destructive-action confirmation instead.
+ * When "readOnly" is true, every edit control (remove, schedule Edit, volunteer
+ * Add/×, rotation scheduler) is hidden. The card's element ID is "team-<id>", so
+ * a link can scroll to it.
  *
  * Props:
  *   team             {object}   — The visit team data
  *   senior           {object}   — The senior record for this team
+ *   volunteers       {Array}    — All volunteer records (to resolve member names)
  *   rotations        {Array}    — All rotation records (filtered internally for this team)
+ *   skipped          {Array}    — Gaps from the last planning run ({ visitDate, reason })
+ *   blackouts        {Array}    — All volunteer blackouts (flags upcoming visits inside one)
+ *   conflicts        {Array}    — This team's conflicts (services/scheduleConflicts.js)
+ *   checkSchedule    {fn(sched)}— Conflicts this team would have with a draft schedule
+ *   highlighted      {boolean}  — Outline the card (a link picked this team)
+ *   readOnly         {boolean}  — Hide edit controls (user lacks EDIT_CALENDAR)
+ *   saving           {boolean}  — A save is in flight: edit controls are disabled
+ *   onPropose        {fn|null}  — Opens the propose-a-change form (shown when readOnly)
  *   onAddVolunteer   {fn}       — Opens the volunteer lookup panel
- *   onRemoveVolunteer {fn(vid)} — Removes a volunteer from this team
- *   onSchedule       {fn(n)}    — Generates n weeks of rotations
+ *   onRemoveVolunteer {fn(vid)} — Ends a volunteer's membership of this team
+ *   onSchedule       {fn(n)}    — Plans and books n weeks of rotations
  *   onSaveSchedule   {fn(sched)}— Saves an edited schedule
  *   onRemove         {fn}       — Removes this team (after confirmation)
  */
-function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunteer, onSchedule, onSaveSchedule, onRemove }) {
+function VisitTeamCard({ team, senior, volunteers, rotations, skipped, blackouts, conflicts, checkSchedule, highlighted, readOnly, saving, onPropose, onAddVolunteer, onRemoveVolunteer, onSchedule, onSaveSchedule, onRemove }) {
   const [customWeeks,   setCustomWeeks]   = useState("");
   const [editSchedule,  setEditSchedule]  = useState(false);
   const [draftSchedule, setDraftSchedule] = useState(team.schedule); // working copy during edit
@@ -495,15 +774,41 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
   // Next 4 upcoming rotations for the "Upcoming" section
   const upcoming = nextNRotations(team.id, rotations, 4);
 
+  // Times the schedule editor offers: inside the senior's availability, with at
+  // least one team volunteer free (in their own timezone); best-covered first
+  const members     = team.volunteerIds.map((id) => volunteerById(volunteers, id)).filter(Boolean);
+  const slotOptions = editSchedule
+    ? findSlots({
+        seniorAvailability: availabilityFrom(senior),
+        seniorTimezone:     senior.timezone,
+        volunteers:         members.map((v) => ({ id: v.id, availability: availabilityFrom(v), timezone: v.timezone })),
+        referenceDate:      format(new Date(), "yyyy-MM-dd"),
+      }).sort((a, b) => b.freeVolunteerIds.length - a.freeVolunteerIds.length)
+    : [];
+  const unreadableDays = editSchedule ? readAvailability(availabilityFrom(senior)).unreadable : [];
+  const optionsFor     = (dayOfWeek) => slotOptions.filter((o) => o.dayOfWeek === dayOfWeek);
+  const suggested      = slotOptions
+    .filter((o) => !draftSchedule.some((s) => s.dayOfWeek === o.dayOfWeek && s.timeOfDay === o.timeOfDay))
+    .slice(0, 4);
+  const shownConflicts = editSchedule ? checkSchedule(draftSchedule) : conflicts;
+
   /** Updates a single field (dayOfWeek or timeOfDay) on a draft schedule slot */
   function updateSlot(i, field, value) {
     setDraftSchedule((prev) => prev.map((s, si) => si === i ? { ...s, [field]: value } : s));
   }
-  /** Adds a new schedule slot (default: Monday 10:00) */
-  function addSlot() {
-    setDraftSchedule((prev) => [...prev, { dayOfWeek: 1, timeOfDay: "10:00" }]);
+  /** Moves a draft slot to another day, at that day's best-covered time when it has one */
+  function updateSlotDay(i, dayOfWeek) {
+    const [best] = optionsFor(dayOfWeek);
+    setDraftSchedule((prev) => prev.map((s, si) =>
+      si === i ? { ...s, dayOfWeek, timeOfDay: best ? best.timeOfDay : s.timeOfDay } : s
+    ));
+  }
+  /** Adds a new schedule slot in the senior's zone (default: the best suggestion, else Monday 10:00) */
+  function addSlot(slot = suggested[0] ?? { dayOfWeek: 1, timeOfDay: "10:00" }) {
+    const timeZone = senior.timezone || DEFAULT_TIMEZONE;
+    setDraftSchedule((prev) => [...prev, { dayOfWeek: slot.dayOfWeek, timeOfDay: slot.timeOfDay, timeZone }]);
   }
-  /** Removes a schedule slot by index (disabled when only one slot remains) */
+  /** Removes an unsaved schedule slot by index (disabled when only one slot remains) */
   function removeSlot(i) {
     setDraftSchedule((prev) => prev.filter((_, si) => si !== i));
   }
@@ -525,10 +830,10 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
           </div>
         </div>
         <p className="group-card__confirm-msg">
-          Remove <strong>{senior.firstName} {senior.lastName}</strong> from Visit Teams? Their volunteer assignments and rotation schedule will be permanently deleted.
+          Remove <strong>{senior.firstName} {senior.lastName}</strong> from Visit Teams? Their volunteers leave the team and its visits come off the calendar. Past visits are kept.
         </p>
         <div style={{ display: "flex", gap: "0.5rem" }}>
-          <button className="remove-confirm-btn" onClick={onRemove}>Yes, Remove</button>
+          <button className="remove-confirm-btn" onClick={onRemove} disabled={saving}>Yes, Remove</button>
           <button className="edit-cancel-btn" onClick={() => setConfirmRemove(false)}>Cancel</button>
         </div>
       </div>
@@ -537,7 +842,7 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
 
   // ─── Normal card view ─────────────────────────────────────────────────
   return (
-    <div className="group-card">
+    <div id={`team-${team.id}`} className={`group-card${highlighted ? " group-card--highlight" : ""}`}>
 
       {/* Senior header: avatar, name, community, availability, status, virtual badge, × remove */}
       <div className="visit-team__senior-header">
@@ -552,13 +857,26 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
           <span className="visit-team__virtual">
             <Video size={12} /> Virtual
           </span>
-          <button
-            className="visit-team__remove-btn"
-            onClick={() => setConfirmRemove(true)}
-            title="Remove from Visit Teams"
-          >
-            <X size={13} />
-          </button>
+          {readOnly ? (
+            onPropose && (
+              <button
+                className="visit-team__remove-btn"
+                onClick={onPropose}
+                title="Propose a change to this team"
+              >
+                <MessageSquarePlus size={13} />
+              </button>
+            )
+          ) : (
+            <button
+              className="visit-team__remove-btn"
+              onClick={() => setConfirmRemove(true)}
+              disabled={saving}
+              title="Remove from Visit Teams"
+            >
+              <X size={13} />
+            </button>
+          )}
         </div>
       </div>
 
@@ -566,53 +884,89 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
       <div className="group-card__section">
         <div className="group-card__section-header">
           <span className="group-card__section-label">Visit Schedule</span>
-          {!editSchedule && (
-            <button className="group-card__add-btn" onClick={() => setEditSchedule(true)}>
+          {!editSchedule && !readOnly && (
+            <button
+              className="group-card__add-btn"
+              onClick={() => { setDraftSchedule(team.schedule); setEditSchedule(true); }}
+              disabled={saving}
+            >
               Edit
             </button>
           )}
         </div>
 
         {editSchedule ? (
-          // Edit form: one row per schedule slot with day selector + time input + optional × remove
+          // Edit form: one row per schedule slot with day selector + suggested times + optional × remove
           <div>
-            {draftSchedule.map((slot, i) => (
-              <div key={i} className="group-edit-row" style={{ alignItems: "center", gap: "0.5rem", marginBottom: "0.4rem" }}>
-                <select
-                  className="edit-select"
-                  value={slot.dayOfWeek}
-                  onChange={(e) => updateSlot(i, "dayOfWeek", Number(e.target.value))}
-                >
-                  {DAY_NAMES.map((d, di) => <option key={di} value={di}>{d}</option>)}
-                </select>
-                <input
-                  type="time"
-                  className="edit-input edit-input--time"
-                  value={slot.timeOfDay}
-                  onChange={(e) => updateSlot(i, "timeOfDay", e.target.value)}
-                />
-                {/* Slot remove button — hidden when only one slot remains */}
-                {draftSchedule.length > 1 && (
+            {unreadableDays.length > 0 && (
+              <p className="schedule-hint schedule-hint--warning">
+                Can't read {senior.firstName}'s availability for {unreadableDays.map(shortDay).join(", ")} — fix it on the senior's profile.
+              </p>
+            )}
+            {draftSchedule.map((slot, i) => {
+              const options = optionsFor(slot.dayOfWeek);
+              const fitting = options.some((o) => o.timeOfDay === slot.timeOfDay);
+              return (
+                <div key={i} className="group-edit-row" style={{ alignItems: "center", gap: "0.5rem", marginBottom: "0.4rem" }}>
+                  <select
+                    className="edit-select"
+                    value={slot.dayOfWeek}
+                    onChange={(e) => updateSlotDay(i, Number(e.target.value))}
+                  >
+                    {DAY_NAMES.map((d, di) => (
+                      <option key={di} value={di}>{d}{optionsFor(di).length ? "" : " (no fit)"}</option>
+                    ))}
+                  </select>
+                  <select
+                    className="edit-select"
+                    value={slot.timeOfDay}
+                    onChange={(e) => updateSlot(i, "timeOfDay", e.target.value)}
+                  >
+                    {!fitting && <option value={slot.timeOfDay}>{slot.timeOfDay} (outside availability)</option>}
+                    {[...options].sort((a, b) => a.timeOfDay.localeCompare(b.timeOfDay)).map((o) => (
+                      <option key={o.timeOfDay} value={o.timeOfDay}>
+                        {o.timeOfDay}{members.length ? ` · ${o.freeVolunteerIds.length}/${members.length} free` : ""}
+                      </option>
+                    ))}
+                  </select>
+                {/* Slot remove button — unsaved slots only, hidden when only one slot remains */}
+                  {draftSchedule.length > 1 && slot.meetingId == null && (
+                    <button
+                      className="edit-cancel-btn"
+                      style={{ padding: "0.2rem 0.5rem" }}
+                      onClick={() => removeSlot(i)}
+                    >×</button>
+                  )}
+                </div>
+              );
+            })}
+            {suggested.length > 0 && (
+              <div className="schedule-hint">
+                Best fits:{" "}
+                {suggested.map((o) => (
                   <button
-                    className="edit-cancel-btn"
-                    style={{ padding: "0.2rem 0.5rem" }}
-                    onClick={() => removeSlot(i)}
-                  >×</button>
-                )}
+                    key={`${o.dayOfWeek}-${o.timeOfDay}`}
+                    className="schedule-suggestion"
+                    title={members.length ? `${o.freeVolunteerIds.length} of ${members.length} volunteers free` : "Inside the senior's availability"}
+                    onClick={() => addSlot(o)}
+                  >
+                    + {DAY_NAMES[o.dayOfWeek].slice(0, 3)} {o.timeOfDay}
+                  </button>
+                ))}
               </div>
-            ))}
+            )}
             <div style={{ display: "flex", gap: "0.5rem", marginTop: "0.25rem" }}>
-              <button className="group-card__add-btn" onClick={addSlot}>+ Add Day</button>
-              <button className="edit-save-btn" onClick={saveScheduleEdit}>Save</button>
+              <button className="group-card__add-btn" onClick={() => addSlot()}>+ Add Day</button>
+              <button className="edit-save-btn" onClick={saveScheduleEdit} disabled={saving}>Save</button>
               <button className="edit-cancel-btn" onClick={() => setEditSchedule(false)}>Cancel</button>
             </div>
           </div>
         ) : (
-          // Read-only view: badges like "Mondays at 10:00"
+          // Read-only view: badges like "Mondays at 10:00 EST"
           <div style={{ display: "flex", flexWrap: "wrap", gap: "0.25rem" }}>
             {team.schedule.map((slot, i) => (
               <span key={i} className="visit-team__schedule-badge">
-                {DAY_NAMES[slot.dayOfWeek]}s at {slot.timeOfDay}
+                {DAY_NAMES[slot.dayOfWeek]}s at {slot.timeOfDay} {zoneAbbreviation(new Date(), meetingTimeZone(slot))}
               </span>
             ))}
           </div>
@@ -625,27 +979,32 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
           <span className="group-card__section-label">
             Volunteers ({team.volunteerIds.length})
           </span>
-          <button className="group-card__add-btn" onClick={onAddVolunteer}>
-            <UserPlus size={14} /> Add
-          </button>
+          {!readOnly && (
+            <button className="group-card__add-btn" onClick={onAddVolunteer} disabled={saving}>
+              <UserPlus size={14} /> Add
+            </button>
+          )}
         </div>
         <div className="group-card__members">
           {team.volunteerIds.length === 0 && (
             <span className="group-card__empty">No volunteers assigned.</span>
           )}
           {team.volunteerIds.map((vid) => {
-            const v = volunteerById(vid);
+            const v = volunteerById(volunteers, vid);
             return v ? (
               <div key={vid} className="member-chip member-chip--volunteer">
                 <span className="member-chip__avatar member-chip__avatar--vol">{initials(v)}</span>
                 <span>{v.firstName} {v.lastName}</span>
-                <button
-                  className="member-chip__remove"
-                  onClick={() => onRemoveVolunteer(vid)}
-                  aria-label="Remove volunteer"
-                >
-                  <X size={11} />
-                </button>
+                {!readOnly && (
+                  <button
+                    className="member-chip__remove"
+                    onClick={() => onRemoveVolunteer(vid)}
+                    disabled={saving}
+                    aria-label="Remove volunteer"
+                  >
+                    <X size={11} />
+                  </button>
+                )}
               </div>
             ) : null;
           })}
@@ -653,36 +1012,49 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
       </div>
 
       {/* Rotation scheduler — preset week counts + custom input */}
-      <div className="group-card__section">
-        <span className="group-card__section-label">Schedule Rotation</span>
-        <div className="group-card__schedule-btns">
-          {/* Quick presets */}
-          {[4, 8, 12].map((n) => (
-            <button key={n} className="schedule-preset-btn" onClick={() => onSchedule(n)}>
-              {n} weeks
-            </button>
-          ))}
-          {/* Custom weeks input */}
-          <div className="schedule-custom">
-            <input
-              type="number"
-              min="1"
-              max="52"
-              className="schedule-custom__input"
-              placeholder="Custom"
-              value={customWeeks}
-              onChange={(e) => setCustomWeeks(e.target.value)}
-            />
-            <button
-              className="schedule-preset-btn schedule-preset-btn--primary"
-              disabled={!customWeeks || team.volunteerIds.length === 0}
-              onClick={() => { onSchedule(Number(customWeeks)); setCustomWeeks(""); }}
-            >
-              Go
-            </button>
+      {!readOnly && (
+        <div className="group-card__section">
+          <span className="group-card__section-label">Schedule Rotation</span>
+          <div className="group-card__schedule-btns">
+            {/* Quick presets */}
+            {[4, 8, 12].map((n) => (
+              <button key={n} className="schedule-preset-btn" onClick={() => onSchedule(n)} disabled={saving}>
+                {n} weeks
+              </button>
+            ))}
+            {/* Custom weeks input */}
+            <div className="schedule-custom">
+              <input
+                type="number"
+                min="1"
+                max="52"
+                className="schedule-custom__input"
+                placeholder="Custom"
+                value={customWeeks}
+                onChange={(e) => setCustomWeeks(e.target.value)}
+              />
+              <button
+                className="schedule-preset-btn schedule-preset-btn--primary"
+                disabled={!customWeeks || team.volunteerIds.length === 0 || saving}
+                onClick={() => { onSchedule(Number(customWeeks)); setCustomWeeks(""); }}
+              >
+                Go
+              </button>
+            </div>
           </div>
+          {/* Slots the planner left without a visit (outside availability, blackouts) */}
+          {skipped.length > 0 && (
+            <ul className="rotation-skipped">
+              {skipped.map((g) => (
+                <li key={`${g.visitDate}-${g.scheduleIndex}`}>
+                  <span className="rotation-row__date">{format(new Date(`${g.visitDate}T00:00`), "MMM d")}</span>{" "}
+                  {g.reason}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
-      </div>
+      )}
 
       {/* Upcoming rotations — next 4 visits with date and volunteer name */}
       {upcoming.length > 0 && (
@@ -692,73 +1064,58 @@ function VisitTeamCard({ team, senior, rotations, onAddVolunteer, onRemoveVolunt
             const slot  = team.schedule[r.scheduleIndex ?? 0];
             // Format the actual visit date (e.g. "Mar 3") from the rotation's weekStartDate + dayOfWeek
             const vdStr = slot ? format(visitDate(r, slot), "MMM d") : r.weekStartDate;
-            const v     = volunteerById(r.assignedVolunteerId);
+            const v     = volunteerById(volunteers, r.assignedVolunteerId);
+            const out   = slot && blackoutOn(blackouts, r.assignedVolunteerId, format(visitDate(r, slot), "yyyy-MM-dd"));
             return (
-              <div key={r.id} className="rotation-row">
+              <div key={r.id} className="rotation-row" title={r.reason}>
                 <span className="rotation-row__date">{vdStr}</span>
-                <span className="rotation-row__name">{v ? `${v.firstName} ${v.lastName}` : "—"}</span>
+                <span className="rotation-row__name">
+                  {out && (
+                    <span className="rotation-row__warning" title={`Blackout${out.reason ? `: ${out.reason}` : ""}`}>
+                      <AlertTriangle size={12} aria-label="Volunteer blackout" />
+                    </span>
+                  )}
+                  {v ? `${v.firstName} ${v.lastName}` : "—"}
+                </span>
               </div>
             );
           })}
         </div>
       )}
+
+      {/* Conflicts with other teams' visits, or with the senior's availability */}
+      {shownConflicts.length > 0 && (
+        <div className="group-card__section">
+          <span className="group-card__section-label">
+            {editSchedule ? "Conflicts in this draft" : "Conflicts"}
+          </span>
+          <ConflictList conflicts={shownConflicts} />
+        </div>
+      )}
     </div>
   );
 }
 
-// ─── MonthCalendar — mini month calendar showing rotation assignments ─────
+// ─── ConflictList — rows of scheduling conflicts ──────────────────────────
 
 /**
- * MonthCalendar — renders a standard Sun-Sat month grid.
- * Each day cell shows volunteer initials chips for any rotation visits on that day.
+ * ConflictList — one row per conflict: kind, then the explanation.
+ * Used by the page-wide report and by each team card.
  *
  * Props:
- *   month          {number} — 0-indexed month (0=January)
- *   year           {number}
- *   rotationDates  {Array}  — [{ date: Date, volunteerId: string }] for the current month
+ *   conflicts {Array} — From services/scheduleConflicts.findConflicts()
  */
-function MonthCalendar({ month, year, rotationDates }) {
-  const daysInMonth    = getDaysInMonth(new Date(year, month, 1));
-  const firstDayOfWeek = getDay(startOfMonth(new Date(year, month, 1))); // 0=Sun
-
-  // Build cell array: leading null entries for days before the 1st, then 1…daysInMonth
-  const cells = [];
-  for (let i = 0; i < firstDayOfWeek; i++) cells.push(null);  // blank cells before day 1
-  for (let d = 1; d <= daysInMonth; d++) cells.push(d);
-
-  /** Returns all rotation visits on a given day-of-month number */
-  function rotationsOnDay(day) {
-    return rotationDates.filter((rd) => rd.date.getDate() === day);
-  }
-
+function ConflictList({ conflicts }) {
   return (
-    <div className="month-cal">
-      {/* Day-of-week header: Sun Mon Tue … Sat */}
-      <div className="month-cal__header">
-        {DAY_LABELS.map((d) => (
-          <div key={d} className="month-cal__day-label">{d}</div>
-        ))}
-      </div>
-      {/* Grid cells — 7 columns, variable rows */}
-      <div className="month-cal__grid">
-        {cells.map((day, i) => {
-          const rots = day ? rotationsOnDay(day) : [];
-          return (
-            <div key={i} className={`month-cal__cell${day ? "" : " month-cal__cell--empty"}`}>
-              {day && <span className="month-cal__day-num">{day}</span>}
-              {/* Volunteer initials chips — one per rotation visit on this day */}
-              {rots.map((r, ri) => {
-                const v = volunteerById(r.volunteerId);
-                return (
-                  <div key={ri} className="month-cal__chip">
-                    {v ? initials(v) : "?"}
-                  </div>
-                );
-              })}
-            </div>
-          );
-        })}
-      </div>
-    </div>
+    <ul className="conflict-list">
+      {conflicts.map((c) => (
+        <li key={c.id} className="conflict-row">
+          <span className={`conflict-row__kind conflict-row__kind--${c.kind}`}>
+            <AlertTriangle size={12} /> {CONFLICT_LABELS[c.kind]}
+          </span>
+          <span className="conflict-row__message">{c.message}</span>
+        </li>
+      ))}
+    </ul>
   );
 }
@@ -0,0 +1,84 @@
+/**
+ * Login.jsx — Staff sign-in screen
+ *
+ * Rendered outside AppLayout (no sidebar/topbar). Signs in through useAuth().signIn,
+ * which checks the password against the APP_USERS user source and loads the
+ * user's role. On success the user is sent back to the page they originally
+ * requested (RequireAuth passes it in location.state.from), or the Dashboard.
+ *
+ * Visiting /login while already signed in redirects straight to the app.
+ */
+import { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import { AuthError, describeError } from "../services/apiErrors";
+import "./Login.css";
+
+export default function Login() {
+  const { user, signIn } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const from     = location.state?.from?.pathname ?? "/";
+
+  const [email,      setEmail]      = useState("");
+  const [password,   setPassword]   = useState("");
+  const [error,      setError]      = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  if (user) return <Navigate to={from} replace />;
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      setError("Enter your email and password.");
+      return;
+    }
+    setSubmitting(true);
+    setError("");
+    try {
+      await signIn(email.trim(), password);
+      navigate(from, { replace: true });
+    } catch (err) {
+      console.error("Login: sign-in failed:", err);
+      // Wrong credentials read better without describeError's generic auth wording
+      setError(err instanceof AuthError ? err.message : describeError(err));
+      setSubmitting(false);
+    }
+  }
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={submit} noValidate>
+        <img src="/logo.png" alt="Conversations to Remember" className="login-card__logo" />
+        <h1 className="login-card__title">Staff sign in</h1>
+
+        {error && <p className="login-card__error" role="alert">{error}</p>}
+
+        <label className="login-card__label" htmlFor="login-email">Email</label>
+        <input
+          id="login-email"
+          className="login-card__input"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoFocus
+        />
+
+        <label className="login-card__label" htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          className="login-card__input"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+
+        <button className="login-card__submit" type="submit" disabled={submitting}>
+          {submitting ? "Signing in…" : "Sign in"}
+        </button>
+      </form>
+    </div>
+  );
+}
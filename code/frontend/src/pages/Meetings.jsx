@@ -3,38 +3,87 @@
  *
  * In the Baserow schema, a "meeting instance" is one specific occurrence of a
  * recurring meeting (e.g. "the Monday 10am visit on Feb 24, 2026").
- * This page lists all instances, sortable and filterable by status.
+ * This page lists instances a page at a time (server-side pagination), sortable by
+ * date or status and filterable per column by status and date.
  *
- * Data model (current mock data):
+ * Data model (useCrmData hooks — live Baserow, or src/mock when VITE_USE_MOCK_DATA=true):
  *   meetingInstances — one row per individual occurrence (date, status, notes)
  *   meetings         — the parent template (senior, volunteer, day/time)
  *   The two are joined via meetingId to display senior + volunteer names.
+ *   Instances are paged through useMeetingInstancesTable() — paging, sort and the
+ *   column filters become Baserow page/size/order_by/filters params.
+ *   Live reads come from MEETING_INSTANCE, MEETING and VOLUNTEER_TEAM (via meeting.team →
+ *   senior, volunteers); see services/mappers.js for the joins.
  *
  * Substitution handling:
  *   If an instance has a substituteVolunteerId set, volunteerForInstance()
  *   shows the substitute's name instead of the original volunteer's name.
+ *   The modal ranks active volunteers free at that time (weekly availability in
+ *   their own timezone and blackout dates) with rotationEngine.suggestSubstitutes:
+ *   those on the senior's team or who have visited them before come first, then
+ *   the lightest recent load across all teams, then recent training. Proposers
+ *   can propose one as substitute in one click; the same ranking fills the
+ *   substitute picker in the Propose Change form.
  *
- * TODO (Sprint 3): Replace mock data with Baserow API reads from:
- *   - MEETING_INSTANCE table (instance_date, instance_status, notes, calendar_event_id)
- *   - MEETING table (joined via meeting_instance.meeting link)
- *   - VOLUNTEER_TEAM table (joined via meeting.team link → senior, volunteers)
- *   - MEETING_ATTENDANCE table (attendance_status per volunteer)
+ * Blackouts:
+ *   The modal warns when the instance's volunteer has a blackout on its date.
+ *
+ * Attendance (components/meetings/AttendancePanel.jsx):
+ *   The modal lists the instance's MEETING_ATTENDANCE rows — each volunteer's
+ *   attendance_status and note. Staff with RECORD_ATTENDANCE edit them (one at a
+ *   time or "Mark all attended") and, once the date has come, mark the instance
+ *   completed or no-show.
+ *
+ * Role gating (services/permissions.js):
+ *   PROPOSE_CHANGES without EDIT_CALENDAR — a scheduled instance's modal offers
+ *   "Propose Change": cancel, reschedule or substitute, sent to WF9 for approval.
+ *   RECORD_ATTENDANCE — edit attendance and the visit's outcome.
+ *
+ * Routing:
+ *   /meetings/:instanceId opens that instance's modal (linkable, survives a
+ *   refresh). The instance is fetched on its own (useMeetingInstance), wherever
+ *   it falls in the paged list; closing the modal goes back to /meetings and an
+ *   unknown ID shows a not-found message (RecordStatus).
  */
 import { useState } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { MessageSquarePlus, AlertTriangle } from "lucide-react";
 import DataTable from "../components/ui/DataTable";
 import Badge from "../components/ui/Badge";
 import Modal from "../components/ui/Modal";
-import { meetingInstances } from "../mock/meetingInstances";
-import { meetings } from "../mock/meetings";
-import { seniors } from "../mock/seniors";
-import { volunteers } from "../mock/volunteers";
+import QueryStatus from "../components/ui/QueryStatus";
+import RecordStatus from "../components/ui/RecordStatus";
+import ProposeChangeForm from "../components/changes/ProposeChangeForm";
+import AttendancePanel from "../components/meetings/AttendancePanel";
+import {
+  useMeetingInstancesTable,
+  useMeetings,
+  useSeniors,
+  useVolunteers,
+  useVolunteerBlackouts,
+  useTeams,
+  useRotations,
+  rotationHistoryStart,
+  useInstanceAttendance,
+  useMeetingInstance,
+} from "../hooks/useCrmData";
+import { useAuth } from "../hooks/useAuth";
+import { PERMISSIONS } from "../services/permissions";
+import { proposeChange } from "../services/baserowMutations";
+import { describeError } from "../services/apiErrors";
+import { recordPath, listPath, isRecord } from "../services/recordLinks";
+import { suggestSubstitutes, blackoutOn, availabilityFrom } from "../services/rotationEngine";
+import { meetingTimeZone, zoneAbbreviation, zonedTimeToUtc } from "../services/timeZones";
 import "./Meetings.css";
 
 /**
  * Looks up the senior for a meeting instance by joining:
  *   instance.meetingId → meeting.seniorId → senior record
+ *
+ * @param {object} mi     — Meeting instance
+ * @param {object} lookup — { meetings, seniors, volunteers, blackouts } lists from the data hooks
  */
-function seniorForInstance(mi) {
+function seniorForInstance(mi, { meetings, seniors }) {
   const mtg = meetings.find((m) => m.id === mi.meetingId);
   if (!mtg) return null;
   return seniors.find((s) => s.id === mtg.seniorId);
@@ -45,111 +94,253 @@ function seniorForInstance(mi) {
  * Uses substituteVolunteerId first (if a substitute was assigned),
  * otherwise falls back to the meeting template's regular volunteerId.
  */
-function volunteerForInstance(mi) {
+function volunteerForInstance(mi, { meetings, volunteers }) {
   const volunteerId = mi.substituteVolunteerId
     ? mi.substituteVolunteerId
     : meetings.find((m) => m.id === mi.meetingId)?.volunteerId;
   return volunteers.find((v) => v.id === volunteerId);
 }
 
-/** Filter options for the status dropdown */
-const statusOptions = ["all", "scheduled", "completed", "paused", "cancelled"];
-
-/** DataTable column definitions */
-const columns = [
-  {
-    key: "senior",
-    label: "Senior",
-    render: (r) => {
-      const s = seniorForInstance(r);
-      return s ? `${s.firstName} ${s.lastName}` : "—";
+/** Options for the Status column filter (MEETING_INSTANCE.instance_status) */
+const STATUS_OPTIONS = ["scheduled", "completed", "cancelled", "no-show"].map((s) => ({
+  value: s,
+  label: s.charAt(0).toUpperCase() + s.slice(1),
+}));
+
+/** How many ranked substitutes the modal lists */
+const SUBSTITUTE_SUGGESTIONS = 5;
+
+/** Change types a proposer can ask for on one meeting instance */
+const INSTANCE_CHANGE_TYPES = ["cancel_instance", "reschedule", "substitution"];
+
+/**
+ * DataTable column definitions. Built per render because the name columns
+ * join against the lists loaded by the data hooks.
+ */
+function buildColumns(lookup) {
+  return [
+    {
+      key: "senior",
+      label: "Senior",
+      render: (r) => {
+        const s = seniorForInstance(r, lookup);
+        return s ? `${s.firstName} ${s.lastName}` : "—";
+      },
+    },
+    {
+      key: "volunteer",
+      label: "Volunteer",
+      render: (r) => {
+        const v = volunteerForInstance(r, lookup);
+        return v ? `${v.firstName} ${v.lastName}` : "—";
+      },
     },
-  },
-  {
-    key: "volunteer",
-    label: "Volunteer",
-    render: (r) => {
-      const v = volunteerForInstance(r);
-      return v ? `${v.firstName} ${v.lastName}` : "—";
+    {
+      key: "instanceDate",
+      label: "Date",
+      sortable: true,
+      filter: { type: "date" },
     },
-  },
-  { key: "instanceDate", label: "Date" },
-  {
-    key: "status",
-    label: "Status",
-    render: (r) => <Badge label={r.status} variant={r.status} />,
-  },
-];
+    {
+      key: "status",
+      label: "Status",
+      sortable: true,
+      filter: { type: "select", options: STATUS_OPTIONS, placeholder: "All statuses" },
+      render: (r) => <Badge label={r.status} variant={r.status} />,
+    },
+  ];
+}
 
 // ─── Main page component ──────────────────────────────────────────────────
 
 export default function Meetings() {
-  const [statusFilter, setStatusFilter] = useState("all");
-  const [selected,     setSelected]     = useState(null);
+  const { instanceId } = useParams();
+  const navigate       = useNavigate();
+  const { can } = useAuth();
 
-  // Filter by status and sort newest-first
-  const filtered = meetingInstances
-    .filter((mi) => statusFilter === "all" || mi.status === statusFilter)
-    .sort((a, b) => new Date(b.instanceDate) - new Date(a.instanceDate));
+  // The routed instance (/meetings/:instanceId), fetched on its own since it may
+  // be on any page of the table. An outcome marked in the modal shows at once
+  // (outcomes) while the instance and the table reload (the table from page 1).
+  const instanceQuery           = useMeetingInstance(instanceId ?? null);
+  const [outcomes, setOutcomes] = useState({});
+  const routed   = isRecord(instanceQuery.data, instanceId) ? instanceQuery.data : null;
+  const selected = routed && { ...routed, status: outcomes[routed.id] ?? routed.status };
+
+  // Page / sort / column filters live in the hook; the server does the work
+  const table                = useMeetingInstancesTable();
+  const { data: meetings }   = useMeetings();
+  const { data: seniors }    = useSeniors();
+  const { data: volunteers } = useVolunteers();
+  const { data: blackouts }  = useVolunteerBlackouts();
+  const lookup               = { meetings, seniors, volunteers, blackouts };
+  const columns              = buildColumns(lookup);
 
   return (
     <div>
       <div className="page-header">
         <h1 className="page-title">Meeting Instances</h1>
-        <p className="page-subtitle">{meetingInstances.length} total instances</p>
+        <p className="page-subtitle">{table.total} instances</p>
       </div>
 
-      {/* Status filter dropdown */}
-      <div className="meetings-filters">
-        <select
-          className="meetings-select"
-          value={statusFilter}
-          onChange={(e) => setStatusFilter(e.target.value)}
-        >
-          {statusOptions.map((s) => (
-            <option key={s} value={s}>
-              {s === "all" ? "All statuses" : s.charAt(0).toUpperCase() + s.slice(1)}
-            </option>
-          ))}
-        </select>
-      </div>
+      <QueryStatus
+        loading={table.loading}
+        error={table.error}
+        onRetry={table.reload}
+        label="meeting instances"
+      />
 
-      {/* Clicking a row opens the detail modal */}
+      {/* Clicking a row opens the instance's route, which opens the detail modal */}
       <DataTable
         columns={columns}
-        rows={filtered}
-        onRowClick={(row) => setSelected(row)}
+        {...table.tableProps}
+        onRowClick={(row) => navigate(recordPath("instance", row.id))}
       />
 
       <Modal
-        open={!!selected}
-        onClose={() => setSelected(null)}
+        open={instanceId != null}
+        onClose={() => navigate(listPath("instance"))}
         title="Meeting Instance"
       >
-        {selected && <InstanceDetail instance={selected} />}
+        {selected ? (
+          <InstanceDetail
+            key={selected.id}
+            instance={selected}
+            lookup={lookup}
+            canPropose={can(PERMISSIONS.PROPOSE_CHANGES) && !can(PERMISSIONS.EDIT_CALENDAR)}
+            canRecord={can(PERMISSIONS.RECORD_ATTENDANCE)}
+            onOutcome={(status) => {
+              setOutcomes((prev) => ({ ...prev, [selected.id]: status }));
+              instanceQuery.reload();
+              table.reload();
+            }}
+          />
+        ) : (
+          <RecordStatus query={instanceQuery} label="meeting instance" backTo={listPath("instance")} />
+        )}
       </Modal>
     </div>
   );
 }
 
-// ─── InstanceDetail — read-only detail view inside the modal ─────────────
+// ─── InstanceDetail — detail view inside the modal ────────────────────────
 
 /**
  * InstanceDetail — displays full details of a single meeting instance.
  *
  * Shows: status, date, senior, volunteer (or substitute),
- * day/time from the parent meeting template, and any notes.
+ * day/time from the parent meeting template, attendance, and any notes.
+ * Scheduled instances offer "Propose Change" to staff who can't edit the calendar,
+ * and list the best-ranked substitutes with a one-click "Propose" for each.
  *
  * Props:
- *   instance {object} — The meeting instance record to display
+ *   instance   {object}  — The meeting instance record to display
+ *   lookup     {object}  — { meetings, seniors, volunteers, blackouts } lists from the data hooks
+ *   canPropose {boolean} — Show "Propose Change" (PROPOSE_CHANGES without EDIT_CALENDAR)
+ *   canRecord  {boolean} — Edit attendance and the outcome (RECORD_ATTENDANCE)
+ *   onOutcome  {fn}      — (status) after the instance is marked completed / no-show
  */
-function InstanceDetail({ instance }) {
-  const senior    = seniorForInstance(instance);
-  const volunteer = volunteerForInstance(instance);
-  const mtg       = meetings.find((m) => m.id === instance.meetingId);
+function InstanceDetail({ instance, lookup, canPropose, canRecord, onOutcome }) {
+  const [proposing, setProposing] = useState(false);
+  // One-click substitute proposal: { volunteerId, status: "sending" | "sent" | "error", error? }
+  const [subProposal, setSubProposal] = useState(null);
+  const { data: teams }      = useTeams();
+  // Visits from the planner's window before this one on, for the substitutes' load
+  const { data: rotations }  = useRotations(rotationHistoryStart(instance.instanceDate));
+  const attendanceQuery      = useInstanceAttendance(instance.id);
+  const attendance           = attendanceQuery.data;
+  const senior    = seniorForInstance(instance, lookup);
+  const volunteer = volunteerForInstance(instance, lookup);
+  const mtg       = lookup.meetings.find((m) => m.id === instance.meetingId);
+  const seniorName = senior ? `${senior.firstName} ${senior.lastName}` : "Unknown senior";
+  const blackout   = volunteer && blackoutOn(lookup.blackouts, volunteer.id, instance.instanceDate);
+  // "EST" / "PDT" as of this visit's date
+  const zoneLabel  = mtg?.meetingTime
+    ? zoneAbbreviation(zonedTimeToUtc(instance.instanceDate, mtg.meetingTime, meetingTimeZone(mtg)), meetingTimeZone(mtg))
+    : "";
+
+  // The senior's visit team (one per senior; mock meetings carry no teamId)
+  const team = teams.find((t) => t.id === mtg?.teamId) ?? teams.find((t) => t.seniorId === mtg?.seniorId);
+
+  /** Active volunteers free at this visit's date and time, best substitute first */
+  function coverSuggestions() {
+    const active = lookup.volunteers.filter((v) => v.status === "active");
+    return suggestSubstitutes({
+      volunteerIds: active.map((v) => v.id),
+      excludeIds:   volunteer ? [volunteer.id] : [],
+      visitDate:    instance.instanceDate,
+      history:      rotations,
+      teamId:       team?.id ?? null,
+      teamVolunteerIds:  team?.volunteerIds ?? [],
+      lastTrainingDates: Object.fromEntries(active.map((v) => [v.id, v.lastTrainingDate])),
+      slot:         {
+        dayOfWeek: new Date(`${instance.instanceDate}T00:00`).getDay(),
+        timeOfDay: mtg?.meetingTime ?? "",
+        timeZone:  meetingTimeZone(mtg),
+      },
+      blackouts:    lookup.blackouts,
+      volunteerAvailability: Object.fromEntries(active.map((v) => [v.id, availabilityFrom(v)])),
+      volunteerTimeZones:    Object.fromEntries(active.map((v) => [v.id, v.timezone])),
+      nameOf:       (id) => {
+        const v = lookup.volunteers.find((vol) => vol.id === id);
+        return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+      },
+    });
+  }
+
+  // Substitutes only make sense for an upcoming visit that still has its regular volunteer
+  const canSubstitute = instance.status === "scheduled" && !instance.substituteVolunteerId && volunteer;
+  const substitutes   = canSubstitute ? coverSuggestions().slice(0, SUBSTITUTE_SUGGESTIONS) : [];
+  // The absent volunteer's MEETING_ATTENDANCE row, which a substitution proposal links
+  const absentRow     = volunteer && attendance.find((a) => a.volunteerId === volunteer.id);
+
+  /** Sends a substitution PROPOSED_CHANGE naming this volunteer as cover (WF9 → admin approval) */
+  async function proposeSubstitute(candidate) {
+    const sub = lookup.volunteers.find((v) => v.id === candidate.volunteerId);
+    const fields = {
+      description:          `Visit: ${seniorName} on ${instance.instanceDate} (#${instance.id})\n\n` +
+                            `${sub.firstName} ${sub.lastName} to cover for ${volunteer.firstName} ${volunteer.lastName}.`,
+      notes:                `Suggested substitute: ${candidate.reason}`,
+      change_type:          "substitution",
+      meeting_instance:     [instance.id],
+      meeting_attendance:   [absentRow.id],
+      substitute_volunteer: [candidate.volunteerId],
+    };
+
+    setSubProposal({ volunteerId: candidate.volunteerId, status: "sending" });
+    try {
+      const { errors } = await proposeChange(fields);
+      setSubProposal(errors
+        ? { volunteerId: candidate.volunteerId, status: "error", error: Object.values(errors).join(" ") }
+        : { volunteerId: candidate.volunteerId, status: "sent" });
+    } catch (err) {
+      console.error("InstanceDetail: substitute proposal failed:", err);
+      setSubProposal({ volunteerId: candidate.volunteerId, status: "error", error: describeError(err) });
+    }
+  }
+
+  if (proposing) {
+    return (
+      <ProposeChangeForm
+        subject={`Visit: ${seniorName} on ${instance.instanceDate} (#${instance.id})`}
+        changeTypes={INSTANCE_CHANGE_TYPES}
+        links={{ meetingInstance: { id: instance.id, label: `${seniorName} — ${instance.instanceDate}` } }}
+        instanceId={instance.id}
+        coverSuggestions={coverSuggestions()}
+        onDone={() => setProposing(false)}
+        onCancel={() => setProposing(false)}
+      />
+    );
+  }
 
   return (
     <div className="instance-detail">
+      {canPropose && instance.status === "scheduled" && (
+        <div className="detail-actions">
+          <button className="detail-edit-trigger" onClick={() => setProposing(true)}>
+            <MessageSquarePlus size={14} /> Propose Change
+          </button>
+        </div>
+      )}
       <div className="detail-row">
         <span className="detail-label">Status</span>
         <Badge label={instance.status} variant={instance.status} />
@@ -166,6 +357,13 @@ function InstanceDetail({ instance }) {
         <span className="detail-label">Volunteer</span>
         <span>{volunteer ? `${volunteer.firstName} ${volunteer.lastName}` : "—"}</span>
       </div>
+      {/* Warning — the volunteer marked this date as a blackout */}
+      {blackout && instance.status === "scheduled" && (
+        <p className="instance-detail__warning">
+          <AlertTriangle size={14} />
+          {volunteer.firstName} is unavailable on this date{blackout.reason ? ` (${blackout.reason})` : ""}.
+        </p>
+      )}
       {/* Substitute badge — only shown when a substitute was assigned */}
       {instance.substituteVolunteerId && (
         <div className="detail-row">
@@ -173,11 +371,64 @@ function InstanceDetail({ instance }) {
           <Badge label="substitute assigned" variant="scheduled" />
         </div>
       )}
-      {/* Day/time from the parent meeting template */}
+      {/* Day/time from the parent meeting template, in the meeting's zone */}
       {mtg && (
         <div className="detail-row">
           <span className="detail-label">Day / Time</span>
-          <span>{mtg.dayOfWeek} at {mtg.meetingTime}</span>
+          <span>{mtg.dayOfWeek} at {mtg.meetingTime} {zoneLabel}</span>
+        </div>
+      )}
+      <AttendancePanel
+        instance={instance}
+        attendance={attendanceQuery}
+        volunteers={lookup.volunteers}
+        canRecord={canRecord}
+        onOutcome={onOutcome}
+      />
+      {/* Ranked cover for this visit, with a one-click substitution proposal */}
+      {canSubstitute && (
+        <div className="detail-section">
+          <span className="detail-label">Suggested Substitutes</span>
+          {substitutes.length === 0 && (
+            <p className="detail-notes">No active volunteer is free at this time.</p>
+          )}
+          {subProposal?.status === "sent" && (
+            <p className="instance-detail__sent">
+              Proposed — an admin will approve or reject it, and the volunteer is emailed once approved.
+            </p>
+          )}
+          {subProposal?.status === "error" && (
+            <p className="form-error form-error--banner">{subProposal.error} Your proposal was not sent.</p>
+          )}
+          <ul className="substitute-list">
+            {substitutes.map((s, i) => {
+              const v = lookup.volunteers.find((vol) => vol.id === s.volunteerId);
+              return (
+                <li key={s.volunteerId} className="substitute-row">
+                  <div>
+                    <div className="substitute-row__name">
+                      {i + 1}. {v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer"}
+                    </div>
+                    <div className="substitute-row__reason">{s.reason}</div>
+                  </div>
+                  {canPropose && (
+                    <button
+                      className="detail-edit-trigger"
+                      disabled={!absentRow || subProposal?.status === "sending" || subProposal?.status === "sent"}
+                      title={absentRow ? "Propose this volunteer as substitute" : `No attendance record for ${volunteer.firstName} on this visit`}
+                      onClick={() => proposeSubstitute(s)}
+                    >
+                      {subProposal?.volunteerId === s.volunteerId && subProposal.status === "sending"
+                        ? "Sending…"
+                        : subProposal?.volunteerId === s.volunteerId && subProposal.status === "sent"
+                          ? "Proposed"
+                          : "Propose"}
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
         </div>
       )}
       {instance.dateNotes && (
@@ -1,175 +1,528 @@
 /**
- * Schedule.jsx — Weekly visit schedule grid
+ * Schedule.jsx — Visit calendar: week, month and agenda views
  *
- * Renders a 7-column grid (Monday–Sunday) showing all visits scheduled for the
- * currently viewed week. Each day column contains "meeting chip" cards for every
- * visit that falls on that day.
+ * Shows every visit in the viewed period, using the shared calendar module
+ * (components/calendar):
+ *   Week   — 7-column grid (Mon–Sun) of meeting chips (WeekGrid)
+ *   Month  — month grid; each day lists its first few chips, and clicking a
+ *            day opens its week (MonthGrid)
+ *   Agenda — the month as a day-by-day list with names and status (AgendaList)
  *
- * Navigation:
- *   ‹ prev / label (click to return to current week) / next ›
- *   Powered by useWeekNavigation hook (week offset relative to today).
+ * Navigation (useCalendarNavigation):
+ *   View switcher, ‹ prev / label (click to return to today) / next ›.
+ *   View, date and filters all live in the URL, so a coordinator can bookmark
+ *   or share a specific week or month, e.g.
+ *     /schedule?view=month&date=2026-11-01&community=3&status=scheduled
  *
- * Data model (rotation-based, more detailed than WeekGrid component):
- *   visitTeams  — defines which seniors have visits and on which days/times
- *   rotations   — tracks which volunteer is assigned for a specific week
+ * Filters (URL parameters, blank = all):
+ *   senior     — one senior's visits
+ *   volunteer  — visits assigned to one volunteer
+ *   community  — visits of seniors in one SENIOR_COMMUNITY
+ *   status     — instance_status (scheduled / completed / cancelled / no-show),
+ *                or "unscheduled" for slots with no instance that week
  *
- * visitsOnDay() cross-references these two sources:
- *   1. Finds all team schedule slots whose dayOfWeek matches the given date
- *   2. Looks up the rotation record for that team + slot + week's Monday date
- *   3. Returns visits sorted by time (earliest first)
+ * Data model (rotation-based): visitEvents() crosses visit teams (which seniors
+ * have visits, on which days/times) with rotations (which volunteer is assigned
+ * for a given week); see components/calendar/visitEvents.js.
  *
- * Visit chip colors (left border):
+ * Time zones ("Show times in"):
+ *   Slot times are wall-clock times in the meeting's zone (services/timeZones.js).
+ *   "Visit's zone" shows them as stored, each with its zone ("10:00 CST");
+ *   "My zone" converts every visit to the viewer's browser zone, which can move
+ *   a late or early visit to the neighbouring day — so the period's instances are
+ *   loaded with a day of margin on each side.
+ *
+ * Rescheduling (week view): staff who can reschedule visits or propose changes
+ * drag a scheduled visit to another day. The drop opens a dialog to confirm the
+ * date and set the time, listing any clash checkReschedule() finds (senior
+ * availability, volunteer blackouts / availability / other visits) before
+ * confirming:
+ *   RESCHEDULE_VISITS → rescheduleInstance() moves the instance directly (admins
+ *                      and editors)
+ *   PROPOSE_CHANGES   → a "reschedule" PROPOSED_CHANGE for an admin (WF9); WF9
+ *                       flags the instance, and the chip shows dashed at the
+ *                       proposed time until the change is approved or rejected
+ *
+ * Visit chip colors (left border, see MeetingChip):
  *   completed   → green
  *   scheduled   → teal
+ *   no-show     → amber
+ *   cancelled   → red
  *   unscheduled → gray (no rotation record found for that week)
  *
- * TODO (Sprint 3): Replace mock data with live Baserow data from:
- *   - VOLUNTEER_TEAM table (team.seniorId, team.schedule slots)
- *   - MEETING_INSTANCE table (instances for the current week, with volunteer assignments)
- *   - MEETING_ATTENDANCE table (attendance_status per volunteer per instance)
+ * Data (live Baserow, or src/mock when VITE_USE_MOCK_DATA=true):
+ *   - useTeams()            — VOLUNTEER_TEAM + MEETING (team.seniorId, team.schedule slots)
+ *   - useInstancesInRange() — MEETING_INSTANCE rows for the viewed period, in rotation shape,
+ *                             with the assigned volunteer taken from MEETING_ATTENDANCE
+ *   - useSeniors() / useVolunteers() — names, initials, communities and availability
+ *   - useVolunteerBlackouts() — for the reschedule checks
+ *   Changing period re-fetches only that period's instances; filters work on
+ *   what is already loaded.
  */
-import { ChevronLeft, ChevronRight, CalendarDays } from "lucide-react";
-import { useWeekNavigation } from "../hooks/useWeekNavigation";
-import { visitTeams } from "../mock/groups";
-import { rotations } from "../mock/rotations";
-import { seniors } from "../mock/seniors";
-import { volunteers } from "../mock/volunteers";
-import { format, startOfWeek, isSameDay } from "date-fns";
+import { useState, useMemo } from "react";
+import { useSearchParams } from "react-router-dom";
+import { ChevronLeft, ChevronRight, CalendarDays, AlertTriangle } from "lucide-react";
+import { useCalendarNavigation, CALENDAR_VIEWS } from "../hooks/useCalendarNavigation";
+import { useTeams, useInstancesInRange, useSeniors, useVolunteers, useVolunteerBlackouts } from "../hooks/useCrmData";
+import { useAuth } from "../hooks/useAuth";
+import { PERMISSIONS } from "../services/permissions";
+import { rescheduleInstance, proposeChange } from "../services/baserowMutations";
+import { describeError } from "../services/apiErrors";
+import { checkReschedule } from "../services/scheduleConflicts";
+import QueryStatus from "../components/ui/QueryStatus";
+import Badge from "../components/ui/Badge";
+import Modal from "../components/ui/Modal";
+import WeekGrid from "../components/calendar/WeekGrid";
+import MonthGrid from "../components/calendar/MonthGrid";
+import AgendaList from "../components/calendar/AgendaList";
+import MeetingChip from "../components/calendar/MeetingChip";
+import { visitEvents } from "../components/calendar/visitEvents";
+import { format, addDays, parseISO, differenceInCalendarDays, startOfWeek, endOfWeek } from "date-fns";
+import { browserTimeZone, zonedTimeToUtc, zoneAbbreviation } from "../services/timeZones";
 import "./Schedule.css";
-import "../components/calendar/WeekGrid.css";
-import "../components/calendar/MeetingChip.css";
 
-const DAY_LABELS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+/** "Show times in" options */
+const ZONE_MODES = [
+  { value: "visit", label: "Visit's zone" },
+  { value: "mine",  label: "My zone" },
+];
 
-/** Maps rotation status to the chip's left-border color CSS variable */
-const statusBorder = {
-  completed:   "var(--green)",
-  scheduled:   "var(--teal)",
-  unscheduled: "var(--border)",  // gray — visit exists but no volunteer assigned yet
-};
+/** Status filter options, with the Badge variant each is shown with in the agenda */
+const STATUS_OPTIONS = [
+  { value: "scheduled",   label: "Scheduled",   variant: "scheduled" },
+  { value: "completed",   label: "Completed",   variant: "completed" },
+  { value: "cancelled",   label: "Cancelled",   variant: "cancelled" },
+  { value: "no-show",     label: "No-show",     variant: "paused" },
+  { value: "unscheduled", label: "Unscheduled", variant: "inactive" },
+];
 
-/**
- * Returns all visits occurring on a given calendar date, each enriched with
- * the rotation data (which volunteer is assigned) for the current week.
- *
- * @param {Date}   dayDate      - The specific calendar date to query
- * @param {Array}  teams        - Visit team records with schedule slots
- * @param {Array}  allRotations - All rotation records
- * @returns {Array} Sorted array of visit objects { key, seniorId, timeOfDay, assignedVolunteerId, status }
- */
-function visitsOnDay(dayDate, teams, allRotations) {
-  const dow = dayDate.getDay(); // 0=Sun … 6=Sat (matches slot.dayOfWeek)
-
-  // The week's Monday as "yyyy-MM-dd" string — rotation records are keyed by this
-  const mondayStr = format(startOfWeek(dayDate, { weekStartsOn: 1 }), "yyyy-MM-dd");
-
-  const visits = [];
-  for (const team of teams) {
-    team.schedule.forEach((slot, si) => {
-      if (slot.dayOfWeek === dow) {
-        // Look up the rotation record for this team, this schedule slot, this week
-        const rotation = allRotations.find(
-          (r) =>
-            r.teamId === team.id &&
-            (r.scheduleIndex ?? 0) === si &&
-            r.weekStartDate === mondayStr
-        );
-        visits.push({
-          key:                 `${team.id}-${si}`,          // unique React key
-          seniorId:            team.seniorId,
-          timeOfDay:           slot.timeOfDay,               // "HH:MM"
-          assignedVolunteerId: rotation?.assignedVolunteerId ?? null,
-          status:              rotation?.status ?? "unscheduled",
-        });
-      }
+/** Filter keys, as they appear in the URL */
+const FILTER_KEYS = ["senior", "volunteer", "community", "status"];
+
+/** Chips shown per day in the month view before "+N more" */
+const MONTH_CHIPS_PER_DAY = 3;
+
+const fullName = (p) => `${p.firstName} ${p.lastName}`;
+const byName   = (a, b) => fullName(a).localeCompare(fullName(b));
+
+export default function Schedule() {
+  const { view, anchor, days, from, to, label, setView, goToDate, prev, next, goToToday } =
+    useCalendarNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = Object.fromEntries(FILTER_KEYS.map((key) => [key, searchParams.get(key) ?? ""]));
+
+  const [zoneMode, setZoneMode] = useState("visit");
+  const displayZone = zoneMode === "mine" ? browserTimeZone() : null;
+
+  // A day of margin either side for visits that cross midnight in the display zone
+  const rangeStart = format(addDays(parseISO(from), -1), "yyyy-MM-dd");
+  const rangeEnd   = format(addDays(parseISO(to), 1), "yyyy-MM-dd");
+
+  const teamsQuery           = useTeams();
+  const rangeQuery           = useInstancesInRange(rangeStart, rangeEnd);
+  const { data: seniors }    = useSeniors();
+  const { data: volunteers } = useVolunteers();
+  const { data: blackouts }  = useVolunteerBlackouts();
+
+  const { can } = useAuth();
+  const canMove    = can(PERMISSIONS.RESCHEDULE_VISITS);
+  const canPropose = can(PERMISSIONS.PROPOSE_CHANGES) && !canMove;
+
+  // The visit being moved: { event, date } where date is the dropped-on day
+  const [move, setMove] = useState(null);
+  // Moves made here, shown until the period's instances reload:
+  // { base: the rotations they apply to, changes: { rotationId: fields } }
+  const [localMoves, setLocalMoves] = useState({ base: null, changes: {} });
+  const rotations = useMemo(
+    () => localMoves.base === rangeQuery.data
+      ? rangeQuery.data.map((r) => (localMoves.changes[r.id] ? { ...r, ...localMoves.changes[r.id] } : r))
+      : rangeQuery.data,
+    [rangeQuery.data, localMoves]
+  );
+
+  /** Communities the seniors belong to, for the community filter */
+  const communities = useMemo(() => {
+    const byId = new Map();
+    for (const s of seniors) if (s.communityId != null) byId.set(String(s.communityId), s.community);
+    return [...byId].map(([value, label]) => ({ value, label })).sort((a, b) => a.label.localeCompare(b.label));
+  }, [seniors]);
+
+  const events = useMemo(() => {
+    const all = visitEvents({ from, to, teams: teamsQuery.data, rotations, displayZone });
+    // URL values are strings; ids may be numbers (live) or strings (mock)
+    const matches = (id, value) => !value || String(id) === value;
+    return all.filter((e) => {
+      const senior = seniors.find((s) => s.id === e.seniorId);
+      return matches(e.seniorId, filters.senior) &&
+        matches(e.assignedVolunteerId, filters.volunteer) &&
+        matches(senior?.communityId, filters.community) &&
+        (!filters.status || e.status === filters.status);
+    });
+  }, [from, to, teamsQuery.data, rotations, displayZone, seniors,
+      filters.senior, filters.volunteer, filters.community, filters.status]);
+
+  /** Sets one filter in the URL; a blank value removes it */
+  function setFilter(key, value) {
+    setSearchParams((prevParams) => {
+      const params = new URLSearchParams(prevParams);
+      if (value) params.set(key, value);
+      else params.delete(key);
+      return params;
     });
   }
 
-  // Sort chronologically so chips appear in time order within each day column
-  return visits.sort((a, b) => a.timeOfDay.localeCompare(b.timeOfDay));
-}
+  function clearFilters() {
+    setSearchParams((prevParams) => {
+      const params = new URLSearchParams(prevParams);
+      FILTER_KEYS.forEach((key) => params.delete(key));
+      return params;
+    });
+  }
 
-export default function Schedule() {
-  const { currentWeekDates, weekLabel, prevWeek, nextWeek, goToCurrentWeek } =
-    useWeekNavigation();
+  const seniorOf    = (e) => seniors.find((s) => s.id === e.seniorId);
+  const volunteerOf = (e) => volunteers.find((v) => v.id === e.assignedVolunteerId);
 
-  const today = new Date();
+  /** Week/month chip: senior first name, time, volunteer initials ("—" when unassigned) */
+  function renderChip(e) {
+    const volunteer = volunteerOf(e);
+    return (
+      <MeetingChip
+        seniorName={seniorOf(e)?.firstName ?? "—"}
+        volunteerInitial={volunteer ? `${volunteer.firstName[0]}${volunteer.lastName[0]}` : "—"}
+        time={`${e.timeOfDay} ${e.zoneLabel}`}
+        status={e.status}
+        pending={e.pending}
+      />
+    );
+  }
+
+  /** Only scheduled visits with an instance can move, and not while a move is pending */
+  const canDrag = (e) => (canMove || canPropose) && e.rotationId != null && e.status === "scheduled" && !e.pending;
+
+  /** Records a confirmed move locally and refetches the period */
+  function moved(rotationId, changes) {
+    setLocalMoves((prevMoves) => ({
+      base:    rangeQuery.data,
+      changes: { ...(prevMoves.base === rangeQuery.data ? prevMoves.changes : {}), [rotationId]: changes },
+    }));
+    setMove(null);
+    rangeQuery.reload();
+  }
+
+  /** Agenda row: time, senior, volunteer and status in full */
+  function renderAgendaRow(e) {
+    const senior    = seniorOf(e);
+    const volunteer = volunteerOf(e);
+    const status    = STATUS_OPTIONS.find((s) => s.value === e.status);
+    return (
+      <li className="schedule-agenda-row">
+        <span className="schedule-agenda-row__time">{e.timeOfDay} {e.zoneLabel}</span>
+        <span className="schedule-agenda-row__senior">{senior ? fullName(senior) : "Unknown senior"}</span>
+        <span className="schedule-agenda-row__volunteer">{volunteer ? fullName(volunteer) : "Unassigned"}</span>
+        <Badge label={status?.label ?? e.status} variant={status?.variant ?? "scheduled"} />
+      </li>
+    );
+  }
+
+  const hasFilters = FILTER_KEYS.some((key) => filters[key]);
 
   return (
     <div>
       <div className="page-header">
         <h1 className="page-title">Schedule</h1>
-        <p className="page-subtitle">Weekly visit overview</p>
+        <p className="page-subtitle">Visit calendar by week, month or agenda</p>
       </div>
 
-      {/* Week navigation bar: prev / current-week-label (clickable) / next */}
+      {/* Navigation bar: view switcher, prev / period label (clickable → today) / next */}
       <div className="schedule-nav">
-        <button className="schedule-nav__btn" onClick={prevWeek} aria-label="Previous week">
+        <div className="schedule-views" role="group" aria-label="Calendar view">
+          {CALENDAR_VIEWS.map((v) => (
+            <button
+              key={v.value}
+              aria-pressed={view === v.value}
+              className={`schedule-zone__btn${view === v.value ? " schedule-zone__btn--active" : ""}`}
+              onClick={() => setView(v.value)}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+
+        <button className="schedule-nav__btn" onClick={prev} aria-label={`Previous ${view === "week" ? "week" : "month"}`}>
           <ChevronLeft size={18} />
         </button>
-        <button className="schedule-nav__label" onClick={goToCurrentWeek}>
+        <button className="schedule-nav__label" onClick={goToToday}>
           <CalendarDays size={14} />
-          {weekLabel}
+          {label}
         </button>
-        <button className="schedule-nav__btn" onClick={nextWeek} aria-label="Next week">
+        <button className="schedule-nav__btn" onClick={next} aria-label={`Next ${view === "week" ? "week" : "month"}`}>
           <ChevronRight size={18} />
         </button>
-      </div>
 
-      {/* 7-column week grid — horizontally scrollable on narrow screens */}
-      <div className="week-grid-scroll">
-        <div className="week-grid">
-          {currentWeekDates.map((date, i) => {
-            const visits  = visitsOnDay(date, visitTeams, rotations);
-            const isToday = isSameDay(date, today);
-
-            return (
-              <div
-                key={i}
-                className={`week-grid__col${isToday ? " week-grid__col--today" : ""}`}
-              >
-                {/* Day header: abbreviated label + date number, highlighted if today */}
-                <div className="week-grid__day-label">
-                  <span className="week-grid__day-name">{DAY_LABELS[i]}</span>
-                  <span className={`week-grid__day-num${isToday ? " week-grid__day-num--today" : ""}`}>
-                    {format(date, "d")}
-                  </span>
-                </div>
-
-                {/* Visit chips for this day */}
-                <div className="week-grid__chips">
-                  {visits.length === 0 && (
-                    <span className="week-grid__empty">No visits</span>
-                  )}
-                  {visits.map((v) => {
-                    const senior    = seniors.find((s) => s.id === v.seniorId);
-                    const volunteer = volunteers.find((vol) => vol.id === v.assignedVolunteerId);
-                    // Volunteer initials (e.g. "JD") or "—" when unassigned
-                    const volLabel  = volunteer
-                      ? `${volunteer.firstName[0]}${volunteer.lastName[0]}`
-                      : "—";
-                    return (
-                      <div
-                        key={v.key}
-                        className="meeting-chip"
-                        style={{ borderLeftColor: statusBorder[v.status] ?? statusBorder.scheduled }}
-                      >
-                        <span className="meeting-chip__senior">
-                          {senior ? senior.firstName : "—"}
-                        </span>
-                        <div className="schedule-chip__meta">
-                          <span className="schedule-chip__time">{v.timeOfDay}</span>
-                          <span className="meeting-chip__vol">{volLabel}</span>
-                        </div>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            );
-          })}
+        {/* Show times in each visit's zone, or converted to the viewer's */}
+        <div className="schedule-zone" role="group" aria-label="Show times in">
+          <span className="schedule-zone__label">Show times in</span>
+          {ZONE_MODES.map((mode) => (
+            <button
+              key={mode.value}
+              aria-pressed={zoneMode === mode.value}
+              className={`schedule-zone__btn${zoneMode === mode.value ? " schedule-zone__btn--active" : ""}`}
+              onClick={() => setZoneMode(mode.value)}
+            >
+              {mode.label}
+            </button>
+          ))}
         </div>
       </div>
+
+      {/* Filters — kept in the URL alongside the view and date */}
+      <div className="schedule-filters">
+        <select
+          className="meetings-select"
+          value={filters.senior}
+          onChange={(e) => setFilter("senior", e.target.value)}
+          aria-label="Filter by senior"
+        >
+          <option value="">All seniors</option>
+          {[...seniors].sort(byName).map((s) => (
+            <option key={s.id} value={String(s.id)}>{fullName(s)}</option>
+          ))}
+        </select>
+        <select
+          className="meetings-select"
+          value={filters.volunteer}
+          onChange={(e) => setFilter("volunteer", e.target.value)}
+          aria-label="Filter by volunteer"
+        >
+          <option value="">All volunteers</option>
+          {[...volunteers].sort(byName).map((v) => (
+            <option key={v.id} value={String(v.id)}>{fullName(v)}</option>
+          ))}
+        </select>
+        <select
+          className="meetings-select"
+          value={filters.community}
+          onChange={(e) => setFilter("community", e.target.value)}
+          aria-label="Filter by community"
+        >
+          <option value="">All communities</option>
+          {communities.map((c) => (
+            <option key={c.value} value={c.value}>{c.label}</option>
+          ))}
+        </select>
+        <select
+          className="meetings-select"
+          value={filters.status}
+          onChange={(e) => setFilter("status", e.target.value)}
+          aria-label="Filter by status"
+        >
+          <option value="">All statuses</option>
+          {STATUS_OPTIONS.map((s) => (
+            <option key={s.value} value={s.value}>{s.label}</option>
+          ))}
+        </select>
+        {hasFilters && (
+          <button className="schedule-filters__clear" onClick={clearFilters}>Clear filters</button>
+        )}
+      </div>
+
+      <QueryStatus
+        loading={teamsQuery.loading || rangeQuery.loading}
+        error={teamsQuery.error ?? rangeQuery.error}
+        onRetry={() => { teamsQuery.reload(); rangeQuery.reload(); }}
+        label="schedule"
+      />
+
+      {view === "week" && (
+        <WeekGrid
+          days={days}
+          events={events}
+          renderEvent={renderChip}
+          canDrag={canDrag}
+          onEventDrop={(e, date) => {
+            if (format(date, "yyyy-MM-dd") !== e.date) setMove({ event: e, date });
+          }}
+        />
+      )}
+      {view === "month" && (
+        <MonthGrid
+          month={anchor}
+          events={events}
+          renderEvent={renderChip}
+          maxEvents={MONTH_CHIPS_PER_DAY}
+          onDayClick={(date) => goToDate(date, "week")}
+        />
+      )}
+      {view === "agenda" && (
+        <AgendaList
+          days={days}
+          events={events}
+          renderEvent={renderAgendaRow}
+          emptyText={hasFilters ? "No visits match these filters" : "No visits this month"}
+        />
+      )}
+
+      <Modal open={Boolean(move)} onClose={() => setMove(null)} title="Move visit">
+        {move && (
+          <RescheduleForm
+            event={move.event}
+            droppedOn={move.date}
+            direct={canMove}
+            lookup={{ teams: teamsQuery.data, rotations, seniors, volunteers, blackouts }}
+            onMoved={moved}
+            onCancel={() => setMove(null)}
+          />
+        )}
+      </Modal>
+    </div>
+  );
+}
+
+/**
+ * RescheduleForm — confirms a dragged visit's new date and time
+ *
+ * The date starts as the day it was dropped on and the time as the visit's
+ * current one, both in the meeting's own zone. Problems from checkReschedule()
+ * are listed live; they warn but don't block, since staff may have arranged the
+ * move with the senior and volunteer already. The new date stays within the
+ * visit's Monday–Sunday week: instances are matched to rotation weeks by
+ * instance_date, so WF5 would otherwise generate a second visit for the old week.
+ *
+ * Props:
+ *   event     {object}   — The visit (see visitEvents.js)
+ *   droppedOn {Date}     — Day column it was dropped on (in the display zone)
+ *   direct    {boolean}  — Apply directly (RESCHEDULE_VISITS) rather than propose
+ *   lookup    {object}   — { teams, rotations, seniors, volunteers, blackouts }
+ *   onMoved   {function} — (rotationId, changedFields) after a successful submit
+ *   onCancel  {function}
+ */
+function RescheduleForm({ event, droppedOn, direct, lookup, onMoved, onCancel }) {
+  // The drop moves the visit by whole days, whichever zone the grid shows
+  const shift = differenceInCalendarDays(droppedOn, parseISO(event.date));
+  const [date,   setDate]   = useState(format(addDays(parseISO(event.localDate), shift), "yyyy-MM-dd"));
+  const [time,   setTime]   = useState(event.localTime);
+  const [reason, setReason] = useState("");
+  const [error,  setError]  = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const senior     = lookup.seniors.find((s) => s.id === event.seniorId);
+  const seniorName = senior ? fullName(senior) : "Unknown senior";
+  const complete   = Boolean(date && time);
+  const zoneLabel  = complete ? zoneAbbreviation(zonedTimeToUtc(date, time, event.timeZone), event.timeZone) : "";
+  const unchanged  = date === event.localDate && time === event.localTime;
+  const weekFirst  = format(startOfWeek(parseISO(event.localDate), { weekStartsOn: 1 }), "yyyy-MM-dd");
+  const weekLast   = format(endOfWeek(parseISO(event.localDate), { weekStartsOn: 1 }), "yyyy-MM-dd");
+  const outOfWeek  = Boolean(date) && (date < weekFirst || date > weekLast);
+
+  const problems = useMemo(
+    () => complete && !outOfWeek
+      ? checkReschedule({
+          visit: {
+            teamId:              event.teamId,
+            scheduleIndex:       event.scheduleIndex,
+            rotationId:          event.rotationId,
+            assignedVolunteerId: event.assignedVolunteerId,
+          },
+          date,
+          time,
+          ...lookup,
+        })
+      : [],
+    [complete, outOfWeek, date, time, event, lookup]
+  );
+
+  async function submit() {
+    setSaving(true);
+    setError(null);
+    try {
+      let result;
+      if (direct) {
+        result = await rescheduleInstance(event.rotationId, { date, time, timeZone: event.timeZone });
+      } else {
+        const fields = {
+          description:       `Visit: ${seniorName} on ${event.localDate} (#${event.rotationId})\n\n` +
+                             `Move to ${date} at ${time} ${zoneLabel}.` +
+                             (reason.trim() ? `\n\n${reason.trim()}` : ""),
+          notes:             problems.length ? `Flagged when proposed:\n${problems.map((p) => `- ${p.message}`).join("\n")}` : "",
+          change_type:       "reschedule",
+          meeting_instance:  [event.rotationId],
+          new_date:          date,
+          new_time:          time,
+        };
+        result = await proposeChange(fields);
+      }
+      if (result.errors) {
+        setError(Object.values(result.errors).join(" "));
+        return;
+      }
+      const start = zonedTimeToUtc(date, time, event.timeZone).toISOString();
+      onMoved(event.rotationId, direct
+        ? { date, start }
+        : { pendingDate: date, pendingTime: time });
+    } catch (err) {
+      console.error("RescheduleForm: submit failed:", err);
+      setError(`${describeError(err)} The visit was not moved.`);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const action = direct ? "Move visit" : "Propose move";
+  return (
+    <div className="detail-edit-form">
+      {error && <p className="form-error form-error--banner">{error}</p>}
+      <p className="form-section-label">
+        {seniorName} — currently {event.localDate} at {event.localTime}
+      </p>
+      <div className="form-row">
+        <label className="form-label">New date</label>
+        <input
+          type="date"
+          className="form-input"
+          value={date}
+          min={weekFirst}
+          max={weekLast}
+          onChange={(e) => setDate(e.target.value)}
+        />
+        {outOfWeek && <span className="form-error">Pick a day between {weekFirst} and {weekLast}</span>}
+      </div>
+      <div className="form-row">
+        <label className="form-label">New time{zoneLabel ? ` (${zoneLabel})` : ""}</label>
+        <input type="time" className="form-input" value={time} onChange={(e) => setTime(e.target.value)} />
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="schedule-move__problems">
+          {problems.map((p, i) => (
+            <li key={i} className="schedule-move__problem">
+              <AlertTriangle size={14} />
+              {p.message}
+            </li>
+          ))}
+        </ul>
+      )}
+      {complete && problems.length === 0 && !unchanged && !outOfWeek && (
+        <p className="schedule-move__clear">No availability or schedule conflicts.</p>
+      )}
+
+      {!direct && (
+        <>
+          <p className="schedule-move__note">
+            An admin approves the move; until then the visit shows dashed at the new time.
+          </p>
+          <div className="form-row form-row--full">
+            <label className="form-label">Why does this visit need to move? (optional)</label>
+            <textarea className="form-textarea" rows={2} value={reason} onChange={(e) => setReason(e.target.value)} />
+          </div>
+        </>
+      )}
+
+      <div className="form-actions">
+        <button className="edit-save-btn" onClick={submit} disabled={saving || !complete || unchanged || outOfWeek}>
+          {saving ? "Saving…" : problems.length ? `${action} anyway` : action}
+        </button>
+        <button className="edit-cancel-btn" onClick={onCancel}>Cancel</button>
+      </div>
     </div>
   );
 }
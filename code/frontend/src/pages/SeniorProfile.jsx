@@ -0,0 +1,355 @@
+/**
+ * SeniorProfile.jsx — One senior's profile: everything a coordinator needs before a call
+ *
+ * Route: /seniors/:id (the Seniors list links each row here). The senior is
+ * loaded on its own (useSenior), so a pasted link or a refresh opens the profile
+ * directly; an unknown ID shows a not-found message (RecordStatus).
+ *
+ * Layout:
+ *   Summary strip — the senior's phone, next and last visit, and current volunteers,
+ *                   so the basics for a call are visible on every tab
+ *   Tabs (?tab=, so a tab can be linked):
+ *     overview  — SeniorDetail: the senior's record, availability and notes (editable)
+ *     team      — current visit team (schedule + volunteers) and any past teams
+ *     visits    — every meeting instance, newest first, with who visited and the status
+ *     feedback  — monthly forms about the senior and per-visit forms, newest first
+ *     contacts  — ContactsEditor: caregivers, family and other contacts (SENIOR_RELATIONSHIP)
+ *                 with phones, who gets the monthly feedback email, and add / edit / remove
+ * A senior with no caregiver on file is flagged next to the name.
+ *
+ * Data:
+ *   useSenior(id)        — the SENIOR record (joined with PERSON + SENIOR_COMMUNITY)
+ *   useSeniorProfile(id) — teams, visits, feedback, contacts and the senior's own phones
+ *   useVolunteers()      — volunteer names for teams and visits
+ * Edits on the Overview tab go through the senior webhook (SeniorDetail's saveSenior);
+ * the saved copy is shown until the page is reloaded. Contact edits go through the
+ * senior-relationship webhook and reload the profile.
+ *
+ * Role gating (services/permissions.js):
+ *   EDIT_RECORDS    — Edit on the Overview tab; add, edit and remove contacts
+ *   PROPOSE_CHANGES — without EDIT_RECORDS, "Propose Change" instead
+ */
+import { useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { format, parseISO } from "date-fns";
+import { ArrowLeft, Phone, AlertTriangle } from "lucide-react";
+import Badge from "../components/ui/Badge";
+import TabBar from "../components/ui/TabBar";
+import QueryStatus from "../components/ui/QueryStatus";
+import RecordStatus from "../components/ui/RecordStatus";
+import SeniorDetail, { saveSenior } from "../components/seniors/SeniorDetail";
+import ContactsEditor from "../components/seniors/ContactsEditor";
+import { useSenior, useSeniorProfile, useVolunteers } from "../hooks/useCrmData";
+import { recordPath, listPath, isRecord } from "../services/recordLinks";
+import { useAuth } from "../hooks/useAuth";
+import { PERMISSIONS } from "../services/permissions";
+import "./SeniorProfile.css";
+
+/** Full day names indexed by dayOfWeek (0=Sun, 1=Mon, …, 6=Sat) */
+const DAY_NAMES = ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"];
+
+/** Human-readable labels for the feedback form type keys (as FeedbackForms.jsx) */
+const TYPE_LABELS = {
+  volunteer:         "Volunteer",
+  call_support:      "Call Support",
+  senior_monthly:    "Senior Monthly",
+  caregiver_monthly: "Caregiver Monthly",
+};
+
+/** Monthly form types; the others are filled in after each visit */
+const MONTHLY_TYPES = ["senior_monthly", "caregiver_monthly"];
+
+/** "2026-02-17" → "Tue, Feb 17, 2026" */
+function formatDate(iso) {
+  return iso ? format(parseISO(iso.slice(0, 10)), "EEE, MMM d, yyyy") : "—";
+}
+
+/** Returns a volunteer's full name by ID, or a placeholder */
+function volunteerName(id, volunteers) {
+  const v = volunteers.find((vol) => vol.id === id);
+  return v ? `${v.firstName} ${v.lastName}` : "Unassigned";
+}
+
+// ─── Main page component ──────────────────────────────────────────────────
+
+export default function SeniorProfile() {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const seniorQuery          = useSenior(id);
+  const profileQuery         = useSeniorProfile(id);
+  const { data: volunteers } = useVolunteers();
+  const [saved, setSaved]    = useState(null);   // the senior as last saved from the Overview tab
+  const { can } = useAuth();
+
+  const loaded = isRecord(seniorQuery.data, id) ? seniorQuery.data : null;
+  const senior = isRecord(saved, id) ? saved : loaded;
+
+  if (!senior) {
+    return (
+      <div>
+        <Link className="profile-back" to={listPath("senior")}><ArrowLeft size={14} /> Seniors</Link>
+        <RecordStatus query={seniorQuery} label="senior" backTo={listPath("senior")} />
+      </div>
+    );
+  }
+
+  const profile = profileQuery.data ?? { teams: [], visits: [], feedback: [], contacts: [], phones: [] };
+  const tabs = [
+    { value: "overview", label: "Overview" },
+    { value: "team",     label: "Team" },
+    { value: "visits",   label: "Visits",   count: profile.visits.length },
+    { value: "feedback", label: "Feedback", count: profile.feedback.length },
+    { value: "contacts", label: "Contacts", count: profile.contacts.length },
+  ];
+  const tab = tabs.some((t) => t.value === searchParams.get("tab")) ? searchParams.get("tab") : "overview";
+
+  function setTab(value) {
+    setSearchParams(value === "overview" ? {} : { tab: value }, { replace: true });
+  }
+
+  /** Overview tab save: returns null on success, or the form errors map */
+  async function saveFromOverview(draft) {
+    const { record, errors } = await saveSenior(draft);
+    if (errors) return errors;
+    setSaved(record);
+    return null;
+  }
+
+  return (
+    <div className="profile">
+      <Link className="profile-back" to={listPath("senior")}><ArrowLeft size={14} /> Seniors</Link>
+
+      <div className="page-header">
+        <div className="profile__title-row">
+          <h1 className="page-title">{senior.firstName} {senior.lastName}</h1>
+          <Badge label={senior.status} variant={senior.status} />
+          {profileQuery.data && !profile.contacts.some((c) => c.relationshipType === "caregiver") && (
+            <span className="profile-flag"><AlertTriangle size={13} /> No caregiver on file</span>
+          )}
+        </div>
+        <p className="page-subtitle">
+          {[senior.community, senior.timezone, senior.ageRange && `Age ${senior.ageRange}`].filter(Boolean).join(" · ")}
+        </p>
+      </div>
+
+      <CallSummary profile={profile} volunteers={volunteers} />
+
+      <QueryStatus
+        loading={profileQuery.loading}
+        error={profileQuery.error}
+        onRetry={profileQuery.reload}
+        label="visits, feedback and contacts"
+      />
+
+      <TabBar tabs={tabs} active={tab} onChange={setTab} label="Senior profile sections" />
+
+      <div className="profile__panel" role="tabpanel">
+        {tab === "overview" && (
+          <SeniorDetail
+            key={senior.id}
+            senior={senior}
+            canEdit={can(PERMISSIONS.EDIT_RECORDS)}
+            canPropose={can(PERMISSIONS.PROPOSE_CHANGES)}
+            onSave={saveFromOverview}
+          />
+        )}
+        {tab === "team"     && <TeamTab teams={profile.teams} volunteers={volunteers} />}
+        {tab === "visits"   && <VisitsTab visits={profile.visits} volunteers={volunteers} />}
+        {tab === "feedback" && <FeedbackTab feedback={profile.feedback} />}
+        {tab === "contacts" && (
+          <ContactsEditor
+            seniorId={senior.id}
+            contacts={profile.contacts}
+            community={senior.community}
+            canEdit={can(PERMISSIONS.EDIT_RECORDS)}
+            onChanged={profileQuery.reload}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── CallSummary — the facts needed before calling ────────────────────────
+
+/**
+ * The senior's phone numbers, next scheduled visit, most recent past visit and
+ * current volunteers, shown above the tabs.
+ */
+function CallSummary({ profile, volunteers }) {
+  const today = new Date().toISOString().slice(0, 10);
+  const next  = profile.visits
+    .filter((v) => v.status === "scheduled" && v.instanceDate >= today)
+    .at(-1);   // visits are newest first, so the last upcoming one is the soonest
+  const last  = profile.visits.find((v) => v.instanceDate < today);
+  const team  = profile.teams.find((t) => t.isActive);
+
+  return (
+    <div className="profile-summary">
+      <div className="profile-summary__item">
+        <span className="detail-label">Phone</span>
+        {profile.phones.length === 0 ? (
+          <span className="detail-none">No number on file</span>
+        ) : profile.phones.map((p) => (
+          <a key={p.number} className="profile-phone" href={`tel:${p.number}`}>
+            <Phone size={13} /> {p.number}{p.type === "secondary" && <span className="profile-phone__type">secondary</span>}
+          </a>
+        ))}
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Next visit</span>
+        {next ? (
+          <Link to={recordPath("instance", next.id)}>
+            {formatDate(next.instanceDate)} · {volunteerName(next.volunteerId, volunteers)}
+          </Link>
+        ) : (
+          <span className="detail-none">None scheduled</span>
+        )}
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Last visit</span>
+        {last ? (
+          <span>
+            <Link to={recordPath("instance", last.id)}>{formatDate(last.instanceDate)}</Link>{" "}
+            <Badge label={last.status} variant={last.status} />
+          </span>
+        ) : (
+          <span className="detail-none">No visits yet</span>
+        )}
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Volunteers</span>
+        {team && team.volunteerIds.length > 0 ? (
+          <span>{team.volunteerIds.map((vid) => volunteerName(vid, volunteers)).join(", ")}</span>
+        ) : (
+          <span className="detail-none">No visit team assigned</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── Tabs ─────────────────────────────────────────────────────────────────
+
+/** Current team first (schedule and volunteers), then any past teams */
+function TeamTab({ teams, volunteers }) {
+  const current = teams.filter((t) => t.isActive);
+  const past    = teams.filter((t) => !t.isActive);
+
+  if (teams.length === 0) return <p className="detail-none">No visit team assigned.</p>;
+
+  return (
+    <div className="senior-detail">
+      {current.length === 0 && <p className="detail-none">No active visit team.</p>}
+      {current.map((team) => (
+        <div key={team.id} className="detail-section profile-card">
+          <div className="profile-card__header">
+            <span className="detail-label">Current team</span>
+            <Link className="profile-card__link" to={recordPath("team", team.id)}>Open on Visit Teams</Link>
+          </div>
+          <div className="detail-availability">
+            {team.schedule.map((slot, i) => (
+              <div key={i} className="detail-avail-row">
+                <span className="detail-avail-day">{DAY_NAMES[slot.dayOfWeek]}</span>
+                <span>{slot.timeOfDay}{slot.timeZone && ` (${slot.timeZone})`}</span>
+              </div>
+            ))}
+          </div>
+          {team.volunteerIds.length === 0 ? (
+            <p className="detail-none">No volunteers assigned yet.</p>
+          ) : (
+            <div className="profile-chips">
+              {team.volunteerIds.map((vid) => (
+                <Link key={vid} className="detail-group-chip" to={recordPath("volunteer", vid)}>
+                  {volunteerName(vid, volunteers)}
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {past.length > 0 && (
+        <div className="detail-section">
+          <span className="detail-label">Past teams</span>
+          {past.map((team) => (
+            <div key={team.id} className="detail-avail-row">
+              <span>{team.schedule.map((s) => `${DAY_NAMES[s.dayOfWeek]} ${s.timeOfDay}`).join(", ") || `Team #${team.id}`}</span>
+              <Badge label="inactive" variant="inactive" />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** Every visit, newest first, with the visiting volunteer, status and notes */
+function VisitsTab({ visits, volunteers }) {
+  if (visits.length === 0) return <p className="detail-none">No visits yet.</p>;
+
+  const counts = visits.reduce((acc, v) => ({ ...acc, [v.status]: (acc[v.status] ?? 0) + 1 }), {});
+  return (
+    <div className="senior-detail">
+      <p className="profile-counts">
+        {Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(" · ")}
+      </p>
+      <ol className="profile-timeline">
+        {visits.map((v) => (
+          <li key={v.id} className="profile-timeline__item">
+            <Link className="profile-timeline__date" to={recordPath("instance", v.id)}>
+              {formatDate(v.instanceDate)}
+            </Link>
+            <span className="profile-timeline__who">{volunteerName(v.volunteerId, volunteers)}</span>
+            <Badge label={v.status} variant={v.status} />
+            {(v.dateNotes || v.statusNotes) && (
+              <p className="profile-timeline__note">{[v.dateNotes, v.statusNotes].filter(Boolean).join(" ")}</p>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+/** Monthly forms and per-visit forms, each newest first; follow-ups are flagged */
+function FeedbackTab({ feedback }) {
+  const monthly  = feedback.filter((f) => MONTHLY_TYPES.includes(f.formType));
+  const perVisit = feedback.filter((f) => !MONTHLY_TYPES.includes(f.formType));
+
+  return (
+    <div className="senior-detail">
+      <FeedbackList title="Monthly feedback" forms={monthly} empty="No monthly feedback yet." />
+      <FeedbackList title="Per-visit feedback" forms={perVisit} empty="No feedback on visits yet." />
+    </div>
+  );
+}
+
+function FeedbackList({ title, forms, empty }) {
+  return (
+    <div className="detail-section">
+      <span className="detail-label">{title}</span>
+      {forms.length === 0 && <p className="detail-none">{empty}</p>}
+      {forms.map((f) => {
+        const score = f.rating ?? f.overallSatisfaction;
+        return (
+          <Link key={f.id} className="profile-card profile-feedback" to={recordPath("feedback", f.id)}>
+            <div className="profile-card__header">
+              <span className="profile-feedback__type">{TYPE_LABELS[f.formType] ?? f.formType}</span>
+              <span className="profile-feedback__date">{formatDate(f.submittedAt)}</span>
+            </div>
+            {score != null && <span className="profile-feedback__score">{score} / 5</span>}
+            {(f.comments || f.issuesNoted) && (
+              <p className="detail-notes">{f.comments || f.issuesNoted}</p>
+            )}
+            {(f.followUpNeeded || f.concernsRaised) && (
+              <span className="profile-flag">
+                <AlertTriangle size={13} /> {f.concernsRaised ? "Concern raised" : "Follow-up needed"}
+              </span>
+            )}
+          </Link>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,397 @@
+/**
+ * VolunteerProfile.jsx — One volunteer's profile: record, service history and status notes
+ *
+ * Route: /volunteers/:id (the Volunteers list links each row here). The volunteer
+ * is loaded on its own (useVolunteer), so a pasted link or a refresh opens the
+ * profile directly; an unknown ID shows a not-found message (RecordStatus).
+ *
+ * Layout:
+ *   Summary strip — service hours, visit outcomes, current teams and training dates,
+ *                   so staff can answer a school's questions from any tab
+ *   Tabs (?tab=, so a tab can be linked):
+ *     overview  — VolunteerDetail: record, availability, blackout dates (editable)
+ *     teams     — current and past team memberships (TEAM_MEMBER) with tenure
+ *     visits    — every visit the volunteer attended, missed, was substituted on
+ *                 or covered as a substitute, newest first
+ *     notes     — VOLUNTEER_STATUS_NOTE timeline; staff can add a note
+ *
+ * Service hours add up the visits the volunteer attended or covered, each counted
+ * for its scheduled length (instance start → end, or an hour when unset).
+ *
+ * Data:
+ *   useVolunteer(id)        — the VOLUNTEER record (joined with PERSON)
+ *   useVolunteerProfile(id) — memberships, visits and status notes
+ *   useTeams(), useSeniors() — for the Overview tab's assigned seniors and blackouts
+ * Edits on the Overview tab go through the volunteer webhook (VolunteerDetail's
+ * saveVolunteer); the saved copy is shown until the page is reloaded. Notes are
+ * written through the crm-volunteer-status-note webhook (createVolunteerStatusNote).
+ *
+ * Role gating (services/permissions.js):
+ *   EDIT_RECORDS    — Edit and Onboard on the Overview tab, blackouts, adding notes
+ *   PROPOSE_CHANGES — without EDIT_RECORDS, "Propose Change" instead; without
+ *                     EDIT_CALENDAR, "Propose leaving" on each team membership
+ */
+import { useState } from "react";
+import { Link, useParams, useSearchParams } from "react-router-dom";
+import { format, parseISO, differenceInDays, differenceInMonths } from "date-fns";
+import { ArrowLeft } from "lucide-react";
+import Badge from "../components/ui/Badge";
+import TabBar from "../components/ui/TabBar";
+import QueryStatus from "../components/ui/QueryStatus";
+import RecordStatus from "../components/ui/RecordStatus";
+import VolunteerDetail, { saveVolunteer } from "../components/volunteers/VolunteerDetail";
+import { createVolunteerStatusNote } from "../services/baserowMutations";
+import { describeError } from "../services/apiErrors";
+import { useVolunteer, useVolunteerProfile, useTeams, useSeniors } from "../hooks/useCrmData";
+import { recordPath, listPath, isRecord } from "../services/recordLinks";
+import { useAuth } from "../hooks/useAuth";
+import { PERMISSIONS } from "../services/permissions";
+import "./VolunteerProfile.css";
+
+/** Visit outcome (mappers.volunteerVisit) → label and Badge variant, in display order */
+const OUTCOMES = {
+  attended:    { label: "Attended",    variant: "completed" },
+  covered:     { label: "Covered",     variant: "completed" },
+  substituted: { label: "Substituted", variant: "paused" },
+  missed:      { label: "Missed",      variant: "cancelled" },
+  cancelled:   { label: "Cancelled",   variant: "inactive" },
+  scheduled:   { label: "Scheduled",   variant: "scheduled" },
+};
+
+/** Outcomes that count toward service hours */
+const SERVED = ["attended", "covered"];
+
+/** "2026-02-17" → "Tue, Feb 17, 2026" */
+function formatDate(iso) {
+  return iso ? format(parseISO(iso.slice(0, 10)), "EEE, MMM d, yyyy") : "—";
+}
+
+/** "2024-09-16" → "Sep 16, 2024" */
+function shortDate(iso) {
+  return iso ? format(parseISO(iso.slice(0, 10)), "MMM d, yyyy") : "—";
+}
+
+/** Time on a team, from its start to its end (or today): "1 yr 4 mo", "3 mo", "12 days" */
+function formatTenure(startDate, endDate) {
+  if (!startDate) return "";
+  const start  = parseISO(startDate);
+  const end    = endDate ? parseISO(endDate) : new Date();
+  const months = differenceInMonths(end, start);
+  if (months < 1) {
+    const days = Math.max(differenceInDays(end, start), 0);
+    return `${days} day${days === 1 ? "" : "s"}`;
+  }
+  const years = Math.floor(months / 12);
+  return [years > 0 && `${years} yr`, months % 12 > 0 && `${months % 12} mo`].filter(Boolean).join(" ");
+}
+
+/** Minutes → "12.5 hours" (one decimal, dropped when whole) */
+function formatHours(minutes) {
+  const hours = Math.round(minutes / 6) / 10;
+  return `${hours} hour${hours === 1 ? "" : "s"}`;
+}
+
+/** { [outcome]: count } over a list of visits */
+function countOutcomes(visits) {
+  return visits.reduce((acc, v) => ({ ...acc, [v.outcome]: (acc[v.outcome] ?? 0) + 1 }), {});
+}
+
+// ─── Main page component ──────────────────────────────────────────────────
+
+export default function VolunteerProfile() {
+  const { id } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const volunteerQuery       = useVolunteer(id);
+  const profileQuery         = useVolunteerProfile(id);
+  const { data: visitTeams } = useTeams();
+  const { data: seniors }    = useSeniors();
+  const [saved, setSaved]    = useState(null);   // the volunteer as last saved from the Overview tab
+  const { can } = useAuth();
+  const canEdit = can(PERMISSIONS.EDIT_RECORDS);
+
+  const loaded    = isRecord(volunteerQuery.data, id) ? volunteerQuery.data : null;
+  const volunteer = isRecord(saved, id) ? saved : loaded;
+
+  if (!volunteer) {
+    return (
+      <div>
+        <Link className="profile-back" to={listPath("volunteer")}><ArrowLeft size={14} /> Volunteers</Link>
+        <RecordStatus query={volunteerQuery} label="volunteer" backTo={listPath("volunteer")} />
+      </div>
+    );
+  }
+
+  const profile = profileQuery.data ?? { memberships: [], visits: [], notes: [] };
+  const tabs = [
+    { value: "overview", label: "Overview" },
+    { value: "teams",    label: "Teams",  count: profile.memberships.length },
+    { value: "visits",   label: "Visits", count: profile.visits.length },
+    { value: "notes",    label: "Notes",  count: profile.notes.length },
+  ];
+  const tab = tabs.some((t) => t.value === searchParams.get("tab")) ? searchParams.get("tab") : "overview";
+
+  function setTab(value) {
+    setSearchParams(value === "overview" ? {} : { tab: value }, { replace: true });
+  }
+
+  /** Overview tab save: returns null on success, or the form errors map */
+  async function saveFromOverview(draft) {
+    const { record, errors } = await saveVolunteer(draft);
+    if (errors) return errors;
+    setSaved(record);
+    return null;
+  }
+
+  const school = [volunteer.school, [volunteer.schoolCity, volunteer.schoolState].filter(Boolean).join(", ")]
+    .filter(Boolean).join(" · ");
+
+  return (
+    <div className="profile">
+      <Link className="profile-back" to={listPath("volunteer")}><ArrowLeft size={14} /> Volunteers</Link>
+
+      <div className="page-header">
+        <div className="profile__title-row">
+          <h1 className="page-title">{volunteer.firstName} {volunteer.lastName}</h1>
+          <Badge label={volunteer.status} variant={volunteer.status} />
+        </div>
+        <p className="page-subtitle">
+          {[school, volunteer.gradYear && `Class of ${volunteer.gradYear}`].filter(Boolean).join(" · ")}
+        </p>
+      </div>
+
+      <ServiceSummary volunteer={volunteer} profile={profile} />
+
+      <QueryStatus
+        loading={profileQuery.loading}
+        error={profileQuery.error}
+        onRetry={profileQuery.reload}
+        label="teams, visits and notes"
+      />
+
+      <TabBar tabs={tabs} active={tab} onChange={setTab} label="Volunteer profile sections" />
+
+      <div className="profile__panel" role="tabpanel">
+        {tab === "overview" && (
+          <VolunteerDetail
+            key={volunteer.id}
+            volunteer={volunteer}
+            allGroups={visitTeams}
+            allSeniors={seniors}
+            canEdit={canEdit}
+            canPropose={can(PERMISSIONS.PROPOSE_CHANGES)}
+            canProposeTeamChange={can(PERMISSIONS.PROPOSE_CHANGES) && !can(PERMISSIONS.EDIT_CALENDAR)}
+            onSave={saveFromOverview}
+          />
+        )}
+        {tab === "teams"  && <TeamsTab memberships={profile.memberships} />}
+        {tab === "visits" && <VisitsTab visits={profile.visits} />}
+        {tab === "notes"  && (
+          <NotesTab
+            volunteerId={volunteer.id}
+            notes={profile.notes}
+            canEdit={canEdit}
+            onAdded={profileQuery.reload}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── ServiceSummary — the facts a school asks about ───────────────────────
+
+/**
+ * Total service hours, attended / missed / substituted counts, current teams and
+ * training dates, shown above the tabs.
+ */
+function ServiceSummary({ volunteer, profile }) {
+  const counts  = countOutcomes(profile.visits);
+  const minutes = profile.visits
+    .filter((v) => SERVED.includes(v.outcome))
+    .reduce((sum, v) => sum + v.minutes, 0);
+  const current = profile.memberships.filter((m) => !m.endDate);
+
+  return (
+    <div className="profile-summary">
+      <div className="profile-summary__item">
+        <span className="detail-label">Service hours</span>
+        <span className="profile-hours">{formatHours(minutes)}</span>
+        <span className="profile-counts">
+          {(counts.attended ?? 0) + (counts.covered ?? 0)} visits
+        </span>
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Visits</span>
+        <span>{counts.attended ?? 0} attended · {counts.missed ?? 0} missed</span>
+        <span className="profile-counts">
+          {counts.substituted ?? 0} substituted · {counts.covered ?? 0} covered for others
+        </span>
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Current teams</span>
+        {current.length === 0 ? (
+          <span className="detail-none">Not on a team</span>
+        ) : current.map((m) => (
+          <Link key={m.id} to={recordPath("team", m.teamId)}>{m.teamName || `Team #${m.teamId}`}</Link>
+        ))}
+      </div>
+      <div className="profile-summary__item">
+        <span className="detail-label">Training</span>
+        <span>Onboarded {shortDate(volunteer.onboardingDate)}</span>
+        <span>Last trained {shortDate(volunteer.lastTrainingDate)}</span>
+      </div>
+    </div>
+  );
+}
+
+// ─── Tabs ─────────────────────────────────────────────────────────────────
+
+/** Current memberships first, then past ones, each with its dates and tenure */
+function TeamsTab({ memberships }) {
+  if (memberships.length === 0) return <p className="detail-none">Never been on a visit team.</p>;
+
+  const current = memberships.filter((m) => !m.endDate);
+  const past    = memberships.filter((m) => m.endDate);
+
+  return (
+    <div className="volunteer-detail">
+      <MembershipList title="Current teams" memberships={current} empty="Not on a team right now." />
+      {past.length > 0 && <MembershipList title="Past teams" memberships={past} />}
+    </div>
+  );
+}
+
+function MembershipList({ title, memberships, empty }) {
+  return (
+    <div className="detail-section">
+      <span className="detail-label">{title}</span>
+      {memberships.length === 0 && <p className="detail-none">{empty}</p>}
+      {memberships.map((m) => (
+        <div key={m.id} className="profile-card">
+          <div className="profile-card__header">
+            <Link className="profile-contact__name" to={recordPath("team", m.teamId)}>
+              {m.teamName || `Team #${m.teamId}`}
+            </Link>
+            {m.seniorId != null && (
+              <Link className="profile-card__link" to={recordPath("senior", m.seniorId)}>Senior profile</Link>
+            )}
+          </div>
+          <span className="profile-counts">
+            {m.endDate
+              ? `${shortDate(m.startDate)} – ${shortDate(m.endDate)}`
+              : `Since ${shortDate(m.startDate)}`}
+            {m.startDate && ` · ${formatTenure(m.startDate, m.endDate)}`}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** Every visit, newest first, with the team and the volunteer's outcome */
+function VisitsTab({ visits }) {
+  if (visits.length === 0) return <p className="detail-none">No visits yet.</p>;
+
+  const counts = countOutcomes(visits);
+  return (
+    <div className="volunteer-detail">
+      <p className="profile-counts">
+        {Object.keys(OUTCOMES)
+          .filter((o) => counts[o])
+          .map((o) => `${counts[o]} ${OUTCOMES[o].label.toLowerCase()}`)
+          .join(" · ")}
+      </p>
+      <ol className="profile-timeline">
+        {visits.map((v) => (
+          <li key={v.id} className="profile-timeline__item">
+            <Link className="profile-timeline__date" to={recordPath("instance", v.id)}>
+              {formatDate(v.instanceDate)}
+            </Link>
+            <span className="profile-timeline__who">{v.teamName || "—"}</span>
+            <Badge label={OUTCOMES[v.outcome].label} variant={OUTCOMES[v.outcome].variant} />
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+/**
+ * Status notes, newest first. With EDIT_RECORDS, a form adds a dated note
+ * through the status-note webhook, then the profile is reloaded.
+ */
+function NotesTab({ volunteerId, notes, canEdit, onAdded }) {
+  const blank = () => ({ date: format(new Date(), "yyyy-MM-dd"), note: "" });
+  const [adding, setAdding] = useState(false);
+  const [draft,  setDraft]  = useState(blank);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  async function add() {
+    setSaving(true);
+    try {
+      const { errors: saveErrors } = await createVolunteerStatusNote({
+        volunteer: [volunteerId],
+        note:      draft.note.trim(),
+        note_date: draft.date,
+      });
+      if (saveErrors) {
+        setErrors(saveErrors);
+        return;
+      }
+      setErrors({});
+      setDraft(blank());
+      setAdding(false);
+      onAdded();
+    } catch (err) {
+      console.error("VolunteerProfile: add note failed:", err);
+      setErrors({ _form: `${describeError(err)} The note was not saved.` });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="volunteer-detail">
+      {canEdit && (adding ? (
+        <div className="profile-note-form">
+          {errors._form && <p className="form-error form-error--banner">{errors._form}</p>}
+          <div className="form-row">
+            <label className="form-label">Date</label>
+            <input type="date" className="form-input" value={draft.date}
+              onChange={(e) => setDraft((d) => ({ ...d, date: e.target.value }))} />
+            {errors.note_date && <span className="form-error">{errors.note_date}</span>}
+          </div>
+          <div className="form-row form-row--full">
+            <label className="form-label">Note</label>
+            <textarea className="form-textarea" rows={3} value={draft.note}
+              placeholder="e.g. Taking a break for exams; back on March 2"
+              onChange={(e) => setDraft((d) => ({ ...d, note: e.target.value }))} />
+            {errors.note && <span className="form-error">{errors.note}</span>}
+          </div>
+          <div className="form-actions">
+            <button className="edit-save-btn" onClick={add} disabled={saving}>
+              {saving ? "Saving…" : "Add Note"}
+            </button>
+            <button className="edit-cancel-btn" onClick={() => { setAdding(false); setErrors({}); }}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button className="group-card__add-btn" onClick={() => setAdding(true)}>+ Add note</button>
+      ))}
+
+      {notes.length === 0 ? (
+        <p className="detail-none">No status notes yet.</p>
+      ) : (
+        <ol className="profile-timeline">
+          {notes.map((n) => (
+            <li key={n.id} className="profile-timeline__item">
+              <span className="profile-timeline__date">{formatDate(n.date)}</span>
+              <p className="profile-timeline__note">{n.note}</p>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
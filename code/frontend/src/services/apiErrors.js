@@ -0,0 +1,88 @@
+/**
+ * apiErrors.js — Typed errors thrown by the Baserow client and the webhook layer
+ *
+ * Pages branch on these (instanceof) to decide what to show:
+ *   AuthError      — 401/403: the API token is wrong, expired or lacks permission
+ *   NotFoundError  — 404: the table or row does not exist (bad VITE_TABLE_* ID, deleted row)
+ *   RateLimitError — 429 that survived every retry
+ *   NetworkError   — no response at all: timeout, DNS, connection refused (Baserow restarting)
+ *   ApiError       — base class; also used for any other non-2xx (e.g. a 5xx after retries)
+ *
+ * Every error carries `status` (HTTP status, or null for NetworkError) and `url`.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string}      message
+   * @param {object}      [info]
+   * @param {number|null} [info.status] — HTTP status code
+   * @param {string}      [info.url]    — Request URL
+   * @param {string}      [info.body]   — Response body text, when available
+   */
+  constructor(message, { status = null, url = "", body = "" } = {}) {
+    super(message);
+    this.name   = "ApiError";
+    this.status = status;
+    this.url    = url;
+    this.body   = body;
+  }
+}
+
+export class AuthError extends ApiError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "AuthError";
+  }
+}
+
+export class NotFoundError extends ApiError {
+  constructor(message, info) {
+    super(message, info);
+    this.name = "NotFoundError";
+  }
+}
+
+export class RateLimitError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {object} info
+   * @param {number|null} [info.retryAfterMs] — Server-requested wait from Retry-After
+   */
+  constructor(message, info = {}) {
+    super(message, info);
+    this.name         = "RateLimitError";
+    this.retryAfterMs = info.retryAfterMs ?? null;
+  }
+}
+
+export class NetworkError extends ApiError {
+  /**
+   * @param {string} message
+   * @param {object} info
+   * @param {boolean} [info.timedOut] — true when the request was aborted by our timeout
+   */
+  constructor(message, info = {}) {
+    super(message, { ...info, status: null });
+    this.name     = "NetworkError";
+    this.timedOut = !!info.timedOut;
+  }
+}
+
+/**
+ * Short, staff-facing explanation for an error — used by the page error banner.
+ *
+ * @param {Error} err
+ * @returns {string}
+ */
+export function describeError(err) {
+  if (err instanceof AuthError)      return "The database rejected our credentials. Ask an admin to check the API token.";
+  if (err instanceof NotFoundError)  return "The requested record or table could not be found.";
+  if (err instanceof RateLimitError) return "The database is busy right now. Please wait a moment and retry.";
+  if (err instanceof NetworkError) {
+    return err.timedOut
+      ? "The database took too long to respond. Check the connection and retry."
+      : "Could not reach the database. Check the connection and retry.";
+  }
+  if (err instanceof ApiError && err.status >= 500) return "The database had a problem. Please retry shortly.";
+  return err?.message ?? "Something went wrong.";
+}
@@ -0,0 +1,161 @@
+/**
+ * authApi.js — Staff sign-in through the read proxy (code/backend)
+ *
+ * Staff accounts live in the APP_USERS table, which setupAppUsers.js wires to the
+ * Baserow App Builder's "local_baserow" user source. The proxy does the login so
+ * neither a password hash nor the Baserow token ever reaches the browser:
+ *
+ *   POST {VITE_API_URL}/auth/login    { email, password }
+ *     → proxy checks the pair against the user source, reads the APP_USERS row,
+ *       and answers { token, expiresAt, user }  (401 on a wrong email/password)
+ *   POST {VITE_API_URL}/auth/refresh  Authorization: Bearer {token}
+ *     → a fresh token, with the role re-read from APP_USERS
+ *   POST {VITE_API_URL}/approvals/token  { changeId, action }  (admins only)
+ *     → a short-lived, single-use token WF9 requires before it approves or rejects
+ *
+ * The resulting session is held by AuthProvider (components/auth) and kept in
+ * sessionStorage, so it ends when the browser tab closes. AuthProvider hands the
+ * active session to setActiveSession(); baserowApi.js and baserowMutations.js
+ * read it via authHeaders().
+ *
+ * Configuration (from .env, exposed via Vite as import.meta.env):
+ *   VITE_API_URL — Base URL of the read proxy, e.g. http://localhost:8787
+ */
+import { fetchWithRetry, errorFromResponse } from "./httpClient";
+import { AuthError } from "./apiErrors";
+import { toRole } from "./permissions";
+
+const BASE_URL = import.meta.env.VITE_API_URL;
+
+/** Refresh this long before the session token actually expires */
+const REFRESH_MARGIN_MS = 60_000;
+
+/**
+ * @typedef {Object} Session
+ * @property {string}      accessToken — Proxy session token (sent as a Bearer token)
+ * @property {number|null} expiresAt   — Token expiry (ms since epoch); null in mock mode
+ * @property {{ id, name, email, role, personId }} user
+ */
+
+/** The session requests are made with; set by AuthProvider. */
+let activeSession = null;
+const expiredListeners = new Set();
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** POSTs JSON to a proxy endpoint. Auth calls are never retried. */
+function postJson(path, body, headers = {}) {
+  return fetchWithRetry(`${BASE_URL}/${path}`, {
+    method:  "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body:    JSON.stringify(body),
+  }, { retries: 0 });
+}
+
+/** Proxy { token, expiresAt, user } → Session */
+function toSession({ token, expiresAt, user }) {
+  return {
+    accessToken: token,
+    expiresAt,
+    user: {
+      id:       user.id,
+      name:     user.name ?? "",
+      email:    user.email ?? "",
+      role:     toRole(user.role),
+      personId: user.personId ?? null,
+    },
+  };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Signs a staff member in.
+ *
+ * @param {string} email
+ * @param {string} password
+ * @returns {Promise<Session>}
+ * @throws {AuthError} Wrong email/password, or no APP_USERS row for the email
+ * @throws {ApiError}  Proxy or Baserow unreachable or failing
+ */
+export async function signIn(email, password) {
+  const response = await postJson("auth/login", { email, password });
+
+  if (response.status === 401) {
+    throw new AuthError("Incorrect email or password.", { status: 401, url: response.url });
+  }
+  if (!response.ok) throw await errorFromResponse(response, "Sign-in failed");
+
+  return toSession(await response.json());
+}
+
+/**
+ * Exchanges a still-valid session for a fresh one.
+ *
+ * @param {Session} session
+ * @returns {Promise<Session>}
+ * @throws {AuthError} When the session has expired or the account was removed
+ */
+export async function refreshSession(session) {
+  const response = await postJson("auth/refresh", {}, { Authorization: `Bearer ${session.accessToken}` });
+  if (!response.ok) throw await errorFromResponse(response, "Session refresh failed");
+  return toSession(await response.json());
+}
+
+/**
+ * Milliseconds until the session should be refreshed (0 = now).
+ * Returns null when the session carries no expiry.
+ *
+ * @param {Session} session
+ * @returns {number|null}
+ */
+export function msUntilRefresh(session) {
+  if (!session.expiresAt) return null;
+  return Math.max(0, session.expiresAt - REFRESH_MARGIN_MS - Date.now());
+}
+
+/**
+ * Asks the proxy for a WF9 decision token for the signed-in admin. WF9 checks the
+ * signature, expiry and that the change is still pending, so each token works once.
+ *
+ * @param {number} changeId — PROPOSED_CHANGE row ID
+ * @param {"approve"|"reject"} action
+ * @returns {Promise<string>} The token
+ * @throws {ApiError} Not an admin (403), or the proxy has no APPROVAL_TOKEN_SECRET (503)
+ */
+export async function requestApprovalToken(changeId, action) {
+  const response = await postJson("approvals/token", { changeId, action }, authHeaders());
+  reportUnauthorized(response);
+  if (!response.ok) throw await errorFromResponse(response, `Approval token request failed for change ${changeId}`);
+  return (await response.json()).token;
+}
+
+// ─── Request credentials ──────────────────────────────────────────────────────
+
+/** Called by AuthProvider whenever the session changes (null = signed out). */
+export function setActiveSession(session) {
+  activeSession = session;
+}
+
+/** Authorization header for proxy reads and writes; empty when signed out. */
+export function authHeaders() {
+  return activeSession ? { Authorization: `Bearer ${activeSession.accessToken}` } : {};
+}
+
+/**
+ * Subscribes to "the proxy rejected our session" — AuthProvider signs out.
+ *
+ * @param {() => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function onSessionExpired(listener) {
+  expiredListeners.add(listener);
+  return () => expiredListeners.delete(listener);
+}
+
+/** Checks a proxy response; a 401 means the session ended server-side. */
+export function reportUnauthorized(response) {
+  if (response.status === 401 && activeSession) {
+    expiredListeners.forEach((listener) => listener());
+  }
+}
@@ -2,15 +2,27 @@
  * baserowApi.js — Centralized Baserow REST API client for the CTR-CRM frontend
  *
  * All reads from the React app go through this module.
- * All writes go through N8N webhooks (React never POSTs directly to Baserow).
+ * All writes go through N8N webhooks (React never POSTs directly to Baserow) —
+ * see baserowMutations.js for the create/update/deactivate calls.
  *
  * Configuration (from .env, exposed via Vite as import.meta.env):
- *   VITE_BASEROW_URL   — Base URL of the Baserow instance, e.g. http://192.168.10.95
- *   VITE_BASEROW_TOKEN — Read-only database API token from Baserow Settings > API Tokens
+ *   VITE_API_URL — Base URL of the read proxy (code/backend), e.g. http://localhost:8787
+ *
+ * The proxy mirrors the Baserow read paths below and holds the Baserow token
+ * server-side, so no Baserow credential ships in the bundle. Requests carry the
+ * staff session token from authApi.js instead.
  *
  * Table IDs are also read from .env (VITE_TABLE_SENIOR, VITE_TABLE_VOLUNTEER, etc.)
  * so this module works with any Baserow instance without code changes.
  *
+ * Resilience: every request goes through httpClient.js — per-request timeout,
+ * exponential-backoff retries on 429/5xx (honoring Retry-After), and typed errors
+ * (AuthError, NotFoundError, RateLimitError, NetworkError from apiErrors.js).
+ *
+ * Caching: getRows(), getAllRows() and getRow() are served through
+ * queryCache.js (short TTL + in-flight de-duplication). Webhook writes in
+ * baserowMutations.js invalidate the tables they touch.
+ *
  * ─── Baserow REST API notes ──────────────────────────────────────────────────
  * Base endpoint for row operations:
  *   GET /api/database/rows/table/{tableId}/
@@ -20,16 +32,19 @@
  *   size           — Rows per page, default 100, max 200
  *   order_by       — Field name to sort by, prefix with "-" for descending
  *   search         — Full-text search across all text fields
- *   filter__{field}__{type}={value} — Row-level filtering
- *     Types: equal, not_equal, contains, not_contains, blank, not_blank,
- *            gt, gte, lt, lte, date_equal, date_before, date_after
+ *   user_field_names — "true" makes rows (and filters) use field names instead of
+ *                    field_1234 IDs. getRows() always sends it.
+ *   filters        — JSON filter tree with AND/OR groups. Built with the DSL in
+ *                    baserowFilters.js and compiled by filterParams(); fetch functions
+ *                    never hand-write filter params.
  *
  * Response shape:
  *   { count: number, next: string|null, previous: string|null, results: Row[] }
  *
  * Authentication for row reads:
- *   Authorization: Token {VITE_BASEROW_TOKEN}
- *   (NOT "JWT" — JWT is for schema/admin operations; "Token" is for row-level API)
+ *   Authorization: Bearer {staff session token}  — checked by the proxy, which
+ *   then calls Baserow with "Authorization: Token …". A 401 from the proxy means
+ *   the session ended and signs the user out (see authApi.js).
  *
  * ─── Lookup fields in API responses ─────────────────────────────────────────
  * Link fields return an array of objects: [{ id, value }]
@@ -44,10 +59,25 @@
  * }, []);
  */
 
+import { cachedQuery, cacheKey } from "./queryCache";
+import { fetchWithRetry, errorFromResponse } from "./httpClient";
+import { authHeaders, reportUnauthorized } from "./authApi";
+import {
+  and,
+  or,
+  where,
+  empty,
+  linkRowHas,
+  linkRowHasAny,
+  singleSelectEqual,
+  dateRange,
+  selectFieldsIn,
+  compileFilters,
+} from "./baserowFilters";
+
 // ─── Configuration ────────────────────────────────────────────────────────────
 
-const BASE_URL = import.meta.env.VITE_BASEROW_URL;
-const TOKEN    = import.meta.env.VITE_BASEROW_TOKEN;
+const BASE_URL = import.meta.env.VITE_API_URL;
 
 /** Table IDs — populated from .env variables set by createBaserowTables.js output */
 const TABLES = {
@@ -67,21 +97,25 @@ const TABLES = {
   MEETING_ATTENDANCE:   import.meta.env.VITE_TABLE_MEETING_ATTENDANCE,
   FEEDBACK_FORM:        import.meta.env.VITE_TABLE_FEEDBACK_FORM,
   PROPOSED_CHANGE:      import.meta.env.VITE_TABLE_PROPOSED_CHANGE,
+  VOLUNTEER_BLACKOUT:   import.meta.env.VITE_TABLE_VOLUNTEER_BLACKOUT,
 };
 
 // ─── Core fetch helper ────────────────────────────────────────────────────────
 
 /**
- * Makes an authenticated GET request to the Baserow rows API.
+ * Makes an authenticated GET request to the Baserow rows API (uncached).
  *
  * @param {string|number} tableId   — Baserow table ID
  * @param {object}        params    — Query parameters (filters, ordering, pagination)
  * @returns {Promise<{ count, results }>}  — Baserow paginated response
- * @throws {Error} If the HTTP response is not 2xx
+ * @throws {ApiError} Typed error (see apiErrors.js) if the request fails after retries
  */
-async function getRows(tableId, params = {}) {
+async function requestRows(tableId, params = {}) {
   const url = new URL(`${BASE_URL}/api/database/rows/table/${tableId}/`);
 
+  // Row objects are keyed by field name ("instance_date"), not "field_1234"
+  url.searchParams.append("user_field_names", "true");
+
   // Append each param as a query string key/value
   Object.entries(params).forEach(([key, value]) => {
     if (value !== undefined && value !== null) {
@@ -89,21 +123,34 @@ async function getRows(tableId, params = {}) {
     }
   });
 
-  const response = await fetch(url.toString(), {
+  const response = await fetchWithRetry(url.toString(), {
     headers: {
-      Authorization: `Token ${TOKEN}`,
+      ...authHeaders(),
       "Content-Type": "application/json",
     },
   });
+  reportUnauthorized(response);
 
   if (!response.ok) {
-    const errorBody = await response.text().catch(() => "");
-    throw new Error(`Baserow API error ${response.status} on table ${tableId}: ${errorBody}`);
+    throw await errorFromResponse(response, `Baserow API error on table ${tableId}`);
   }
 
   return response.json();
 }
 
+/**
+ * Fetches one page of rows. Identical queries within the cache TTL (and
+ * concurrent identical queries) share a single request.
+ *
+ * @param {string|number} tableId   — Baserow table ID
+ * @param {object}        params    — Query parameters (filters, ordering, pagination)
+ * @returns {Promise<{ count, results }>}  — Baserow paginated response
+ * @throws {ApiError} Typed error (see apiErrors.js) if the request fails after retries
+ */
+function getRows(tableId, params = {}) {
+  return cachedQuery(cacheKey(tableId, "rows", params), () => requestRows(tableId, params));
+}
+
 /**
  * Fetches ALL rows from a table, handling Baserow's pagination automatically.
  * Keeps fetching pages until there are no more results.
@@ -114,21 +161,159 @@ async function getRows(tableId, params = {}) {
  *
  * @param {string|number} tableId — Baserow table ID
  * @param {object}        params  — Query parameters (filters, ordering; pagination is handled internally)
+ * The combined result is cached as one entry, so a repeat call costs no requests.
+ *
  * @returns {Promise<Array>} All result rows across all pages
  */
-async function getAllRows(tableId, params = {}) {
-  let page    = 1;
-  let allRows = [];
-  let hasMore = true;
+function getAllRows(tableId, params = {}) {
+  return cachedQuery(cacheKey(tableId, "all", params), async () => {
+    let page    = 1;
+    let allRows = [];
+    let hasMore = true;
+
+    while (hasMore) {
+      const data = await requestRows(tableId, { ...params, page, size: 200 });
+      allRows = allRows.concat(data.results);
+      hasMore = !!data.next; // data.next is null on the last page
+      page++;
+    }
 
-  while (hasMore) {
-    const data = await getRows(tableId, { ...params, page, size: 200 });
-    allRows = allRows.concat(data.results);
-    hasMore = !!data.next; // data.next is null on the last page
-    page++;
-  }
+    return allRows;
+  });
+}
+
+/**
+ * Fetches one row by ID (cached like list reads).
+ *
+ * @param {string|number} tableId
+ * @param {number}        rowId
+ * @returns {Promise<object>} The row
+ * @throws {NotFoundError} When the row doesn't exist
+ */
+function getRow(tableId, rowId) {
+  return cachedQuery(cacheKey(tableId, "row", { id: rowId }), async () => {
+    const response = await fetchWithRetry(
+      `${BASE_URL}/api/database/rows/table/${tableId}/${rowId}/?user_field_names=true`,
+      {
+        headers: {
+          ...authHeaders(),
+          "Content-Type": "application/json",
+        },
+      }
+    );
+    reportUnauthorized(response);
+    if (!response.ok) throw await errorFromResponse(response, `Failed to fetch row ${rowId} of table ${tableId}`);
+    return response.json();
+  });
+}
+
+// ─── Filter helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Fetches a table's single-select options as { [fieldName]: { [optionText]: optionId } }.
+ * single_select_equal filters need option IDs; this lets fetch functions write
+ * singleSelectEqual("status", "active") instead of hard-coding IDs per instance.
+ * Cached like row reads.
+ *
+ * @param {string|number} tableId
+ * @returns {Promise<object>}
+ */
+function fetchSelectOptions(tableId) {
+  return cachedQuery(cacheKey(tableId, "fields"), async () => {
+    const response = await fetchWithRetry(`${BASE_URL}/api/database/fields/table/${tableId}/`, {
+      headers: authHeaders(),
+    });
+    reportUnauthorized(response);
+    if (!response.ok) {
+      throw await errorFromResponse(response, `Baserow API error listing fields of table ${tableId}`);
+    }
+    const fields = await response.json();
+    return Object.fromEntries(
+      fields
+        .filter((f) => Array.isArray(f.select_options))
+        .map((f) => [f.name, Object.fromEntries(f.select_options.map((o) => [o.value, o.id]))])
+    );
+  });
+}
+
+/**
+ * Compiles a filter tree (baserowFilters.js) into request params: { filters: "<json>" },
+ * or {} when the tree is empty. Option IDs are looked up only when the tree
+ * compares a single select by text.
+ *
+ * @param {string|number} tableId
+ * @param {object|null|false} tree — Filter tree; falsy means "no filter"
+ * @returns {Promise<object>}
+ */
+async function filterParams(tableId, tree) {
+  if (!tree) return {};
+  const selectOptions = selectFieldsIn(tree).length > 0 ? await fetchSelectOptions(tableId) : {};
+  const filters = compileFilters(tree, selectOptions);
+  return filters ? { filters: JSON.stringify(filters) } : {};
+}
+
+/** A row's value for sorting: single selects and links compare by their text */
+function sortValue(value) {
+  if (Array.isArray(value)) return value.map(sortValue).join(", ");
+  if (value && typeof value === "object") return value.value ?? "";
+  return value ?? null;
+}
 
-  return allRows;
+/**
+ * Sorts rows client-side the way Baserow reads an order_by param
+ * ("display_name", "-start_date", "a,-b"); blanks sort last, ties by row ID.
+ *
+ * @param {Array}  rows
+ * @param {string} orderBy
+ * @returns {Array} A new, sorted array
+ */
+function sortRows(rows, orderBy) {
+  const keys = orderBy.split(",").filter(Boolean).map((k) =>
+    k.startsWith("-") ? { field: k.slice(1), dir: -1 } : { field: k, dir: 1 }
+  );
+  return [...rows].sort((a, b) => {
+    for (const { field, dir } of keys) {
+      const x = sortValue(a[field]);
+      const y = sortValue(b[field]);
+      if (x === y) continue;
+      if (x === null || x === "") return 1;
+      if (y === null || y === "") return -1;
+      const cmp = typeof x === "number" && typeof y === "number"
+        ? x - y
+        : String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: "base" });
+      if (cmp !== 0) return cmp * dir;
+    }
+    return a.id - b.id;
+  });
+}
+
+/**
+ * Fetches every row whose link field points at any of `ids`.
+ * Uses an OR group of link_row_has per request; IDs are sent in chunks to keep
+ * URLs short. An empty ID list returns [] without a request.
+ * With more than one chunk the merged rows are de-duplicated and re-sorted by
+ * params.order_by, since each chunk is only sorted within itself.
+ *
+ * @param {string|number} tableId
+ * @param {string}        field   — Link field name on tableId
+ * @param {number[]}      ids     — Linked row IDs
+ * @param {object}        params  — Extra params (search, order_by)
+ * @returns {Promise<Array>}
+ */
+async function getAllRowsLinkedTo(tableId, field, ids, params = {}) {
+  const CHUNK = 50;
+  const chunks = [];
+  for (let i = 0; i < ids.length; i += CHUNK) {
+    chunks.push(ids.slice(i, i + CHUNK));
+  }
+  const pages = await Promise.all(chunks.map(async (chunk) =>
+    getAllRows(tableId, { ...params, ...await filterParams(tableId, linkRowHasAny(field, chunk)) })
+  ));
+  if (pages.length <= 1) return pages.flat();
+
+  // A row linked to IDs in two chunks comes back twice
+  const rows = [...new Map(pages.flat().map((row) => [row.id, row])).values()];
+  return params.order_by ? sortRows(rows, params.order_by) : rows;
 }
 
 // ─── Dashboard queries ────────────────────────────────────────────────────────
@@ -137,25 +322,20 @@ async function getAllRows(tableId, params = {}) {
  * Fetches the count of active seniors.
  * Used by Dashboard.jsx for the "Active Seniors" KPI card.
  *
- * Baserow SENIOR table has:
- *   - person field (link → PERSON)
- *   - person_first_name, person_last_name (lookup fields from PERSON)
- *   - display_name (formula: person_first_name & ' ' & person_last_name)
- *
- * We filter by the linked PERSON's status field.
- * NOTE: Baserow filters on link fields use the linked row's field value.
- * The PERSON table's status field is a Single Select; filter with 'equal'.
+ * SENIOR has no status field — status lives on the linked PERSON row, and
+ * Baserow can't filter SENIOR by a field of the linked row. Every senior has a
+ * PERSON with role "senior", so the count is taken on PERSON directly:
+ *   role = senior AND status = active
  *
  * @returns {Promise<number>} Count of active seniors
  */
 export async function fetchActiveSeniorsCount() {
-  const data = await getRows(TABLES.SENIOR, {
+  const data = await getRows(TABLES.PERSON, {
     size: 1, // we only need the count, not the rows
-    "filter__field_person__link_row_no_filter": undefined, // placeholder pattern
-    // TODO: Confirm the exact filter syntax for filtering on a linked table's field
-    // Baserow v2 filter on single select in linked table:
-    // filter__field_{link_field_id}__link_row_filter=active  (linked row filter)
-    // For now, fetch all and count in JS until filter syntax is confirmed:
+    ...await filterParams(TABLES.PERSON, and(
+      singleSelectEqual("role", "senior"),
+      singleSelectEqual("status", "active"),
+    )),
   });
   return data.count;
 }
@@ -167,7 +347,10 @@ export async function fetchActiveSeniorsCount() {
  * @returns {Promise<number>}
  */
 export async function fetchActiveVolunteersCount() {
-  const data = await getRows(TABLES.VOLUNTEER, { size: 1 });
+  const data = await getRows(TABLES.VOLUNTEER, {
+    size: 1,
+    ...await filterParams(TABLES.VOLUNTEER, singleSelectEqual("status", "active")),
+  });
   return data.count;
 }
 
@@ -180,7 +363,7 @@ export async function fetchActiveVolunteersCount() {
 export async function fetchActiveTeamsCount() {
   const data = await getRows(TABLES.VOLUNTEER_TEAM, {
     size: 1,
-    [`filter__field_status__equal`]: "active",
+    ...await filterParams(TABLES.VOLUNTEER_TEAM, singleSelectEqual("status", "active")),
   });
   return data.count;
 }
@@ -194,7 +377,7 @@ export async function fetchActiveTeamsCount() {
 export async function fetchScheduledInstancesCount() {
   const data = await getRows(TABLES.MEETING_INSTANCE, {
     size: 1,
-    [`filter__field_instance_status__equal`]: "scheduled",
+    ...await filterParams(TABLES.MEETING_INSTANCE, singleSelectEqual("instance_status", "scheduled")),
   });
   return data.count;
 }
@@ -223,10 +406,14 @@ export async function fetchRecentInstances() {
  * Used by Seniors.jsx list view.
  *
  * Returned fields include:
- *   id, display_name (formula), person (link array), status, age_range,
+ *   id, display_name (formula), person (link array), age_range,
  *   senior_community (link array), veteran_status, onboarding_date,
  *   monday_availability … sunday_availability, notes
  *
+ * status lives on PERSON, so a status filter first finds the matching senior
+ * PERSON rows, then fetches the SENIOR rows linked to them; getAllRowsLinkedTo
+ * keeps the display_name order across its ID chunks.
+ *
  * @param {object} options
  * @param {string} options.search   — Optional name search string
  * @param {string} options.status   — Optional status filter ("active" | "inactive")
@@ -237,9 +424,132 @@ export async function fetchSeniors({ search, status } = {}) {
     order_by: "display_name",
   };
   if (search) params.search = search;
-  if (status) params[`filter__field_person__link_row_no_filter`] = undefined; // placeholder
+  if (!status || status === "all") return getAllRows(TABLES.SENIOR, params);
 
-  return getAllRows(TABLES.SENIOR, params);
+  const people = await getAllRows(TABLES.PERSON, await filterParams(TABLES.PERSON, and(
+    singleSelectEqual("role", "senior"),
+    singleSelectEqual("status", status),
+  )));
+  return getAllRowsLinkedTo(TABLES.SENIOR, "person", people.map((p) => p.id), params);
+}
+
+/**
+ * Fetches one SENIOR row by ID — for the senior detail route (/seniors/:id).
+ *
+ * @param {number|string} seniorId — Baserow row ID
+ * @returns {Promise<object>} The senior row
+ * @throws {NotFoundError} When the senior doesn't exist
+ */
+export async function fetchSenior(seniorId) {
+  return getRow(TABLES.SENIOR, seniorId);
+}
+
+// ─── Senior profile queries ───────────────────────────────────────────────────
+// Everything tied to one senior, for the profile page (/seniors/:id). Each query
+// filters on a link, so the cost grows with the senior's history, not the tables.
+
+/**
+ * Fetches every VOLUNTEER_TEAM a senior has had, active or not.
+ *
+ * @param {number} seniorId — SENIOR row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchSeniorTeams(seniorId) {
+  return getAllRowsLinkedTo(TABLES.VOLUNTEER_TEAM, "senior", [seniorId]);
+}
+
+/**
+ * Fetches the TEAM_MEMBER rows of some teams, including ended memberships.
+ *
+ * @param {number[]} teamIds — VOLUNTEER_TEAM row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchTeamMembersForTeams(teamIds) {
+  return getAllRowsLinkedTo(TABLES.TEAM_MEMBER, "team", teamIds, { order_by: "start_date" });
+}
+
+/**
+ * Fetches the recurring MEETING rows of some teams.
+ *
+ * @param {number[]} teamIds — VOLUNTEER_TEAM row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchMeetingsForTeams(teamIds) {
+  return getAllRowsLinkedTo(TABLES.MEETING, "team", teamIds);
+}
+
+/**
+ * Fetches every MEETING_INSTANCE of some meetings, newest first.
+ *
+ * @param {number[]} meetingIds — MEETING row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchInstancesForMeetings(meetingIds) {
+  const rows = await getAllRowsLinkedTo(TABLES.MEETING_INSTANCE, "meeting", meetingIds,
+    { order_by: "-instance_date" });
+  // Chunks are ordered one by one, so re-sort the combined list
+  return rows.sort((a, b) => (b.instance_date ?? "").localeCompare(a.instance_date ?? ""));
+}
+
+/**
+ * Fetches the feedback about one senior: monthly forms link the senior directly,
+ * per-visit forms link one of the senior's meeting instances. Newest first.
+ *
+ * @param {number}   seniorId    — SENIOR row ID
+ * @param {number[]} instanceIds — The senior's MEETING_INSTANCE row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchSeniorFeedback(seniorId, instanceIds) {
+  const params = { order_by: "-submitted_at" };
+  const [monthly, perVisit] = await Promise.all([
+    getAllRowsLinkedTo(TABLES.FEEDBACK_FORM, "senior", [seniorId], params),
+    getAllRowsLinkedTo(TABLES.FEEDBACK_FORM, "meeting_instance", instanceIds, params),
+  ]);
+  // A form can link both the senior and a visit; keep one copy
+  const rows = [...new Map([...monthly, ...perVisit].map((r) => [r.id, r])).values()];
+  return rows.sort((a, b) => (b.submitted_at ?? "").localeCompare(a.submitted_at ?? ""));
+}
+
+/**
+ * Fetches a senior's SENIOR_RELATIONSHIP rows (caregivers, family, other contacts).
+ *
+ * @param {number} seniorId — SENIOR row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchSeniorRelationships(seniorId) {
+  return getAllRowsLinkedTo(TABLES.SENIOR_RELATIONSHIP, "senior", [seniorId]);
+}
+
+/**
+ * Fetches every caregiver SENIOR_RELATIONSHIP row, for flagging seniors with no
+ * caregiver on file.
+ *
+ * @returns {Promise<Array>}
+ */
+export async function fetchCaregiverRelationships() {
+  return getAllRows(TABLES.SENIOR_RELATIONSHIP, {
+    ...await filterParams(TABLES.SENIOR_RELATIONSHIP, singleSelectEqual("relationship_type", "caregiver")),
+  });
+}
+
+/**
+ * Fetches the PERSON_PHONE rows of some people.
+ *
+ * @param {number[]} personIds — PERSON row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchPhonesForPeople(personIds) {
+  return getAllRowsLinkedTo(TABLES.PERSON_PHONE, "person", personIds);
+}
+
+/**
+ * Fetches the CAREGIVER rows of some people (independent / private flags, community).
+ *
+ * @param {number[]} personIds — PERSON row IDs
+ * @returns {Promise<Array>}
+ */
+export async function fetchCaregiversForPeople(personIds) {
+  return getAllRowsLinkedTo(TABLES.CAREGIVER, "person", personIds);
 }
 
 // ─── Volunteer queries ────────────────────────────────────────────────────────
@@ -250,7 +560,7 @@ export async function fetchSeniors({ search, status } = {}) {
  *
  * @param {object} options
  * @param {string} options.search  — Optional name search string
- * @param {string} options.status  — Optional status filter
+ * @param {string} options.status  — Optional status filter ("active" | "inactive" | "pending" | "training")
  * @returns {Promise<Array>}
  */
 export async function fetchVolunteers({ search, status } = {}) {
@@ -259,7 +569,91 @@ export async function fetchVolunteers({ search, status } = {}) {
   };
   if (search) params.search = search;
 
-  return getAllRows(TABLES.VOLUNTEER, params);
+  return getAllRows(TABLES.VOLUNTEER, {
+    ...params,
+    ...await filterParams(TABLES.VOLUNTEER,
+      status && status !== "all" && singleSelectEqual("status", status)),
+  });
+}
+
+/**
+ * Fetches one VOLUNTEER row by ID — for the volunteer detail route (/volunteers/:id).
+ *
+ * @param {number|string} volunteerId — Baserow row ID
+ * @returns {Promise<object>} The volunteer row
+ * @throws {NotFoundError} When the volunteer doesn't exist
+ */
+export async function fetchVolunteer(volunteerId) {
+  return getRow(TABLES.VOLUNTEER, volunteerId);
+}
+
+/**
+ * Fetches every volunteer blackout (exams, school breaks), earliest first.
+ * Used by the volunteer profile, the rotation planner and blackout warnings.
+ *
+ * @returns {Promise<Array>}
+ */
+export async function fetchVolunteerBlackouts() {
+  return getAllRows(TABLES.VOLUNTEER_BLACKOUT, { order_by: "start_date" });
+}
+
+// ─── Volunteer profile queries ────────────────────────────────────────────────
+// Everything tied to one volunteer, for the profile page (/volunteers/:id). Team
+// meetings and instances reuse the senior profile queries above.
+
+/**
+ * Fetches every TEAM_MEMBER row of a volunteer, including ended memberships,
+ * most recent start first.
+ *
+ * @param {number} volunteerId — VOLUNTEER row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchVolunteerMemberships(volunteerId) {
+  return getAllRowsLinkedTo(TABLES.TEAM_MEMBER, "volunteer", [volunteerId], { order_by: "-start_date" });
+}
+
+/**
+ * Fetches one VOLUNTEER_TEAM row by ID, active or not.
+ *
+ * @param {number|string} teamId — Baserow row ID
+ * @returns {Promise<object>} The team row
+ * @throws {NotFoundError} When the team doesn't exist
+ */
+export async function fetchTeam(teamId) {
+  return getRow(TABLES.VOLUNTEER_TEAM, teamId);
+}
+
+/**
+ * Fetches a volunteer's MEETING_ATTENDANCE rows across every visit.
+ *
+ * @param {number} volunteerId — VOLUNTEER row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchVolunteerAttendance(volunteerId) {
+  return getAllRowsLinkedTo(TABLES.MEETING_ATTENDANCE, "volunteer", [volunteerId]);
+}
+
+/**
+ * Fetches the MEETING_INSTANCE rows a volunteer was assigned to as the substitute,
+ * newest first. These may belong to teams the volunteer was never on.
+ *
+ * @param {number} volunteerId — VOLUNTEER row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchInstancesCoveredBy(volunteerId) {
+  return getAllRowsLinkedTo(TABLES.MEETING_INSTANCE, "substitute_volunteer", [volunteerId],
+    { order_by: "-instance_date" });
+}
+
+/**
+ * Fetches a volunteer's VOLUNTEER_STATUS_NOTE rows, newest first.
+ *
+ * @param {number} volunteerId — VOLUNTEER row ID
+ * @returns {Promise<Array>}
+ */
+export async function fetchVolunteerStatusNotes(volunteerId) {
+  return getAllRowsLinkedTo(TABLES.VOLUNTEER_STATUS_NOTE, "volunteer", [volunteerId],
+    { order_by: "-note_date" });
 }
 
 // ─── Visit Team queries ───────────────────────────────────────────────────────
@@ -271,55 +665,83 @@ export async function fetchVolunteers({ search, status } = {}) {
  * @returns {Promise<Array>}
  */
 export async function fetchActiveTeams() {
-  return getAllRows(TABLES.VOLUNTEER_TEAM, {
-    [`filter__field_status__equal`]: "active",
-  });
+  return getAllRows(TABLES.VOLUNTEER_TEAM,
+    await filterParams(TABLES.VOLUNTEER_TEAM, singleSelectEqual("status", "active")));
 }
 
 /**
- * Fetches all team members (active members have no end_date set).
+ * Fetches the currently active team members (no end_date set).
  * Used by Groups.jsx to build the volunteer list for each team.
  *
  * @returns {Promise<Array>}
  */
 export async function fetchActiveTeamMembers() {
-  return getAllRows(TABLES.TEAM_MEMBER, {
-    [`filter__field_end_date__date_equal`]: "",  // blank end_date = currently active
-  });
+  return getAllRows(TABLES.TEAM_MEMBER,
+    await filterParams(TABLES.TEAM_MEMBER, empty("end_date")));  // blank end_date = currently active
+}
+
+/**
+ * Fetches all recurring MEETING rows (one per team schedule slot).
+ * Used by the data hooks to build each team's schedule and to join
+ * MEETING_INSTANCE → MEETING → VOLUNTEER_TEAM → SENIOR.
+ *
+ * @returns {Promise<Array>}
+ */
+export async function fetchMeetings() {
+  return getAllRows(TABLES.MEETING, {});
 }
 
 // ─── Meeting Instance queries ─────────────────────────────────────────────────
 
 /**
- * Fetches meeting instances for a given week (Mon–Sun date range).
- * Used by Schedule.jsx for the weekly grid view.
+ * Fetches meeting instances dated within a range (both ends inclusive).
+ * Used by Schedule.jsx for the week, month and agenda views, and (open-ended)
+ * for rotation history on Groups.jsx and the visit detail.
  *
- * @param {string} weekStartDate — Monday date in "yyyy-MM-dd" format
- * @param {string} weekEndDate   — Sunday date in "yyyy-MM-dd" format
+ * @param {string} fromDate — First date in "yyyy-MM-dd" format
+ * @param {string} [toDate] — Last date in "yyyy-MM-dd" format; omit for every later instance
  * @returns {Promise<Array>}
  */
-export async function fetchInstancesForWeek(weekStartDate, weekEndDate) {
+export async function fetchInstancesInRange(fromDate, toDate) {
   return getAllRows(TABLES.MEETING_INSTANCE, {
-    [`filter__field_instance_date__date_after`]:  weekStartDate,
-    [`filter__field_instance_date__date_before`]: weekEndDate,
     order_by: "instance_date",
+    ...await filterParams(TABLES.MEETING_INSTANCE,
+      dateRange("instance_date", { from: fromDate, to: toDate })),
   });
 }
 
 /**
- * Fetches all meeting instances with optional status filter.
- * Used by Meetings.jsx list view.
+ * Fetches one page of meeting instances — for the server-paginated Meetings.jsx table.
  *
  * @param {object} options
- * @param {string} options.status — Optional filter: "scheduled"|"completed"|"canceled"|"no-show"
+ * @param {number} options.page    — 1-based page number
+ * @param {number} options.size    — Rows per page (max 200)
+ * @param {string} options.orderBy — Baserow order_by, e.g. "-instance_date"
+ * @param {string} options.status  — Optional instance_status filter (UI "cancelled" accepted)
+ * @param {string} options.date    — Optional exact instance_date, "yyyy-MM-dd"
+ * @returns {Promise<{ count: number, results: Array }>}
+ */
+export async function fetchMeetingInstancesPage({ page = 1, size = 25, orderBy = "-instance_date", status, date } = {}) {
+  const option = status === "cancelled" ? "canceled" : status;
+  return getRows(TABLES.MEETING_INSTANCE, {
+    page,
+    size,
+    order_by: orderBy,
+    ...await filterParams(TABLES.MEETING_INSTANCE, and(
+      option && option !== "all" && singleSelectEqual("instance_status", option),
+      date && where("instance_date", "date_equal", date),
+    )),
+  });
+}
+
+/**
+ * Fetches the MEETING_ATTENDANCE rows for a set of meeting instances.
+ *
+ * @param {number[]} instanceIds — MEETING_INSTANCE row IDs
  * @returns {Promise<Array>}
  */
-export async function fetchMeetingInstances({ status } = {}) {
-  const params = { order_by: "-instance_date" };
-  if (status && status !== "all") {
-    params[`filter__field_instance_status__equal`] = status;
-  }
-  return getAllRows(TABLES.MEETING_INSTANCE, params);
+export async function fetchAttendanceForInstances(instanceIds) {
+  return getAllRowsLinkedTo(TABLES.MEETING_ATTENDANCE, "meeting_instance", instanceIds);
 }
 
 // ─── Feedback Form queries ────────────────────────────────────────────────────
@@ -331,6 +753,7 @@ export async function fetchMeetingInstances({ status } = {}) {
  * In Baserow, form_type is a Link field to the FORM_TYPE table.
  * The form_type row's "name" field is a Single Select with values:
  *   volunteer_per_meeting | call_support_per_meeting | senior_monthly | caregiver_monthly
+ * The filter resolves the name to its FORM_TYPE row ID and uses link_row_has.
  *
  * @param {object} options
  * @param {string} options.formType — Optional filter by form type name
@@ -338,14 +761,107 @@ export async function fetchMeetingInstances({ status } = {}) {
  */
 export async function fetchFeedbackForms({ formType } = {}) {
   const params = { order_by: "-submitted_at" };
-  // TODO: Baserow filter on a linked field's value:
-  // filter__field_form_type__link_row_value=volunteer_per_meeting
-  // Exact syntax depends on Baserow version — test and adjust.
-  return getAllRows(TABLES.FEEDBACK_FORM, params);
+  if (!formType || formType === "all") return getAllRows(TABLES.FEEDBACK_FORM, params);
+
+  const typeId = await formTypeRowId(formType);
+  if (typeId === null) return []; // unknown type name — nothing can match
+
+  return getAllRows(TABLES.FEEDBACK_FORM, {
+    ...params,
+    ...await filterParams(TABLES.FEEDBACK_FORM, linkRowHas("form_type", typeId)),
+  });
+}
+
+/**
+ * Counts feedback submissions of one form type without fetching the rows.
+ * Used by FeedbackForms.jsx for the per-type summary cards.
+ *
+ * @param {string} formType — FORM_TYPE name, e.g. "senior_monthly"
+ * @returns {Promise<number>}
+ */
+export async function fetchFeedbackFormsCount(formType) {
+  const typeId = await formTypeRowId(formType);
+  if (typeId === null) return 0;
+  const data = await getRows(TABLES.FEEDBACK_FORM, {
+    size: 1,
+    ...await filterParams(TABLES.FEEDBACK_FORM, linkRowHas("form_type", typeId)),
+  });
+  return data.count;
+}
+
+/**
+ * Fetches one page of feedback submissions — for the server-paginated FeedbackForms.jsx table.
+ *
+ * @param {object} options
+ * @param {number} options.page     — 1-based page number
+ * @param {number} options.size     — Rows per page (max 200)
+ * @param {string} options.orderBy  — Baserow order_by, e.g. "-submitted_at"
+ * @param {string} options.formType — Optional FORM_TYPE name
+ * @param {string} options.followUp — Optional: "needed" (follow_up_needed OR concerns_raised) | "none"
+ * @returns {Promise<{ count: number, results: Array }>}
+ */
+export async function fetchFeedbackFormsPage({ page = 1, size = 25, orderBy = "-submitted_at", formType, followUp } = {}) {
+  let typeFilter = null;
+  if (formType && formType !== "all") {
+    const typeId = await formTypeRowId(formType);
+    if (typeId === null) return { count: 0, results: [] };
+    typeFilter = linkRowHas("form_type", typeId);
+  }
+
+  const followUpFilter =
+    followUp === "needed" ? or(where("follow_up_needed", "boolean", "1"), where("concerns_raised", "boolean", "1")) :
+    followUp === "none"   ? and(where("follow_up_needed", "boolean", "0"), where("concerns_raised", "boolean", "0")) :
+    null;
+
+  return getRows(TABLES.FEEDBACK_FORM, {
+    page,
+    size,
+    order_by: orderBy,
+    ...await filterParams(TABLES.FEEDBACK_FORM, and(typeFilter, followUpFilter)),
+  });
+}
+
+/**
+ * Fetches one FEEDBACK_FORM row by ID — for the feedback detail route (/feedback/:formId).
+ *
+ * @param {number|string} formId — Baserow row ID
+ * @returns {Promise<object>} The feedback form row
+ * @throws {NotFoundError} When the submission doesn't exist
+ */
+export async function fetchFeedbackForm(formId) {
+  return getRow(TABLES.FEEDBACK_FORM, formId);
+}
+
+/** Resolves a FORM_TYPE name ("senior_monthly") to its row ID, or null if unknown. */
+async function formTypeRowId(formType) {
+  const formTypes = await getAllRows(TABLES.FORM_TYPE, {});
+  const typeRow   = formTypes.find((t) => (t.name?.value ?? t.name) === formType);
+  return typeRow ? typeRow.id : null;
 }
 
 // ─── Person queries ───────────────────────────────────────────────────────────
 
+/**
+ * Fetches all PERSON rows.
+ * Used by the data hooks to join fields that only live on PERSON
+ * (status, email, timezone) onto seniors and volunteers.
+ *
+ * @returns {Promise<Array>}
+ */
+export async function fetchPeople() {
+  return getAllRows(TABLES.PERSON, {});
+}
+
+/**
+ * Fetches all SENIOR_COMMUNITY rows (name, city, state, timezone).
+ * Used to resolve a senior's timezone from their community.
+ *
+ * @returns {Promise<Array>}
+ */
+export async function fetchCommunities() {
+  return getAllRows(TABLES.SENIOR_COMMUNITY, {});
+}
+
 /**
  * Fetches a single person record by ID.
  * Used when resolving person details from a link field's { id, value } reference.
@@ -354,17 +870,84 @@ export async function fetchFeedbackForms({ formType } = {}) {
  * @returns {Promise<object>} The person row
  */
 export async function fetchPerson(personId) {
-  const response = await fetch(
-    `${BASE_URL}/api/database/rows/table/${TABLES.PERSON}/${personId}/`,
-    {
-      headers: {
-        Authorization: `Token ${TOKEN}`,
-        "Content-Type": "application/json",
-      },
-    }
-  );
-  if (!response.ok) throw new Error(`Failed to fetch person ${personId}`);
-  return response.json();
+  return getRow(TABLES.PERSON, personId);
+}
+
+/**
+ * Fetches a single SENIOR_COMMUNITY row by ID.
+ * Used to resolve one senior's timezone without loading every community.
+ *
+ * @param {number} communityId — Baserow row ID
+ * @returns {Promise<object>} The community row
+ */
+export async function fetchCommunity(communityId) {
+  return getRow(TABLES.SENIOR_COMMUNITY, communityId);
+}
+
+// ─── Proposed change queries ──────────────────────────────────────────────────
+
+/**
+ * Fetches one page of PROPOSED_CHANGE rows — for the server-paginated Approvals.jsx table.
+ * The read proxy only serves this table to admins.
+ *
+ * @param {object} options
+ * @param {number} options.page       — 1-based page number
+ * @param {number} options.size       — Rows per page (max 200)
+ * @param {string} options.orderBy    — Baserow order_by, e.g. "-proposed_at"
+ * @param {string} options.status     — Optional approval_status: "pending"|"approved"|"rejected"
+ * @param {string} options.changeType — Optional change_type, e.g. "reschedule"
+ * @returns {Promise<{ count: number, results: Array }>}
+ */
+export async function fetchProposedChangesPage({ page = 1, size = 25, orderBy = "-proposed_at", status, changeType } = {}) {
+  return getRows(TABLES.PROPOSED_CHANGE, {
+    page,
+    size,
+    order_by: orderBy,
+    ...await filterParams(TABLES.PROPOSED_CHANGE, and(
+      status && status !== "all" && singleSelectEqual("approval_status", status),
+      changeType && singleSelectEqual("change_type", changeType),
+    )),
+  });
+}
+
+/**
+ * Fetches a single meeting instance by ID — the instance a proposed change affects.
+ *
+ * @param {number} instanceId — MEETING_INSTANCE row ID
+ * @returns {Promise<object>} The MEETING_INSTANCE row
+ */
+export async function fetchMeetingInstance(instanceId) {
+  return getRow(TABLES.MEETING_INSTANCE, instanceId);
+}
+
+// ─── Global search ────────────────────────────────────────────────────────────
+
+/**
+ * Runs Baserow's full-text `search` against each searchable table at once.
+ * Used by the command palette (components/search/CommandPalette.jsx).
+ *
+ * Each table is matched on its own text: SENIOR / VOLUNTEER on display_name,
+ * VOLUNTEER_TEAM on team_name ("Harold Brooks - Thursday 14:00"), and
+ * MEETING_INSTANCE on its team_name_display lookup, so a senior's name also
+ * finds their teams and visits. Visits come newest first.
+ *
+ * @param {string} term
+ * @param {number} [size] — Rows per table
+ * @returns {Promise<{ seniors: Array, volunteers: Array, teams: Array, instances: Array }>}
+ */
+export async function searchRecords(term, size = 5) {
+  const [seniors, volunteers, teams, instances] = await Promise.all([
+    getRows(TABLES.SENIOR,           { search: term, size, order_by: "display_name" }),
+    getRows(TABLES.VOLUNTEER,        { search: term, size, order_by: "display_name" }),
+    getRows(TABLES.VOLUNTEER_TEAM,   { search: term, size, order_by: "team_name" }),
+    getRows(TABLES.MEETING_INSTANCE, { search: term, size, order_by: "-instance_date" }),
+  ]);
+  return {
+    seniors:    seniors.results,
+    volunteers: volunteers.results,
+    teams:      teams.results,
+    instances:  instances.results,
+  };
 }
 
 // ─── Utility exports ──────────────────────────────────────────────────────────
@@ -0,0 +1,149 @@
+/**
+ * baserowFilters.js — Small declarative filter DSL for Baserow's `filters` param
+ *
+ * Baserow accepts a JSON filter tree on the list-rows endpoint:
+ *   ?filters={"filter_type":"AND","filters":[{type,field,value}],"groups":[…]}
+ * With user_field_names=true (always sent by getRows) `field` is the field name.
+ *
+ * Instead of hand-writing that JSON (or the flat filter__{field}__{type} params,
+ * which can't express OR), fetch functions build a tree with the helpers below
+ * and baserowApi.js compiles it:
+ *
+ *   and(
+ *     singleSelectEqual("status", "active"),
+ *     or(linkRowHas("team", 4), linkRowHas("team", 9)),
+ *     dateRange("instance_date", { from: "2026-02-16", to: "2026-02-22" }),
+ *   )
+ *
+ * single_select_equal: Baserow compares against the option's ID, not its text.
+ * Conditions may use the option text ("active"); compileFilters() swaps it for
+ * the ID using the table's option map (see fetchSelectOptions in baserowApi.js).
+ *
+ * Everything in this module is pure — no network access — so trees can be built
+ * and compiled anywhere.
+ */
+
+// ─── Node builders ────────────────────────────────────────────────────────────
+
+/** @typedef {{ type: string, field: string, value: string|number }} FilterCondition */
+/** @typedef {{ group: "AND"|"OR", conditions: Array<FilterCondition|FilterGroup> }} FilterGroup */
+
+/** All conditions must match. Falsy entries are dropped, so optional filters can be inlined. */
+export function and(...conditions) {
+  return { group: "AND", conditions: conditions.filter(Boolean) };
+}
+
+/** Any condition may match. Falsy entries are dropped. */
+export function or(...conditions) {
+  return { group: "OR", conditions: conditions.filter(Boolean) };
+}
+
+/** Generic condition — escape hatch for filter types without a helper. */
+export function where(field, type, value = "") {
+  return { type, field, value };
+}
+
+/** Exact match on text / number fields. */
+export function equal(field, value) {
+  return where(field, "equal", value);
+}
+
+/** Field has no value (blank text, no date, empty link). */
+export function empty(field) {
+  return where(field, "empty");
+}
+
+/** Field has a value. */
+export function notEmpty(field) {
+  return where(field, "not_empty");
+}
+
+/** Link field contains the row with this ID. */
+export function linkRowHas(field, rowId) {
+  return where(field, "link_row_has", rowId);
+}
+
+/**
+ * Link field contains any of these row IDs (OR group).
+ * An empty group matches every row, so callers skip the query when rowIds is empty.
+ */
+export function linkRowHasAny(field, rowIds) {
+  return or(...rowIds.map((id) => linkRowHas(field, id)));
+}
+
+/** Single select equals an option, given by option text ("active") or option ID. */
+export function singleSelectEqual(field, option) {
+  return where(field, "single_select_equal", option);
+}
+
+/**
+ * Inclusive date range on a date field. Either bound may be omitted.
+ *
+ * @param {string} field
+ * @param {object} range
+ * @param {string} [range.from] — "yyyy-MM-dd", inclusive
+ * @param {string} [range.to]   — "yyyy-MM-dd", inclusive
+ */
+export function dateRange(field, { from, to } = {}) {
+  return and(
+    from && where(field, "date_after_or_equal", from),
+    to   && where(field, "date_before_or_equal", to),
+  );
+}
+
+// ─── Compilation ──────────────────────────────────────────────────────────────
+
+/**
+ * Returns the field names used by single_select_equal conditions with a text
+ * value — i.e. the fields whose option IDs compileFilters() needs.
+ *
+ * @param {FilterGroup|FilterCondition|null} node
+ * @returns {string[]}
+ */
+export function selectFieldsIn(node) {
+  if (!node) return [];
+  if (node.group) return [...new Set(node.conditions.flatMap(selectFieldsIn))];
+  return node.type === "single_select_equal" && typeof node.value === "string" ? [node.field] : [];
+}
+
+/**
+ * Compiles a filter tree into Baserow's `filters` JSON object.
+ * Returns null when the tree has no conditions (so no param is sent).
+ *
+ * @param {FilterGroup|FilterCondition|null} node
+ * @param {object} [selectOptions] — { [fieldName]: { [optionText]: optionId } }
+ * @returns {object|null}
+ * @throws {Error} If a single-select option text isn't in selectOptions
+ */
+export function compileFilters(node, selectOptions = {}) {
+  if (!node) return null;
+  const group = node.group ? node : and(node);
+  if (group.conditions.length === 0) return null;
+  return compileGroup(group, selectOptions);
+}
+
+function compileGroup(group, selectOptions) {
+  const filters = [];
+  const groups  = [];
+  for (const child of group.conditions) {
+    if (child.group) {
+      if (child.conditions.length > 0) groups.push(compileGroup(child, selectOptions));
+    } else {
+      filters.push(compileCondition(child, selectOptions));
+    }
+  }
+  const out = { filter_type: group.group, filters };
+  if (groups.length > 0) out.groups = groups;
+  return out;
+}
+
+function compileCondition({ type, field, value }, selectOptions) {
+  if (type === "single_select_equal" && typeof value === "string") {
+    const optionId = selectOptions[field]?.[value];
+    if (optionId === undefined) {
+      throw new Error(`Unknown option "${value}" for single select field "${field}"`);
+    }
+    return { type, field, value: String(optionId) };
+  }
+  return { type, field, value: String(value ?? "") };
+}
@@ -0,0 +1,748 @@
+/**
+ * baserowMutations.js — Write-through mutation layer for the CTR-CRM frontend
+ *
+ * baserowApi.js owns every read; this module owns every write.
+ * React never POSTs directly to Baserow or to the entity webhooks — each mutation
+ * is POSTed to the proxy (code/backend, POST /mutations/{ENTITY}) with the staff
+ * session as a Bearer token. The proxy checks the session and the role, stamps
+ * who made the change from the session and forwards it to the entity's N8N
+ * webhook with a shared secret; the workflow validates the payload, writes the
+ * row(s) with its own read/write token and returns the saved row. The webhook
+ * paths are proxy settings (N8N_WEBHOOK_<ENTITY>, see code/backend/src/config.js).
+ *
+ * Configuration (from .env, exposed via Vite as import.meta.env):
+ *   VITE_API_URL         — Base URL of the proxy (as for reads, see baserowApi.js)
+ *   VITE_N8N_WEBHOOK_URL — Base URL of the N8N webhook endpoint, for WF9's
+ *                          decision callbacks, e.g. https://n8n.conversationstoremember.org/webhook
+ *   VITE_WEBHOOK_APPROVE_CHANGE, VITE_WEBHOOK_REJECT_CHANGE
+ *                        — WF9's decision callbacks (default "wf9-approve-confirm" /
+ *                          "wf9-reject-confirm"), used by the Approvals page.
+ *
+ * ─── Webhook contract ────────────────────────────────────────────────────────
+ * Request (POST, JSON):
+ *   { action: "create" | "update" | "deactivate", id: number|null, fields: object }
+ *   The proxy adds user: { id, email, role } (the signed-in staff member) and,
+ *   on a PROPOSED_CHANGE, sets proposed_by_email / proposed_by from the session.
+ *   `fields` uses Baserow field names (user_field_names), e.g. first_name, age_range.
+ *   VOLUNTEER_BLACKOUT and SENIOR_RELATIONSHIP have no status to flip, so
+ *   "deactivate" deletes the row (a removed contact's PERSON row is kept).
+ *   SENIOR and VOLUNTEER payloads may include PERSON fields (first_name, last_name,
+ *   email, timezone, status) — the workflow writes PERSON first, then the role row,
+ *   the same two-step pattern as WF8. SENIOR_RELATIONSHIP payloads carry the
+ *   contact's PERSON fields (first_name, last_name, email) and, for a caregiver,
+ *   CAREGIVER fields (is_private, is_independent, caregiver_community); the workflow
+ *   writes PERSON, then the relationship, then the person's CAREGIVER row.
+ *   A MEETING_INSTANCE update that changes instance_start also moves the visit's
+ *   Google Calendar occurrence, as WF9 does for an approved reschedule.
+ *
+ * Response:
+ *   2xx                  → { row } (or the bare row) — the saved Baserow row
+ *   400 / 422            → { errors: { [fieldName]: message } } — validation failure
+ *   anything else        → thrown as a typed error from apiErrors.js
+ *                          (AuthError, NetworkError on timeout/no connection, ApiError);
+ *                          a 401 means the session ended and signs the user out
+ * Writes are not retried (a retried POST could create a row twice); they do get
+ * the shared request timeout from httpClient.js.
+ *
+ * After a successful write the read cache (queryCache.js) is invalidated for every
+ * table the workflow may have touched (AFFECTED_TABLES), so the next read is fresh.
+ *
+ * ─── Usage example ───────────────────────────────────────────────────────────
+ * import { updateSenior } from "../services/baserowMutations";
+ *
+ * const { row, errors } = await updateSenior(12, { first_name: "Margaret" });
+ * if (errors) setFieldErrors(errors);   // show inline in the modal
+ * else        setSelected(row);
+ */
+
+import { TABLES } from "./baserowApi";
+import { invalidateTables } from "./queryCache";
+import { fetchWithRetry, errorFromResponse } from "./httpClient";
+import { ApiError } from "./apiErrors";
+import { requestApprovalToken, authHeaders, reportUnauthorized } from "./authApi";
+import { parseWindows, VISIT_MINUTES } from "./rotationEngine";
+import { TIMEZONE_OPTIONS, zonedTimeToUtc } from "./timeZones";
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+const API_URL     = import.meta.env.VITE_API_URL;
+const WEBHOOK_URL = import.meta.env.VITE_N8N_WEBHOOK_URL;
+
+/** WF9 decision callbacks — the same endpoints the emailed confirmation forms post to */
+const REVIEW_WEBHOOKS = {
+  approve: import.meta.env.VITE_WEBHOOK_APPROVE_CHANGE ?? "wf9-approve-confirm",
+  reject:  import.meta.env.VITE_WEBHOOK_REJECT_CHANGE  ?? "wf9-reject-confirm",
+};
+
+/**
+ * Fields that must be present (non-blank) when creating a row.
+ * Checked client-side before the POST so the modal can flag them without a round trip;
+ * the N8N workflow repeats the same checks server-side.
+ */
+const REQUIRED_ON_CREATE = {
+  SENIOR:      ["first_name", "last_name"],
+  VOLUNTEER:   ["first_name", "last_name", "email"],
+  PERSON:      ["first_name", "last_name"],
+  VOLUNTEER_TEAM: ["senior"],
+  TEAM_MEMBER: ["team", "volunteer", "start_date"],
+  MEETING:     ["team", "meeting_day_of_week", "meeting_time"],
+  MEETING_INSTANCE: ["meeting", "instance_date"],
+  MEETING_ATTENDANCE: ["meeting_instance", "volunteer"],
+  PROPOSED_CHANGE: ["description"],  // the proxy adds proposed_by_email
+  VOLUNTEER_BLACKOUT: ["volunteer", "start_date"],
+  VOLUNTEER_STATUS_NOTE: ["volunteer", "note", "note_date"],
+  SENIOR_RELATIONSHIP: ["senior", "relationship_type", "first_name", "last_name"],
+};
+
+/**
+ * Tables whose cached reads go stale after a write to each entity.
+ * SENIOR/VOLUNTEER writes also update PERSON (two-step write); MEETING writes
+ * make WF1 create MEETING_INSTANCE rows; TEAM_MEMBER changes alter team lookups;
+ * deactivating a VOLUNTEER_TEAM also ends its memberships and meetings;
+ * SENIOR_RELATIONSHIP writes also touch the contact's PERSON and CAREGIVER rows.
+ */
+const AFFECTED_TABLES = {
+  SENIOR:      [TABLES.SENIOR, TABLES.PERSON],
+  VOLUNTEER:   [TABLES.VOLUNTEER, TABLES.PERSON],
+  PERSON:      [TABLES.PERSON, TABLES.SENIOR, TABLES.VOLUNTEER],
+  VOLUNTEER_TEAM: [TABLES.VOLUNTEER_TEAM, TABLES.TEAM_MEMBER, TABLES.MEETING],
+  TEAM_MEMBER: [TABLES.TEAM_MEMBER, TABLES.VOLUNTEER_TEAM],
+  MEETING:     [TABLES.MEETING, TABLES.MEETING_INSTANCE],
+  MEETING_INSTANCE: [TABLES.MEETING_INSTANCE],
+  MEETING_ATTENDANCE: [TABLES.MEETING_ATTENDANCE],
+  PROPOSED_CHANGE: [TABLES.PROPOSED_CHANGE, TABLES.MEETING_INSTANCE],  // WF9 flags a pending reschedule on the instance
+  VOLUNTEER_BLACKOUT: [TABLES.VOLUNTEER_BLACKOUT],
+  VOLUNTEER_STATUS_NOTE: [TABLES.VOLUNTEER_STATUS_NOTE],
+  SENIOR_RELATIONSHIP: [TABLES.SENIOR_RELATIONSHIP, TABLES.PERSON, TABLES.CAREGIVER],
+};
+
+/** An approved change is applied by WF9 to whichever calendar table it targets */
+const REVIEW_AFFECTED_TABLES = [
+  TABLES.PROPOSED_CHANGE,
+  TABLES.MEETING_INSTANCE,
+  TABLES.MEETING_ATTENDANCE,
+  TABLES.TEAM_MEMBER,
+  TABLES.VOLUNTEER_TEAM,
+  TABLES.MEETING,
+];
+
+/**
+ * PROPOSED_CHANGE fields each change_type needs on top of REQUIRED_ON_CREATE.
+ * WF9's "Parse Change ID" node applies the same table before creating the row.
+ *   team_change uses new_date as the member's last day on the team.
+ */
+export const PROPOSAL_REQUIRED_BY_TYPE = {
+  cancel_instance: ["meeting_instance"],
+  reschedule:      ["meeting_instance", "new_date"],
+  substitution:    ["meeting_instance", "meeting_attendance"],
+  team_change:     ["team_member", "new_date"],
+};
+
+/** MEETING_ATTENDANCE.attendance_status options (WF5 creates rows as "expected") */
+export const ATTENDANCE_STATUSES = ["expected", "attended", "late", "absent", "substitute", "cancelled"];
+
+/**
+ * instance_status values the app may set directly — a visit's outcome. Cancelling
+ * goes through WF3 (via a cancel_instance proposal) so the calendar follows.
+ * A new instance starts "scheduled", as WF5 creates them.
+ */
+const INSTANCE_OUTCOMES = ["completed", "no-show"];
+
+/** SENIOR_RELATIONSHIP.relationship_type options */
+export const RELATIONSHIP_TYPES = ["caregiver", "family", "other"];
+
+/** MEETING.meeting_time is a text field stored as "HH:MM" (24-hour) */
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+
+// ─── Types ────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {"SENIOR"|"VOLUNTEER"|"PERSON"|"VOLUNTEER_TEAM"|"TEAM_MEMBER"|"MEETING"|"MEETING_INSTANCE"|"MEETING_ATTENDANCE"|"PROPOSED_CHANGE"|"VOLUNTEER_BLACKOUT"|"VOLUNTEER_STATUS_NOTE"|"SENIOR_RELATIONSHIP"} MutableEntity
+ */
+
+/**
+ * @typedef {Object<string, string>} FieldErrors
+ *   Map of Baserow field name → human-readable message, e.g. { first_name: "Required" }.
+ *   The key "_form" holds errors that don't belong to a single field.
+ */
+
+/**
+ * @typedef {Object} MutationResult
+ * @property {object|null}      row    — The saved Baserow row (null on validation failure)
+ * @property {FieldErrors|null} errors — Validation errors (null on success)
+ */
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the client-side checks for a mutation.
+ * Returns null when the payload looks valid, otherwise a FieldErrors map.
+ *
+ * @param {MutableEntity} entity
+ * @param {"create"|"update"|"deactivate"} action
+ * @param {object} fields
+ * @returns {FieldErrors|null}
+ */
+function validate(entity, action, fields) {
+  const errors = {};
+
+  if (action === "create") {
+    const required = entity === "PROPOSED_CHANGE"
+      ? [...REQUIRED_ON_CREATE[entity], ...(PROPOSAL_REQUIRED_BY_TYPE[fields.change_type] ?? [])]
+      : REQUIRED_ON_CREATE[entity];
+    for (const name of required) {
+      const value = fields[name];
+      const blank =
+        value === undefined || value === null ||
+        (typeof value === "string" && value.trim() === "") ||
+        (Array.isArray(value) && value.length === 0);
+      if (blank) errors[name] = "Required";
+    }
+  }
+
+  // An update may blank out optional fields, but never the required ones it sends
+  if (action === "update") {
+    for (const name of REQUIRED_ON_CREATE[entity]) {
+      if (name in fields && String(fields[name] ?? "").trim() === "") {
+        errors[name] = "Required";
+      }
+    }
+  }
+
+  for (const name of ["meeting_time", "new_time"]) {
+    if (fields[name] && !TIME_PATTERN.test(fields[name])) errors[name] = "Use 24-hour HH:MM format";
+  }
+  // MEETING.meeting_timezone is the zone meeting_time is read in; blank means DEFAULT_TIMEZONE
+  if (fields.meeting_timezone && !TIMEZONE_OPTIONS.some((o) => o.value === fields.meeting_timezone)) {
+    errors.meeting_timezone = "Unknown timezone";
+  }
+  if (fields.change_type && !PROPOSAL_REQUIRED_BY_TYPE[fields.change_type]) {
+    errors.change_type = "Unknown change type";
+  }
+  if (fields.attendance_status && !ATTENDANCE_STATUSES.includes(fields.attendance_status)) {
+    errors.attendance_status = "Unknown attendance status";
+  }
+  if (fields.instance_status && !INSTANCE_OUTCOMES.includes(fields.instance_status) &&
+      !(action === "create" && fields.instance_status === "scheduled")) {
+    errors.instance_status = "Only completed or no-show can be set here";
+  }
+  for (const name of ["new_date", "instance_date", "note_date"]) {
+    if (fields[name] && !/^\d{4}-\d{2}-\d{2}$/.test(fields[name])) errors[name] = "Use yyyy-MM-dd";
+  }
+  if (fields.start_date && fields.end_date && fields.end_date < fields.start_date) {
+    errors.end_date = "Ends before it starts";
+  }
+  // SENIOR / VOLUNTEER <day>_availability: blank, or time ranges the rotation engine can read
+  for (const [name, value] of Object.entries(fields)) {
+    if (name.endsWith("_availability") && value && !parseWindows(value)) {
+      errors[name] = "Can't read this — use ranges like 10:00-12:00 or 2-4pm, or morning / afternoon / evening";
+    }
+  }
+  if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+    errors.email = "Enter a valid email address";
+  }
+  if (fields.relationship_type && !RELATIONSHIP_TYPES.includes(fields.relationship_type)) {
+    errors.relationship_type = "Unknown relationship type";
+  }
+  // WF7 skips monthly-feedback recipients without an address, so don't let one be saved
+  if (fields.receives_monthly_feedback && !String(fields.email ?? "").trim()) {
+    errors.email = "An email address is needed for the monthly feedback email";
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+// ─── Core webhook helper ──────────────────────────────────────────────────────
+
+/**
+ * POSTs one mutation through the proxy to the entity's N8N webhook.
+ *
+ * @param {MutableEntity}                  entity
+ * @param {"create"|"update"|"deactivate"} action
+ * @param {number|null}                    id     — Baserow row ID (null for create)
+ * @param {object}                         fields — Baserow field values to write
+ * @returns {Promise<MutationResult>}
+ * @throws {ApiError} On network failure/timeout or a non-validation error response
+ */
+async function postMutation(entity, action, id, fields = {}) {
+  const clientErrors = validate(entity, action, fields);
+  if (clientErrors) return { row: null, errors: clientErrors };
+
+  const response = await fetchWithRetry(`${API_URL}/mutations/${entity}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders() },
+    body: JSON.stringify({ action, id, fields }),
+  }, { retries: 0 });
+  reportUnauthorized(response);
+
+  // 400/422 = the workflow rejected the payload; surface its field errors inline
+  if (response.status === 400 || response.status === 422) {
+    const body = await response.json().catch(() => ({}));
+    return { row: null, errors: body.errors ?? { _form: body.message ?? "Validation failed" } };
+  }
+
+  if (!response.ok) {
+    throw await errorFromResponse(response, `N8N webhook error on ${entity} ${action}`);
+  }
+
+  invalidateTables(AFFECTED_TABLES[entity]);
+
+  const body = await response.json();
+  return { row: body.row ?? body, errors: null };
+}
+
+// ─── Senior mutations ─────────────────────────────────────────────────────────
+
+/**
+ * Creates a PERSON + SENIOR pair.
+ * Used by Seniors.jsx when saving the "New Senior" form.
+ *
+ * @param {object} fields — SENIOR fields plus PERSON first_name/last_name/status/timezone
+ * @returns {Promise<MutationResult>}
+ */
+export function createSenior(fields) {
+  return postMutation("SENIOR", "create", null, fields);
+}
+
+/**
+ * Updates an existing senior (and its linked PERSON fields, if any are sent).
+ *
+ * @param {number} seniorId — SENIOR row ID
+ * @param {object} fields   — Only the fields that changed need to be sent
+ * @returns {Promise<MutationResult>}
+ */
+export function updateSenior(seniorId, fields) {
+  return postMutation("SENIOR", "update", seniorId, fields);
+}
+
+/**
+ * Marks a senior inactive. Rows are never deleted — visit history must survive.
+ *
+ * @param {number} seniorId
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivateSenior(seniorId) {
+  return postMutation("SENIOR", "deactivate", seniorId, { status: "inactive" });
+}
+
+// ─── Volunteer mutations ──────────────────────────────────────────────────────
+
+/**
+ * Creates a PERSON + VOLUNTEER pair.
+ * Used by Volunteers.jsx when saving the "New Volunteer" form.
+ *
+ * @param {object} fields — VOLUNTEER fields plus PERSON first_name/last_name/email
+ * @returns {Promise<MutationResult>}
+ */
+export function createVolunteer(fields) {
+  return postMutation("VOLUNTEER", "create", null, fields);
+}
+
+/**
+ * @param {number} volunteerId — VOLUNTEER row ID
+ * @param {object} fields
+ * @returns {Promise<MutationResult>}
+ */
+export function updateVolunteer(volunteerId, fields) {
+  return postMutation("VOLUNTEER", "update", volunteerId, fields);
+}
+
+/**
+ * Marks a volunteer inactive and stamps inactive_date with today's date.
+ *
+ * @param {number} volunteerId
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivateVolunteer(volunteerId) {
+  return postMutation("VOLUNTEER", "deactivate", volunteerId, {
+    status:        "inactive",
+    inactive_date: new Date().toISOString().slice(0, 10),
+  });
+}
+
+// ─── Volunteer blackout mutations ─────────────────────────────────────────────
+
+/**
+ * Adds a date range a volunteer can't visit.
+ *
+ * @param {object} fields — { volunteer: [volunteerId], start_date, end_date?, reason? }
+ * @returns {Promise<MutationResult>}
+ */
+export function createVolunteerBlackout(fields) {
+  return postMutation("VOLUNTEER_BLACKOUT", "create", null, fields);
+}
+
+/**
+ * Deletes a blackout (the workflow removes the row).
+ *
+ * @param {number} blackoutId — VOLUNTEER_BLACKOUT row ID
+ * @returns {Promise<MutationResult>}
+ */
+export function removeVolunteerBlackout(blackoutId) {
+  return postMutation("VOLUNTEER_BLACKOUT", "deactivate", blackoutId);
+}
+
+// ─── Volunteer status note mutations ──────────────────────────────────────────
+
+/**
+ * Adds a dated staff note to a volunteer's status timeline.
+ *
+ * @param {object} fields — { volunteer: [volunteerId], note, note_date }
+ * @returns {Promise<MutationResult>}
+ */
+export function createVolunteerStatusNote(fields) {
+  return postMutation("VOLUNTEER_STATUS_NOTE", "create", null, fields);
+}
+
+// ─── Senior relationship mutations ────────────────────────────────────────────
+
+/**
+ * Adds a caregiver, family member or other contact to a senior.
+ * Creates the contact's PERSON (and, for a caregiver, CAREGIVER) row as well.
+ *
+ * @param {object} fields — { senior: [seniorId], relationship_type, first_name, last_name,
+ *                          email?, notes?, receives_monthly_feedback?, is_private?,
+ *                          is_independent?, caregiver_community? }
+ * @returns {Promise<MutationResult>}
+ */
+export function createSeniorRelationship(fields) {
+  return postMutation("SENIOR_RELATIONSHIP", "create", null, fields);
+}
+
+/**
+ * Updates a contact: the relationship row and the linked PERSON / CAREGIVER fields sent.
+ *
+ * @param {number} relationshipId — SENIOR_RELATIONSHIP row ID
+ * @param {object} fields — Same shape as createSeniorRelationship (senior not needed)
+ * @returns {Promise<MutationResult>}
+ */
+export function updateSeniorRelationship(relationshipId, fields) {
+  return postMutation("SENIOR_RELATIONSHIP", "update", relationshipId, fields);
+}
+
+/**
+ * Removes a contact from a senior (the workflow deletes the relationship row).
+ *
+ * @param {number} relationshipId — SENIOR_RELATIONSHIP row ID
+ * @returns {Promise<MutationResult>}
+ */
+export function removeSeniorRelationship(relationshipId) {
+  return postMutation("SENIOR_RELATIONSHIP", "deactivate", relationshipId);
+}
+
+// ─── Person mutations ─────────────────────────────────────────────────────────
+
+/**
+ * Creates a standalone PERSON (e.g. a caregiver or family contact).
+ *
+ * @param {object} fields — first_name, last_name, email, timezone, role, …
+ * @returns {Promise<MutationResult>}
+ */
+export function createPerson(fields) {
+  return postMutation("PERSON", "create", null, fields);
+}
+
+/**
+ * @param {number} personId
+ * @param {object} fields
+ * @returns {Promise<MutationResult>}
+ */
+export function updatePerson(personId, fields) {
+  return postMutation("PERSON", "update", personId, fields);
+}
+
+/**
+ * @param {number} personId
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivatePerson(personId) {
+  return postMutation("PERSON", "deactivate", personId, { status: "inactive" });
+}
+
+// ─── Visit team mutations ──────────────────────────────────────────────────────
+
+/**
+ * Starts a visit team for a senior. Used by Groups.jsx ("+ Add Senior"); the
+ * team's schedule and volunteers are added with createMeeting / createTeamMember.
+ *
+ * @param {object} fields — { senior: [seniorId], status: "active" }
+ * @returns {Promise<MutationResult>}
+ */
+export function createVisitTeam(fields) {
+  return postMutation("VOLUNTEER_TEAM", "create", null, fields);
+}
+
+/**
+ * Marks a visit team inactive. Its TEAM_MEMBER and MEETING rows are ended by the
+ * caller first (deactivateTeamMember / deactivateMeeting), so WF1/WF2 take the
+ * team off the calendar; past visits are kept.
+ *
+ * @param {number} teamId — VOLUNTEER_TEAM row ID
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivateVisitTeam(teamId) {
+  return postMutation("VOLUNTEER_TEAM", "deactivate", teamId, { status: "inactive" });
+}
+
+// ─── Team member mutations ────────────────────────────────────────────────────
+
+/**
+ * Adds a volunteer to a visit team.
+ *
+ * @param {object} fields — { team: [teamId], volunteer: [volunteerId], start_date: "yyyy-MM-dd" }
+ * @returns {Promise<MutationResult>}
+ */
+export function createTeamMember(fields) {
+  return postMutation("TEAM_MEMBER", "create", null, fields);
+}
+
+/**
+ * @param {number} teamMemberId
+ * @param {object} fields
+ * @returns {Promise<MutationResult>}
+ */
+export function updateTeamMember(teamMemberId, fields) {
+  return postMutation("TEAM_MEMBER", "update", teamMemberId, fields);
+}
+
+/**
+ * Ends a team membership by setting end_date (defaults to today).
+ * Setting end_date is what triggers WF2 to rebuild the team's calendar event.
+ *
+ * @param {number} teamMemberId
+ * @param {string} [endDate] — "yyyy-MM-dd"
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivateTeamMember(teamMemberId, endDate = new Date().toISOString().slice(0, 10)) {
+  return postMutation("TEAM_MEMBER", "deactivate", teamMemberId, { end_date: endDate });
+}
+
+// ─── Meeting mutations ────────────────────────────────────────────────────────
+
+/**
+ * Creates a recurring MEETING for a team (WF1 then creates the calendar event).
+ *
+ * @param {object} fields — { team: [teamId], meeting_day_of_week: "Monday", meeting_time: "10:00",
+ *                          meeting_timezone: "America/Chicago", … }
+ * @returns {Promise<MutationResult>}
+ */
+export function createMeeting(fields) {
+  return postMutation("MEETING", "create", null, fields);
+}
+
+/**
+ * @param {number} meetingId
+ * @param {object} fields
+ * @returns {Promise<MutationResult>}
+ */
+export function updateMeeting(meetingId, fields) {
+  return postMutation("MEETING", "update", meetingId, fields);
+}
+
+/**
+ * Retires a recurring meeting. MEETING has no status field, so the workflow
+ * ends the calendar series and leaves existing MEETING_INSTANCE rows untouched.
+ *
+ * @param {number} meetingId
+ * @returns {Promise<MutationResult>}
+ */
+export function deactivateMeeting(meetingId) {
+  return postMutation("MEETING", "deactivate", meetingId, {});
+}
+
+// ─── Meeting instance mutations ───────────────────────────────────────────────
+
+/**
+ * Books one visit the rotation planner picked, the way WF5 books the coming
+ * week's: a "scheduled" MEETING_INSTANCE with the pick in assigned_volunteer
+ * (or, when nobody was free, the reason in date_notes), then one "expected"
+ * MEETING_ATTENDANCE row per team member, the picked one's note saying why.
+ * WF5 leaves a week alone once its instance exists. Used by Groups.jsx.
+ *
+ * @param {object} visit — { meetingId, date: "yyyy-MM-dd", time: "HH:MM", timeZone,
+ *                           volunteerId (null when nobody was free), memberIds: [volunteerId],
+ *                           reason }
+ * @returns {Promise<MutationResult>} The instance row, or the first rejected write's errors
+ * @throws {ApiError} As postMutation; rows written before the failure stay saved
+ */
+export async function createRotationVisit({ meetingId, date, time, timeZone, volunteerId, memberIds, reason = "" }) {
+  if (!TIME_PATTERN.test(time ?? "")) {
+    return { row: null, errors: { instance_start: "Use 24-hour HH:MM format" } };
+  }
+  const start = zonedTimeToUtc(date, time, timeZone);
+  const instance = await postMutation("MEETING_INSTANCE", "create", null, {
+    meeting:            [meetingId],
+    instance_date:      date,
+    instance_start:     start.toISOString(),
+    instance_end:       new Date(start.getTime() + VISIT_MINUTES * 60000).toISOString(),
+    instance_status:    "scheduled",
+    assigned_volunteer: volunteerId ? [volunteerId] : [],
+    date_notes:         volunteerId ? "" : reason,
+  });
+  if (instance.errors) return instance;
+
+  for (const memberId of memberIds) {
+    const { errors } = await postMutation("MEETING_ATTENDANCE", "create", null, {
+      meeting_instance:  [instance.row.id],
+      volunteer:         [memberId],
+      attendance_status: "expected",
+      note:              memberId === volunteerId ? reason : "",
+    });
+    if (errors) return { row: null, errors };
+  }
+  return instance;
+}
+
+/**
+ * Moves one visit to a new date and time. Used by Schedule.jsx when staff who can
+ * edit the calendar drag a visit; everyone else proposes a reschedule instead.
+ * The time is wall-clock in the meeting's zone; instance_start / instance_end are
+ * written as UTC instants, an hour apart, as WF5 creates them.
+ *
+ * @param {number} instanceId
+ * @param {object} move — { date: "yyyy-MM-dd", time: "HH:MM", timeZone }
+ * @returns {Promise<MutationResult>}
+ */
+export function rescheduleInstance(instanceId, { date, time, timeZone }) {
+  if (!TIME_PATTERN.test(time ?? "")) {
+    return Promise.resolve({ row: null, errors: { instance_start: "Use 24-hour HH:MM format" } });
+  }
+  const start = zonedTimeToUtc(date, time, timeZone);
+  return postMutation("MEETING_INSTANCE", "update", instanceId, {
+    instance_date:  date,
+    instance_start: start.toISOString(),
+    instance_end:   new Date(start.getTime() + VISIT_MINUTES * 60000).toISOString(),
+  });
+}
+
+/**
+ * Records how a visit went, once it has happened. Used by the attendance panel in
+ * Meetings.jsx. Only the outcome changes; the calendar event is left as it is.
+ *
+ * @param {number}                instanceId
+ * @param {"completed"|"no-show"} outcome
+ * @returns {Promise<MutationResult>}
+ */
+export function setInstanceOutcome(instanceId, outcome) {
+  return postMutation("MEETING_INSTANCE", "update", instanceId, { instance_status: outcome });
+}
+
+// ─── Attendance mutations ─────────────────────────────────────────────────────
+
+/**
+ * Updates one volunteer's attendance at a visit.
+ *
+ * @param {number} attendanceId
+ * @param {object} fields — { attendance_status?, note? }
+ * @returns {Promise<MutationResult>}
+ */
+export function updateAttendance(attendanceId, fields) {
+  return postMutation("MEETING_ATTENDANCE", "update", attendanceId, fields);
+}
+
+/**
+ * Saves several attendance rows one after another, e.g. "Mark all attended".
+ * Stops at the first row the workflow rejects, so the caller can show its errors;
+ * rows before it stay saved.
+ *
+ * @param {Array<{ id: number, fields: object }>} changes
+ * @returns {Promise<{ saved: number, errors: FieldErrors|null, failedId: number|null }>}
+ * @throws {ApiError} As postMutation; earlier rows stay saved
+ */
+export async function updateAttendanceRows(changes) {
+  let saved = 0;
+  for (const { id, fields } of changes) {
+    const { errors } = await updateAttendance(id, fields);
+    if (errors) return { saved, errors, failedId: id };
+    saved += 1;
+  }
+  return { saved, errors: null, failedId: null };
+}
+
+// ─── Proposed changes ─────────────────────────────────────────────────────────
+
+/**
+ * Submits a PROPOSED_CHANGE for an admin to approve (WF9). Used by staff whose
+ * role can't edit directly (see services/permissions.js). The workflow creates
+ * the row, stamps proposed_at and approval_status = "pending" and emails the approver.
+ *
+ * Guided proposals carry a change_type plus the links it needs
+ * (PROPOSAL_REQUIRED_BY_TYPE); free-form ones only a description.
+ *
+ * A reschedule's new_time is "HH:MM" in the meeting's zone (blank keeps the
+ * visit's time); while it waits, WF9 flags the instance with pending_new_date /
+ * pending_new_time so the Schedule page can show it to every role.
+ *
+ * The proxy records the signed-in staff member as the proposer
+ * (proposed_by_email, and proposed_by when their APP_USERS row links a PERSON).
+ *
+ * @param {object} fields — { description, change_type?, new_date?, new_time?,
+ *                            meeting_instance?: [id], team_member?: [id],
+ *                            meeting_attendance?: [id], substitute_volunteer?: [volunteerId],
+ *                            notes? }
+ * @returns {Promise<MutationResult>}
+ */
+export function proposeChange(fields) {
+  return postMutation("PROPOSED_CHANGE", "create", null, fields);
+}
+
+/**
+ * POSTs an admin's decision to WF9. The callbacks answer with an HTML page (they
+ * also serve the emailed forms), so success is just a 2xx status.
+ *
+ * WF9 acts only on a signed decision token, fetched from the proxy for the
+ * signed-in admin; the token (not the request body) names the change and reviewer.
+ * WF9 answers 409 when it refuses the token — the change was already reviewed,
+ * or the token expired or was tampered with.
+ *
+ * @param {"approve"|"reject"} decision
+ * @param {number} changeId
+ * @param {object} [extra] — { reason } for rejections
+ * @throws {ApiError} On network failure/timeout or a non-2xx response
+ */
+async function postReview(decision, changeId, extra = {}) {
+  const token = await requestApprovalToken(changeId, decision);
+  const response = await fetchWithRetry(`${WEBHOOK_URL}/${REVIEW_WEBHOOKS[decision]}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token, ...extra }),
+  }, { retries: 0 });
+
+  if (response.status === 409) {
+    invalidateTables(REVIEW_AFFECTED_TABLES); // someone else may have just reviewed it
+    throw new ApiError(
+      "WF9 refused this decision — the change may already have been reviewed. Reload and check its status.",
+      { status: 409, url: response.url, body: await response.text().catch(() => "") }
+    );
+  }
+  if (!response.ok) {
+    throw await errorFromResponse(response, `WF9 ${decision} callback failed for change ${changeId}`);
+  }
+
+  invalidateTables(REVIEW_AFFECTED_TABLES);
+}
+
+/**
+ * Approves a pending PROPOSED_CHANGE as the signed-in admin. WF9 marks it
+ * approved, records the reviewer and the decision on the row, applies it
+ * (cancel, end date, substitution or reschedule) and emails the proposer.
+ *
+ * @param {number} changeId — PROPOSED_CHANGE row ID
+ * @returns {Promise<void>}
+ */
+export function approveChange(changeId) {
+  return postReview("approve", changeId);
+}
+
+/**
+ * Rejects a pending PROPOSED_CHANGE as the signed-in admin. WF9 stores the
+ * reason in rejection_reason and emails it to the proposer.
+ *
+ * @param {number} changeId
+ * @param {string} reason — Shown to the proposer
+ * @returns {Promise<void>}
+ */
+export function rejectChange(changeId, reason) {
+  return postReview("reject", changeId, { reason });
+}
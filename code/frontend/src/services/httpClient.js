@@ -0,0 +1,136 @@
+/**
+ * httpClient.js — fetch() with timeouts, retries and typed errors
+ *
+ * Shared by baserowApi.js (reads) and baserowMutations.js (webhook writes).
+ *
+ *   - Every attempt is aborted after `timeoutMs` (AbortController) and surfaces
+ *     as a NetworkError with timedOut=true, so a restarting Baserow can't leave a
+ *     page on "Loading…" forever.
+ *   - 429 and 5xx responses (and network failures) are retried with exponential
+ *     backoff: 500ms, 1s, 2s, … capped at 10s. A Retry-After header (seconds or
+ *     HTTP date) overrides the computed delay, within the same 10s cap.
+ *   - Once retries are exhausted, or for any other non-2xx, the response is
+ *     converted to AuthError / NotFoundError / RateLimitError / ApiError.
+ *
+ * Configuration (from .env, exposed via Vite as import.meta.env):
+ *   VITE_API_TIMEOUT_MS — Per-attempt timeout (default 15000)
+ *   VITE_API_RETRIES    — Retries after the first attempt for reads (default 3)
+ */
+import {
+  ApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  NetworkError,
+} from "./apiErrors";
+
+const DEFAULT_TIMEOUT_MS = Number(import.meta.env.VITE_API_TIMEOUT_MS ?? 15_000);
+const DEFAULT_RETRIES    = Number(import.meta.env.VITE_API_RETRIES ?? 3);
+const BASE_DELAY_MS      = 500;
+const MAX_DELAY_MS       = 10_000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** 429 (rate limited) and 5xx (Baserow/proxy down or overloaded) are worth retrying */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Parses a Retry-After header into milliseconds.
+ * Accepts delta-seconds ("120") or an HTTP date; returns null when absent/invalid.
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/** Exponential backoff for attempt n (0-based), capped at MAX_DELAY_MS */
+function backoffDelay(attempt) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs one fetch attempt with a timeout. Network failures and aborts are
+ * rethrown as NetworkError; HTTP error statuses are returned as-is.
+ */
+async function attempt(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer      = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (err) {
+    const timedOut = err?.name === "AbortError";
+    throw new NetworkError(
+      timedOut ? `Request timed out after ${timeoutMs}ms` : `Network request failed: ${err?.message ?? err}`,
+      { url, timedOut }
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Converts a non-2xx Response into the matching typed error.
+ *
+ * @param {Response} response
+ * @param {string}   context — Prefix for the message, e.g. "Baserow API error on table 12"
+ * @returns {Promise<ApiError>}
+ */
+export async function errorFromResponse(response, context) {
+  const body    = await response.text().catch(() => "");
+  const info    = { status: response.status, url: response.url, body };
+  const message = `${context}: ${response.status} ${body}`.trim();
+
+  if (response.status === 401 || response.status === 403) return new AuthError(message, info);
+  if (response.status === 404) return new NotFoundError(message, info);
+  if (response.status === 429) {
+    return new RateLimitError(message, {
+      ...info,
+      retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+    });
+  }
+  return new ApiError(message, info);
+}
+
+/**
+ * fetch() with per-attempt timeout and retry/backoff on 429, 5xx and network errors.
+ *
+ * Resolves with the final Response — which may still be non-2xx (e.g. a 400
+ * validation response the caller wants to read). Use errorFromResponse() to
+ * turn an unwanted status into a typed error.
+ *
+ * @param {string}      url
+ * @param {RequestInit} [init]
+ * @param {object}      [options]
+ * @param {number}      [options.timeoutMs] — Per-attempt timeout
+ * @param {number}      [options.retries]   — Retries after the first attempt (0 = no retry)
+ * @returns {Promise<Response>}
+ * @throws {NetworkError} When every attempt failed without a response
+ */
+export async function fetchWithRetry(url, init = {}, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  for (let n = 0; ; n++) {
+    let response;
+    try {
+      response = await attempt(url, init, timeoutMs);
+    } catch (err) {
+      if (n >= retries) throw err;
+      await sleep(backoffDelay(n));
+      continue;
+    }
+
+    if (!isRetryableStatus(response.status) || n >= retries) return response;
+
+    const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    await sleep(Math.min(MAX_DELAY_MS, retryAfter ?? backoffDelay(n)));
+  }
+}
@@ -0,0 +1,581 @@
+/**
+ * mappers.js — Baserow row → page-shape converters
+ *
+ * baserowApi.js returns raw Baserow rows (snake_case field names, link arrays,
+ * single-select objects). The pages were built against the camelCase shapes in
+ * src/mock/*, so every live row is converted here before it reaches a component.
+ * Keeping the mock shapes as the contract means the same page code runs against
+ * mock data (VITE_USE_MOCK_DATA=true) and live data.
+ *
+ * Baserow value shapes handled here:
+ *   Link / lookup field  → [{ id, value }]            (linkIds, firstLinkId, lookupValue)
+ *   Single select        → { id, value, color } | null (selectValue)
+ *   Formula (text)       → plain string                (display_name, team_name)
+ *
+ * Baserow spells the cancelled status "canceled"; the UI (and Badge variants)
+ * use "cancelled", so statuses pass through normalizeStatus().
+ */
+import { format, parseISO, startOfWeek } from "date-fns";
+import { VISIT_MINUTES } from "./rotationEngine";
+
+/** Day names as stored in MEETING.meeting_day_of_week → JS getDay() index (0=Sun) */
+const DAY_INDEX = {
+  Sunday: 0, Monday: 1, Tuesday: 2, Wednesday: 3, Thursday: 4, Friday: 5, Saturday: 6,
+};
+
+/** FORM_TYPE row names → the short keys FeedbackForms.jsx filters on */
+const FORM_TYPE_KEYS = {
+  volunteer_per_meeting:    "volunteer",
+  call_support_per_meeting: "call_support",
+  senior_monthly:           "senior_monthly",
+  caregiver_monthly:        "caregiver_monthly",
+};
+
+/** Short key → FORM_TYPE row name (inverse of FORM_TYPE_KEYS) */
+export function formTypeName(key) {
+  return Object.keys(FORM_TYPE_KEYS).find((name) => FORM_TYPE_KEYS[name] === key) ?? key;
+}
+
+const DAYS = ["monday","tuesday","wednesday","thursday","friday","saturday","sunday"];
+
+// ─── Field helpers ────────────────────────────────────────────────────────────
+
+/** Returns the row IDs from a link field array; [] for empty/missing links. */
+export function linkIds(link) {
+  return Array.isArray(link) ? link.map((l) => l.id) : [];
+}
+
+/** Returns the first linked row ID, or null. Most CTR links hold a single row. */
+export function firstLinkId(link) {
+  return linkIds(link)[0] ?? null;
+}
+
+/** Returns a single-select's value string ("" when unset). Plain strings pass through. */
+export function selectValue(option) {
+  if (option && typeof option === "object") return option.value ?? "";
+  return option ?? "";
+}
+
+/** Returns the first value of a lookup field ("" when empty). Plain values pass through. */
+export function lookupValue(lookup) {
+  if (Array.isArray(lookup)) return selectValue(lookup[0]?.value) || "";
+  return lookup ?? "";
+}
+
+/** Maps Baserow's "canceled" spelling onto the UI's "cancelled". */
+export function normalizeStatus(status) {
+  const value = selectValue(status);
+  return value === "canceled" ? "cancelled" : value;
+}
+
+/**
+ * Splits a display_name formula ("Margaret Collins") into first/last.
+ * Only used when the person_first_name / person_last_name lookups are missing.
+ */
+function splitName(displayName = "") {
+  const [firstName = "", ...rest] = displayName.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(" ") };
+}
+
+/** Prefers the PERSON lookups, falls back to splitting display_name. */
+function personName(row) {
+  const firstName = lookupValue(row.person_first_name);
+  const lastName  = lookupValue(row.person_last_name);
+  if (firstName || lastName) return { firstName, lastName };
+  return splitName(row.display_name);
+}
+
+// ─── Row mappers ──────────────────────────────────────────────────────────────
+
+/**
+ * SENIOR row → senior shape used by Seniors.jsx / Groups.jsx.
+ *
+ * status and timezone live on other tables (PERSON.status, SENIOR_COMMUNITY.timezone),
+ * so callers pass in lookup maps built from fetchPeople() / fetchCommunities().
+ *
+ * @param {object} row
+ * @param {object} [ctx]
+ * @param {object} [ctx.peopleById]      — PERSON rows keyed by ID
+ * @param {object} [ctx.communitiesById] — SENIOR_COMMUNITY rows keyed by ID
+ */
+export function mapSenior(row, { peopleById = {}, communitiesById = {} } = {}) {
+  const person    = peopleById[firstLinkId(row.person)];
+  const community = communitiesById[firstLinkId(row.senior_community)];
+
+  const senior = {
+    id:             row.id,
+    personId:       firstLinkId(row.person),
+    ...personName(row),
+    ageRange:       selectValue(row.age_range),
+    status:         selectValue(person?.status) || "active",
+    community:      row.senior_community?.[0]?.value ?? "",
+    communityId:    firstLinkId(row.senior_community),
+    timezone:       selectValue(community?.timezone) || selectValue(person?.timezone) || "",
+    notes:          row.notes ?? "",
+    veteran:        !!row.veteran_status,
+    verbose:        !!row.verbose,
+    onboardingDate: row.onboarding_date ?? "",
+  };
+  for (const day of DAYS) {
+    senior[`${day}Availability`] = row[`${day}_availability`] ?? "";
+  }
+  return senior;
+}
+
+/**
+ * VOLUNTEER row → volunteer shape used by Volunteers.jsx.
+ * email and timezone live on PERSON, so they are joined from peopleById.
+ */
+export function mapVolunteer(row, { peopleById = {} } = {}) {
+  const person = peopleById[firstLinkId(row.person)];
+  const volunteer = {
+    id:               row.id,
+    personId:         firstLinkId(row.person),
+    ...personName(row),
+    school:           row.school ?? "",
+    schoolCity:       row.school_city ?? "",
+    schoolState:      row.school_state ?? "",
+    gradYear:         row.graduation_year != null ? Number(row.graduation_year) : "",
+    status:           selectValue(row.status) || "active",
+    birthDate:        row.birth_date ?? "",
+    onboardingDate:   row.onboarding_date ?? "",
+    lastTrainingDate: row.last_training_date ?? "",
+    inactiveDate:     row.inactive_date ?? "",
+    email:            person?.email ?? "",
+    timezone:         selectValue(person?.timezone) || "",
+  };
+  for (const day of DAYS) {
+    volunteer[`${day}Availability`] = row[`${day}_availability`] ?? "";
+  }
+  return volunteer;
+}
+
+/**
+ * VOLUNTEER_TEAM + TEAM_MEMBER + MEETING rows → visitTeams shape used by Groups.jsx.
+ *
+ * volunteerIds come from active TEAM_MEMBER rows (no end_date).
+ * schedule comes from the team's MEETING rows (one slot per recurring meeting);
+ * teams without a MEETING yet fall back to call_day_of_week / call_time.
+ * Each slot keeps its meetingId so instances can be matched back to a scheduleIndex.
+ *
+ * @param {Array} teamRows
+ * @param {Array} memberRows
+ * @param {Array} meetingRows
+ * @returns {Array}
+ */
+export function mapTeams(teamRows, memberRows, meetingRows) {
+  return teamRows.map((row) => {
+    const activeMembers = memberRows.filter((m) => !m.end_date && linkIds(m.team).includes(row.id));
+    const volunteerIds  = activeMembers.flatMap((m) => linkIds(m.volunteer));
+    // volunteerId → TEAM_MEMBER row ID, for proposals that end a membership
+    const memberIds = Object.fromEntries(activeMembers.map((m) => [firstLinkId(m.volunteer), m.id]));
+
+    let schedule = meetingRows
+      .filter((m) => linkIds(m.team).includes(row.id))
+      .sort((a, b) => a.id - b.id) // stable slot order = scheduleIndex
+      .map((m) => ({
+        dayOfWeek: DAY_INDEX[selectValue(m.meeting_day_of_week)] ?? 1,
+        timeOfDay: m.meeting_time || "10:00",
+        timeZone:  selectValue(m.meeting_timezone),
+        meetingId: m.id,
+      }));
+    if (schedule.length === 0 && selectValue(row.call_day_of_week)) {
+      schedule = [{
+        dayOfWeek: DAY_INDEX[selectValue(row.call_day_of_week)] ?? 1,
+        timeOfDay: row.call_time || "10:00",
+        timeZone:  "",
+        meetingId: null,
+      }];
+    }
+
+    return {
+      id:           row.id,
+      seniorId:     firstLinkId(row.senior),
+      volunteerIds: [...new Set(volunteerIds)],
+      memberIds,
+      schedule,
+      isActive:     selectValue(row.status) === "active",
+    };
+  });
+}
+
+/**
+ * MEETING row → meetings shape used by Meetings.jsx.
+ * seniorId / volunteerId are resolved through the mapped team; volunteerId is the
+ * team's first active member (per-instance volunteers come from MEETING_ATTENDANCE).
+ *
+ * @param {object} row
+ * @param {object} teamsById — mapped teams keyed by ID
+ */
+export function mapMeeting(row, teamsById = {}) {
+  const team = teamsById[firstLinkId(row.team)];
+  return {
+    id:              row.id,
+    teamId:          firstLinkId(row.team),
+    seniorId:        team?.seniorId ?? null,
+    volunteerId:     team?.volunteerIds[0] ?? null,
+    dayOfWeek:       selectValue(row.meeting_day_of_week),
+    meetingTime:     row.meeting_time ?? "",
+    timeZone:        selectValue(row.meeting_timezone),
+    meetingLink:     row.meeting_link ?? "",
+    status:          team && !team.isActive ? "paused" : "active",
+    calendarEventId: row.calendar_event_id ?? "",
+  };
+}
+
+/** MEETING_INSTANCE row → meetingInstances shape used by Meetings.jsx. */
+export function mapInstance(row) {
+  return {
+    id:                    row.id,
+    meetingId:             firstLinkId(row.meeting),
+    instanceDate:          row.instance_date ?? "",
+    instanceStart:         row.instance_start ?? "",
+    instanceEnd:           row.instance_end ?? "",
+    status:                normalizeStatus(row.instance_status) || "scheduled",
+    substituteVolunteerId: firstLinkId(row.substitute_volunteer),
+    dateNotes:             row.date_notes ?? "",
+    statusNotes:           row.substitution_notes ?? "",
+  };
+}
+
+/**
+ * MEETING_INSTANCE row → rotation shape used by Groups.jsx / Schedule.jsx.
+ *
+ * A rotation is "which volunteer covers this team's slot in this week". Live data
+ * has no rotation table, so it is derived from the instance:
+ *   teamId / scheduleIndex — via the instance's MEETING and the team's schedule slots
+ *   weekStartDate          — Monday of instance_date
+ *   assignedVolunteerId    — substitute_volunteer, then assigned_volunteer, then the
+ *                            first MEETING_ATTENDANCE volunteer not absent or cancelled
+ *   date / start           — instance_date and instance_start (a UTC instant), which
+ *                            differ from the slot's day and time once a visit is moved
+ *   pendingDate / pendingTime — where a reschedule awaiting approval would move it
+ *   reason                 — why the rotation picked that volunteer: the note on their
+ *                            attendance row, or date_notes when nobody was free
+ *
+ * @param {object} row            — MEETING_INSTANCE row
+ * @param {Array}  teams          — mapped teams (from mapTeams)
+ * @param {Array}  attendanceRows — MEETING_ATTENDANCE rows for this instance
+ * @returns {object|null} null when the instance's meeting isn't on an active team
+ */
+export function mapRotation(row, teams, attendanceRows = []) {
+  const meetingId = firstLinkId(row.meeting);
+  const team      = teams.find((t) => t.schedule.some((s) => s.meetingId === meetingId));
+  if (!team || !row.instance_date) return null;
+
+  return {
+    id:                  row.id,
+    teamId:              team.id,
+    scheduleIndex:       team.schedule.findIndex((s) => s.meetingId === meetingId),
+    assignedVolunteerId: visitingVolunteerId(row, attendanceRows),
+    weekStartDate:       mondayOf(row.instance_date),
+    date:                row.instance_date,
+    start:               row.instance_start || null,
+    status:              normalizeStatus(row.instance_status) || "scheduled",
+    pendingDate:         row.pending_new_date || null,
+    pendingTime:         (row.pending_new_time ?? "").trim(),
+    reason:              rotationReason(row, attendanceRows),
+  };
+}
+
+/** The rotation's note for an instance, as WF5 and the Visit Teams page write it */
+function rotationReason(row, attendanceRows) {
+  const picked = firstLinkId(row.assigned_volunteer);
+  if (picked == null) return row.date_notes ?? "";
+  const attendance = attendanceRows.find(
+    (a) => linkIds(a.meeting_instance).includes(row.id) && firstLinkId(a.volunteer) === picked
+  );
+  return attendance?.note ?? "";
+}
+
+/**
+ * MEETING_INSTANCE row → one visit in a senior's history (SeniorProfile.jsx):
+ * the instance shape plus volunteerId, who visited or is due to.
+ *
+ * @param {object} row            — MEETING_INSTANCE row
+ * @param {Array}  attendanceRows — MEETING_ATTENDANCE rows for this instance
+ */
+export function mapVisit(row, attendanceRows = []) {
+  return { ...mapInstance(row), volunteerId: visitingVolunteerId(row, attendanceRows) };
+}
+
+/**
+ * The volunteer covering an instance: substitute_volunteer if set, then the one
+ * the rotation picked (assigned_volunteer), otherwise — for visits created before
+ * that field — the first MEETING_ATTENDANCE volunteer not absent or cancelled
+ * (null when none). WF5's "Pick Rotation Volunteer" credits past visits the same way.
+ */
+function visitingVolunteerId(row, attendanceRows) {
+  const attending = attendanceRows.find(
+    (a) => linkIds(a.meeting_instance).includes(row.id) &&
+           !["absent", "cancelled"].includes(selectValue(a.attendance_status))
+  );
+  return firstLinkId(row.substitute_volunteer) ?? firstLinkId(row.assigned_volunteer) ?? firstLinkId(attending?.volunteer);
+}
+
+/** MEETING_ATTENDANCE row → attendance shape (one volunteer at one meeting instance). */
+export function mapAttendance(row) {
+  return {
+    id:          row.id,
+    instanceId:  firstLinkId(row.meeting_instance),
+    volunteerId: firstLinkId(row.volunteer),
+    status:      selectValue(row.attendance_status) || "expected",
+    note:        row.note ?? "",
+  };
+}
+
+/**
+ * TEAM_MEMBER row → one of a volunteer's team memberships (VolunteerProfile.jsx).
+ * The senior and team name come from the team's VOLUNTEER_TEAM row; a membership
+ * that has ended has an endDate.
+ *
+ * @param {object} row
+ * @param {object} teamsById — VOLUNTEER_TEAM rows keyed by ID
+ */
+export function mapMembership(row, teamsById = {}) {
+  const team = teamsById[firstLinkId(row.team)];
+  return {
+    id:         row.id,
+    teamId:     firstLinkId(row.team),
+    seniorId:   firstLinkId(team?.senior),
+    teamName:   team?.team_name ?? "",
+    startDate:  row.start_date ?? "",
+    endDate:    row.end_date ?? "",
+  };
+}
+
+/**
+ * MEETING_INSTANCE row → one visit in a volunteer's service history
+ * (VolunteerProfile.jsx): the instance shape plus teamName and the volunteer's
+ * part in it (see volunteerVisit).
+ *
+ * @param {object} row            — MEETING_INSTANCE row
+ * @param {number} volunteerId
+ * @param {Array}  attendanceRows — The volunteer's MEETING_ATTENDANCE rows
+ */
+export function mapVolunteerVisit(row, volunteerId, attendanceRows = []) {
+  const attendance = attendanceRows.find((a) => linkIds(a.meeting_instance).includes(row.id));
+  return volunteerVisit(
+    { ...mapInstance(row), teamName: lookupText(row.team_name_display) },
+    volunteerId,
+    selectValue(attendance?.attendance_status) || null
+  );
+}
+
+/**
+ * Adds a volunteer's part in a visit to an instance (mapped or mock):
+ *   attendanceStatus — their MEETING_ATTENDANCE status, null without a row
+ *   outcome          — "attended", "covered" (visited as the substitute), "substituted"
+ *                      (someone else covered for them), "missed", "cancelled", or
+ *                      "scheduled" (still to come, or not recorded yet)
+ *   minutes          — instance_start → instance_end, or VISIT_MINUTES when unset
+ * A completed visit with no attendance marked counts as attended.
+ *
+ * @param {object}      instance         — meetingInstances shape
+ * @param {number|string} volunteerId
+ * @param {string|null} attendanceStatus
+ */
+export function volunteerVisit(instance, volunteerId, attendanceStatus) {
+  const covering = instance.substituteVolunteerId != null &&
+                   String(instance.substituteVolunteerId) === String(volunteerId);
+  const happened = ["attended", "late"].includes(attendanceStatus) || instance.status === "completed";
+
+  let outcome = "scheduled";
+  if (instance.status === "cancelled" || attendanceStatus === "cancelled") outcome = "cancelled";
+  else if (attendanceStatus === "absent") outcome = "missed";
+  else if (attendanceStatus === "substitute" && !covering) outcome = "substituted";
+  else if (happened) outcome = covering ? "covered" : "attended";
+  else if (instance.status === "no-show") outcome = "missed";
+
+  const length = (Date.parse(instance.instanceEnd) - Date.parse(instance.instanceStart)) / 60000;
+  return {
+    ...instance,
+    attendanceStatus,
+    outcome,
+    minutes: length > 0 ? length : VISIT_MINUTES,
+  };
+}
+
+/** VOLUNTEER_STATUS_NOTE row → status note shape ({ date, note }). */
+export function mapStatusNote(row) {
+  return {
+    id:          row.id,
+    volunteerId: firstLinkId(row.volunteer),
+    date:        row.note_date ?? "",
+    note:        row.note ?? "",
+  };
+}
+
+/**
+ * VOLUNTEER_BLACKOUT row → blackout shape ({ from, to, volunteerId, reason }),
+ * which is also what rotationEngine.js takes. A blank end_date is a single day.
+ */
+export function mapBlackout(row) {
+  return {
+    id:          row.id,
+    volunteerId: firstLinkId(row.volunteer),
+    from:        row.start_date ?? "",
+    to:          row.end_date || row.start_date || "",
+    reason:      row.reason ?? "",
+  };
+}
+
+/** FEEDBACK_FORM row → feedbackForms shape used by FeedbackForms.jsx. */
+export function mapFeedbackForm(row) {
+  const typeName = row.form_type?.[0]?.value ?? "";
+  return {
+    id:                  row.id,
+    formType:            FORM_TYPE_KEYS[typeName] ?? typeName,
+    submittedByPersonId: firstLinkId(row.submitted_by_person),
+    submittedByName:     row.submitted_by_person?.[0]?.value ?? "",
+    meetingInstanceId:   firstLinkId(row.meeting_instance),
+    seniorId:            firstLinkId(row.senior),
+    submittedAt:         row.submitted_at ?? "",
+    rating:              row.rating ?? undefined,
+    overallSatisfaction: row.overall_satisfaction ?? undefined,
+    connectionQuality:   selectValue(row.connection_quality),
+    issuesNoted:         row.issues_noted ?? "",
+    comments:            row.comments ?? "",
+    followUpNeeded:      !!row.follow_up_needed,
+    concernsRaised:      !!row.concerns_raised,
+    followUpNote:        row.follow_up_note ?? "",
+    concernNote:         row.concern_note ?? "",
+  };
+}
+
+/**
+ * PERSON_PHONE rows → one person's numbers as { number, type }, cell first.
+ *
+ * @param {Array}  phoneRows
+ * @param {number} personId — PERSON row ID
+ */
+export function mapPhones(phoneRows, personId) {
+  return phoneRows
+    .filter((p) => linkIds(p.person).includes(personId) && p.phone_number)
+    .map((p) => ({ number: p.phone_number, type: selectValue(p.phone_type) }))
+    .sort((a, b) => (a.type === "cell" ? 0 : 1) - (b.type === "cell" ? 0 : 1));
+}
+
+/**
+ * SENIOR_RELATIONSHIP row → contact shape used by SeniorProfile.jsx.
+ * Name and email come from the related PERSON; caregiver is the person's CAREGIVER
+ * row (null for family and other contacts who aren't caregivers).
+ *
+ * @param {object} row
+ * @param {object} ctx
+ * @param {object} ctx.peopleById    — related PERSON rows keyed by ID
+ * @param {Array}  ctx.phoneRows     — PERSON_PHONE rows of the related people
+ * @param {Array}  ctx.caregiverRows — CAREGIVER rows of the related people
+ */
+export function mapContact(row, { peopleById = {}, phoneRows = [], caregiverRows = [] } = {}) {
+  const personId  = firstLinkId(row.related_person);
+  const person    = peopleById[personId];
+  const caregiver = caregiverRows.find((c) => linkIds(c.person).includes(personId));
+  return {
+    id:               row.id,
+    personId,
+    firstName:        person?.first_name ?? row.related_person?.[0]?.value ?? "",
+    lastName:         person?.last_name ?? "",
+    email:            person?.email ?? "",
+    relationshipType: selectValue(row.relationship_type) || "other",
+    notes:            row.notes ?? "",
+    receivesMonthlyFeedback: !!row.receives_monthly_feedback,
+    phones:           mapPhones(phoneRows, personId),
+    caregiver: caregiver ? {
+      id:            caregiver.id,
+      isIndependent: !!caregiver.is_independent,
+      isPrivate:     !!caregiver.is_private,
+      community:     caregiver.community?.[0]?.value ?? "",
+      notes:         caregiver.notes ?? "",
+    } : null,
+  };
+}
+
+/**
+ * Link field → { id, label } for the first linked row, or null.
+ * The label is the linked row's primary field, which is all a link carries.
+ */
+function firstLink(link) {
+  const first = Array.isArray(link) ? link[0] : null;
+  return first ? { id: first.id, label: lookupValue([first]) || `#${first.id}` } : null;
+}
+
+/**
+ * PROPOSED_CHANGE row → proposedChanges shape used by Approvals.jsx.
+ * `proposedBy` falls back to the proposer's email when the PERSON link is empty
+ * (changes submitted from the app carry proposed_by_email).
+ */
+export function mapProposedChange(row) {
+  return {
+    id:                row.id,
+    proposedAt:        row.proposed_at ?? "",
+    changeType:        selectValue(row.change_type),
+    description:       row.description ?? "",
+    notes:             row.notes ?? "",
+    newDate:           row.new_date ?? "",
+    newTime:           row.new_time ?? "",
+    status:            selectValue(row.approval_status) || "pending",
+    proposedBy:        lookupValue(row.proposed_by) || row.proposed_by_email || "",
+    meetingInstance:   firstLink(row.meeting_instance),
+    teamMember:        firstLink(row.team_member),
+    meetingAttendance: firstLink(row.meeting_attendance),
+    reviewedBy:        lookupValue(row.reviewed_by),
+    reviewedAt:        row.reviewed_at ?? "",
+    rejectionReason:   row.rejection_reason ?? "",
+    reviewAudit:       row.review_audit ?? "",
+  };
+}
+
+/**
+ * Baserow search rows → command palette hits: { type, id, label, detail }.
+ * type is "senior" | "volunteer" | "team" | "instance" (see services/recordLinks.js).
+ *
+ * @param {object} rows — searchRecords() result
+ * @returns {Array}
+ */
+export function mapSearchHits({ seniors, volunteers, teams, instances }) {
+  return [
+    ...seniors.map((row) => ({
+      type:   "senior",
+      id:     row.id,
+      label:  row.display_name ?? "",
+      detail: row.senior_community?.[0]?.value ?? "",
+    })),
+    ...volunteers.map((row) => ({
+      type:   "volunteer",
+      id:     row.id,
+      label:  row.display_name ?? "",
+      detail: [selectValue(row.status), row.school].filter(Boolean).join(" · "),
+    })),
+    ...teams.map((row) => ({
+      type:   "team",
+      id:     row.id,
+      label:  row.team_name ?? "",
+      detail: selectValue(row.status),
+    })),
+    ...instances.map((row) => ({
+      type:   "instance",
+      id:     row.id,
+      // A lookup of MEETING's own lookup, so the value may come back nested
+      label:  lookupText(row.team_name_display),
+      detail: [row.instance_date, normalizeStatus(row.instance_status)].filter(Boolean).join(" · "),
+    })),
+  ];
+}
+
+/** Unwraps a (possibly nested) lookup to its first text value. */
+function lookupText(lookup) {
+  let value = lookup;
+  while (Array.isArray(value)) value = value[0]?.value;
+  return selectValue(value);
+}
+
+/** Builds an { [id]: row } map — used to join rows across tables. */
+export function indexById(rows) {
+  return Object.fromEntries(rows.map((r) => [r.id, r]));
+}
+
+/** Returns the Monday ("yyyy-MM-dd") of the week containing a "yyyy-MM-dd" date. */
+function mondayOf(dateStr) {
+  return format(startOfWeek(parseISO(dateStr.slice(0, 10)), { weekStartsOn: 1 }), "yyyy-MM-dd");
+}
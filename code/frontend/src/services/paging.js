@@ -0,0 +1,38 @@
+/**
+ * paging.js — Page and row bookkeeping for useServerTable
+ *
+ * Kept free of React so the rules (what loadMore and reload do to the page, how
+ * an arriving page joins the rows shown) can be tested on their own.
+ */
+
+/**
+ * Paging state after loadMore() or reload(). State from an older query counts as
+ * page 1.
+ *
+ * @param {object|null}          prev     — { key, page, append }
+ * @param {"loadMore"|"reload"}  action
+ * @param {string}               queryKey — The current sort / filters / deps
+ * @returns {{ key: string, page: number, append: boolean }}
+ */
+export function nextPaging(prev, action, queryKey) {
+  if (action === "loadMore") {
+    return { key: queryKey, page: (prev?.key === queryKey ? prev.page : 1) + 1, append: true };
+  }
+  return { key: queryKey, page: 1, append: false };
+}
+
+/**
+ * The rows to show once a page arrives: the page alone, or appended to what is
+ * shown. Rows already shown are skipped on append, since rows can shift between
+ * pages while the list is open (a decided row leaves a filtered list).
+ *
+ * @param {Array}   prev     — Rows shown now
+ * @param {Array}   pageRows — The page that arrived
+ * @param {boolean} append
+ * @returns {Array}
+ */
+export function mergeRows(prev, pageRows, append) {
+  if (!append) return pageRows;
+  const shown = new Set(prev.map((row) => row.id));
+  return [...prev, ...pageRows.filter((row) => !shown.has(row.id))];
+}
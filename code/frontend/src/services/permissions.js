@@ -0,0 +1,80 @@
+/**
+ * permissions.js — What each APP_USERS role may do in the React app
+ *
+ * Roles come from APP_USERS.role (see code/scripts/setupAppUsers.js):
+ *   admin    → everything, including the Approvals queue and direct calendar edits
+ *   editor   → create/edit seniors, volunteers and other non-calendar records,
+ *              record who attended each visit, and move a visit to another day or time
+ *   proposer → read-only; submits PROPOSED_CHANGE rows for an admin to approve
+ *
+ * Calendar tables (VOLUNTEER_TEAM / TEAM_MEMBER / MEETING / MEETING_INSTANCE) are
+ * admin-only because WF1/WF2 push every change straight to Google Calendar; everyone
+ * else goes through the PROPOSED_CHANGE approval flow (WF9). Recording what happened
+ * at a visit (attendance, completed / no-show) doesn't touch the calendar, so editors
+ * may do that too. Editors may also move a single visit (the Schedule page's drag):
+ * the crm-meeting-instance workflow moves its calendar occurrence, as WF9 does for
+ * an approved reschedule, and the team's schedule is left as it is.
+ *
+ * Pages and nav items check permissions, never role names, so a role can be
+ * widened here without touching page code:
+ *
+ *   const { can } = useAuth();
+ *   {can(PERMISSIONS.EDIT_RECORDS) && <button>+ New Senior</button>}
+ *
+ * This only shapes the UI. The proxy (code/backend) enforces the same rules:
+ * it checks the session on every read and write, limits writes per role
+ * (WRITE_ROLES in its config.js, which must be kept in step with this file) and
+ * takes the proposer's identity from the session. The N8N webhooks refuse writes
+ * that don't carry the proxy's CRM_WEBHOOK_SECRET, so they can't be called around it.
+ */
+
+export const ROLES = {
+  ADMIN:    "admin",
+  EDITOR:   "editor",
+  PROPOSER: "proposer",
+};
+
+export const PERMISSIONS = {
+  EDIT_RECORDS:    "edit_records",    // seniors, volunteers, people
+  EDIT_CALENDAR:   "edit_calendar",   // teams, memberships, schedules, rotations
+  PROPOSE_CHANGES: "propose_changes", // submit PROPOSED_CHANGE rows
+  APPROVE_CHANGES: "approve_changes", // Approvals page
+  RECORD_ATTENDANCE: "record_attendance", // MEETING_ATTENDANCE and a visit's completed / no-show outcome
+  RESCHEDULE_VISITS: "reschedule_visits", // move one MEETING_INSTANCE to another date / time
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    PERMISSIONS.EDIT_RECORDS,
+    PERMISSIONS.EDIT_CALENDAR,
+    PERMISSIONS.PROPOSE_CHANGES,
+    PERMISSIONS.APPROVE_CHANGES,
+    PERMISSIONS.RECORD_ATTENDANCE,
+    PERMISSIONS.RESCHEDULE_VISITS,
+  ],
+  [ROLES.EDITOR]: [
+    PERMISSIONS.EDIT_RECORDS,
+    PERMISSIONS.PROPOSE_CHANGES,
+    PERMISSIONS.RECORD_ATTENDANCE,
+    PERMISSIONS.RESCHEDULE_VISITS,
+  ],
+  [ROLES.PROPOSER]: [PERMISSIONS.PROPOSE_CHANGES],
+};
+
+/**
+ * @param {{ role: string }|null} user       — Signed-in user (null = signed out)
+ * @param {string}                permission — One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function can(user, permission) {
+  if (!user) return false;
+  return (ROLE_PERMISSIONS[user.role] ?? []).includes(permission);
+}
+
+/**
+ * Normalizes a role value from APP_USERS. Unknown or missing roles fall back to
+ * the least-privileged role rather than failing the login.
+ */
+export function toRole(value) {
+  return Object.values(ROLES).includes(value) ? value : ROLES.PROPOSER;
+}
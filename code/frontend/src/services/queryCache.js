@@ -0,0 +1,99 @@
+/**
+ * queryCache.js — In-memory read cache for baserowApi.js
+ *
+ * Every Baserow read goes through cachedQuery(). Results are kept in memory for
+ * a short TTL so moving between pages (Dashboard → Groups → Schedule) does not
+ * refetch SENIOR, VOLUNTEER and VOLUNTEER_TEAM each time — which matters over
+ * the slow Wi-Fi at the senior communities.
+ *
+ * Behavior:
+ *   - Keys are "{tableId}:{kind}:{params JSON}" with params sorted, so the same
+ *     query always maps to the same key regardless of param order.
+ *   - Identical requests in flight at the same time share one fetch.
+ *   - Failed fetches are never cached; the next call retries.
+ *   - invalidateTables() drops every key for the given tables. baserowMutations.js
+ *     calls it after each successful webhook write. An invalidated request that is
+ *     still in flight resolves for its caller but is not stored.
+ *
+ * Configuration (from .env, exposed via Vite as import.meta.env):
+ *   VITE_QUERY_CACHE_TTL_MS — How long a result stays fresh (default 60000; 0 disables)
+ *
+ * Cached values are shared between callers — treat them as read-only.
+ */
+
+const TTL_MS = Number(import.meta.env.VITE_QUERY_CACHE_TTL_MS ?? 60_000);
+
+/** key → { value, expiresAt } */
+const entries  = new Map();
+/** key → Promise — requests currently on the wire */
+const inFlight = new Map();
+
+/**
+ * Builds a stable cache key. Params are sorted by name and undefined/null values
+ * dropped (getRows() skips them too), so equivalent queries share an entry.
+ *
+ * @param {string|number} tableId
+ * @param {string}        kind    — "rows" (one page) or "all" (getAllRows)
+ * @param {object}        params
+ * @returns {string}
+ */
+export function cacheKey(tableId, kind, params = {}) {
+  const sorted = Object.keys(params)
+    .filter((k) => params[k] !== undefined && params[k] !== null)
+    .sort()
+    .map((k) => [k, params[k]]);
+  return `${tableId}:${kind}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Returns the cached value for `key` when fresh, joins an in-flight request for
+ * the same key, or runs `loader` and caches its result.
+ *
+ * @param {string}             key
+ * @param {() => Promise<any>} loader — Performs the actual network read
+ * @returns {Promise<any>}
+ */
+export function cachedQuery(key, loader) {
+  const hit = entries.get(key);
+  if (hit && hit.expiresAt > Date.now()) return Promise.resolve(hit.value);
+
+  const pending = inFlight.get(key);
+  if (pending) return pending;
+
+  const promise = loader().then(
+    (value) => {
+      // Only store if this request wasn't invalidated while it was on the wire
+      if (inFlight.get(key) === promise) {
+        inFlight.delete(key);
+        if (TTL_MS > 0) entries.set(key, { value, expiresAt: Date.now() + TTL_MS });
+      }
+      return value;
+    },
+    (err) => {
+      if (inFlight.get(key) === promise) inFlight.delete(key);
+      throw err;
+    }
+  );
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Drops every cached (and in-flight) entry for the given tables.
+ *
+ * @param {Array<string|number>} tableIds
+ */
+export function invalidateTables(tableIds) {
+  const prefixes = tableIds.filter(Boolean).map((id) => `${id}:`);
+  for (const map of [entries, inFlight]) {
+    for (const key of [...map.keys()]) {
+      if (prefixes.some((p) => key.startsWith(p))) map.delete(key);
+    }
+  }
+}
+
+/** Empties the whole cache. AuthProvider calls it on every sign-out and sign-in. */
+export function clearQueryCache() {
+  entries.clear();
+  inFlight.clear();
+}
@@ -0,0 +1,62 @@
+/**
+ * recordLinks.js — URLs that open one record on its page
+ *
+ * Every record with a detail view has its own route (App.jsx), so a link can be
+ * pasted into an email or chat and survives a refresh:
+ *   senior    → /seniors/<id>      (profile page)
+ *   volunteer → /volunteers/<id>   (profile page)
+ *   team      → /groups/<id>       (card scrolled into view and highlighted)
+ *   instance  → /meetings/<id>     (instance modal)
+ *   feedback  → /feedback/<id>     (submission modal)
+ * The command palette, table row clicks and cross-links all build their targets
+ * here, so the URL conventions live in one place.
+ */
+
+/** List page path, by record type */
+const LIST_PATHS = {
+  senior:    "/seniors",
+  volunteer: "/volunteers",
+  team:      "/groups",
+  instance:  "/meetings",
+  feedback:  "/feedback",
+};
+
+/**
+ * @param {"senior"|"volunteer"|"team"|"instance"|"feedback"} type
+ * @param {number|string} id — Row ID (mock IDs are strings)
+ * @returns {string}
+ */
+export function recordPath(type, id) {
+  return `${LIST_PATHS[type]}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * @param {"senior"|"volunteer"|"team"|"instance"|"feedback"} type
+ * @returns {string} The list page the record's route sits under
+ */
+export function listPath(type) {
+  return LIST_PATHS[type];
+}
+
+/**
+ * Whether a loaded record is the one a route asked for. Route params are
+ * strings while live IDs are numbers, so IDs are compared as strings.
+ *
+ * @param {object|null} record
+ * @param {string|null} id — The route parameter
+ * @returns {boolean}
+ */
+export function isRecord(record, id) {
+  return record != null && id != null && String(record.id) === String(id);
+}
+
+/**
+ * Finds the record a route asked for in an already-loaded list.
+ *
+ * @param {Array}       rows
+ * @param {string|null} id — The route parameter
+ * @returns {object|undefined}
+ */
+export function findRecord(rows, id) {
+  return rows.find((r) => isRecord(r, id));
+}
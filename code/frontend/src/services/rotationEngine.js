@@ -0,0 +1,631 @@
+/**
+ * rotationEngine.js — Fair rotation planner for visit teams
+ *
+ * Decides which volunteer covers each visit. Used by the Groups page ("4 / 8 / 12
+ * weeks" on a team card) and by WF5, which picks the volunteer for every new
+ * MEETING_INSTANCE. n8n Code nodes can't import modules, so
+ * scripts/syncRotationEngine.js copies this file into WF5's "Pick Rotation
+ * Volunteer" node — keep it plain, dependency-free JavaScript and re-run the
+ * script after editing.
+ *
+ * For each week and schedule slot, in order:
+ *   1. No visit when the visit (start to end) is outside the senior's availability
+ *      for that day, or its date falls in a team-wide blackout
+ *   2. Volunteers sit out when they have a skip week or a blackout (VOLUNTEER_BLACKOUT)
+ *      on that date, or the visit is outside their weekly availability — read in
+ *      their own timezone when the slot and volunteer zones are both known
+ *   3. The volunteer with the fewest visits in the rolling window (history plus
+ *      what has been planned so far) is chosen; ties go to whoever has gone
+ *      longest without a visit, then to team order
+ * Every decision carries a human-readable reason ("chosen because …").
+ * suggestSubstitutes() applies the same rules to rank cover for a single visit
+ * (preferring volunteers who know the senior, then light load and recent
+ * training), and findSlots() suggests schedule slots everyone's availability allows.
+ *
+ * Deterministic: no clock, no randomness — callers pass the first week to plan.
+ * Dates are "yyyy-MM-dd" strings and weeks start on Monday (as in rotations).
+ */
+
+/** Baserow availability field prefixes, indexed like schedule dayOfWeek (0 = Sunday) */
+export const DAY_KEYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+/** Day names as "on Mondays", indexed like DAY_KEYS */
+export const DAY_PLURALS = ["Sundays", "Mondays", "Tuesdays", "Wednesdays", "Thursdays", "Fridays", "Saturdays"];
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/** Hours visits happen in (minutes after midnight); bare times like "1-3" are read to fall inside them */
+export const VISITING_HOURS = { start: 8 * 60, end: 20 * 60 };
+
+/** Length of a visit when a slot doesn't say (WF5 books one hour) */
+export const VISIT_MINUTES = 60;
+
+/** Words people write instead of times; "any time" is the whole of VISITING_HOURS */
+const PERIODS = {
+  morning:   { start: 9 * 60,  end: 12 * 60 },
+  afternoon: { start: 12 * 60, end: 17 * 60 },
+  evening:   { start: 17 * 60, end: 20 * 60 },
+  anytime:   VISITING_HOURS,
+};
+
+// ─── Dates (UTC so DST never shifts a day) ─────────────────────────────────
+
+function toDate(iso) {
+  const [y, m, d] = iso.split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+/** "2025-03-03" + 7 → "2025-03-10" */
+export function addDays(iso, days) {
+  const date = toDate(iso);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/** Monday on or before the given date */
+export function mondayOf(iso) {
+  return addDays(iso, -((toDate(iso).getUTCDay() + 6) % 7));
+}
+
+/** Actual visit date for a week (Monday) and a schedule dayOfWeek (0 = Sunday … 6 = Saturday) */
+export function visitDateOf(weekStartDate, dayOfWeek) {
+  return addDays(weekStartDate, dayOfWeek === 0 ? 6 : dayOfWeek - 1);
+}
+
+/** "2025-03-03" → "Mar 3" */
+export function shortDate(iso) {
+  const [, m, d] = iso.split("-").map(Number);
+  return `${MONTHS[m - 1]} ${d}`;
+}
+
+// ─── Weekly availability ───────────────────────────────────────────────────
+
+/**
+ * "10:00" → 600, "2pm" → 840, "9:30 am" → 570, "noon" → 720; null when unreadable.
+ *
+ * @param {string} time
+ * @param {string} [meridiem] — "a" or "p" to apply when time has no am/pm of its own
+ */
+function minutesOf(time, meridiem) {
+  const text = time.trim().toLowerCase().replace(/\./g, "");
+  if (text === "noon") return 12 * 60;
+  if (text === "midnight") return 24 * 60;
+  const match = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/.exec(text);
+  if (!match || Number(match[2] ?? 0) > 59) return null;
+  const hours   = Number(match[1]);
+  const minutes = Number(match[2] ?? 0);
+  const suffix  = match[3]?.[0] ?? meridiem;
+  if (!suffix) return hours > 24 ? null : hours * 60 + minutes;
+  if (hours < 1 || hours > 12) return null;
+  return ((hours % 12) + (suffix === "p" ? 12 : 0)) * 60 + minutes;
+}
+
+/** "a" / "p" when a time ends in am/pm, else undefined */
+function meridiemOf(time) {
+  return /(am|pm|a|p)\.?$/i.exec(time.trim())?.[1][0].toLowerCase();
+}
+
+/** The other half of the day */
+const OTHER_MERIDIEM = { a: "p", p: "a" };
+
+/**
+ * One "from-to" range in minutes, or null. When only one end says am/pm, the
+ * other end takes the reading that keeps the range in order: "2-4pm" is 14:00-16:00,
+ * "11-1pm" is 11:00-13:00, "10am-2" is 10:00-14:00. When neither end does, the
+ * first reading inside VISITING_HOURS wins — as written, both pm, then only the
+ * end pm — so "10-12" stays 10:00-12:00 but "1-3" is 13:00-15:00 and "9-5" is
+ * 09:00-17:00. A range that fits none of them is kept as written ("7-9:30").
+ */
+function parseRange(from, to) {
+  const fromSuffix = meridiemOf(from);
+  const toSuffix   = meridiemOf(to);
+  const visiting   = ({ start, end }) => start >= VISITING_HOURS.start && end <= VISITING_HOURS.end;
+  const candidates = fromSuffix && !toSuffix ? [[undefined, fromSuffix], [undefined, OTHER_MERIDIEM[fromSuffix]]]
+    : toSuffix && !fromSuffix ? [[toSuffix, undefined], [OTHER_MERIDIEM[toSuffix], undefined]]
+    : fromSuffix ? [[undefined, undefined]]
+    : [[undefined, undefined, visiting], ["p", "p", visiting], [undefined, "p", visiting], [undefined, undefined]];
+  for (const [fromGuess, toGuess, accept = () => true] of candidates) {
+    const start = minutesOf(from, fromGuess);
+    const end   = minutesOf(to, toGuess);
+    if (start !== null && end !== null && start < end && accept({ start, end })) return { start, end };
+  }
+  return null;
+}
+
+/** "morning", "Afternoons", "in the evening", "any time", "all day" → a window; else null */
+function periodOf(text) {
+  const word = text.trim().toLowerCase().replace(/^in the\s+/, "").replace(/\s+/g, "");
+  if (word === "allday") return { ...PERIODS.anytime };
+  const period = PERIODS[word] ?? PERIODS[word.replace(/s$/, "")];
+  return period ? { ...period } : null;
+}
+
+/** 600 → "10:00" */
+export function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Parses one day's availability text into time ranges. Accepts 24-hour or am/pm
+ * times, several ranges separated by "," ";" "/" or "and", and "-", "–" or "to"
+ * between the ends: "10:00-12:00", "9am-11am, 2-4pm", "10 to noon; 14:00–16:30".
+ * A range's am/pm carries to the other end when only one side has it ("2-4pm"),
+ * and bare hours are read within visiting hours ("1-3" is 13:00-15:00).
+ * Named periods stand for fixed windows: morning (09:00-12:00), afternoon
+ * (12:00-17:00), evening (17:00-20:00) and "any time" / "all day" (visiting hours).
+ *
+ * @returns {Array<{start: number, end: number}>|null} minutes after midnight, sorted
+ *          and merged where they overlap; null when any part can't be read
+ */
+export function parseWindows(text) {
+  const windows = [];
+  for (const part of text.split(/[,;/&]|\band\b/i).map((p) => p.trim()).filter(Boolean)) {
+    const ends   = part.split(/\s*(?:-|–|—|\bto\b)\s*/i);
+    const window = ends.length === 2 ? parseRange(ends[0], ends[1]) : periodOf(part);
+    if (!window) return null;
+    windows.push(window);
+  }
+  windows.sort((a, b) => a.start - b.start);
+  return windows.reduce((merged, w) => {
+    const last = merged[merged.length - 1];
+    if (last && w.start <= last.end) last.end = Math.max(last.end, w.end);
+    else merged.push({ ...w });
+    return merged;
+  }, []);
+}
+
+/**
+ * Parses a whole week of availability text.
+ *
+ * @param {object} availability — { monday: "10:00-12:00", tuesday: "", … }
+ * @returns {{ listed: boolean, days: object, unreadable: string[] }} days maps each
+ *          DAY_KEYS entry to its windows ([] when blank or unreadable); unreadable
+ *          lists the day keys whose text couldn't be parsed
+ */
+export function readAvailability(availability) {
+  const days = {};
+  const unreadable = [];
+  let listed = false;
+  for (const day of DAY_KEYS) {
+    const text = (availability?.[day] ?? "").trim();
+    if (!text) { days[day] = []; continue; }
+    listed = true;
+    const windows = parseWindows(text);
+    if (!windows) unreadable.push(day);
+    days[day] = windows ?? [];
+  }
+  return { listed, days, unreadable };
+}
+
+/**
+ * Collects a record's per-day availability fields into the shape the engine takes.
+ *
+ * @param {object} record — Senior or volunteer, app shape or Baserow row
+ * @param {string} [suffix] — "Availability" (mondayAvailability) or "_availability" (monday_availability)
+ * @returns {object} { monday: "10:00-12:00", … }
+ */
+export function availabilityFrom(record, suffix = "Availability") {
+  return Object.fromEntries(DAY_KEYS.map((day) => [day, record?.[`${day}${suffix}`] ?? ""]));
+}
+
+/**
+ * Whether a whole visit falls inside someone's weekly availability (senior or volunteer):
+ * it must start and end within one window, so a 10:30 visit doesn't fit "10-11".
+ * Nothing listed on any day counts as always available, and so does a day whose
+ * text can't be read (staff see that in the note instead).
+ *
+ * @param {object} availability — { monday: "10:00-12:00", tuesday: "", … }
+ * @param {{dayOfWeek: number, timeOfDay: string, durationMinutes?: number}} slot — durationMinutes defaults to VISIT_MINUTES
+ * @param {string} [who] — Name used in the note
+ * @returns {{ ok: boolean, note: string }}
+ */
+export function checkAvailability(availability, slot, who = "the senior") {
+  const listed = DAY_KEYS.some((day) => (availability?.[day] ?? "").trim());
+  if (!listed) return { ok: true, note: "" };
+
+  const text = (availability[DAY_KEYS[slot.dayOfWeek]] ?? "").trim();
+  if (!text) return { ok: false, note: `${who} has no availability on ${DAY_PLURALS[slot.dayOfWeek]}` };
+
+  const windows = parseWindows(text);
+  const time    = minutesOf(slot.timeOfDay ?? "");
+  if (!windows || time === null) return { ok: true, note: `couldn't read ${who}'s availability "${text}"` };
+  const minutes = slot.durationMinutes ?? VISIT_MINUTES;
+  if (fits(windows, time, minutes)) return { ok: true, note: "" };
+  const visit = `${formatMinutes(time)}-${formatMinutes(Math.min(time + minutes, 24 * 60))}`;
+  return { ok: false, note: `${visit} is outside ${who}'s ${DAY_PLURALS[slot.dayOfWeek]} availability (${text})` };
+}
+
+/**
+ * The blackout covering a volunteer on a date, if any.
+ *
+ * @param {Array}  blackouts — [{ from, to?, volunteerId, reason? }]
+ * @param {*}      volunteerId
+ * @param {string} date — "yyyy-MM-dd"
+ * @returns {object|undefined}
+ */
+export function blackoutOn(blackouts, volunteerId, date) {
+  return blackouts.find((b) => b.volunteerId === volunteerId && inRange(date, b));
+}
+
+// ─── Planning ──────────────────────────────────────────────────────────────
+
+/** Cancelled visits don't count toward anyone's load */
+function countsAsVisit(rotation) {
+  return rotation.assignedVolunteerId != null &&
+         rotation.status !== "cancelled" && rotation.status !== "canceled";
+}
+
+function inRange(date, { from, to }) {
+  return date >= from && date <= (to || from);
+}
+
+/**
+ * A slot as the clock reads in another zone on its visit date, e.g. Monday 10:00
+ * America/Chicago → Monday 11:00 in America/New_York. Unchanged when either zone is unknown.
+ */
+function localSlot(slot, visitDate, timeZone) {
+  const time = minutesOf(slot.timeOfDay ?? "");
+  if (!timeZone || !slot.timeZone || timeZone === slot.timeZone || time === null) return slot;
+  const local = time - utcOffsetMinutes(slot.timeZone, visitDate) + utcOffsetMinutes(timeZone, visitDate);
+  return {
+    ...slot,
+    dayOfWeek: (slot.dayOfWeek + Math.floor(local / 1440) + 7) % 7,
+    timeOfDay: formatMinutes(((local % 1440) + 1440) % 1440),
+    timeZone,
+  };
+}
+
+/** Why a volunteer can't take a visit (skip week, blackout, weekly availability), or null */
+function sitOutReason(id, { weekStartDate, visitDate, slot }, { skipWeeks, blackouts, volunteerAvailability, volunteerTimeZones, nameOf }) {
+  if (skipWeeks.some((s) => s.volunteerId === id && s.weekStartDate === weekStartDate)) {
+    return `${nameOf(id)} is skipping this week`;
+  }
+  const blackout = blackoutOn(blackouts, id, visitDate);
+  if (blackout) return `${nameOf(id)} is unavailable${blackout.reason ? ` (${blackout.reason})` : ""}`;
+  const fit = checkAvailability(volunteerAvailability[id], localSlot(slot, visitDate, volunteerTimeZones[id]), nameOf(id));
+  return fit.ok ? null : fit.note;
+}
+
+/**
+ * Why one volunteer can't make one visit (blackout or weekly availability), or null.
+ *
+ * @param {object}   visit
+ * @param {*}        visit.volunteerId
+ * @param {string}   visit.visitDate      — "yyyy-MM-dd"
+ * @param {{dayOfWeek: number, timeOfDay: string, timeZone?: string}} visit.slot
+ * @param {Array}    [visit.blackouts]
+ * @param {object}   [visit.availability] — The volunteer's weekly availability by day
+ * @param {string}   [visit.timeZone]     — The volunteer's zone, which availability is read in
+ * @param {function} [visit.nameOf]
+ * @returns {string|null}
+ */
+export function unavailableReason({ volunteerId, visitDate, slot, blackouts = [], availability, timeZone, nameOf = (id) => `#${id}` }) {
+  return sitOutReason(volunteerId, { weekStartDate: mondayOf(visitDate), visitDate, slot }, {
+    skipWeeks:             [],
+    blackouts,
+    volunteerAvailability: { [volunteerId]: availability },
+    volunteerTimeZones:    { [volunteerId]: timeZone },
+    nameOf,
+  });
+}
+
+/** Visits in the window ending at weekStartDate, and the latest visit week ("" = never) */
+function loadOf(id, counted, weekStartDate, windowStart) {
+  const visits = counted.filter((r) => r.assignedVolunteerId === id);
+  return {
+    load: visits.filter((r) => r.weekStartDate > windowStart && r.weekStartDate <= weekStartDate).length,
+    last: visits.reduce((latest, r) => (r.weekStartDate > latest ? r.weekStartDate : latest), ""),
+  };
+}
+
+/** Fewest visits first, then longest since the last one, then original order */
+function byFairness(a, b) {
+  return a.load - b.load || (a.last < b.last ? -1 : a.last > b.last ? 1 : 0) || a.order - b.order;
+}
+
+/**
+ * Plans visits for a team, week by week, starting at startWeek.
+ *
+ * @param {object}   plan
+ * @param {*}        plan.teamId
+ * @param {Array}    plan.schedule     — [{ dayOfWeek, timeOfDay, timeZone? }], one entry per weekly slot
+ * @param {Array}    plan.volunteerIds — Team members, in team order
+ * @param {string}   plan.startWeek    — Monday of the first week to plan
+ * @param {number}   plan.numWeeks
+ * @param {Array}    [plan.history]    — Past/planned rotations { assignedVolunteerId, weekStartDate, status }.
+ *                                       Include other teams' visits to balance volunteers across teams;
+ *                                       a substitute counts as the one who visited.
+ * @param {number}   [plan.windowWeeks=8]  — How far back visits count toward load
+ * @param {object}   [plan.availability]   — Senior availability by day, see checkAvailability
+ * @param {Array}    [plan.skipWeeks]      — [{ volunteerId, weekStartDate }]
+ * @param {Array}    [plan.blackouts]      — [{ from, to?, volunteerId?, reason? }]; no volunteerId = whole team
+ * @param {object}   [plan.volunteerAvailability] — volunteerId → weekly availability by day
+ * @param {object}   [plan.volunteerTimeZones]    — volunteerId → IANA zone their availability is in
+ * @param {function} [plan.nameOf]         — volunteerId → display name, for reasons
+ * @returns {{ rotations: Array, gaps: Array }}
+ *   rotations — { teamId, scheduleIndex, weekStartDate, visitDate, assignedVolunteerId, reason };
+ *               assignedVolunteerId is null when nobody on the team is free
+ *   gaps      — { teamId, scheduleIndex, weekStartDate, visitDate, reason } for slots with no visit
+ */
+export function planRotations({
+  teamId,
+  schedule,
+  volunteerIds,
+  startWeek,
+  numWeeks,
+  history = [],
+  windowWeeks = 8,
+  availability = {},
+  skipWeeks = [],
+  blackouts = [],
+  volunteerAvailability = {},
+  volunteerTimeZones = {},
+  nameOf = (id) => `#${id}`,
+}) {
+  const rules     = { skipWeeks, blackouts, volunteerAvailability, volunteerTimeZones, nameOf };
+  const counted   = history.filter(countsAsVisit);
+  const rotations = [];
+  const gaps      = [];
+  const week0     = mondayOf(startWeek);
+
+  for (let w = 0; w < numWeeks; w++) {
+    const weekStartDate = addDays(week0, w * 7);
+    const windowStart   = addDays(weekStartDate, -7 * windowWeeks);
+
+    schedule.forEach((slot, scheduleIndex) => {
+      const visitDate = visitDateOf(weekStartDate, slot.dayOfWeek);
+      const base      = { teamId, scheduleIndex, weekStartDate, visitDate };
+
+      const fit = checkAvailability(availability, slot);
+      if (!fit.ok) {
+        gaps.push({ ...base, reason: `No visit: ${fit.note}` });
+        return;
+      }
+      const teamBlackout = blackouts.find((b) => b.volunteerId == null && inRange(visitDate, b));
+      if (teamBlackout) {
+        gaps.push({ ...base, reason: `No visit: team blackout${teamBlackout.reason ? ` (${teamBlackout.reason})` : ""}` });
+        return;
+      }
+
+      const out = [];
+      const candidates = volunteerIds.filter((id) => {
+        const reason = sitOutReason(id, { weekStartDate, visitDate, slot }, rules);
+        if (reason) out.push(reason);
+        return !reason;
+      });
+      const caveat = [fit.note, ...out].filter(Boolean).join("; ");
+
+      if (candidates.length === 0) {
+        rotations.push({
+          ...base,
+          assignedVolunteerId: null,
+          reason: volunteerIds.length
+            ? `Nobody free: ${caveat}`
+            : "Nobody free: the team has no volunteers",
+        });
+        return;
+      }
+
+      const stats = candidates
+        .map((id, order) => ({ id, order, ...loadOf(id, counted, weekStartDate, windowStart) }))
+        .sort(byFairness);
+
+      const [pick, ...rest] = stats;
+      const reason = explain(pick, rest, windowWeeks, nameOf) + (caveat ? `; ${caveat}` : "");
+      rotations.push({ ...base, assignedVolunteerId: pick.id, reason });
+      counted.push({ assignedVolunteerId: pick.id, weekStartDate, status: "scheduled" });
+    });
+  }
+  return { rotations, gaps };
+}
+
+/**
+ * Ranks volunteers who could cover one visit. Anyone with a skip week, blackout or
+ * weekly availability clash is left out; the rest are ordered by:
+ *   1. Knows the senior — on the visit's team, or has visited that team before
+ *   2. Fewest visits in the window (history from every team counts)
+ *   3. Trained within trainingDays of the visit
+ *   4. Longest since their last visit, then candidate order
+ *
+ * @param {object}   visit
+ * @param {Array}    visit.volunteerIds — Candidates, in preference order
+ * @param {Array}    [visit.excludeIds] — Already on the visit (e.g. the absent volunteer)
+ * @param {string}   visit.visitDate    — "yyyy-MM-dd"
+ * @param {{dayOfWeek: number, timeOfDay: string, timeZone?: string}} visit.slot
+ * @param {Array}    [visit.history]    — Rotations, as in planRotations, with teamId for past visits to count
+ * @param {*}        [visit.teamId]     — The visit's team (the senior's)
+ * @param {Array}    [visit.teamVolunteerIds] — Its current members
+ * @param {object}   [visit.lastTrainingDates] — volunteerId → "yyyy-MM-dd"
+ * @param {number}   [visit.trainingDays=365]  — How recent training must be to count
+ * @param {number}   [visit.windowWeeks=8]
+ * @param {Array}    [visit.skipWeeks]
+ * @param {Array}    [visit.blackouts]
+ * @param {object}   [visit.volunteerAvailability]
+ * @param {object}   [visit.volunteerTimeZones]
+ * @param {function} [visit.nameOf]
+ * @returns {Array<{ volunteerId: *, load: number, onTeam: boolean, pastVisits: number, trained: boolean, reason: string }>}
+ *   Best first; reason reads like "Free then; on the team; 1 visit in the last 8 weeks; trained Jan 10"
+ */
+export function suggestSubstitutes({
+  volunteerIds,
+  excludeIds = [],
+  visitDate,
+  slot,
+  history = [],
+  teamId = null,
+  teamVolunteerIds = [],
+  lastTrainingDates = {},
+  trainingDays = 365,
+  windowWeeks = 8,
+  skipWeeks = [],
+  blackouts = [],
+  volunteerAvailability = {},
+  volunteerTimeZones = {},
+  nameOf = (id) => `#${id}`,
+}) {
+  const rules         = { skipWeeks, blackouts, volunteerAvailability, volunteerTimeZones, nameOf };
+  const counted       = history.filter(countsAsVisit);
+  const weekStartDate = mondayOf(visitDate);
+  const windowStart   = addDays(weekStartDate, -7 * windowWeeks);
+  const trainedSince  = addDays(visitDate, -trainingDays);
+  const checkTraining = Object.keys(lastTrainingDates).length > 0;
+  const visits        = (n) => `${n} visit${n === 1 ? "" : "s"}`;
+
+  return volunteerIds
+    .filter((id) => !excludeIds.includes(id) && !sitOutReason(id, { weekStartDate, visitDate, slot }, rules))
+    .map((id, order) => {
+      const pastVisits = teamId === null ? 0 : counted.filter((r) =>
+        r.assignedVolunteerId === id && r.teamId === teamId && r.weekStartDate < weekStartDate
+      ).length;
+      const trainedOn  = lastTrainingDates[id] || "";
+      return {
+        id, order, pastVisits, trainedOn,
+        onTeam:  teamVolunteerIds.includes(id),
+        trained: trainedOn >= trainedSince,
+        ...loadOf(id, counted, weekStartDate, windowStart),
+      };
+    })
+    .sort((a, b) =>
+      Number(b.onTeam || b.pastVisits > 0) - Number(a.onTeam || a.pastVisits > 0) ||
+      a.load - b.load ||
+      Number(b.trained) - Number(a.trained) ||
+      byFairness(a, b)
+    )
+    .map((s) => {
+      const notes = ["Free then"];
+      if (s.onTeam) notes.push("on the team");
+      if (s.pastVisits) notes.push(`${visits(s.pastVisits)} to this senior before`);
+      if (history.length) {
+        notes.push(`${visits(s.load)} in the last ${windowWeeks} weeks` + (s.last ? `, last on ${shortDate(s.last)}` : ""));
+      }
+      if (checkTraining) notes.push(s.trained ? `trained ${shortDate(s.trainedOn)}` : "no recent training");
+      return {
+        volunteerId: s.id,
+        load:        s.load,
+        onTeam:      s.onTeam,
+        pastVisits:  s.pastVisits,
+        trained:     s.trained,
+        reason:      notes.join("; "),
+      };
+    });
+}
+
+/**
+ * "Chosen because …" for the winner of one slot.
+ *
+ * @param {{ id, load: number, last: string }} pick — The chosen volunteer's stats
+ * @param {Array}    rest        — The other candidates' stats, best first
+ * @param {number}   windowWeeks
+ * @param {function} nameOf
+ * @returns {string}
+ */
+export function explain(pick, rest, windowWeeks, nameOf) {
+  const visits = (n) => `${n} visit${n === 1 ? "" : "s"}`;
+  const since  = pick.last ? `last visited ${shortDate(pick.last)}` : "has not visited yet";
+  if (rest.length === 0) return `Chosen because ${nameOf(pick.id)} is the only volunteer available`;
+  if (rest[0].load > pick.load) {
+    return `Chosen because ${nameOf(pick.id)} has the fewest visits in the last ${windowWeeks} weeks ` +
+           `(${visits(pick.load)}; next lowest ${rest[0].load})`;
+  }
+  if (rest[0].last !== pick.last) {
+    return `Chosen because ${nameOf(pick.id)} is tied at ${visits(pick.load)} in the last ${windowWeeks} weeks ` +
+           `and ${since}, longest ago`;
+  }
+  return `Chosen because ${nameOf(pick.id)} is tied at ${visits(pick.load)} and comes first in team order`;
+}
+
+// ─── Slot finder ───────────────────────────────────────────────────────────
+
+/**
+ * Minutes a timezone is ahead of UTC on a date ("America/Chicago" in July → -300).
+ * Unknown or blank zones count as UTC.
+ *
+ * @param {string} timeZone — IANA name
+ * @param {string} date — "yyyy-MM-dd"; offsets are taken at noon UTC that day
+ */
+export function utcOffsetMinutes(timeZone, date) {
+  if (!timeZone) return 0;
+  const instant = Date.parse(`${date}T12:00:00Z`);
+  try {
+    const parts = new Intl.DateTimeFormat("en-US", {
+      timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+    }).formatToParts(new Date(instant));
+    const part  = (type) => Number(parts.find((p) => p.type === type).value);
+    const local = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"));
+    return Math.round((local - instant) / 60000);
+  } catch {
+    return 0;
+  }
+}
+
+/** Whether [start, start + minutes) fits inside one of the windows */
+function fits(windows, start, minutes) {
+  return windows.some((w) => start >= w.start && start + minutes <= w.end);
+}
+
+/**
+ * Schedule slots that fit the senior's weekly availability, with the team
+ * volunteers who are free for the whole visit. Times are in the senior's
+ * timezone (as schedule timeOfDay is); each volunteer's availability is read in
+ * their own timezone, so an Eastern volunteer free 13:00-15:00 covers a Central
+ * senior's 12:00 visit. When either timezone is missing they're taken to match.
+ *
+ * A senior with nothing listed is open from `earliest` to `latest` every day; a
+ * volunteer with nothing listed is always free. Unreadable days never produce
+ * or fill a slot — readAvailability() reports them so staff can fix the text.
+ *
+ * @param {object}   args
+ * @param {object}   args.seniorAvailability — { monday: "10:00-12:00", … }
+ * @param {string}   [args.seniorTimezone]   — IANA name
+ * @param {Array}    [args.volunteers]       — [{ id, availability, timezone }]
+ * @param {string}   args.referenceDate      — "yyyy-MM-dd"; UTC offsets (DST) are taken that week
+ * @param {number}   [args.durationMinutes=60]
+ * @param {number}   [args.stepMinutes=30]   — Start times are multiples of this
+ * @param {number}   [args.earliest=480]     — Minutes after midnight (08:00)
+ * @param {number}   [args.latest=1200]      — Latest end (20:00)
+ * @returns {Array<{ dayOfWeek: number, timeOfDay: string, freeVolunteerIds: Array }>}
+ *          Monday first, then by time; slots where no volunteer is free are left
+ *          out unless there are no volunteers at all
+ */
+export function findSlots({
+  seniorAvailability,
+  seniorTimezone = "",
+  volunteers = [],
+  referenceDate,
+  durationMinutes = VISIT_MINUTES,
+  stepMinutes = 30,
+  earliest = VISITING_HOURS.start,
+  latest = VISITING_HOURS.end,
+}) {
+  const senior       = readAvailability(seniorAvailability);
+  const seniorOffset = utcOffsetMinutes(seniorTimezone, referenceDate);
+  const team = volunteers.map((v) => ({
+    id:     v.id,
+    week:   readAvailability(v.availability),
+    offset: v.timezone && seniorTimezone ? utcOffsetMinutes(v.timezone, referenceDate) : seniorOffset,
+  }));
+
+  /** Whether a volunteer is free for a senior-local (day, start) */
+  function isFree(v, dayOfWeek, start) {
+    if (!v.week.listed) return true;
+    const local = start - seniorOffset + v.offset;
+    const day   = DAY_KEYS[(dayOfWeek + Math.floor(local / 1440) + 7) % 7];
+    const time  = ((local % 1440) + 1440) % 1440;
+    return !v.week.unreadable.includes(day) && fits(v.week.days[day], time, durationMinutes);
+  }
+
+  const slots = [];
+  for (const dayOfWeek of [1, 2, 3, 4, 5, 6, 0]) {
+    const day = DAY_KEYS[dayOfWeek];
+    if (senior.unreadable.includes(day)) continue;
+    const windows = senior.listed ? senior.days[day] : [{ start: earliest, end: latest }];
+    for (const w of windows) {
+      for (let start = Math.ceil(w.start / stepMinutes) * stepMinutes; start + durationMinutes <= w.end; start += stepMinutes) {
+        const freeVolunteerIds = team.filter((v) => isFree(v, dayOfWeek, start)).map((v) => v.id);
+        if (freeVolunteerIds.length || team.length === 0) {
+          slots.push({ dayOfWeek, timeOfDay: formatMinutes(start), freeVolunteerIds });
+        }
+      }
+    }
+  }
+  return slots;
+}
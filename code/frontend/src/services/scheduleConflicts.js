@@ -0,0 +1,331 @@
+/**
+ * scheduleConflicts.js — Clashes between visit teams' schedules and rotations
+ *
+ * A volunteer can be on several visit teams, and each team's schedule and
+ * rotations are planned on their own (rotationEngine.planRotations only sees one
+ * team). findConflicts() looks across all teams for:
+ *
+ *   double-booked        — one volunteer has two visits that overlap
+ *   too-close            — one volunteer's visits are back to back, with less than
+ *                          the buffer between one visit's end and the next's start
+ *   outside-availability — a schedule slot is outside the senior's availability
+ *
+ * Clashes come from two places:
+ *   - Membership: a volunteer on two teams whose weekly slots clash will be
+ *     double-booked whenever both rotations pick them. Reported once per pair of
+ *     slots (date null), as soon as the slot or the member is added.
+ *   - Rotations: upcoming visits actually assigned to the same volunteer
+ *     (substitutes and leftover assignments included). Reported per date, unless
+ *     the same pair of slots is already reported from membership.
+ *
+ * checkReschedule() checks a single visit being moved to a new date and time:
+ * the senior's and the volunteer's availability, the volunteer's blackouts and
+ * their other visits.
+ *
+ * Visits are compared as UTC instants (services/timeZones.js), so teams in
+ * different zones clash correctly. Each visit lasts VISIT_MINUTES (rotationEngine.js),
+ * as WF5 creates them.
+ *
+ * Records are the app's mapped shapes (services/mappers.js): teams with
+ * schedule[{ dayOfWeek, timeOfDay, timeZone }], rotations with teamId /
+ * scheduleIndex / weekStartDate / assignedVolunteerId (and start, once live data
+ * has it), seniors and volunteers with firstName / lastName.
+ */
+
+import {
+  mondayOf,
+  addDays,
+  visitDateOf,
+  availabilityFrom,
+  checkAvailability,
+  unavailableReason,
+  shortDate,
+  DAY_PLURALS,
+  VISIT_MINUTES,
+} from "./rotationEngine";
+import { meetingTimeZone, zonedTimeToUtc, zonedDateTime, zoneAbbreviation } from "./timeZones";
+
+/** Default gap a volunteer needs between two visits */
+export const DEFAULT_BUFFER_MINUTES = 30;
+
+/**
+ * One visit of a team's schedule slot on a date, as an instant range.
+ * Returns null when the slot has no readable time.
+ */
+function visitAt(team, scheduleIndex, date) {
+  const slot = team.schedule[scheduleIndex];
+  if (!slot || !/^\d{1,2}:\d{2}$/.test(slot.timeOfDay ?? "")) return null;
+  const timeZone = meetingTimeZone(slot);
+  const start    = zonedTimeToUtc(date, slot.timeOfDay, timeZone).getTime();
+  return {
+    teamId: team.id,
+    scheduleIndex,
+    slot,
+    date,
+    start,
+    end:    start + VISIT_MINUTES * 60000,
+    label:  `${slot.timeOfDay} ${zoneAbbreviation(start, timeZone)}`,
+  };
+}
+
+/**
+ * The visit a rotation stands for. A live rotation carries its instance's own
+ * start (which differs from the slot once the visit is moved); otherwise the
+ * visit is at the slot's time on its day of the rotation's week.
+ */
+function rotationVisit(rotation, teamsById) {
+  const team = teamsById[rotation.teamId];
+  const si   = rotation.scheduleIndex ?? 0;
+  const slot = team?.schedule[si];
+  if (!slot) return null;
+  if (!rotation.start) return visitAt(team, si, visitDateOf(rotation.weekStartDate, slot.dayOfWeek));
+  const timeZone = meetingTimeZone(slot);
+  const start    = new Date(rotation.start).getTime();
+  const local    = zonedDateTime(start, timeZone);
+  return {
+    teamId: team.id,
+    scheduleIndex: si,
+    slot,
+    date:   local.date,
+    start,
+    end:    start + VISIT_MINUTES * 60000,
+    label:  `${local.time} ${zoneAbbreviation(start, timeZone)}`,
+  };
+}
+
+/**
+ * How two of a volunteer's visits clash, or null.
+ * Overlap → "double-booked"; less than bufferMinutes apart → "too-close".
+ */
+function clashOf(a, b, bufferMinutes) {
+  const [first, second] = a.start <= b.start ? [a, b] : [b, a];
+  const gap = (second.start - first.end) / 60000;
+  if (gap < 0) return { kind: "double-booked", first, second, gap };
+  if (gap < bufferMinutes) return { kind: "too-close", first, second, gap };
+  return null;
+}
+
+/** Mapped rotations say "cancelled"; raw instance_status says "canceled" */
+function isCancelled(rotation) {
+  return rotation.status === "cancelled" || rotation.status === "canceled";
+}
+
+/** Stable key for a pair of slots, whichever order they come in */
+function pairKey(volunteerId, a, b) {
+  const keys = [`${a.teamId}/${a.scheduleIndex}`, `${b.teamId}/${b.scheduleIndex}`].sort();
+  return `${volunteerId}:${keys.join("|")}`;
+}
+
+/**
+ * Finds double-bookings, too-close visits and slots outside senior availability.
+ *
+ * @param {object}   params
+ * @param {Array}    params.teams        — Visit teams with volunteerIds[] and schedule[]
+ * @param {Array}    [params.rotations]  — Rotation records; upcoming, non-canceled ones are checked
+ * @param {Array}    [params.seniors]    — Seniors (availability and names)
+ * @param {Array}    [params.volunteers] — Volunteers (names)
+ * @param {number}   [params.bufferMinutes] — Minimum gap between one volunteer's visits
+ * @param {string}   [params.today]      — "yyyy-MM-dd"; rotations from this week on are checked
+ * @returns {Array<{ id: string, kind: string, teamIds: Array, volunteerId: *, date: string|null, message: string }>}
+ *   Dated conflicts first (soonest first), then weekly ones
+ */
+export function findConflicts({
+  teams,
+  rotations = [],
+  seniors = [],
+  volunteers = [],
+  bufferMinutes = DEFAULT_BUFFER_MINUTES,
+  today = new Date().toISOString().slice(0, 10),
+}) {
+  const teamsById    = Object.fromEntries(teams.map((t) => [t.id, t]));
+  const seniorOf     = (teamId) => seniors.find((s) => s.id === teamsById[teamId]?.seniorId);
+  const seniorName   = (teamId) => seniorOf(teamId)?.firstName ?? "Unknown senior";
+  const volunteerName = (id) => {
+    const v = volunteers.find((vol) => vol.id === id);
+    return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+  };
+  const describe = ({ kind, first, second, gap }, volunteerId) => {
+    const visits = `${seniorName(first.teamId)} (${first.label}) and ${seniorName(second.teamId)} (${second.label})`;
+    return kind === "double-booked"
+      ? `${volunteerName(volunteerId)} would be visiting ${visits} at the same time`
+      : `${volunteerName(volunteerId)} has ${gap} min between ${visits} — less than the ${bufferMinutes} min buffer`;
+  };
+
+  const conflicts = [];
+
+  // ── Slots outside the senior's availability ──
+  for (const team of teams) {
+    const senior = seniorOf(team.id);
+    if (!senior) continue;
+    team.schedule.forEach((slot, si) => {
+      const fit = checkAvailability(availabilityFrom(senior), slot, senior.firstName);
+      if (fit.ok) return;
+      conflicts.push({
+        id:          `availability:${team.id}/${si}`,
+        kind:        "outside-availability",
+        teamIds:     [team.id],
+        volunteerId: null,
+        date:        null,
+        message:     `${DAY_PLURALS[slot.dayOfWeek]} at ${slot.timeOfDay}: ${fit.note}`,
+      });
+    });
+  }
+
+  // ── Membership: weekly slots of two teams sharing a volunteer ──
+  // Compared in next week's dates, so each zone's offset is the one in force then
+  const weekStart = addDays(mondayOf(today), 7);
+  const reported  = new Set();
+  const weekly    = teams.flatMap((team) =>
+    team.schedule
+      .map((slot, si) => visitAt(team, si, visitDateOf(weekStart, slot.dayOfWeek)))
+      .filter(Boolean)
+  );
+  for (let i = 0; i < weekly.length; i++) {
+    for (let j = i + 1; j < weekly.length; j++) {
+      const a = weekly[i], b = weekly[j];
+      if (a.teamId === b.teamId) continue;
+      const clash = clashOf(a, b, bufferMinutes);
+      if (!clash) continue;
+      const shared = teamsById[a.teamId].volunteerIds.filter((id) => teamsById[b.teamId].volunteerIds.includes(id));
+      for (const volunteerId of shared) {
+        const key = pairKey(volunteerId, a, b);
+        reported.add(key);
+        conflicts.push({
+          id:          `weekly:${key}`,
+          kind:        clash.kind,
+          teamIds:     [a.teamId, b.teamId],
+          volunteerId,
+          date:        null,
+          message:     `${DAY_PLURALS[clash.first.slot.dayOfWeek]}: ${describe(clash, volunteerId)}`,
+        });
+      }
+    }
+  }
+
+  // ── Rotations: upcoming visits assigned to the same volunteer ──
+  const byVolunteer = new Map();
+  for (const r of rotations) {
+    if (r.assignedVolunteerId == null || isCancelled(r)) continue;
+    if (r.weekStartDate < mondayOf(today)) continue;
+    const visit = rotationVisit(r, teamsById);
+    if (!visit || visit.date < today) continue;
+    if (!byVolunteer.has(r.assignedVolunteerId)) byVolunteer.set(r.assignedVolunteerId, []);
+    byVolunteer.get(r.assignedVolunteerId).push(visit);
+  }
+  const dated = [];
+  for (const [volunteerId, visits] of byVolunteer) {
+    visits.sort((a, b) => a.start - b.start);
+    for (let i = 0; i < visits.length; i++) {
+      // Sorted by start, so later visits only get further away
+      for (let j = i + 1; j < visits.length && visits[j].start < visits[i].end + bufferMinutes * 60000; j++) {
+        const a = visits[i], b = visits[j];
+        if (a.teamId === b.teamId && a.scheduleIndex === b.scheduleIndex) continue;
+        if (reported.has(pairKey(volunteerId, a, b))) continue;
+        const clash = clashOf(a, b, bufferMinutes);
+        if (!clash) continue;
+        dated.push({
+          id:          `visit:${volunteerId}:${a.date}:${pairKey(volunteerId, a, b)}`,
+          kind:        clash.kind,
+          teamIds:     [...new Set([a.teamId, b.teamId])],
+          volunteerId,
+          date:        clash.first.date,
+          message:     `${shortDate(clash.first.date)}: ${describe(clash, volunteerId)}`,
+        });
+      }
+    }
+  }
+  dated.sort((a, b) => a.date.localeCompare(b.date));
+
+  return [...dated, ...conflicts];
+}
+
+/**
+ * Checks moving one visit to a new date and time — the Schedule page runs this
+ * before a drag-and-drop reschedule is applied or proposed.
+ *
+ * @param {object} params
+ * @param {object} params.visit       — The visit being moved: { teamId, scheduleIndex, rotationId, assignedVolunteerId }
+ * @param {string} params.date        — New date, "yyyy-MM-dd" in the meeting's zone
+ * @param {string} params.time        — New "HH:MM" in the meeting's zone
+ * @param {Array}  params.teams
+ * @param {Array}  [params.rotations] — Rotations around the new date (the volunteer's other visits)
+ * @param {Array}  [params.seniors]
+ * @param {Array}  [params.volunteers] — With availability fields and timezone
+ * @param {Array}  [params.blackouts]
+ * @param {number} [params.bufferMinutes]
+ * @returns {Array<{ kind: string, message: string }>} Empty when the move is clear.
+ *   kind: "outside-availability" (senior), "volunteer-unavailable", "double-booked", "too-close"
+ */
+export function checkReschedule({
+  visit,
+  date,
+  time,
+  teams,
+  rotations = [],
+  seniors = [],
+  volunteers = [],
+  blackouts = [],
+  bufferMinutes = DEFAULT_BUFFER_MINUTES,
+}) {
+  const teamsById = Object.fromEntries(teams.map((t) => [t.id, t]));
+  const team      = teamsById[visit.teamId];
+  const slot      = team?.schedule[visit.scheduleIndex ?? 0];
+  if (!team || !slot) return [];
+
+  const timeZone  = meetingTimeZone(slot);
+  const [y, m, d] = date.split("-").map(Number);
+  const moved     = { dayOfWeek: new Date(Date.UTC(y, m - 1, d)).getUTCDay(), timeOfDay: time, timeZone };
+  const senior    = seniors.find((s) => s.id === team.seniorId);
+  const volunteer = volunteers.find((v) => v.id === visit.assignedVolunteerId);
+  const nameOf    = (id) => {
+    const v = volunteers.find((vol) => vol.id === id);
+    return v ? `${v.firstName} ${v.lastName}` : "Unknown volunteer";
+  };
+  const problems  = [];
+
+  if (senior) {
+    const fit = checkAvailability(availabilityFrom(senior), moved, senior.firstName);
+    if (!fit.ok) problems.push({ kind: "outside-availability", message: fit.note });
+  }
+  if (volunteer) {
+    const reason = unavailableReason({
+      volunteerId:  volunteer.id,
+      visitDate:    date,
+      slot:         moved,
+      blackouts,
+      availability: availabilityFrom(volunteer),
+      timeZone:     volunteer.timezone,
+      nameOf,
+    });
+    if (reason) problems.push({ kind: "volunteer-unavailable", message: reason });
+  }
+
+  // The volunteer's other visits around the new time
+  if (visit.assignedVolunteerId != null) {
+    const start = zonedTimeToUtc(date, time, timeZone).getTime();
+    const self  = {
+      teamId: team.id,
+      scheduleIndex: visit.scheduleIndex ?? 0,
+      slot,
+      date,
+      start,
+      end:    start + VISIT_MINUTES * 60000,
+      label:  `${time} ${zoneAbbreviation(start, timeZone)}`,
+    };
+    const seniorName = (teamId) => seniors.find((s) => s.id === teamsById[teamId]?.seniorId)?.firstName ?? "Unknown senior";
+    for (const r of rotations) {
+      if (r.id === visit.rotationId || r.assignedVolunteerId !== visit.assignedVolunteerId || isCancelled(r)) continue;
+      const other = rotationVisit(r, teamsById);
+      const clash = other && clashOf(self, other, bufferMinutes);
+      if (!clash) continue;
+      problems.push({
+        kind:    clash.kind,
+        message: clash.kind === "double-booked"
+          ? `${nameOf(visit.assignedVolunteerId)} is visiting ${seniorName(other.teamId)} at ${other.label} on ${shortDate(other.date)}`
+          : `${nameOf(visit.assignedVolunteerId)} has ${clash.gap} min between this and ${seniorName(other.teamId)} (${other.label}) — less than the ${bufferMinutes} min buffer`,
+      });
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,115 @@
+/**
+ * timeZones.js — Wall-clock ↔ instant conversion for visit times
+ *
+ * Time model: a MEETING's day and meeting_time are wall-clock values in the
+ * meeting's zone (MEETING.meeting_timezone, filled from the senior's community
+ * zone; DEFAULT_TIMEZONE when blank — the same fallback WF1/WF2 use for calendar
+ * events). MEETING_INSTANCE.instance_start / instance_end are true UTC instants
+ * computed from that (WF5), so they can be shown in anyone's zone.
+ *
+ * Conversions go through Intl, so DST is handled by the browser's tz database:
+ *   - a time skipped by spring-forward (02:30) moves forward by the gap (03:30)
+ *   - a time repeated by fall-back (01:30) resolves to the first occurrence
+ * WF5 does the same conversion with Luxon (DateTime.fromISO(…, { zone }));
+ * tests/timeZones.test.js checks the two agree around every DST change.
+ */
+
+/** Zone used when a meeting has none */
+export const DEFAULT_TIMEZONE = "America/New_York";
+
+/** The zones CTR works in, as offered on SENIOR_COMMUNITY / PERSON / MEETING */
+export const TIMEZONE_OPTIONS = [
+  { value: "America/New_York",    label: "Eastern" },
+  { value: "America/Chicago",     label: "Central" },
+  { value: "America/Denver",      label: "Mountain" },
+  { value: "America/Los_Angeles", label: "Pacific" },
+];
+
+/** The viewer's own zone, e.g. "America/Denver" */
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIMEZONE;
+}
+
+/** The zone a schedule slot or mapped meeting is in */
+export function meetingTimeZone(meeting) {
+  return meeting?.timeZone || DEFAULT_TIMEZONE;
+}
+
+const formatters = {};
+
+/** Cached 24-hour numeric formatter for a zone; falls back to DEFAULT_TIMEZONE for unknown zones */
+function formatterFor(timeZone) {
+  if (!formatters[timeZone]) {
+    try {
+      formatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+        timeZone, hourCycle: "h23",
+        year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric",
+      });
+    } catch {
+      formatters[timeZone] = formatterFor(DEFAULT_TIMEZONE);
+    }
+  }
+  return formatters[timeZone];
+}
+
+/** Wall-clock fields of an instant in a zone */
+function partsAt(instant, timeZone) {
+  const parts = Object.fromEntries(
+    formatterFor(timeZone).formatToParts(new Date(instant)).map((p) => [p.type, Number(p.value)])
+  );
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+/** Minutes the zone is ahead of UTC at an instant (-300 for New York in winter) */
+function offsetAt(instant, timeZone) {
+  const p = partsAt(instant, timeZone);
+  return Math.round((Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(instant / 60000) * 60000) / 60000);
+}
+
+/**
+ * The instant a wall-clock date and time happen in a zone.
+ *
+ * @param {string} date — "yyyy-MM-dd"
+ * @param {string} time — "HH:MM"
+ * @param {string} timeZone — IANA name
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(date, time, timeZone) {
+  const [y, m, d] = date.split("-").map(Number);
+  const [hh, mm]  = time.split(":").map(Number);
+  const wall      = Date.UTC(y, m - 1, d, hh, mm);
+  // Try the offsets in force just before and after the wall time; the earlier
+  // valid reading wins (fall-back), and a skipped time keeps the pre-gap offset
+  // so it lands after the gap (spring-forward)
+  const before = offsetAt(wall - 86400000, timeZone);
+  const after  = offsetAt(wall + 86400000, timeZone);
+  const candidates = [...new Set([before, after])]
+    .map((offset) => wall - offset * 60000)
+    .filter((instant) => offsetAt(instant, timeZone) * 60000 === wall - instant)
+    .sort((a, b) => a - b);
+  return new Date(candidates[0] ?? wall - before * 60000);
+}
+
+/**
+ * Wall-clock date and time of an instant in a zone.
+ *
+ * @param {Date|string|number} instant
+ * @param {string} timeZone
+ * @returns {{ date: string, time: string }} "yyyy-MM-dd" and "HH:MM"
+ */
+export function zonedDateTime(instant, timeZone) {
+  const p   = partsAt(new Date(instant).getTime(), timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  return { date: `${p.year}-${pad(p.month)}-${pad(p.day)}`, time: `${pad(p.hour)}:${pad(p.minute)}` };
+}
+
+/** Short zone name at an instant: "EST", "PDT" (or "GMT-5" where there's no abbreviation) */
+export function zoneAbbreviation(instant, timeZone) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone, timeZoneName: "short" })
+      .formatToParts(new Date(instant))
+      .find((p) => p.type === "timeZoneName")?.value ?? "";
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { nextPaging, mergeRows } from "../src/services/paging.js";
+import { proposedChanges } from "../src/mock/proposedChanges.js";
+import { meetingInstances } from "../src/mock/meetingInstances.js";
+
+const KEY = JSON.stringify([null, {}]);
+
+/**
+ * Drives the paging and row state the way useServerTable does: every paging
+ * change loads that page and merges it into the rows shown.
+ */
+function tableSession(loadPage) {
+  let paging = nextPaging(null, "reload", KEY);
+  let rows   = mergeRows([], loadPage(paging.page).rows, paging.append);
+  const step = (action) => {
+    paging = nextPaging(paging, action, KEY);
+    rows   = mergeRows(rows, loadPage(paging.page).rows, paging.append);
+  };
+  return {
+    get rows()   { return rows; },
+    get paging() { return paging; },
+    loadMore: () => step("loadMore"),
+    reload:   () => step("reload"),
+  };
+}
+
+const ids = (rows) => rows.map((row) => row.id);
+const all = Array.from({ length: 7 }, (_, i) => ({ id: i + 1 }));
+
+/** One page of a list, as a page loader resolves it */
+function pageOf(list, page, size = 3) {
+  return { count: list.length, rows: list.slice((page - 1) * size, page * size) };
+}
+
+test("loadMore appends the next page", () => {
+  const table = tableSession((page) => pageOf(all, page));
+  table.loadMore();
+  assert.deepEqual(ids(table.rows), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(table.paging, { key: KEY, page: 2, append: true });
+});
+
+test("reload after loadMore goes back to page 1 and shows no row twice", () => {
+  const table = tableSession((page) => pageOf(all, page));
+  table.loadMore();
+  table.reload();
+  assert.deepEqual(table.paging, { key: KEY, page: 1, append: false });
+  assert.deepEqual(ids(table.rows), [1, 2, 3]);
+  assert.equal(new Set(ids(table.rows)).size, table.rows.length);
+});
+
+test("paging from an older query starts again at page 1", () => {
+  assert.deepEqual(nextPaging({ key: "old", page: 4, append: true }, "loadMore", KEY), { key: KEY, page: 2, append: true });
+  assert.deepEqual(nextPaging({ key: "old", page: 4, append: true }, "reload", KEY), { key: KEY, page: 1, append: false });
+});
+
+test("an appended page skips rows already shown", () => {
+  assert.deepEqual(ids(mergeRows([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], true)), [1, 2, 3]);
+  assert.deepEqual(ids(mergeRows([{ id: 1 }, { id: 2 }], [{ id: 2 }, { id: 3 }], false)), [2, 3]);
+});
+
+// ─── Pages that reload after a decision ───────────────────────────────────────
+
+test("Approvals: a reviewed change leaves the pending list after Load more", () => {
+  const queue = proposedChanges.map((c) => ({ ...c }));
+  // The Pending tab's loader: pending changes only, one per page so Load more is needed
+  const table = tableSession((page) => pageOf(queue.filter((c) => c.status === "pending"), page, 1));
+  table.loadMore();
+  assert.deepEqual(ids(table.rows), ["pc1", "pc2"]);
+
+  queue.find((c) => c.id === "pc2").status = "approved"; // handleReviewed → table.reload()
+  table.reload();
+  assert.deepEqual(ids(table.rows), ["pc1"]);
+});
+
+test("Meetings: recording an outcome after Load more shows each instance once, with its new status", () => {
+  const instances = meetingInstances.map((mi) => ({ ...mi }));
+  const table = tableSession((page) => pageOf(instances, page, 5));
+  table.loadMore();
+  table.loadMore();
+  const marked = table.rows[7];
+
+  instances.find((mi) => mi.id === marked.id).status = "no-show"; // onOutcome → table.reload()
+  table.reload();
+  assert.equal(new Set(ids(table.rows)).size, table.rows.length);
+  assert.deepEqual(ids(table.rows), ids(instances.slice(0, 5)));
+
+  table.loadMore();
+  assert.equal(table.rows.find((mi) => mi.id === marked.id).status, "no-show");
+});
@@ -0,0 +1,198 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { planRotations, suggestSubstitutes, explain, parseWindows, checkAvailability } from "../src/services/rotationEngine.js";
+
+// The engine never reads the clock: every test fixes the week it plans from, and
+// passes volunteers and history in a fixed order (team order breaks the last tie).
+const START = "2026-03-02"; // a Monday
+const MONDAY_10 = { dayOfWeek: 1, timeOfDay: "10:00" };
+const NAMES = { a: "Ann", b: "Ben", c: "Cy" };
+const nameOf = (id) => NAMES[id];
+
+function visit(assignedVolunteerId, weekStartDate, extra = {}) {
+  return { assignedVolunteerId, weekStartDate, status: "completed", teamId: "t1", ...extra };
+}
+
+// ─── planRotations ────────────────────────────────────────────────────────────
+
+test("with no history the team takes turns in team order", () => {
+  const { rotations, gaps } = planRotations({
+    teamId: "t1", schedule: [MONDAY_10], volunteerIds: ["a", "b", "c"], startWeek: START, numWeeks: 4, nameOf,
+  });
+  assert.deepEqual(gaps, []);
+  assert.deepEqual(rotations.map((r) => [r.visitDate, r.assignedVolunteerId]), [
+    ["2026-03-02", "a"],
+    ["2026-03-09", "b"],
+    ["2026-03-16", "c"],
+    ["2026-03-23", "a"],
+  ]);
+  assert.equal(rotations[0].reason, "Chosen because Ann is tied at 0 visits and comes first in team order");
+});
+
+test("the fewest visits in the window wins, then whoever has waited longest", () => {
+  const history = [
+    visit("a", "2026-02-23"),
+    visit("a", "2026-02-16"),
+    visit("b", "2026-02-09"),
+    visit("c", "2026-02-02"),
+    visit("c", "2025-11-03"), // outside the 8-week window: doesn't count toward load
+  ];
+  const { rotations } = planRotations({
+    teamId: "t1", schedule: [MONDAY_10], volunteerIds: ["a", "b", "c"], startWeek: START, numWeeks: 2, history, nameOf,
+  });
+  assert.deepEqual(rotations.map((r) => r.assignedVolunteerId), ["c", "b"]);
+  assert.equal(rotations[0].reason, "Chosen because Cy is tied at 1 visit in the last 8 weeks and last visited Feb 2, longest ago");
+});
+
+test("history order doesn't change the plan", () => {
+  const history = [visit("a", "2026-02-23"), visit("b", "2026-02-16"), visit("b", "2026-02-09"), visit("c", "2026-02-02")];
+  const plan = (h) => planRotations({
+    teamId: "t1", schedule: [MONDAY_10], volunteerIds: ["a", "b", "c"], startWeek: START, numWeeks: 6, history: h, nameOf,
+  });
+  assert.deepEqual(plan([...history].reverse()), plan(history));
+});
+
+test("cancelled visits don't count, and a visit planned this run counts for the next week", () => {
+  const history = [visit("a", "2026-02-23", { status: "canceled" }), visit("b", "2026-02-16")];
+  const { rotations } = planRotations({
+    teamId: "t1", schedule: [MONDAY_10], volunteerIds: ["a", "b"], startWeek: START, numWeeks: 2, history, nameOf,
+  });
+  assert.deepEqual(rotations.map((r) => r.assignedVolunteerId), ["a", "b"]);
+  assert.match(rotations[0].reason, /Ann has the fewest visits in the last 8 weeks \(0 visits; next lowest 1\)/);
+});
+
+test("skip weeks, blackouts and weekly availability make a volunteer sit out, with the reason kept", () => {
+  const { rotations } = planRotations({
+    teamId: "t1",
+    schedule: [MONDAY_10],
+    volunteerIds: ["a", "b", "c"],
+    startWeek: START,
+    numWeeks: 1,
+    skipWeeks: [{ volunteerId: "a", weekStartDate: START }],
+    blackouts: [{ volunteerId: "b", from: "2026-03-01", to: "2026-03-05", reason: "exams" }],
+    nameOf,
+  });
+  assert.equal(rotations[0].assignedVolunteerId, "c");
+  assert.equal(rotations[0].reason,
+    "Chosen because Cy is the only volunteer available; Ann is skipping this week; Ben is unavailable (exams)");
+
+  const busy = planRotations({
+    teamId: "t1", schedule: [MONDAY_10], volunteerIds: ["a"], startWeek: START, numWeeks: 1, nameOf,
+    volunteerAvailability: { a: { monday: "13:00-15:00" } },
+  });
+  assert.equal(busy.rotations[0].assignedVolunteerId, null);
+  assert.equal(busy.rotations[0].reason, "Nobody free: 10:00-11:00 is outside Ann's Mondays availability (13:00-15:00)");
+});
+
+test("slots outside the senior's availability or in a team blackout are gaps, not visits", () => {
+  const { rotations, gaps } = planRotations({
+    teamId: "t1",
+    schedule: [MONDAY_10, { dayOfWeek: 3, timeOfDay: "10:00" }],
+    volunteerIds: ["a"],
+    startWeek: START,
+    numWeeks: 2,
+    availability: { monday: "9:00-12:00" },
+    blackouts: [{ from: "2026-03-09", to: "2026-03-13", reason: "spring break" }],
+    nameOf,
+  });
+  assert.deepEqual(rotations.map((r) => r.visitDate), ["2026-03-02"]);
+  assert.deepEqual(gaps.map((g) => [g.visitDate, g.reason]), [
+    ["2026-03-04", "No visit: the senior has no availability on Wednesdays"],
+    ["2026-03-09", "No visit: team blackout (spring break)"],
+    ["2026-03-11", "No visit: the senior has no availability on Wednesdays"],
+  ]);
+});
+
+// ─── suggestSubstitutes ───────────────────────────────────────────────────────
+
+test("substitutes who know the senior come first, then light load, then recent training", () => {
+  const suggestions = suggestSubstitutes({
+    volunteerIds: ["x", "y", "z", "w"],
+    excludeIds: ["w"],
+    visitDate: "2026-03-04",
+    slot: { dayOfWeek: 3, timeOfDay: "10:00" },
+    teamId: "t1",
+    teamVolunteerIds: ["w"],
+    history: [
+      visit("z", "2025-12-29"),                    // has visited this senior before
+      visit("y", "2026-02-23", { teamId: "t2" }),  // busier elsewhere
+    ],
+    lastTrainingDates: { x: "2025-06-01", y: "2024-01-01" },
+    nameOf: (id) => id.toUpperCase(),
+  });
+  assert.deepEqual(suggestions.map((s) => s.volunteerId), ["z", "x", "y"]);
+  assert.equal(suggestions[0].reason, "Free then; 1 visit to this senior before; 0 visits in the last 8 weeks, last on Dec 29; no recent training");
+  assert.equal(suggestions[1].reason, "Free then; 0 visits in the last 8 weeks; trained Jun 1");
+  assert.equal(suggestions[2].load, 1);
+});
+
+test("volunteers who can't make the visit aren't suggested", () => {
+  const suggestions = suggestSubstitutes({
+    volunteerIds: ["x", "y", "z"],
+    visitDate: "2026-03-04",
+    slot: { dayOfWeek: 3, timeOfDay: "10:00" },
+    skipWeeks: [{ volunteerId: "x", weekStartDate: START }],
+    blackouts: [{ volunteerId: "y", from: "2026-03-04" }],
+    volunteerAvailability: { z: { wednesday: "9am-11am" } },
+  });
+  assert.deepEqual(suggestions.map((s) => s.volunteerId), ["z"]);
+});
+
+// ─── explain ──────────────────────────────────────────────────────────────────
+
+test("explain names the rule that decided the pick", () => {
+  const pick = { id: "a", load: 1, last: "2026-02-02" };
+  assert.equal(explain(pick, [], 8, nameOf), "Chosen because Ann is the only volunteer available");
+  assert.equal(explain(pick, [{ id: "b", load: 2, last: "2026-02-09" }], 8, nameOf),
+    "Chosen because Ann has the fewest visits in the last 8 weeks (1 visit; next lowest 2)");
+  assert.equal(explain(pick, [{ id: "b", load: 1, last: "2026-02-16" }], 4, nameOf),
+    "Chosen because Ann is tied at 1 visit in the last 4 weeks and last visited Feb 2, longest ago");
+  assert.equal(explain({ ...pick, last: "" }, [{ id: "b", load: 1, last: "2026-02-16" }], 8, nameOf),
+    "Chosen because Ann is tied at 1 visit in the last 8 weeks and has not visited yet, longest ago");
+  assert.equal(explain(pick, [{ id: "b", load: 1, last: "2026-02-02" }], 8, nameOf),
+    "Chosen because Ann is tied at 1 visit and comes first in team order");
+});
+
+// ─── Availability text ────────────────────────────────────────────────────────
+
+/** parseWindows() as "HH:MM-HH:MM" strings */
+function windowsOf(text) {
+  const pad = (m) => `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+  return parseWindows(text)?.map((w) => `${pad(w.start)}-${pad(w.end)}`) ?? null;
+}
+
+test("bare hours are read within visiting hours", () => {
+  assert.deepEqual(windowsOf("1-3"), ["13:00-15:00"]);
+  assert.deepEqual(windowsOf("9-5"), ["09:00-17:00"]);
+  assert.deepEqual(windowsOf("12-2"), ["12:00-14:00"]);
+  assert.deepEqual(windowsOf("6-8"), ["18:00-20:00"]);
+  assert.deepEqual(windowsOf("10-12"), ["10:00-12:00"]);
+  assert.deepEqual(windowsOf("10:00-12:00, 14:00-16:30"), ["10:00-12:00", "14:00-16:30"]);
+  assert.deepEqual(windowsOf("7-9:30"), ["07:00-09:30"]); // fits no reading: kept as written
+});
+
+test("am/pm on either end still decides the range", () => {
+  assert.deepEqual(windowsOf("2-4pm"), ["14:00-16:00"]);
+  assert.deepEqual(windowsOf("11-1pm"), ["11:00-13:00"]);
+  assert.deepEqual(windowsOf("10am-2"), ["10:00-14:00"]);
+  assert.deepEqual(windowsOf("1am-3am"), ["01:00-03:00"]);
+});
+
+test("named periods stand for fixed windows", () => {
+  assert.deepEqual(windowsOf("morning"), ["09:00-12:00"]);
+  assert.deepEqual(windowsOf("Afternoons"), ["12:00-17:00"]);
+  assert.deepEqual(windowsOf("in the evening"), ["17:00-20:00"]);
+  assert.deepEqual(windowsOf("any time"), ["08:00-20:00"]);
+  assert.deepEqual(windowsOf("All day"), ["08:00-20:00"]);
+  assert.deepEqual(windowsOf("morning and 3-5"), ["09:00-12:00", "15:00-17:00"]);
+  assert.equal(windowsOf("brunch"), null);
+});
+
+test("a visit must end inside the window it starts in", () => {
+  const availability = { monday: "10-11" };
+  assert.equal(checkAvailability(availability, { dayOfWeek: 1, timeOfDay: "10:00" }).ok, true);
+  assert.deepEqual(checkAvailability(availability, { dayOfWeek: 1, timeOfDay: "10:30" }, "Ann"),
+    { ok: false, note: "10:30-11:30 is outside Ann's Mondays availability (10-11)" });
+  assert.equal(checkAvailability(availability, { dayOfWeek: 1, timeOfDay: "10:00", durationMinutes: 90 }).ok, false);
+  assert.equal(checkAvailability(availability, { dayOfWeek: 1, timeOfDay: "10:30", durationMinutes: 30 }).ok, true);
+});
@@ -0,0 +1,87 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { DateTime } from "luxon";
+import { zonedTimeToUtc, zonedDateTime, DEFAULT_TIMEZONE } from "../src/services/timeZones.js";
+
+const ZONES = ["America/New_York", "America/Chicago", "America/Denver", "America/Los_Angeles"];
+
+function utc(date, time, zone) {
+  return zonedTimeToUtc(date, time, zone).toISOString();
+}
+
+// ─── DST edges ────────────────────────────────────────────────────────────────
+
+test("ordinary wall times use the offset in force that day", () => {
+  assert.equal(utc("2026-01-12", "10:00", "America/New_York"), "2026-01-12T15:00:00.000Z");
+  assert.equal(utc("2026-07-13", "10:00", "America/New_York"), "2026-07-13T14:00:00.000Z");
+  assert.equal(utc("2026-07-13", "10:00", "America/Los_Angeles"), "2026-07-13T17:00:00.000Z");
+});
+
+test("a time skipped by spring-forward moves forward by the gap (02:30 → 03:30 EDT)", () => {
+  const instant = utc("2026-03-08", "02:30", "America/New_York");
+  assert.equal(instant, "2026-03-08T07:30:00.000Z");
+  assert.deepEqual(zonedDateTime(instant, "America/New_York"), { date: "2026-03-08", time: "03:30" });
+
+  assert.equal(utc("2026-03-08", "02:00", "America/Chicago"), "2026-03-08T08:00:00.000Z"); // 03:00 CDT
+  assert.equal(utc("2026-03-08", "03:00", "America/New_York"), "2026-03-08T07:00:00.000Z");
+});
+
+test("a time repeated by fall-back resolves to the first occurrence (01:30 EDT)", () => {
+  const instant = utc("2026-11-01", "01:30", "America/New_York");
+  assert.equal(instant, "2026-11-01T05:30:00.000Z");
+  assert.deepEqual(zonedDateTime(instant, "America/New_York"), { date: "2026-11-01", time: "01:30" });
+
+  assert.equal(utc("2026-11-01", "01:00", "America/Los_Angeles"), "2026-11-01T08:00:00.000Z"); // 01:00 PDT
+  assert.equal(utc("2026-11-01", "02:00", "America/New_York"), "2026-11-01T07:00:00.000Z");
+});
+
+// ─── Parity with WF5 (Luxon) ──────────────────────────────────────────────────
+
+test("matches Luxon's DateTime.fromISO(…, { zone }) around every 2026-2027 DST change", () => {
+  const dates = ["2026-03-07", "2026-03-08", "2026-03-09", "2026-10-31", "2026-11-01", "2026-11-02",
+                 "2027-03-14", "2027-11-07"];
+  const times = ["00:00", "00:30", "01:00", "01:30", "01:59", "02:00", "02:30", "03:00", "03:30", "09:15", "23:30"];
+  for (const zone of ZONES) {
+    for (const date of dates) {
+      for (const time of times) {
+        const luxon = DateTime.fromISO(`${date}T${time}`, { zone }).toUTC().toISO();
+        assert.equal(utc(date, time, zone), luxon, `${date} ${time} ${zone}`);
+      }
+    }
+  }
+});
+
+test("WF5's Compute Instance Dates gives the instants the app computes", () => {
+  const workflow = JSON.parse(readFileSync(new URL("../../n8n/wf5-weekly-instance-generator.json", import.meta.url), "utf8"));
+  const code     = workflow.nodes.find((n) => n.name === "Compute Instance Dates").parameters.jsCode;
+  const meetings = [
+    { id: 1, team: [{ id: 10 }], meeting_day_of_week: { value: "Sunday" },    meeting_time: "02:30", meeting_timezone: { value: "America/New_York" } },
+    { id: 2, team: [{ id: 11 }], meeting_day_of_week: { value: "Saturday" },  meeting_time: "10:00", meeting_timezone: { value: "America/Chicago" } },
+    { id: 3, team: [{ id: 12 }], meeting_day_of_week: { value: "Wednesday" }, meeting_time: "9:05",  meeting_timezone: null },
+    { id: 4, team: [{ id: 13 }], meeting_day_of_week: { value: "Monday" },    meeting_time: "14:00", meeting_timezone: { value: "Not/AZone" } },
+  ];
+
+  // The node plans the current week (Monday-Sunday, UTC): fix the clock inside the DST week
+  mock.timers.enable({ apis: ["Date"], now: Date.UTC(2026, 2, 4, 12) });
+  let items;
+  try {
+    items = new Function("DateTime", "$input", code)(DateTime, { first: () => ({ json: { results: meetings } }) });
+  } finally {
+    mock.timers.reset();
+  }
+
+  assert.deepEqual(items.map((i) => [i.json.meeting_id, i.json.instance_date, i.json.meeting_timezone]), [
+    [1, "2026-03-08", "America/New_York"],
+    [2, "2026-03-07", "America/Chicago"],
+    [3, "2026-03-04", DEFAULT_TIMEZONE],
+    [4, "2026-03-02", DEFAULT_TIMEZONE],
+  ]);
+  for (const { json } of items) {
+    const [hh, mm] = json.meeting_time.split(":");
+    const expected = zonedTimeToUtc(json.instance_date, `${hh.padStart(2, "0")}:${mm}`, json.meeting_timezone);
+    assert.equal(json.instance_start, expected.toISOString(), `meeting ${json.meeting_id}`);
+    assert.equal(Date.parse(json.instance_end) - Date.parse(json.instance_start), 60 * 60 * 1000);
+  }
+  assert.equal(items[0].json.instance_start, "2026-03-08T07:30:00.000Z");
+});
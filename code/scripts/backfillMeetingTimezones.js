@@ -0,0 +1,221 @@
+/**
+ * backfillMeetingTimezones.js
+ *
+ * PURPOSE:
+ *   Gives every MEETING a meeting_timezone and corrects upcoming
+ *   MEETING_INSTANCE start/end times to match it.
+ *
+ * WHY:
+ *   A MEETING's day and meeting_time are local wall-clock values in
+ *   meeting_timezone; instance_start / instance_end are UTC instants (see
+ *   frontend/src/services/timeZones.js). Before meeting_timezone existed, WF5
+ *   stored meeting_time as if it were UTC, so a 10:00 visit read as 10:00 UTC.
+ *
+ * WHAT IT DOES:
+ *   Phase 1: MEETING rows with no meeting_timezone get the senior's zone —
+ *            SENIOR_COMMUNITY.timezone, else PERSON.timezone, else America/New_York
+ *            (the same order WF1 uses for calendar events)
+ *   Phase 2: Scheduled MEETING_INSTANCE rows dated today or later get
+ *            instance_start / instance_end recomputed from instance_date +
+ *            meeting_time in that zone (1 hour long, as WF5 creates them)
+ *
+ * USAGE:
+ *   cd code/scripts
+ *   node backfillMeetingTimezones.js [--dry-run]
+ *
+ * SAFE TO RE-RUN: YES — meetings that already have a zone are left alone, and
+ *   instance times are only written when they differ.
+ *
+ * ENV VARS (same .env as other scripts):
+ *   BASEROW_URL, BASEROW_EMAIL, BASEROW_PASSWORD
+ *   BASEROW_TABLE_MEETING, BASEROW_TABLE_MEETING_INSTANCE, BASEROW_TABLE_VOLUNTEER_TEAM,
+ *   BASEROW_TABLE_SENIOR, BASEROW_TABLE_SENIOR_COMMUNITY, BASEROW_TABLE_PERSON
+ *   (printed by createBaserowTables.js)
+ *
+ * =============================================================================
+ */
+
+import { config } from "dotenv";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_TIMEZONE, zonedTimeToUtc } from "../frontend/src/services/timeZones.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+config({ path: resolve(__dirname, ".env") });
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const BASEROW_URL      = process.env.BASEROW_URL;
+const BASEROW_EMAIL    = process.env.BASEROW_EMAIL;
+const BASEROW_PASSWORD = process.env.BASEROW_PASSWORD;
+const TABLE_NAMES      = ["MEETING", "MEETING_INSTANCE", "VOLUNTEER_TEAM", "SENIOR", "SENIOR_COMMUNITY", "PERSON"];
+const TABLES           = Object.fromEntries(TABLE_NAMES.map((name) => [name, process.env[`BASEROW_TABLE_${name}`]]));
+const DRY_RUN          = process.argv.includes("--dry-run");
+
+// Validate required env vars
+const missing = ["BASEROW_URL", "BASEROW_EMAIL", "BASEROW_PASSWORD", ...TABLE_NAMES.map((n) => `BASEROW_TABLE_${n}`)]
+  .filter((k) => !process.env[k]);
+if (missing.length > 0) {
+  console.error(`ERROR: Missing env vars: ${missing.join(", ")}`);
+  process.exit(1);
+}
+
+// =============================================================================
+// Runtime state
+// =============================================================================
+
+let JWT_TOKEN = null;
+
+// =============================================================================
+// HTTP helper
+// =============================================================================
+
+async function api(endpoint, method = "GET", body = null) {
+  const url = `${BASEROW_URL}${endpoint}`;
+  const options = {
+    method,
+    headers: {
+      Authorization: `JWT ${JWT_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+  };
+  if (body !== null) options.body = JSON.stringify(body);
+
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const err = await response.text();
+    throw new Error(`${method} ${endpoint} → ${response.status}\n${err}`);
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/** Every row of a table, following Baserow's pagination */
+async function allRows(tableId) {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    const data = await api(`/api/database/rows/table/${tableId}/?user_field_names=true&size=200&page=${page}`);
+    rows.push(...data.results);
+    if (!data.next) return rows;
+  }
+}
+
+async function updateRow(tableId, rowId, fields) {
+  if (DRY_RUN) return;
+  await api(`/api/database/rows/table/${tableId}/${rowId}/?user_field_names=true`, "PATCH", fields);
+}
+
+/** Single-select value: { id, value } → "value" */
+const selectValue = (field) => field?.value ?? field ?? "";
+const firstLinkId = (field) => field?.[0]?.id ?? null;
+
+// =============================================================================
+// Auth
+// =============================================================================
+
+async function login() {
+  console.log(`\n[Auth] Logging in as ${BASEROW_EMAIL}...`);
+  const res = await fetch(`${BASEROW_URL}/api/user/token-auth/`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email: BASEROW_EMAIL, password: BASEROW_PASSWORD }),
+  });
+  if (!res.ok) throw new Error(`Login failed: ${res.status}\n${await res.text()}`);
+  const data = await res.json();
+  JWT_TOKEN = data.token || data.access_token;
+  console.log("  ✓ JWT token obtained.");
+}
+
+// =============================================================================
+// Phase 1: meeting_timezone from the senior's zone
+// =============================================================================
+
+async function backfillMeetings() {
+  console.log("\n[Phase 1] Filling MEETING.meeting_timezone...");
+
+  const [meetings, teams, seniors, communities, people, fields] = await Promise.all([
+    allRows(TABLES.MEETING),
+    allRows(TABLES.VOLUNTEER_TEAM),
+    allRows(TABLES.SENIOR),
+    allRows(TABLES.SENIOR_COMMUNITY),
+    allRows(TABLES.PERSON),
+    api(`/api/database/fields/table/${TABLES.MEETING}/`),
+  ]);
+  const byId = (rows) => Object.fromEntries(rows.map((r) => [r.id, r]));
+  const teamsById = byId(teams), seniorsById = byId(seniors);
+  const communitiesById = byId(communities), peopleById = byId(people);
+
+  // Single-select options are written by option ID
+  const zoneField = fields.find((f) => f.name === "meeting_timezone");
+  if (!zoneField) throw new Error("MEETING has no meeting_timezone field — add it (see createBaserowTables.js) first");
+  const optionIds = Object.fromEntries(zoneField.select_options.map((o) => [o.value, o.id]));
+
+  let filled = 0;
+  for (const meeting of meetings) {
+    if (selectValue(meeting.meeting_timezone)) continue;
+    const senior = seniorsById[firstLinkId(teamsById[firstLinkId(meeting.team)]?.senior)];
+    const zone = selectValue(communitiesById[firstLinkId(senior?.senior_community)]?.timezone) ||
+                 selectValue(peopleById[firstLinkId(senior?.person)]?.timezone) ||
+                 DEFAULT_TIMEZONE;
+    if (!optionIds[zone]) {
+      console.log(`  ! Meeting ${meeting.id}: "${zone}" is not a meeting_timezone option — skipped`);
+      continue;
+    }
+    await updateRow(TABLES.MEETING, meeting.id, { meeting_timezone: optionIds[zone] });
+    meeting.meeting_timezone = { id: optionIds[zone], value: zone };
+    console.log(`  ✓ Meeting ${meeting.id} → ${zone}`);
+    filled++;
+  }
+  console.log(`  ${filled} meeting(s) ${DRY_RUN ? "would be " : ""}updated.`);
+  return meetings;
+}
+
+// =============================================================================
+// Phase 2: upcoming instance times
+// =============================================================================
+
+async function fixInstanceTimes(meetings) {
+  console.log("\n[Phase 2] Recomputing upcoming MEETING_INSTANCE times...");
+
+  const meetingsById = Object.fromEntries(meetings.map((m) => [m.id, m]));
+  const today = new Date().toISOString().slice(0, 10);
+  const instances = (await allRows(TABLES.MEETING_INSTANCE))
+    .filter((i) => i.instance_date >= today && selectValue(i.instance_status) === "scheduled");
+
+  let fixed = 0;
+  for (const instance of instances) {
+    const meeting = meetingsById[firstLinkId(instance.meeting)];
+    if (!meeting?.meeting_time) continue;
+    const zone  = selectValue(meeting.meeting_timezone) || DEFAULT_TIMEZONE;
+    const start = zonedTimeToUtc(instance.instance_date, meeting.meeting_time.trim(), zone);
+    const end   = new Date(start.getTime() + 60 * 60 * 1000);
+    if (instance.instance_start && new Date(instance.instance_start).getTime() === start.getTime()) continue;
+
+    await updateRow(TABLES.MEETING_INSTANCE, instance.id, {
+      instance_start: start.toISOString(),
+      instance_end:   end.toISOString(),
+    });
+    console.log(`  ✓ Instance ${instance.id} (${instance.instance_date} ${meeting.meeting_time} ${zone}) → ${start.toISOString()}`);
+    fixed++;
+  }
+  console.log(`  ${fixed} instance(s) ${DRY_RUN ? "would be " : ""}updated.`);
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  if (DRY_RUN) console.log("DRY RUN — nothing will be written.");
+  await login();
+  const meetings = await backfillMeetings();
+  await fixInstanceTimes(meetings);
+  console.log("\nDone.");
+}
+
+main().catch((err) => {
+  console.error("\nFATAL ERROR:", err.message);
+  process.exit(1);
+});
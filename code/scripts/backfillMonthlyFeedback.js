@@ -0,0 +1,171 @@
+/**
+ * backfillMonthlyFeedback.js
+ *
+ * PURPOSE:
+ *   Sets SENIOR_RELATIONSHIP.receives_monthly_feedback on every existing
+ *   caregiver relationship.
+ *
+ * WHY:
+ *   WF7 used to email every relationship whose relationship_type was
+ *   "caregiver". It now emails the contacts with receives_monthly_feedback set,
+ *   which staff choose per contact on the senior profile. Without this backfill
+ *   the caregivers who were getting the monthly email would stop getting it.
+ *
+ * WHAT IT DOES:
+ *   Caregiver relationships with receives_monthly_feedback unset get it set.
+ *   Family and other contacts are left alone (they never got the email).
+ *
+ * USAGE:
+ *   cd code/scripts
+ *   node backfillMonthlyFeedback.js [--dry-run] [--force]
+ *
+ * SAFE TO RE-RUN: NO — once staff start choosing recipients, an unset flag on a
+ *   caregiver may be deliberate. The script stops if any relationship already
+ *   has the flag set; pass --force to run it anyway.
+ *
+ * ENV VARS (same .env as other scripts):
+ *   BASEROW_URL, BASEROW_EMAIL, BASEROW_PASSWORD
+ *   BASEROW_TABLE_SENIOR_RELATIONSHIP (printed by createBaserowTables.js)
+ *
+ * =============================================================================
+ */
+
+import { config } from "dotenv";
+import { resolve, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+config({ path: resolve(__dirname, ".env") });
+
+// =============================================================================
+// Configuration
+// =============================================================================
+
+const BASEROW_URL      = process.env.BASEROW_URL;
+const BASEROW_EMAIL    = process.env.BASEROW_EMAIL;
+const BASEROW_PASSWORD = process.env.BASEROW_PASSWORD;
+const RELATIONSHIP_TABLE = process.env.BASEROW_TABLE_SENIOR_RELATIONSHIP;
+const DRY_RUN          = process.argv.includes("--dry-run");
+const FORCE            = process.argv.includes("--force");
+
+// Validate required env vars
+const missing = ["BASEROW_URL", "BASEROW_EMAIL", "BASEROW_PASSWORD", "BASEROW_TABLE_SENIOR_RELATIONSHIP"]
+  .filter((k) => !process.env[k]);
+if (missing.length > 0) {
+  console.error(`ERROR: Missing env vars: ${missing.join(", ")}`);
+  process.exit(1);
+}
+
+// =============================================================================
+// Runtime state
+// =============================================================================
+
+let JWT_TOKEN = null;
+
+// =============================================================================
+// HTTP helper
+// =============================================================================
+
+async function api(endpoint, method = "GET", body = null) {
+  const url = `${BASEROW_URL}${endpoint}`;
+  const options = {
+    method,
+    headers: {
+      Authorization: `JWT ${JWT_TOKEN}`,
+      "Content-Type": "application/json",
+    },
+  };
+  if (body !== null) options.body = JSON.stringify(body);
+
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    const err = await response.text();
+    throw new Error(`${method} ${endpoint} → ${response.status}\n${err}`);
+  }
+  const text = await response.text();
+  return text ? JSON.parse(text) : {};
+}
+
+/** Every row of a table, following Baserow's pagination */
+async function allRows(tableId) {
+  const rows = [];
+  for (let page = 1; ; page++) {
+    const data = await api(`/api/database/rows/table/${tableId}/?user_field_names=true&size=200&page=${page}`);
+    rows.push(...data.results);
+    if (!data.next) return rows;
+  }
+}
+
+async function updateRow(tableId, rowId, fields) {
+  if (DRY_RUN) return;
+  await api(`/api/database/rows/table/${tableId}/${rowId}/?user_field_names=true`, "PATCH", fields);
+}
+
+/** Single-select value: { id, value } → "value" */
+const selectValue = (field) => field?.value ?? field ?? "";
+
+// =============================================================================
+// Auth
+// =============================================================================
+
+async function login() {
+  console.log(`\n[Auth] Logging in as ${BASEROW_EMAIL}...`);
+  const res = await fetch(`${BASEROW_URL}/api/user/token-auth/`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email: BASEROW_EMAIL, password: BASEROW_PASSWORD }),
+  });
+  if (!res.ok) throw new Error(`Login failed: ${res.status}\n${await res.text()}`);
+  const data = await res.json();
+  JWT_TOKEN = data.token || data.access_token;
+  console.log("  ✓ JWT token obtained.");
+}
+
+// =============================================================================
+// Backfill
+// =============================================================================
+
+async function backfillCaregivers() {
+  console.log("\n[Backfill] Setting receives_monthly_feedback on caregivers...");
+
+  const [relationships, fields] = await Promise.all([
+    allRows(RELATIONSHIP_TABLE),
+    api(`/api/database/fields/table/${RELATIONSHIP_TABLE}/`),
+  ]);
+  if (!fields.some((f) => f.name === "receives_monthly_feedback")) {
+    throw new Error("SENIOR_RELATIONSHIP has no receives_monthly_feedback field — add it (see createBaserowTables.js) first");
+  }
+
+  const alreadySet = relationships.filter((r) => r.receives_monthly_feedback);
+  if (alreadySet.length > 0 && !FORCE) {
+    throw new Error(
+      `${alreadySet.length} relationship(s) already receive the monthly email, so recipients may ` +
+      "have been chosen by hand. Re-run with --force to set the flag on every caregiver anyway."
+    );
+  }
+
+  let updated = 0;
+  for (const rel of relationships) {
+    if (selectValue(rel.relationship_type) !== "caregiver" || rel.receives_monthly_feedback) continue;
+    await updateRow(RELATIONSHIP_TABLE, rel.id, { receives_monthly_feedback: true });
+    console.log(`  ✓ Relationship ${rel.id} (${rel.related_person?.[0]?.value ?? "no person"})`);
+    updated++;
+  }
+  console.log(`  ${updated} relationship(s) ${DRY_RUN ? "would be " : ""}updated.`);
+}
+
+// =============================================================================
+// Main
+// =============================================================================
+
+async function main() {
+  if (DRY_RUN) console.log("DRY RUN — nothing will be written.");
+  await login();
+  await backfillCaregivers();
+  console.log("\nDone.");
+}
+
+main().catch((err) => {
+  console.error("\nFATAL ERROR:", err.message);
+  process.exit(1);
+});
@@ -1,6 +1,6 @@
 /**
  * PURPOSE:
- *   This will create all 16 CRM tables in a Baserow database via the REST API from the Diagram.
+ *   This will create all 18 CRM tables in a Baserow database via the REST API from the Diagram.
  *   Tables are created in dependency order so that link fields can reference
  *   tables that already exist.
  *
@@ -15,7 +15,7 @@
  *   node createBaserowTables.js
  *
  * WHAT IT DOES:
- *   Phase 1: Creates all 16 table shells first with just names
+ *   Phase 1: Creates all 18 table shells first with just names
  *   Phase 2: Adds non link fields
  *   Phase 3: Adds link row fields (foreign keys between tables)
  *   Phase 4: Adds lookup fields (read data from linked tables)
@@ -194,7 +194,7 @@ async function createRow(tableId, rowData) {
 }
 
 // =============================================================================
-// Table definitions — all 16 tables with their fields
+// Table definitions — all 18 tables with their fields
 // =============================================================================
 
 /**
@@ -450,6 +450,8 @@ function buildFieldDefinitions(tableIds) {
           ],
         },
         { name: "notes", type: "long_text" },
+        // WF7 sends the monthly feedback email to every contact with this set
+        { name: "receives_monthly_feedback", type: "boolean" },
       ],
       linkFields: [
         {
@@ -494,6 +496,14 @@ function buildFieldDefinitions(tableIds) {
           ],
         },
         { name: "last_training_date", type: "date" },
+        // Weekly availability, same "HH:MM-HH:MM" text as SENIOR (blank = not available)
+        { name: "monday_availability", type: "text" },
+        { name: "tuesday_availability", type: "text" },
+        { name: "wednesday_availability", type: "text" },
+        { name: "thursday_availability", type: "text" },
+        { name: "friday_availability", type: "text" },
+        { name: "saturday_availability", type: "text" },
+        { name: "sunday_availability", type: "text" },
       ],
       linkFields: [
         {
@@ -643,6 +653,17 @@ function buildFieldDefinitions(tableIds) {
           ],
         },
         { name: "meeting_time", type: "text" },
+        // Zone meeting_time is in (the senior's community zone); instance times are UTC
+        {
+          name: "meeting_timezone",
+          type: "single_select",
+          select_options: [
+            { value: "America/New_York", color: "blue" },
+            { value: "America/Chicago", color: "green" },
+            { value: "America/Denver", color: "yellow" },
+            { value: "America/Los_Angeles", color: "red" },
+          ],
+        },
         { name: "meeting_link", type: "url" },
         { name: "rocket_chat_room", type: "text" },
         { name: "call_support_instructions", type: "long_text" },
@@ -692,6 +713,11 @@ function buildFieldDefinitions(tableIds) {
         { name: "substitution_notes", type: "long_text" },
         { name: "calendar_event_id", type: "text" },
         { name: "date_notes", type: "long_text" },
+        // Where a pending reschedule proposal would move this visit (wall-clock in
+        // the meeting's zone). WF9 sets them when the proposal is made and clears
+        // them on approve/reject, so every role can see the move is pending.
+        { name: "pending_new_date", type: "date" },
+        { name: "pending_new_time", type: "text" },
       ],
       linkFields: [
         {
@@ -699,8 +725,23 @@ function buildFieldDefinitions(tableIds) {
           type: "link_row",
           link_row_table_id: tableIds.MEETING,
         },
+        // Who the rotation picked (WF5 or the Visit Teams page); every team member
+        // still gets a MEETING_ATTENDANCE row. substitute_volunteer overrides it.
+        {
+          name: "assigned_volunteer",
+          type: "link_row",
+          link_row_table_id: tableIds.VOLUNTEER,
+        },
+      ],
+      // Text for Baserow's row search (the app's command palette finds visits by team name)
+      lookupFields: [
+        {
+          name: "team_name_display",
+          type: "lookup",
+          through_field_name: "meeting",
+          target_field_name: "team_name_display",
+        },
       ],
-      lookupFields: [],
       formulaFields: [],
     },
 
@@ -718,6 +759,8 @@ function buildFieldDefinitions(tableIds) {
             { value: "late", color: "yellow" },
             { value: "absent", color: "red" },
             { value: "substitute", color: "blue" },
+            // The volunteer was told not to come (the visit or their slot was called off)
+            { value: "cancelled", color: "dark-gray" },
           ],
         },
         { name: "note", type: "long_text" },
@@ -825,6 +868,8 @@ function buildFieldDefinitions(tableIds) {
         { name: "description", type: "long_text" },
         // Only used when change_type = reschedule
         { name: "new_date", type: "date" },
+        // Reschedule only: new "HH:MM" in the meeting's zone; blank keeps the visit's time
+        { name: "new_time", type: "text" },
         // Any extra context from the proposer
         { name: "notes", type: "long_text" },
         // Current state of the request — WF9 updates this on approve/reject
@@ -841,6 +886,10 @@ function buildFieldDefinitions(tableIds) {
         { name: "reviewed_at", type: "date", date_include_time: true },
         // Populated by WF9 on rejection so proposer knows why
         { name: "rejection_reason", type: "long_text" },
+        // ID (jti) of the signed approval token WF9 accepted — a token works once
+        { name: "review_token_id", type: "text" },
+        // WF9's decision log: one line per approve/reject (who, when, email or app, token)
+        { name: "review_audit", type: "long_text" },
       ],
       linkFields: [
         // Who submitted the proposal
@@ -867,6 +916,13 @@ function buildFieldDefinitions(tableIds) {
           type: "link_row",
           link_row_table_id: tableIds.MEETING_ATTENDANCE,
         },
+        // Optional with substitution: who the proposer suggests covers
+        // (WF9 lists them first in the approval email)
+        {
+          name: "substitute_volunteer",
+          type: "link_row",
+          link_row_table_id: tableIds.VOLUNTEER,
+        },
         // Admin who approved or rejected — set by WF9 on resolution
         {
           name: "reviewed_by",
@@ -877,6 +933,68 @@ function buildFieldDefinitions(tableIds) {
       lookupFields: [],
       formulaFields: [],
     },
+
+    // -----------------------------------------------------------------
+    // 17. VOLUNTEER_BLACKOUT
+    // Date ranges a volunteer can't visit (exams, school breaks).
+    // The rotation engine skips them; the app warns when a scheduled
+    // visit falls inside one.
+    // -----------------------------------------------------------------
+    VOLUNTEER_BLACKOUT: {
+      nonLinkFields: [
+        { name: "start_date", type: "date" },
+        // Inclusive; blank = a single day
+        { name: "end_date", type: "date" },
+        { name: "reason", type: "text" },
+      ],
+      linkFields: [
+        {
+          name: "volunteer",
+          type: "link_row",
+          link_row_table_id: tableIds.VOLUNTEER,
+        },
+      ],
+      lookupFields: [],
+      formulaFields: [],
+    },
+
+    // -----------------------------------------------------------------
+    // 18. REVIEW_CLAIM
+    // One row per decided PROPOSED_CHANGE. WF9 creates it before
+    // applying an approve/reject; change_key is unique, so when two
+    // decisions race only the first create succeeds and the other
+    // link is refused (see code/backend/src/approvalToken.js).
+    // -----------------------------------------------------------------
+    REVIEW_CLAIM: {
+      nonLinkFields: [
+        // "change-<PROPOSED_CHANGE id>" — unique constraints need Baserow 1.35+
+        {
+          name: "change_key",
+          type: "text",
+          constraints: [{ type_name: "unique_with_empty" }],
+        },
+        // jti of the approval token that won the claim
+        { name: "token_id", type: "text" },
+        {
+          name: "action",
+          type: "single_select",
+          select_options: [
+            { value: "approve", color: "green" },
+            { value: "reject",  color: "red" },
+          ],
+        },
+        { name: "claimed_at", type: "date", date_include_time: true },
+      ],
+      linkFields: [
+        {
+          name: "proposed_change",
+          type: "link_row",
+          link_row_table_id: tableIds.PROPOSED_CHANGE,
+        },
+      ],
+      lookupFields: [],
+      formulaFields: [],
+    },
   };
 }
 
@@ -897,7 +1015,7 @@ async function main() {
   await login();
 
   // -------------------------------------------------------------------------
-  // Phase 1: Create all 15 table shells
+  // Phase 1: Create all 18 table shells
   // -------------------------------------------------------------------------
   console.log("\n--- Phase 1: Creating table shells ---\n");
 
@@ -918,6 +1036,8 @@ async function main() {
     "MEETING_ATTENDANCE",      // 14 → MEETING_INSTANCE, VOLUNTEER
     "FEEDBACK_FORM",           // 15 → FORM_TYPE, PERSON, MEETING_INSTANCE, SENIOR
     "PROPOSED_CHANGE",         // 16 → PERSON, MEETING_INSTANCE, TEAM_MEMBER, MEETING_ATTENDANCE
+    "VOLUNTEER_BLACKOUT",      // 17 → VOLUNTEER
+    "REVIEW_CLAIM",            // 18 → PROPOSED_CHANGE
   ];
 
   // tableIds will map table name → Baserow table ID
@@ -928,7 +1048,7 @@ async function main() {
     tableIds[name] = table.id;
   }
 
-  console.log("\n  All 16 tables created.\n");
+  console.log("\n  All 18 tables created.\n");
 
   // -------------------------------------------------------------------------
   // Phase 2: Add non-link fields to each table
@@ -979,6 +1099,7 @@ async function main() {
   //   Round 2 lookups: VOLUNTEER_TEAM (senior_name) → targets SENIOR.display_name
   //   Round 2 formulas: VOLUNTEER_TEAM (team_name) — uses senior_name lookup
   //   Round 3 lookups: MEETING (team_name_display) → targets VOLUNTEER_TEAM.team_name
+  //   Round 4 lookups: MEETING_INSTANCE (team_name_display) → targets MEETING.team_name_display
   //
   // Processing all lookups then all formulas (as separate phases) fails because
   // VOLUNTEER_TEAM.senior_name lookup needs SENIOR.display_name (a formula) to exist first.
@@ -1089,6 +1210,14 @@ async function main() {
     await createLookupField("MEETING", lookupDef);
   }
 
+  // --- Round 4: Lookups targeting Round 3 lookups ---
+  // MEETING_INSTANCE.team_name_display → MEETING.team_name_display (just created above)
+  console.log("\n  Round 4 — Lookups (MEETING_INSTANCE → MEETING.team_name_display)\n");
+  console.log(`  Table: MEETING_INSTANCE`);
+  for (const lookupDef of fieldDefs.MEETING_INSTANCE.lookupFields) {
+    await createLookupField("MEETING_INSTANCE", lookupDef);
+  }
+
   // -------------------------------------------------------------------------
   // Phase 6: Seed FORM_TYPE with 4 required rows
   // -------------------------------------------------------------------------
@@ -1131,7 +1260,7 @@ async function main() {
   console.log("\n" + "-".repeat(60));
   console.log("Next steps:");
   console.log("  1. Open Baserow at " + BASEROW_URL);
-  console.log("  2. Verify all 16 tables exist with correct fields");
+  console.log("  2. Verify all 18 tables exist with correct fields");
   console.log("  3. Check that FORM_TYPE has 4 seed rows");
   console.log(
     '  4. Rename the auto-created "Name" primary field as needed per table',
@@ -1142,7 +1271,9 @@ async function main() {
   console.log("     (filter: approval_status = pending, sort: proposed_at ASC)");
   console.log("  8. Create a shareable Baserow form view on PROPOSED_CHANGE");
   console.log("     for Proposers — show: change_type, description, meeting_instance,");
-  console.log("     team_member, meeting_attendance, new_date, notes, proposed_by");
+  console.log("     team_member, meeting_attendance, new_date, new_time, notes, proposed_by");
+  console.log("  9. In REVIEW_CLAIM: check change_key shows the Unique constraint —");
+  console.log("     without it two approval links for one change can both apply");
   console.log("=".repeat(60));
 }
 
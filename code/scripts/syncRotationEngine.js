@@ -0,0 +1,76 @@
+/**
+ * syncRotationEngine.js
+ *
+ * PURPOSE:
+ *   Copies the rotation engine (frontend/src/services/rotationEngine.js) into
+ *   WF5's "Pick Rotation Volunteer" Code node, so the Groups page and the weekly
+ *   instance generator pick volunteers the same way. n8n Code nodes can't import
+ *   modules, so the engine source is pasted between the node's
+ *   "// <rotation-engine>" and "// </rotation-engine>" marker lines with its
+ *   `export` keywords removed. The node is updated in both the workflow and its
+ *   exported activeVersion, which n8n keeps as a copy of nodes/connections.
+ *
+ * WHEN TO RUN:
+ *   After every change to rotationEngine.js, then re-import WF5 into n8n.
+ *   `--check` exits 1 (without writing) when WF5 is out of date.
+ *
+ * USAGE:
+ *   cd code/scripts
+ *   node syncRotationEngine.js [--check]
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const HERE          = dirname(fileURLToPath(import.meta.url));
+const ENGINE_PATH   = resolve(HERE, "../frontend/src/services/rotationEngine.js");
+const WORKFLOW_PATH = resolve(HERE, "../n8n/wf5-weekly-instance-generator.json");
+const NODE_NAME     = "Pick Rotation Volunteer";
+const START_MARKER  = "// <rotation-engine>";
+const END_MARKER    = "// </rotation-engine>";
+
+const checkOnly = process.argv.includes("--check");
+
+const engine = readFileSync(ENGINE_PATH, "utf8")
+  .replace(/^export /gm, "")
+  .trim();
+
+const workflowText = readFileSync(WORKFLOW_PATH, "utf8");
+const workflow     = JSON.parse(workflowText);
+const nodeLists    = [workflow.nodes, workflow.activeVersion?.nodes].filter(Boolean);
+
+for (const nodes of nodeLists) {
+  const node = nodes.find((n) => n.name === NODE_NAME);
+  if (!node) {
+    console.error(`❌ No "${NODE_NAME}" node in ${WORKFLOW_PATH}`);
+    process.exit(1);
+  }
+
+  const code  = node.parameters.jsCode;
+  const start = code.indexOf(START_MARKER);
+  const end   = code.indexOf(END_MARKER);
+  if (start === -1 || end < start) {
+    console.error(`❌ "${NODE_NAME}" is missing the ${START_MARKER} / ${END_MARKER} markers`);
+    process.exit(1);
+  }
+
+  node.parameters.jsCode =
+    code.slice(0, start + START_MARKER.length) + "\n" + engine + "\n" + code.slice(end);
+}
+
+// Match the exported workflow files: 2-space indent, non-ASCII escaped, no trailing newline
+const updated = JSON.stringify(workflow, null, 2).replace(
+  /[\u0080-\uffff]/g,
+  (ch) => `\\u${ch.charCodeAt(0).toString(16).padStart(4, "0")}`
+);
+
+if (updated === workflowText) {
+  console.log("✅ WF5 already has the current rotation engine");
+} else if (checkOnly) {
+  console.error("❌ WF5 is out of date — run node syncRotationEngine.js");
+  process.exit(1);
+} else {
+  writeFileSync(WORKFLOW_PATH, updated);
+  console.log(`✅ Updated "${NODE_NAME}" in ${WORKFLOW_PATH}`);
+}